@@ -0,0 +1,92 @@
+// Alert rule scheduler.
+//
+// Every poll claims the enabled rules whose next evaluation is due, pushes
+// their next evaluation out by the rule's interval and checks them. Claims
+// use SKIP LOCKED, so several servers can run the scheduler side by side
+// without evaluating a rule twice.
+
+class AlertScheduler {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.alerts = options.alerts;
+    this.interval = options.interval || 15 * 1000;
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run now and then on every interval. A run still in progress when the
+   * next one is due is not overlapped.
+   */
+  start() {
+    const run = async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error("Alert scheduler error:", error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    run();
+    this.timer = setInterval(run, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Evaluate the rules that are due, a batch at a time, until none are left
+   */
+  async runOnce() {
+    let evaluated = 0;
+    let failed = 0;
+    let rules;
+
+    do {
+      rules = await this.claimDueRules();
+
+      for (const rule of rules) {
+        try {
+          await this.alerts.check(rule);
+          evaluated++;
+        } catch (error) {
+          console.error("Alert rule error:", rule.id, error);
+          failed++;
+        }
+      }
+    } while (rules.length === this.batchSize);
+
+    return { evaluated, failed };
+  }
+
+  /**
+   * Claim due rules by moving their next evaluation one interval ahead
+   */
+  async claimDueRules() {
+    const result = await this.pool.query(
+      `UPDATE alert_rules r SET
+         next_evaluation_at = NOW() + r.interval_seconds * INTERVAL '1 second'
+       FROM (
+         SELECT id FROM alert_rules
+         WHERE enabled AND next_evaluation_at <= NOW()
+         ORDER BY next_evaluation_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       ) due
+       WHERE r.id = due.id
+       RETURNING r.*`,
+      [this.batchSize]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = AlertScheduler;
@@ -0,0 +1,586 @@
+const crypto = require("crypto");
+const { parseDuration } = require("./duration");
+const { validateOutgoingUrl, assertPublicUrl } = require("./outgoing-url");
+const SegmentationService = require("./segmentation-service");
+const WebhookService = require("./webhook-service");
+const { isPlainObject, round } = require("./util");
+
+const METRICS = ["count", "unique_users", "sum", "avg", "min", "max"];
+const OPERATORS = ["above", "below"];
+const DIRECTIONS = ["drop", "spike"];
+
+const DEFAULT_METRIC = { type: "count" };
+const DEFAULT_WINDOW = "1h";
+const DEFAULT_INTERVAL = "5m";
+
+const MIN_SECONDS = 60;
+const MAX_WINDOW_SECONDS = 7 * 86400;
+const MAX_INTERVAL_SECONDS = 86400;
+const MAX_BASELINE_PERIODS = 24;
+const MAX_HISTORY = 500;
+
+const NOTIFY_TIMEOUT_MS = 5000;
+
+const RULE_COLUMNS = `id, name, event_type, filter, metric, condition,
+  window_seconds, interval_seconds, webhook_url, enabled, state, last_value,
+  last_error, last_evaluated_at, created_at, updated_at`;
+
+class AlertService {
+  constructor(pool, { opensearch, segmentation, onAlert }) {
+    this.pool = pool;
+    this.opensearch = opensearch;
+    this.segmentation = segmentation;
+    this.onAlert = onAlert || (() => {});
+  }
+
+  /**
+   * Validate a rule payload. With `partial` (updates), only the fields
+   * present are checked. Returns an error message or null.
+   */
+  static validateRule(rule, { partial = false } = {}) {
+    if (!isPlainObject(rule)) {
+      return "Rule must be an object";
+    }
+    const given = (key) => !partial || rule[key] !== undefined;
+
+    if (
+      given("name") &&
+      (typeof rule.name !== "string" ||
+        rule.name.trim() === "" ||
+        rule.name.length > 255)
+    ) {
+      return "name is required (at most 255 characters)";
+    }
+    if (
+      rule.event !== undefined &&
+      rule.event !== null &&
+      (typeof rule.event !== "string" || !rule.event || rule.event.length > 100)
+    ) {
+      return "event must be an event name";
+    }
+    if (rule.filter !== undefined && rule.filter !== null) {
+      const error = SegmentationService.validateFilter(rule.filter, 1, {
+        conditions: 0,
+      });
+      if (error) return error;
+    }
+    if (rule.metric !== undefined) {
+      if (!isPlainObject(rule.metric) || !METRICS.includes(rule.metric.type)) {
+        return `metric type must be one of: ${METRICS.join(", ")}`;
+      }
+      const error = SegmentationService.validateMetric(rule.metric);
+      if (error) return error;
+    }
+    if (given("condition")) {
+      const error = AlertService.validateCondition(rule.condition);
+      if (error) return error;
+    }
+
+    const window = rule.window !== undefined && parseDuration(rule.window);
+    if (
+      rule.window !== undefined &&
+      !(window >= MIN_SECONDS && window <= MAX_WINDOW_SECONDS)
+    ) {
+      return "window must be a duration between 1m and 7d, e.g. 1h";
+    }
+    const interval =
+      rule.interval !== undefined && parseDuration(rule.interval);
+    if (
+      rule.interval !== undefined &&
+      !(interval >= MIN_SECONDS && interval <= MAX_INTERVAL_SECONDS)
+    ) {
+      return "interval must be a duration between 1m and 1d, e.g. 5m";
+    }
+
+    if (rule.webhookUrl !== undefined && rule.webhookUrl !== null) {
+      const error = validateOutgoingUrl(rule.webhookUrl, "webhookUrl");
+      if (error) return error;
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+      return "enabled must be true or false";
+    }
+    return null;
+  }
+
+  /**
+   * A condition is { type: "threshold", operator: above|below, value } or
+   * { type: "baseline", direction: drop|spike, percent, periods }
+   */
+  static validateCondition(condition) {
+    if (!isPlainObject(condition)) {
+      return "condition is required";
+    }
+
+    if (condition.type === "threshold") {
+      if (!OPERATORS.includes(condition.operator)) {
+        return `threshold operator must be one of: ${OPERATORS.join(", ")}`;
+      }
+      if (typeof condition.value !== "number" || !isFinite(condition.value)) {
+        return "threshold value must be a number";
+      }
+      return null;
+    }
+
+    if (condition.type === "baseline") {
+      if (!DIRECTIONS.includes(condition.direction)) {
+        return `baseline direction must be one of: ${DIRECTIONS.join(", ")}`;
+      }
+      if (
+        typeof condition.percent !== "number" ||
+        !(condition.percent > 0) ||
+        !isFinite(condition.percent)
+      ) {
+        return "baseline percent must be a positive number";
+      }
+      if (
+        condition.periods !== undefined &&
+        (!Number.isInteger(condition.periods) ||
+          condition.periods < 1 ||
+          condition.periods > MAX_BASELINE_PERIODS)
+      ) {
+        return `baseline periods must be between 1 and ${MAX_BASELINE_PERIODS}`;
+      }
+      return null;
+    }
+
+    return "condition type must be threshold or baseline";
+  }
+
+  /**
+   * Whether a measured value breaks the condition. Any value above a zero
+   * baseline is an unbounded spike; nothing can drop below one.
+   */
+  static isFiring(condition, value, baseline) {
+    if (value === null) return false;
+
+    if (condition.type === "threshold") {
+      return condition.operator === "above"
+        ? value > condition.value
+        : value < condition.value;
+    }
+
+    if (baseline === null || baseline === undefined) return false;
+    if (baseline === 0) {
+      return condition.direction === "spike" && value > 0;
+    }
+    const change = ((value - baseline) / baseline) * 100;
+    return condition.direction === "drop"
+      ? change <= -condition.percent
+      : change >= condition.percent;
+  }
+
+  /**
+   * Create a rule. The secret that signs its webhook notifications is only
+   * returned here and on rotation.
+   */
+  async createRule(tenantId, rule) {
+    const secret = WebhookService.generateSecret();
+
+    const result = await this.pool.query(
+      `INSERT INTO alert_rules (tenant_id, name, event_type, filter, metric,
+                                condition, window_seconds, interval_seconds,
+                                webhook_url, enabled, webhook_secret)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${RULE_COLUMNS}`,
+      [
+        tenantId,
+        rule.name.trim(),
+        rule.event ?? null,
+        rule.filter ? JSON.stringify(rule.filter) : null,
+        JSON.stringify(rule.metric || DEFAULT_METRIC),
+        JSON.stringify(rule.condition),
+        parseDuration(rule.window || DEFAULT_WINDOW),
+        parseDuration(rule.interval || DEFAULT_INTERVAL),
+        rule.webhookUrl ?? null,
+        rule.enabled ?? true,
+        secret,
+      ]
+    );
+    return { ...result.rows[0], webhook_secret: secret };
+  }
+
+  async listRules(tenantId) {
+    const result = await this.pool.query(
+      `SELECT ${RULE_COLUMNS} FROM alert_rules
+       WHERE tenant_id = $1 ORDER BY created_at`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  async getRule(tenantId, ruleId) {
+    const result = await this.pool.query(
+      `SELECT ${RULE_COLUMNS} FROM alert_rules
+       WHERE tenant_id = $1 AND id = $2`,
+      [tenantId, ruleId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Change the given fields of a rule; it is re-evaluated on the next
+   * scheduler run. Disabling a firing rule resolves its open alert.
+   * Returns null when not found.
+   */
+  async updateRule(tenantId, ruleId, changes) {
+    const columns = {
+      name: changes.name?.trim(),
+      event_type: changes.event,
+      filter:
+        changes.filter === undefined
+          ? undefined
+          : changes.filter && JSON.stringify(changes.filter),
+      metric: changes.metric && JSON.stringify(changes.metric),
+      condition: changes.condition && JSON.stringify(changes.condition),
+      window_seconds: changes.window && parseDuration(changes.window),
+      interval_seconds: changes.interval && parseDuration(changes.interval),
+      webhook_url: changes.webhookUrl,
+      enabled: changes.enabled,
+    };
+
+    const params = [tenantId, ruleId];
+    const assignments = Object.entries(columns)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => {
+        params.push(value);
+        return `${column} = $${params.length}`;
+      });
+    if (changes.enabled === false) {
+      assignments.push("state = 'ok'");
+    }
+
+    const result = await this.pool.query(
+      `WITH updated AS (
+         UPDATE alert_rules SET
+           ${[...assignments, "next_evaluation_at = NOW()"].join(", ")},
+           updated_at = NOW()
+         WHERE tenant_id = $1 AND id = $2
+         RETURNING ${RULE_COLUMNS}
+       ),
+       resolved AS (
+         UPDATE alert_events SET resolved_at = NOW()
+         WHERE rule_id IN (SELECT id FROM updated WHERE NOT enabled)
+           AND resolved_at IS NULL
+       )
+       SELECT * FROM updated`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace the secret that signs a rule's notifications. Returns null when
+   * not found.
+   */
+  async rotateSecret(tenantId, ruleId) {
+    const secret = WebhookService.generateSecret();
+
+    const result = await this.pool.query(
+      `UPDATE alert_rules SET webhook_secret = $3, updated_at = NOW()
+       WHERE tenant_id = $1 AND id = $2
+       RETURNING ${RULE_COLUMNS}`,
+      [tenantId, ruleId, secret]
+    );
+    return result.rows[0]
+      ? { ...result.rows[0], webhook_secret: secret }
+      : null;
+  }
+
+  /**
+   * Delete a rule together with its history
+   */
+  async deleteRule(tenantId, ruleId) {
+    const result = await this.pool.query(
+      "DELETE FROM alert_rules WHERE tenant_id = $1 AND id = $2 RETURNING id",
+      [tenantId, ruleId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Alert history, newest first, optionally for one rule or only the
+   * alerts that are still firing (or resolved)
+   */
+  async listHistory(tenantId, { ruleId, status, limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT a.id, a.rule_id, r.name AS rule_name,
+              CASE WHEN a.resolved_at IS NULL THEN 'firing' ELSE 'resolved' END
+                AS status,
+              a.value, a.baseline, a.message, a.fired_at, a.resolved_at,
+              a.resolved_value, a.notified_at, a.notification_error
+       FROM alert_events a
+       JOIN alert_rules r ON r.id = a.rule_id
+       WHERE a.tenant_id = $1
+         AND ($2::uuid IS NULL OR a.rule_id = $2)
+         AND ($3::text IS NULL OR (a.resolved_at IS NULL) = ($3 = 'firing'))
+       ORDER BY a.fired_at DESC
+       LIMIT $4`,
+      [tenantId, ruleId || null, status || null, Math.min(limit, MAX_HISTORY)]
+    );
+    return result.rows;
+  }
+
+  /**
+   * The rule's metric over the window ending at `now` and, for baseline
+   * conditions, its average over the `periods` windows before that.
+   * Returns { value, baseline } or { error }.
+   */
+  async measure(rule, now = new Date()) {
+    const periods =
+      rule.condition.type === "baseline" ? rule.condition.periods || 1 : 0;
+    const windowMs = rule.window_seconds * 1000;
+
+    const ranges = [];
+    for (let i = 0; i <= periods; i++) {
+      ranges.push({
+        key: `w${i}`,
+        from: new Date(now.getTime() - (i + 1) * windowMs).toISOString(),
+        to: new Date(now.getTime() - i * windowMs).toISOString(),
+      });
+    }
+
+    const must = [];
+    if (rule.event_type) {
+      must.push({ term: { event_type: rule.event_type } });
+    }
+    if (rule.filter) {
+      const compiled = await this.segmentation.compileFilter(
+        rule.tenant_id,
+        rule.filter
+      );
+      if (compiled.error) return { error: compiled.error };
+      must.push(compiled.filter);
+    }
+
+    const metrics = [rule.metric];
+    const { aggregations } = await this.opensearch.aggregate(rule.tenant_id, {
+      startDate: ranges[ranges.length - 1].from,
+      endDate: ranges[0].to,
+      filter: must.length > 0 ? { bool: { must } } : null,
+      aggs: {
+        windows: {
+          date_range: { field: "timestamp", ranges },
+          aggs: this.segmentation.buildMetricAggs(metrics),
+        },
+      },
+    });
+
+    const buckets = aggregations.windows?.buckets || [];
+    const read = (key) => {
+      const bucket = buckets.find((candidate) => candidate.key === key);
+      const values = this.segmentation.readMetrics(
+        metrics,
+        bucket,
+        bucket?.doc_count || 0
+      );
+      return Object.values(values)[0];
+    };
+
+    const previous = ranges
+      .slice(1)
+      .map((range) => read(range.key))
+      .filter((value) => value !== null);
+
+    return {
+      value: read("w0"),
+      baseline:
+        previous.length > 0
+          ? previous.reduce((sum, value) => sum + value, 0) / previous.length
+          : null,
+    };
+  }
+
+  /**
+   * Evaluate a rule (a full alert_rules row) and record the outcome. An
+   * alert opens when the rule starts firing and resolves when it clears;
+   * both are announced through onAlert and the rule's webhook. Returns the
+   * opened or resolved alert, or null.
+   */
+  async check(rule, now = new Date()) {
+    let measured;
+    try {
+      measured = await this.measure(rule, now);
+    } catch (error) {
+      measured = { error: error.message };
+    }
+
+    if (measured.error) {
+      await this.pool.query(
+        `UPDATE alert_rules SET last_error = $2, last_evaluated_at = $3
+         WHERE id = $1`,
+        [rule.id, measured.error, now]
+      );
+      return null;
+    }
+
+    const { value, baseline } = measured;
+    const firing = AlertService.isFiring(rule.condition, value, baseline);
+    const client = await this.pool.connect();
+    let alert = null;
+
+    try {
+      await client.query("BEGIN");
+
+      const current = await client.query(
+        "SELECT state FROM alert_rules WHERE id = $1 FOR UPDATE",
+        [rule.id]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const wasFiring = current.rows[0].state === "firing";
+
+      if (firing && !wasFiring) {
+        const opened = await client.query(
+          `INSERT INTO alert_events (rule_id, tenant_id, value, baseline, message)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING id, value, baseline, message, fired_at, resolved_at,
+                     resolved_value`,
+          [
+            rule.id,
+            rule.tenant_id,
+            value,
+            baseline,
+            this.describe(rule, value, baseline),
+          ]
+        );
+        alert = opened.rows[0];
+      } else if (!firing && wasFiring) {
+        const resolved = await client.query(
+          `UPDATE alert_events SET resolved_at = $2, resolved_value = $3
+           WHERE rule_id = $1 AND resolved_at IS NULL
+           RETURNING id, value, baseline, message, fired_at, resolved_at,
+                     resolved_value`,
+          [rule.id, now, value]
+        );
+        alert = resolved.rows[0] || null;
+      }
+
+      await client.query(
+        `UPDATE alert_rules SET
+           state = $2, last_value = $3, last_error = NULL,
+           last_evaluated_at = $4
+         WHERE id = $1`,
+        [rule.id, firing ? "firing" : "ok", value, now]
+      );
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (alert) {
+      await this.announce(rule, alert);
+    }
+    return alert;
+  }
+
+  /**
+   * Send an opened or resolved alert to the stream and the rule's webhook,
+   * recording the webhook outcome on the alert
+   */
+  async announce(rule, alert) {
+    const payload = {
+      id: alert.id,
+      rule_id: rule.id,
+      rule_name: rule.name,
+      status: alert.resolved_at ? "resolved" : "firing",
+      value: alert.value,
+      baseline: alert.baseline,
+      message: alert.message,
+      fired_at: alert.fired_at,
+      resolved_at: alert.resolved_at,
+      resolved_value: alert.resolved_value,
+    };
+
+    this.onAlert(rule.tenant_id, payload);
+
+    if (!rule.webhook_url) return;
+
+    let notificationError = null;
+    try {
+      await this.notify(rule.webhook_url, rule.webhook_secret, {
+        type: `alert.${payload.status}`,
+        tenant_id: rule.tenant_id,
+        alert: payload,
+      });
+    } catch (error) {
+      console.error("Alert webhook error:", error.message);
+      notificationError = error.message;
+    }
+
+    await this.pool.query(
+      `UPDATE alert_events SET
+         notified_at = CASE WHEN $2::text IS NULL THEN NOW() ELSE notified_at END,
+         notification_error = $2
+       WHERE id = $1`,
+      [alert.id, notificationError]
+    );
+  }
+
+  /**
+   * POST a JSON payload to a webhook, signed like webhook deliveries.
+   * Non-2xx responses and private addresses are errors.
+   */
+  async notify(url, secret, payload) {
+    await assertPublicUrl(url);
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify(payload);
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": crypto.randomUUID(),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${WebhookService.sign(
+          secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+
+  /**
+   * Human-readable alert text, e.g. "Signups dropped: user_signup count is
+   * 40 (-52.38% vs 84)"
+   */
+  describe(rule, value, baseline) {
+    const { metric, condition } = rule;
+    const subject =
+      metric.type === "count"
+        ? `${rule.event_type || "event"} count`
+        : metric.type === "unique_users"
+        ? `${rule.event_type || "event"} unique users`
+        : `${metric.type} of ${metric.property}`;
+
+    const detail =
+      condition.type === "threshold"
+        ? `${condition.operator} ${condition.value}`
+        : baseline === 0
+        ? "vs 0"
+        : `${value >= baseline ? "+" : ""}${round(
+            ((value - baseline) / baseline) * 100
+          )}% vs ${round(baseline)}`;
+
+    return `${rule.name}: ${subject} is ${round(value)} (${detail})`;
+  }
+}
+
+AlertService.MAX_HISTORY = MAX_HISTORY;
+
+module.exports = AlertService;
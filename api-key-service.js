@@ -0,0 +1,288 @@
+const crypto = require("crypto");
+const { isPlainObject } = require("./util");
+
+const PERMISSIONS = ["track", "identify", "query", "stream", "admin"];
+const DEFAULT_PERMISSIONS = ["track", "query"];
+const KEY_PREFIX = "mta_";
+
+// Short-lived tokens minted from a key (POST /auth/token)
+const TOKEN_SCOPE = "api";
+const TOKEN_PERMISSIONS = ["track", "query", "stream"];
+const MIN_TOKEN_TTL_SECONDS = 60;
+const MAX_TOKEN_TTL_SECONDS = 60 * 60;
+const DEFAULT_TOKEN_TTL_SECONDS = 15 * 60;
+
+class ApiKeyService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Hash a raw API key for storage and lookup
+   */
+  static hashKey(rawKey) {
+    return crypto.createHash("sha256").update(rawKey).digest("hex");
+  }
+
+  /**
+   * Generate a new raw API key
+   */
+  static generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  }
+
+  /**
+   * Validate a permission list, returning an error message or null
+   */
+  static validatePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return "Permissions must be a non-empty array";
+    }
+
+    const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(
+        ", "
+      )}. Allowed: ${PERMISSIONS.join(", ")}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a key's permission set grants an action.
+   * The admin permission grants everything.
+   */
+  static hasPermission(permissions, permission) {
+    return permissions.includes(permission) || permissions.includes("admin");
+  }
+
+  /**
+   * Validate a token request ({ permissions, filter, ttlSeconds }) against
+   * the permissions of the key asking for it. Returns an error message or
+   * null.
+   */
+  static validateTokenGrant(
+    { permissions, filter, ttlSeconds },
+    keyPermissions
+  ) {
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions) || permissions.length === 0) {
+        return "permissions must be a non-empty array";
+      }
+      const invalid = permissions.filter((p) => !TOKEN_PERMISSIONS.includes(p));
+      if (invalid.length > 0) {
+        return `Tokens can only carry: ${TOKEN_PERMISSIONS.join(", ")}`;
+      }
+      const missing = permissions.filter(
+        (p) => !ApiKeyService.hasPermission(keyPermissions, p)
+      );
+      if (missing.length > 0) {
+        return `API key lacks permissions: ${missing.join(", ")}`;
+      }
+    }
+
+    if (filter !== undefined) {
+      if (
+        !isPlainObject(filter) ||
+        Object.keys(filter).some((key) => key !== "user_id") ||
+        typeof filter.user_id !== "string" ||
+        !filter.user_id ||
+        filter.user_id.length > 255
+      ) {
+        return "filter must be { user_id: <string> }";
+      }
+    }
+
+    if (
+      ttlSeconds !== undefined &&
+      (!Number.isInteger(ttlSeconds) ||
+        ttlSeconds < MIN_TOKEN_TTL_SECONDS ||
+        ttlSeconds > MAX_TOKEN_TTL_SECONDS)
+    ) {
+      return `ttlSeconds must be an integer between ${MIN_TOKEN_TTL_SECONDS} and ${MAX_TOKEN_TTL_SECONDS}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Permissions a token gets when none are requested: everything the key
+   * grants that tokens can carry
+   */
+  static tokenPermissions(keyPermissions) {
+    return TOKEN_PERMISSIONS.filter((p) =>
+      ApiKeyService.hasPermission(keyPermissions, p)
+    );
+  }
+
+  /**
+   * Look up an active key by its raw value and mark it as used
+   */
+  async authenticate(rawKey) {
+    return this.findKey("k.key_hash", ApiKeyService.hashKey(rawKey));
+  }
+
+  /**
+   * Look up an active key by id, for requests made with a token minted
+   * from it. Revoking the key also ends its tokens.
+   */
+  async authenticateToken(keyId) {
+    return this.findKey("k.id", keyId);
+  }
+
+  // Active key with its tenant's status, plan and time zone, marked as used
+  async findKey(column, value) {
+    const result = await this.pool.query(
+      `SELECT k.id, k.tenant_id, k.permissions, k.rate_limit_per_minute,
+              t.status AS tenant_status, t.plan AS tenant_plan,
+              t.timezone AS tenant_timezone
+       FROM api_keys k
+       JOIN tenants t ON t.id = k.tenant_id
+       WHERE ${column} = $1 AND k.revoked_at IS NULL`,
+      [value]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const key = result.rows[0];
+
+    // Only write last_used once a minute per key to keep auth cheap
+    this.pool
+      .query(
+        `UPDATE api_keys SET last_used = NOW()
+         WHERE id = $1 AND (last_used IS NULL OR last_used < NOW() - INTERVAL '1 minute')`,
+        [key.id]
+      )
+      .catch((error) => console.error("API key last_used error:", error));
+
+    return {
+      id: key.id,
+      tenantId: key.tenant_id,
+      tenantStatus: key.tenant_status,
+      tenantPlan: key.tenant_plan,
+      tenantTimeZone: key.tenant_timezone,
+      permissions: key.permissions,
+      rateLimitPerMinute: key.rate_limit_per_minute,
+    };
+  }
+
+  /**
+   * Create a key for a tenant. The raw key is only returned here.
+   */
+  async createKey(
+    tenantId,
+    { name, permissions = DEFAULT_PERMISSIONS, rateLimitPerMinute = null } = {}
+  ) {
+    return this.insertKey(
+      this.pool,
+      tenantId,
+      name || null,
+      permissions,
+      rateLimitPerMinute
+    );
+  }
+
+  /**
+   * List a tenant's keys without secrets
+   */
+  async listKeys(tenantId) {
+    const result = await this.pool.query(
+      `SELECT id, key_prefix, name, permissions, rate_limit_per_minute,
+              last_used, created_at, revoked_at
+       FROM api_keys
+       WHERE tenant_id = $1
+       ORDER BY created_at DESC`,
+      [tenantId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Replace a key with a new secret keeping its name and permissions.
+   * The old key stops working immediately.
+   */
+  async rotateKey(tenantId, keyId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const revoked = await client.query(
+        `UPDATE api_keys SET revoked_at = NOW()
+         WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL
+         RETURNING name, permissions, rate_limit_per_minute`,
+        [keyId, tenantId]
+      );
+
+      if (revoked.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const { name, permissions, rate_limit_per_minute } = revoked.rows[0];
+      const key = await this.insertKey(
+        client,
+        tenantId,
+        name,
+        permissions,
+        rate_limit_per_minute
+      );
+
+      await client.query("COMMIT");
+
+      return { ...key, replaces: keyId };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Insert a freshly generated key using the given pool or client
+   */
+  async insertKey(db, tenantId, name, permissions, rateLimitPerMinute = null) {
+    const rawKey = ApiKeyService.generateKey();
+
+    const result = await db.query(
+      `INSERT INTO api_keys
+         (tenant_id, key_hash, key_prefix, name, permissions, rate_limit_per_minute)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, key_prefix, name, permissions, rate_limit_per_minute, created_at`,
+      [
+        tenantId,
+        ApiKeyService.hashKey(rawKey),
+        rawKey.slice(0, KEY_PREFIX.length + 8),
+        name,
+        JSON.stringify(permissions),
+        rateLimitPerMinute,
+      ]
+    );
+
+    return { ...result.rows[0], key: rawKey };
+  }
+
+  /**
+   * Revoke a key. Returns false when no active key matched.
+   */
+  async revokeKey(tenantId, keyId) {
+    const result = await this.pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL`,
+      [keyId, tenantId]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+ApiKeyService.PERMISSIONS = PERMISSIONS;
+ApiKeyService.TOKEN_SCOPE = TOKEN_SCOPE;
+ApiKeyService.DEFAULT_TOKEN_TTL_SECONDS = DEFAULT_TOKEN_TTL_SECONDS;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,81 @@
+// Period-over-period comparison. The previous period is the range of the
+// same length that ends where the current one starts.
+
+const { round } = require("./util");
+
+// [start, end] of the period before [start, end]
+const previousRange = (start, end) => ({
+  start: new Date(start.getTime() - (end.getTime() - start.getTime()) - 1),
+  end: new Date(start.getTime() - 1),
+});
+
+/**
+ * Run `run(start, end)` for [start, end] (ISO dates) and for the previous
+ * period. Resolves to { current, previous }; previous also carries its
+ * start_date and end_date.
+ */
+const comparePeriods = async (start, end, run) => {
+  const range = previousRange(new Date(start), new Date(end));
+  const previousStart = range.start.toISOString();
+  const previousEnd = range.end.toISOString();
+
+  const [current, previous] = await Promise.all([
+    run(start, end),
+    run(previousStart, previousEnd),
+  ]);
+
+  return {
+    current,
+    previous: { ...previous, start_date: previousStart, end_date: previousEnd },
+  };
+};
+
+/**
+ * { current, previous, change, change_rate } for one metric. change_rate
+ * is a percentage, or null when there is nothing to compare against.
+ */
+const compareValues = (current, previous) => ({
+  current,
+  previous,
+  change: round(current - previous),
+  change_rate: previous ? round(((current - previous) / previous) * 100) : null,
+});
+
+/**
+ * Compare lists of items keyed by `key` (e.g. per-event counts), including
+ * items that only appear in one of the periods
+ */
+const compareLists = (current, previous, key, valueKey) => {
+  const currentValues = new Map(
+    current.map((item) => [item[key], item[valueKey]])
+  );
+  const previousValues = new Map(
+    previous.map((item) => [item[key], item[valueKey]])
+  );
+  const keys = new Set([...currentValues.keys(), ...previousValues.keys()]);
+
+  return [...keys].map((value) => ({
+    [key]: value,
+    ...compareValues(
+      currentValues.get(value) || 0,
+      previousValues.get(value) || 0
+    ),
+  }));
+};
+
+/**
+ * Add `previous_<valueKey>` to each bucket of a series from the bucket at
+ * the same offset in the previous period's series
+ */
+const overlaySeries = (current, previous, valueKey) =>
+  current.map((bucket, i) => ({
+    ...bucket,
+    [`previous_${valueKey}`]: previous[i] ? previous[i][valueKey] : null,
+  }));
+
+module.exports = {
+  comparePeriods,
+  compareValues,
+  compareLists,
+  overlaySeries,
+};
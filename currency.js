@@ -0,0 +1,92 @@
+// Static exchange rates used to report revenue in one currency. Events
+// carry `properties.revenue` and, optionally, an ISO 4217
+// `properties.currency`; revenue without a currency is taken to be in the
+// reporting currency already. Rates are US dollars per unit and can be
+// overridden or extended with CURRENCY_RATES, e.g. {"EUR": 1.1, "SEK": 0.09}.
+const crypto = require("crypto");
+
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CHF: 1.12,
+  CAD: 0.73,
+  AUD: 0.66,
+  NZD: 0.61,
+  JPY: 0.0067,
+  CNY: 0.14,
+  INR: 0.012,
+  BRL: 0.18,
+  MXN: 0.055,
+  SEK: 0.095,
+  NOK: 0.093,
+  DKK: 0.145,
+  PLN: 0.25,
+  SGD: 0.74,
+  HKD: 0.128,
+  KRW: 0.00073,
+  ZAR: 0.054,
+};
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Build the rate table for a reporting currency: { base, rates } with
+ * rates in units of `base`. Throws on malformed configuration.
+ */
+const loadCurrency = (overrides, base = "USD") => {
+  const rates = {
+    ...DEFAULT_RATES,
+    ...(typeof overrides === "string" ? JSON.parse(overrides) : overrides),
+  };
+
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (
+      !CURRENCY_PATTERN.test(code) ||
+      typeof rate !== "number" ||
+      !(rate > 0) ||
+      !isFinite(rate)
+    ) {
+      throw new Error(`Invalid currency rate: ${code}=${rate}`);
+    }
+  });
+  if (!rates[base]) {
+    throw new Error(`No rate for reporting currency ${base}`);
+  }
+
+  return {
+    base,
+    rates: Object.fromEntries(
+      Object.entries(rates).map(([code, rate]) => [code, rate / rates[base]])
+    ),
+  };
+};
+
+/**
+ * SQL expression for an event's revenue in the reporting currency. NULL
+ * when the event has no numeric revenue or an unknown currency. The table
+ * is validated by loadCurrency, so it is safe to inline.
+ */
+const revenueSql = ({ base, rates }, alias = "e") => {
+  const cases = Object.entries(rates)
+    .map(([code, rate]) => `WHEN '${code}' THEN ${rate}`)
+    .join(" ");
+
+  return `(CASE WHEN jsonb_typeof(${alias}.properties->'revenue') = 'number'
+     THEN (${alias}.properties->>'revenue')::numeric
+          * (CASE upper(COALESCE(${alias}.properties->>'currency', '${base}'))
+             ${cases} END)::numeric
+   END)`;
+};
+
+/**
+ * Fingerprint of a rate table, to notice when stored revenue was converted
+ * with different rates
+ */
+const currencyHash = ({ base, rates }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([base, Object.entries(rates).sort()]))
+    .digest("hex");
+
+module.exports = { DEFAULT_RATES, loadCurrency, revenueSql, currencyHash };
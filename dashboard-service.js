@@ -0,0 +1,418 @@
+const SegmentationService = require("./segmentation-service");
+const { DAY_MS, isPlainObject } = require("./util");
+
+const CHARTS = ["number", "line", "bar"];
+const DEFAULT_METRIC = { type: "count" };
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 365;
+const MAX_PANELS = 12;
+
+// Embed links
+const EMBED_SCOPE = "embed";
+const MIN_EMBED_TTL_SECONDS = 60;
+const MAX_EMBED_TTL_SECONDS = 365 * 86400;
+const DEFAULT_EMBED_TTL_SECONDS = 30 * 86400;
+
+// Embedded dashboards are shown to many viewers; each link is rendered at
+// most this often
+const EMBED_CACHE_TTL_MS = 30 * 1000;
+const MAX_EMBEDS_CACHED = 1000;
+
+const DASHBOARD_COLUMNS = `id, name, range_days, panels, created_at,
+  updated_at`;
+const EMBED_COLUMNS = `id, dashboard_id, name, filter, expires_at, revoked_at,
+  last_viewed_at, created_at`;
+
+// Stored fields of a panel
+const toPanel = (panel) => ({
+  title: panel.title.trim(),
+  chart: panel.chart,
+  event: panel.event,
+  filter: panel.filter,
+  groupBy: typeof panel.groupBy === "string" ? [panel.groupBy] : panel.groupBy,
+  metrics: panel.metrics || [DEFAULT_METRIC],
+  interval: panel.interval || "day",
+  limit: panel.limit,
+});
+
+class DashboardService {
+  constructor(pool, { opensearch, segmentation, tokens, embedBaseUrl }) {
+    this.pool = pool;
+    this.opensearch = opensearch;
+    this.segmentation = segmentation;
+    this.tokens = tokens;
+    this.embedBaseUrl = embedBaseUrl;
+    this.embedCache = new Map();
+  }
+
+  /**
+   * Validate a whole dashboard ({ name, rangeDays, panels }). Updates are
+   * merged with the stored dashboard first, since panels are checked
+   * against the range. Returns an error message or null.
+   */
+  static validateDashboard(dashboard) {
+    if (!isPlainObject(dashboard)) {
+      return "Dashboard must be an object";
+    }
+    const { name, rangeDays = DEFAULT_RANGE_DAYS, panels } = dashboard;
+
+    if (typeof name !== "string" || name.trim() === "" || name.length > 100) {
+      return "name is required (at most 100 characters)";
+    }
+    if (
+      !Number.isInteger(rangeDays) ||
+      rangeDays < 1 ||
+      rangeDays > MAX_RANGE_DAYS
+    ) {
+      return `rangeDays must be between 1 and ${MAX_RANGE_DAYS}`;
+    }
+    if (
+      !Array.isArray(panels) ||
+      panels.length === 0 ||
+      panels.length > MAX_PANELS
+    ) {
+      return `panels must list 1-${MAX_PANELS} panels`;
+    }
+
+    const end = new Date();
+    const start = new Date(end - rangeDays * DAY_MS);
+    for (const panel of panels) {
+      const error = DashboardService.validatePanel(panel, { start, end });
+      if (error) return error;
+    }
+    return null;
+  }
+
+  /**
+   * A panel is a segmentation query (event, filter, groupBy, metrics,
+   * interval, limit) with a title and a chart type
+   */
+  static validatePanel(panel, { start, end }) {
+    if (!isPlainObject(panel)) {
+      return "Each panel must be an object";
+    }
+    if (
+      typeof panel.title !== "string" ||
+      panel.title.trim() === "" ||
+      panel.title.length > 100
+    ) {
+      return "Each panel needs a title of at most 100 characters";
+    }
+    if (!CHARTS.includes(panel.chart)) {
+      return `chart must be one of: ${CHARTS.join(", ")}`;
+    }
+
+    const error = SegmentationService.validateQuery({
+      ...toPanel(panel),
+      start,
+      end,
+    });
+    return error && `Panel "${panel.title}": ${error}`;
+  }
+
+  /**
+   * Validate an embed link request ({ name, filter, ttlSeconds }). Returns
+   * an error message or null.
+   */
+  static validateEmbed(embed) {
+    if (!isPlainObject(embed)) {
+      return "Embed must be an object";
+    }
+    const { name, filter, ttlSeconds } = embed;
+
+    if (
+      name !== undefined &&
+      name !== null &&
+      (typeof name !== "string" || name.length > 100)
+    ) {
+      return "name must be at most 100 characters";
+    }
+    if (filter !== undefined && filter !== null) {
+      const error = SegmentationService.validateFilter(filter, 1, {
+        conditions: 0,
+      });
+      if (error) return error;
+    }
+    if (
+      ttlSeconds !== undefined &&
+      (!Number.isInteger(ttlSeconds) ||
+        ttlSeconds < MIN_EMBED_TTL_SECONDS ||
+        ttlSeconds > MAX_EMBED_TTL_SECONDS)
+    ) {
+      return `ttlSeconds must be an integer between ${MIN_EMBED_TTL_SECONDS} and ${MAX_EMBED_TTL_SECONDS}`;
+    }
+    return null;
+  }
+
+  async createDashboard(tenantId, dashboard) {
+    const result = await this.pool.query(
+      `INSERT INTO dashboards (tenant_id, name, range_days, panels)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${DASHBOARD_COLUMNS}`,
+      [
+        tenantId,
+        dashboard.name.trim(),
+        dashboard.rangeDays ?? DEFAULT_RANGE_DAYS,
+        JSON.stringify(dashboard.panels.map(toPanel)),
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async listDashboards(tenantId) {
+    const result = await this.pool.query(
+      `SELECT ${DASHBOARD_COLUMNS} FROM dashboards
+       WHERE tenant_id = $1 ORDER BY created_at`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  async getDashboard(tenantId, dashboardId) {
+    const result = await this.pool.query(
+      `SELECT ${DASHBOARD_COLUMNS} FROM dashboards
+       WHERE tenant_id = $1 AND id = $2`,
+      [tenantId, dashboardId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Apply changes ({ name, rangeDays, panels }); panels are replaced as a
+   * whole. Returns null when not found.
+   */
+  async updateDashboard(tenantId, dashboardId, changes) {
+    const columns = {
+      name: changes.name?.trim(),
+      range_days: changes.rangeDays,
+      panels: changes.panels && JSON.stringify(changes.panels.map(toPanel)),
+    };
+
+    const params = [tenantId, dashboardId];
+    const assignments = Object.entries(columns)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => {
+        params.push(value);
+        return `${column} = $${params.length}`;
+      });
+
+    const result = await this.pool.query(
+      `UPDATE dashboards SET
+         ${[...assignments, "updated_at = NOW()"].join(", ")}
+       WHERE tenant_id = $1 AND id = $2
+       RETURNING ${DASHBOARD_COLUMNS}`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a dashboard. Its embed links stop working.
+   */
+  async deleteDashboard(tenantId, dashboardId) {
+    const result = await this.pool.query(
+      "DELETE FROM dashboards WHERE tenant_id = $1 AND id = $2",
+      [tenantId, dashboardId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Run every panel of a dashboard over its range, ending now. `filter`
+   * (an uncompiled segmentation filter) narrows every panel, e.g. to one
+   * end-customer. Panels whose filter can't be applied carry an error.
+   */
+  async render(tenantId, dashboard, { filter = null, timeZone }) {
+    const now = new Date();
+    const start = this.opensearch.resolveDate(
+      `now-${dashboard.range_days}d/d`,
+      now,
+      timeZone
+    );
+
+    const panels = await Promise.all(
+      dashboard.panels.map(async (panel) => {
+        const node =
+          panel.filter && filter
+            ? { and: [panel.filter, filter] }
+            : panel.filter || filter;
+        const compiled = node
+          ? await this.segmentation.compileFilter(tenantId, node)
+          : { filter: null };
+
+        if (compiled.error) {
+          return {
+            title: panel.title,
+            chart: panel.chart,
+            error: compiled.error,
+          };
+        }
+
+        const result = await this.segmentation.segment(tenantId, {
+          ...panel,
+          filter: compiled.filter,
+          timeZone,
+          start: start.toISOString(),
+          end: now.toISOString(),
+        });
+        return {
+          title: panel.title,
+          chart: panel.chart,
+          metrics: panel.metrics,
+          ...result,
+        };
+      })
+    );
+
+    return {
+      id: dashboard.id,
+      name: dashboard.name,
+      range_days: dashboard.range_days,
+      timezone: timeZone,
+      generated_at: now.toISOString(),
+      panels,
+    };
+  }
+
+  /**
+   * The dashboard of an embed link (from authenticateEmbed) if it was
+   * rendered in the last EMBED_CACHE_TTL_MS, else null
+   */
+  cachedEmbed(embedId) {
+    const cached = this.embedCache.get(embedId);
+    return cached && cached.expiresAt > Date.now() ? cached.dashboard : null;
+  }
+
+  /**
+   * Render the dashboard of an embed link, narrowed by the link's filter,
+   * and cache it briefly
+   */
+  async renderEmbed(embed) {
+    const dashboard = await this.render(embed.tenantId, embed.dashboard, {
+      filter: embed.filter,
+      timeZone: embed.tenantTimeZone,
+    });
+
+    if (this.embedCache.size >= MAX_EMBEDS_CACHED) {
+      this.embedCache.clear();
+    }
+    this.embedCache.set(embed.id, {
+      dashboard,
+      expiresAt: Date.now() + EMBED_CACHE_TTL_MS,
+    });
+    return dashboard;
+  }
+
+  /**
+   * Create a signed embed link to a dashboard. The token (and the URL
+   * carrying it) are only returned here. Returns null when the dashboard
+   * doesn't exist.
+   */
+  async createEmbed(tenantId, dashboardId, embed) {
+    const ttlSeconds = embed.ttlSeconds ?? DEFAULT_EMBED_TTL_SECONDS;
+
+    const result = await this.pool.query(
+      `INSERT INTO dashboard_embeds
+         (dashboard_id, tenant_id, name, filter, expires_at)
+       SELECT id, tenant_id, $3, $4, NOW() + make_interval(secs => $5)
+       FROM dashboards
+       WHERE tenant_id = $1 AND id = $2
+       RETURNING ${EMBED_COLUMNS}`,
+      [
+        tenantId,
+        dashboardId,
+        embed.name ?? null,
+        embed.filter ? JSON.stringify(embed.filter) : null,
+        ttlSeconds,
+      ]
+    );
+    if (result.rows.length === 0) return null;
+
+    const { token } = this.tokens.sign(
+      { sub: tenantId, scope: EMBED_SCOPE, embed_id: result.rows[0].id },
+      ttlSeconds
+    );
+    return {
+      ...result.rows[0],
+      token,
+      url: `${this.embedBaseUrl}/#embed=${token}`,
+    };
+  }
+
+  async listEmbeds(tenantId, dashboardId) {
+    const result = await this.pool.query(
+      `SELECT ${EMBED_COLUMNS} FROM dashboard_embeds
+       WHERE tenant_id = $1 AND dashboard_id = $2
+       ORDER BY created_at DESC`,
+      [tenantId, dashboardId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke an embed link. Returns null when no active link matched.
+   */
+  async revokeEmbed(tenantId, dashboardId, embedId) {
+    const result = await this.pool.query(
+      `UPDATE dashboard_embeds SET revoked_at = NOW()
+       WHERE tenant_id = $1 AND dashboard_id = $2 AND id = $3
+         AND revoked_at IS NULL
+       RETURNING ${EMBED_COLUMNS}`,
+      [tenantId, dashboardId, embedId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Resolve the token of an embed link to the link, its dashboard and
+   * tenant. Null for bad tokens and expired or revoked links.
+   */
+  async authenticateEmbed(token) {
+    const claims = this.tokens.verify(token, EMBED_SCOPE);
+    if (!claims) return null;
+
+    const result = await this.pool.query(
+      `SELECT e.id, e.tenant_id, e.filter, d.id AS dashboard_id, d.name,
+              d.range_days, d.panels, t.status AS tenant_status,
+              t.plan AS tenant_plan, t.timezone AS tenant_timezone
+       FROM dashboard_embeds e
+       JOIN dashboards d ON d.id = e.dashboard_id
+       JOIN tenants t ON t.id = e.tenant_id
+       WHERE e.id = $1 AND e.tenant_id = $2
+         AND e.revoked_at IS NULL AND e.expires_at > NOW()`,
+      [claims.embed_id, claims.sub]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const embed = result.rows[0];
+
+    // Only write last_viewed_at once a minute per link
+    this.pool
+      .query(
+        `UPDATE dashboard_embeds SET last_viewed_at = NOW()
+         WHERE id = $1 AND (last_viewed_at IS NULL OR last_viewed_at < NOW() - INTERVAL '1 minute')`,
+        [embed.id]
+      )
+      .catch((error) => console.error("Embed last_viewed_at error:", error));
+
+    return {
+      id: embed.id,
+      tenantId: embed.tenant_id,
+      tenantStatus: embed.tenant_status,
+      tenantPlan: embed.tenant_plan,
+      tenantTimeZone: embed.tenant_timezone,
+      filter: embed.filter,
+      dashboard: {
+        id: embed.dashboard_id,
+        name: embed.name,
+        range_days: embed.range_days,
+        panels: embed.panels,
+      },
+    };
+  }
+}
+
+module.exports = DashboardService;
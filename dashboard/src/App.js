@@ -1,4 +1,10 @@
-import React, { useState, useEffect } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  createContext,
+  useContext,
+} from "react";
 import {
   LineChart,
   Line,
@@ -13,45 +19,116 @@ import {
   Pie,
   Cell,
 } from "recharts";
-import { Activity, Users, TrendingUp, Zap, Eye, Calendar } from "lucide-react";
-// Date formatting utilities
-const formatDate = (dateString) => {
+import {
+  Activity,
+  Users,
+  TrendingUp,
+  Zap,
+  Eye,
+  Calendar,
+  DollarSign,
+  AlertTriangle,
+} from "lucide-react";
+// Date formatting utilities. `timeZone` is an IANA name; without one the
+// browser's time zone is used.
+const formatDate = (dateString, timeZone) => {
   const date = new Date(dateString);
-  return date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  return date.toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone,
+  });
 };
 
-const formatDateTime = (dateString) => {
+const formatDateTime = (dateString, timeZone) => {
   const date = new Date(dateString);
   return date.toLocaleDateString("en-US", {
     month: "short",
     day: "numeric",
     year: "numeric",
+    timeZone,
   });
 };
 
-const formatTime = (dateString) => {
+const formatTime = (dateString, timeZone) => {
   const date = new Date(dateString);
   return date.toLocaleTimeString("en-US", {
     hour: "2-digit",
     minute: "2-digit",
     second: "2-digit",
+    timeZone,
   });
 };
 
+// Time zone the API buckets in (from /dashboard/config), so labels match
+const TimeZoneContext = createContext(undefined);
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const formatCurrency = (value, currency = "USD") =>
+  value.toLocaleString("en-US", { style: "currency", currency });
+
 const API_BASE = "http://localhost:3000";
-const API_KEY = "test-api-key-123"; // In real app, this would come from props/config
+// Returns a short-lived API token ({ token, expires_at }). Your backend
+// mints it with POST /auth/token, so no API key reaches the browser; locally,
+// `npm run token-stub` serves one.
+const TOKEN_URL =
+  process.env.REACT_APP_TOKEN_URL || "http://localhost:4001/token";
+const LIVE_URL = "ws://localhost:3000/live";
+const LIVE_RECONNECT_MS = 3000;
+// Share of a live token's lifetime after which it is renewed
+const LIVE_RENEW_AT = 0.8;
+
+// Tokens are renewed this long before they expire
+const TOKEN_RENEW_MARGIN_MS = 30 * 1000;
+
+let tokenRequest = null;
+
+// Current API token, fetching a new one when it is about to expire
+const getToken = async ({ renew = false } = {}) => {
+  if (tokenRequest && !renew) {
+    const { expires_at } = await tokenRequest;
+    if (new Date(expires_at) - Date.now() > TOKEN_RENEW_MARGIN_MS) {
+      return tokenRequest.then(({ token }) => token);
+    }
+  }
+
+  tokenRequest = fetch(TOKEN_URL, { credentials: "include" }).then(
+    (response) => {
+      if (!response.ok) {
+        throw new Error(`Token Error: ${response.statusText}`);
+      }
+      return response.json();
+    }
+  );
+  tokenRequest.catch(() => {
+    tokenRequest = null;
+  });
+
+  return tokenRequest.then(({ token }) => token);
+};
 
 // Utility function for API calls
-const apiCall = async (endpoint, options = {}) => {
+const apiCall = async (endpoint, options = {}, retried = false) => {
   const response = await fetch(`${API_BASE}${endpoint}`, {
     headers: {
-      "x-api-key": API_KEY,
+      Authorization: `Bearer ${await getToken({ renew: retried })}`,
       "Content-Type": "application/json",
       ...options.headers,
     },
     ...options,
   });
 
+  // The token may have been revoked or expired early; retry once with a new one
+  if (response.status === 401 && !retried) {
+    return apiCall(endpoint, options, true);
+  }
+
   if (!response.ok) {
     throw new Error(`API Error: ${response.statusText}`);
   }
@@ -93,49 +170,129 @@ const MetricCard = ({ title, value, change, icon: Icon, color = "blue" }) => {
   );
 };
 
-// Real-time Event Feed
-const EventFeed = () => {
+// Firing alerts, newest first
+const AlertBanner = ({ alerts }) => {
+  const timeZone = useContext(TimeZoneContext);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="bg-red-50 border-b border-red-200 px-6 py-3">
+      {alerts.map((alert) => (
+        <div
+          key={alert.id}
+          className="flex items-center space-x-3 text-red-700 py-1"
+        >
+          <AlertTriangle size={18} />
+          <span className="flex-1 text-sm font-medium">{alert.message}</span>
+          <span className="text-xs text-red-500">
+            since {formatDate(alert.fired_at, timeZone)}{" "}
+            {formatTime(alert.fired_at, timeZone)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Live API connection: recent events, rolling aggregates, and alert
+// updates passed to `onAlert`. Each (re)connect fetches a fresh token.
+const useLiveApi = ({ onAlert = () => {} } = {}) => {
   const [events, setEvents] = useState([]);
-  const [isConnected, setIsConnected] = useState(false);
+  const [aggregates, setAggregates] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const onAlertRef = useRef(onAlert);
+  onAlertRef.current = onAlert;
 
   useEffect(() => {
-    // EventSource doesn't support custom headers, so we need to pass API key as query param
-    const eventSource = new EventSource(
-      `${API_BASE}/events/stream?api_key=${API_KEY}`
-    );
+    let socket = null;
+    let retryTimer = null;
+    let renewTimer = null;
+    let closed = false;
 
-    eventSource.onopen = () => {
-      console.log("SSE connection opened");
-      setIsConnected(true);
+    const reconnect = () => {
+      setConnected(false);
+      clearTimeout(renewTimer);
+      if (!closed) retryTimer = setTimeout(connect, LIVE_RECONNECT_MS);
     };
 
-    eventSource.onerror = (error) => {
-      console.error("SSE connection error:", error);
-      setIsConnected(false);
-    };
+    const connect = async () => {
+      let token;
+      try {
+        ({ token } = await apiCall("/live/token", { method: "POST" }));
+      } catch (error) {
+        console.error("Live token error:", error);
+        return reconnect();
+      }
+      if (closed) return;
 
-    eventSource.onmessage = (event) => {
-      console.log("SSE message received:", event.data);
+      socket = new WebSocket(LIVE_URL);
+      const send = (message) => socket.send(JSON.stringify(message));
 
-      try {
-        const data = JSON.parse(event.data);
+      // The socket is closed when its token expires; send a fresh one first
+      const scheduleRenewal = (expiresAt) => {
+        clearTimeout(renewTimer);
+        renewTimer = setTimeout(async () => {
+          try {
+            const { token } = await apiCall("/live/token", { method: "POST" });
+            send({ type: "auth", token });
+          } catch (error) {
+            console.error("Live token error:", error);
+          }
+        }, (new Date(expiresAt) - Date.now()) * LIVE_RENEW_AT);
+      };
+
+      socket.onopen = () => send({ type: "auth", token });
+      socket.onclose = reconnect;
+      socket.onmessage = (message) => {
+        const data = JSON.parse(message.data);
 
-        if (data.type === "event") {
-          setEvents((prev) => [data.data, ...prev.slice(0, 9)]); // Keep last 10 events
-        } else if (data.type === "connected") {
-          console.log("SSE stream established");
+        switch (data.type) {
+          case "renewed":
+            scheduleRenewal(data.expires_at);
+            break;
+          case "ready":
+            setConnected(true);
+            scheduleRenewal(data.expires_at);
+            send({ type: "subscribe", id: "events", channel: "events" });
+            send({ type: "subscribe", id: "alerts", channel: "alerts" });
+            send({ type: "subscribe", id: "counters", channel: "aggregates" });
+            break;
+          case "event":
+            setEvents((prev) => [data.data, ...prev.slice(0, 9)]); // Keep last 10 events
+            break;
+          case "alert":
+            onAlertRef.current(data.data);
+            break;
+          case "aggregates":
+            setAggregates(data.data);
+            break;
+          case "error":
+            console.error("Live API error:", data.message);
+            break;
+          default:
+            break;
         }
-      } catch (error) {
-        console.error("Error parsing SSE data:", error);
-      }
+      };
     };
 
+    connect();
+
     return () => {
-      console.log("Closing SSE connection");
-      eventSource.close();
+      closed = true;
+      clearTimeout(retryTimer);
+      clearTimeout(renewTimer);
+      socket?.close();
     };
   }, []);
 
+  return { connected, events, aggregates };
+};
+
+// Real-time Event Feed
+const EventFeed = ({ events, isConnected }) => {
+  const timeZone = useContext(TimeZoneContext);
+
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
       <div className="flex items-center justify-between mb-4">
@@ -174,7 +331,7 @@ const EventFeed = () => {
                 </p>
                 <p className="text-xs text-gray-500">
                   {event.user_id && `User: ${event.user_id} • `}
-                  {formatTime(event.timestamp)}
+                  {formatTime(event.timestamp, timeZone)}
                 </p>
               </div>
               {event.properties && Object.keys(event.properties).length > 0 && (
@@ -190,10 +347,19 @@ const EventFeed = () => {
   );
 };
 
-// Usage Chart Component
-const UsageChart = ({ data, title, dataKey = "count" }) => {
+// Usage Chart Component. With `showPrevious`, also draws the previous
+// period from each point's `previous_<dataKey>` as a dashed line.
+const UsageChart = ({
+  data,
+  title,
+  dataKey = "count",
+  label = "Events",
+  showPrevious = false,
+}) => {
+  const timeZone = useContext(TimeZoneContext);
+
   const formatXAxis = (tickItem) => {
-    return formatDate(tickItem);
+    return formatDate(tickItem, timeZone);
   };
 
   return (
@@ -210,17 +376,32 @@ const UsageChart = ({ data, title, dataKey = "count" }) => {
           />
           <YAxis stroke="#666" fontSize={12} />
           <Tooltip
-            labelFormatter={(value) => formatDateTime(value)}
-            formatter={(value) => [value.toLocaleString(), "Events"]}
+            labelFormatter={(value) => formatDateTime(value, timeZone)}
+            formatter={(value, name) => [
+              value === null ? "-" : value.toLocaleString(),
+              name,
+            ]}
           />
           <Line
             type="monotone"
             dataKey={dataKey}
+            name={label}
             stroke="#3b82f6"
             strokeWidth={2}
             dot={{ fill: "#3b82f6", strokeWidth: 2, r: 4 }}
             activeDot={{ r: 6 }}
           />
+          {showPrevious && (
+            <Line
+              type="monotone"
+              dataKey={`previous_${dataKey}`}
+              name="Previous period"
+              stroke="#9ca3af"
+              strokeWidth={2}
+              strokeDasharray="5 5"
+              dot={false}
+            />
+          )}
         </LineChart>
       </ResponsiveContainer>
     </div>
@@ -262,12 +443,500 @@ const TopEventsChart = ({ data }) => {
   );
 };
 
+// Session entry/exit page list
+const PageList = ({ title, pages }) => (
+  <div>
+    <h4 className="text-sm font-medium text-gray-600 mb-2">{title}</h4>
+    {pages.length === 0 ? (
+      <p className="text-gray-500 text-sm">No page views</p>
+    ) : (
+      <div className="space-y-2">
+        {pages.map((page) => (
+          <div
+            key={page.page}
+            className="flex justify-between items-center text-sm"
+          >
+            <span className="text-gray-900 truncate">{page.page}</span>
+            <span className="text-gray-600">
+              {page.sessions.toLocaleString()} ({page.percentage}%)
+            </span>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// Revenue Section
+const RevenueSection = ({ days }) => {
+  const [revenue, setRevenue] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiCall(
+      `/analytics/revenue?start_date=now-${days}d&interval=day&compare=true`
+    )
+      .then((data) => {
+        setRevenue(data);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+  }, [days]);
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Revenue</h3>
+        <p className="text-red-600 text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  if (!revenue) return null;
+
+  const money = (value) => formatCurrency(value, revenue.currency);
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+        <MetricCard
+          title="Revenue"
+          value={money(revenue.total_revenue)}
+          change={revenue.comparison.total_revenue.change_rate ?? undefined}
+          icon={DollarSign}
+          color="green"
+        />
+        <MetricCard
+          title="ARPU"
+          value={money(revenue.arpu)}
+          change={revenue.comparison.arpu.change_rate ?? undefined}
+          icon={Users}
+          color="blue"
+        />
+        <MetricCard
+          title="ARPPU"
+          value={money(revenue.arppu)}
+          change={revenue.comparison.arppu.change_rate ?? undefined}
+          icon={TrendingUp}
+          color="purple"
+        />
+        <MetricCard
+          title="Paying Users"
+          value={revenue.paying_users.toLocaleString()}
+          change={revenue.comparison.paying_users.change_rate ?? undefined}
+          icon={Users}
+          color="orange"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <UsageChart
+            data={revenue.revenue_over_time}
+            title={`Revenue Over Time (${revenue.currency})`}
+            dataKey="revenue"
+            label="Revenue"
+            showPrevious
+          />
+        </div>
+
+        <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Revenue by Event
+          </h3>
+          {revenue.by_event_type.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">No revenue yet</p>
+          ) : (
+            <div className="space-y-3">
+              {revenue.by_event_type.map((item) => (
+                <div
+                  key={item.event_type}
+                  className="flex justify-between items-center text-sm"
+                >
+                  <span className="text-gray-900">{item.event_type}</span>
+                  <span className="font-semibold">{money(item.revenue)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {revenue.unconverted_events > 0 && (
+            <p className="text-xs text-gray-500 mt-4">
+              {revenue.unconverted_events.toLocaleString()} events in currencies
+              without a rate are not included
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Sessions Panel
+const SessionsPanel = ({ days }) => {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiCall(`/analytics/sessions?start_date=now-${days}d&limit=5`)
+      .then((data) => {
+        setSessions(data);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+  }, [days]);
+
+  const stats = sessions
+    ? [
+        ["Sessions", sessions.sessions.toLocaleString()],
+        ["Avg Duration", formatDuration(sessions.avg_duration_seconds)],
+        ["Median Duration", formatDuration(sessions.median_duration_seconds)],
+        ["Events / Session", sessions.avg_events_per_session],
+        ["Bounce Rate", `${sessions.bounce_rate}%`],
+      ]
+    : [];
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Sessions</h3>
+
+      {error ? (
+        <p className="text-red-600 text-sm">{error}</p>
+      ) : !sessions ? (
+        <p className="text-gray-500 text-center py-8">Loading sessions...</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            {stats.map(([label, value]) => (
+              <div key={label}>
+                <p className="text-sm text-gray-600">{label}</p>
+                <p className="text-xl font-semibold text-gray-900">{value}</p>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <PageList title="Top Entry Pages" pages={sessions.entry_pages} />
+            <PageList title="Top Exit Pages" pages={sessions.exit_pages} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Retention Heatmap
+const RetentionHeatmap = () => {
+  const [cohortEvent, setCohortEvent] = useState("user_signup");
+  const [returnEvent, setReturnEvent] = useState("page_view");
+  const [granularity, setGranularity] = useState("week");
+  const [retention, setRetention] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!cohortEvent || !returnEvent) return;
+
+    const params = new URLSearchParams({
+      cohort_event: cohortEvent,
+      return_event: returnEvent,
+      granularity,
+    });
+
+    apiCall(`/analytics/retention?${params}`)
+      .then((data) => {
+        setRetention(data);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+  }, [cohortEvent, returnEvent, granularity]);
+
+  const periodLabel = { day: "Day", week: "Week", month: "Month" }[granularity];
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Retention</h3>
+        <div className="flex items-center space-x-2">
+          <input
+            value={cohortEvent}
+            onChange={(e) => setCohortEvent(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+            placeholder="Cohort event"
+          />
+          <input
+            value={returnEvent}
+            onChange={(e) => setReturnEvent(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+            placeholder="Return event"
+          />
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+          >
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-red-600 text-sm">{error}</p>
+      ) : !retention || retention.cohorts.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">No cohorts yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-600">
+                <th className="text-left p-2">Cohort</th>
+                <th className="text-right p-2">Users</th>
+                {retention.cohorts[0].values.map((cell) => (
+                  <th key={cell.period} className="p-2">
+                    {periodLabel} {cell.period}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {retention.cohorts.map((row) => (
+                <tr key={row.cohort}>
+                  <td className="p-2 text-gray-900">
+                    {/* Cohorts are calendar dates in the API's time zone */}
+                    {formatDateTime(`${row.cohort}T00:00:00Z`, "UTC")}
+                  </td>
+                  <td className="p-2 text-right text-gray-900">
+                    {row.size.toLocaleString()}
+                  </td>
+                  {row.values.map((cell) => (
+                    <td
+                      key={cell.period}
+                      className="p-2 text-center"
+                      title={
+                        cell.users === null
+                          ? "Not reached yet"
+                          : `${cell.users.toLocaleString()} users`
+                      }
+                      style={{
+                        backgroundColor:
+                          cell.percentage === null
+                            ? "transparent"
+                            : `rgba(59, 130, 246, ${cell.percentage / 100})`,
+                        color: cell.percentage > 50 ? "#fff" : "#111827",
+                      }}
+                    >
+                      {cell.percentage === null ? "" : `${cell.percentage}%`}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rolling counters from the live API
+const LiveCounters = ({ aggregates }) => (
+  <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+    <h3 className="text-lg font-semibold text-gray-900 mb-4">Right Now</h3>
+    {aggregates ? (
+      <div className="space-y-4">
+        <div className="flex justify-between items-center">
+          <span className="text-gray-600">Events / min</span>
+          <span className="font-semibold">
+            {aggregates.events_per_minute.toLocaleString()}
+          </span>
+        </div>
+        <div className="flex justify-between items-center">
+          <span className="text-gray-600">
+            Active users ({aggregates.window_minutes} min)
+          </span>
+          <span className="font-semibold">
+            {aggregates.active_users.toLocaleString()}
+          </span>
+        </div>
+        {aggregates.events_per_minute_by_type.slice(0, 5).map((type) => (
+          <div
+            key={type.event_type}
+            className="flex justify-between items-center text-sm"
+          >
+            <span className="text-gray-500">{type.event_type}</span>
+            <span>{type.count.toLocaleString()} / min</span>
+          </div>
+        ))}
+      </div>
+    ) : (
+      <p className="text-gray-500 text-center py-8">Waiting for data...</p>
+    )}
+  </div>
+);
+
+// Response field of a segmentation metric, e.g. count or avg_revenue
+const metricKey = (metric) => {
+  switch (metric.type) {
+    case "count":
+    case "unique_users":
+      return metric.type;
+    case "percentiles":
+      return `p${(metric.percents || [50])[0]}_${metric.property}`;
+    default:
+      return `${metric.type}_${metric.property}`;
+  }
+};
+
+// One panel of a saved dashboard, drawn by its first metric
+const DashboardPanel = ({ panel }) => {
+  if (panel.error) {
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">
+          {panel.title}
+        </h3>
+        <p className="text-sm text-red-600">{panel.error}</p>
+      </div>
+    );
+  }
+
+  const key = metricKey(panel.metrics[0]);
+
+  if (panel.chart === "number") {
+    return (
+      <MetricCard
+        title={panel.title}
+        value={(panel.totals[key] ?? 0).toLocaleString()}
+        icon={Activity}
+      />
+    );
+  }
+
+  if (panel.chart === "line") {
+    return (
+      <UsageChart
+        data={panel.series}
+        title={panel.title}
+        dataKey={key}
+        label={key}
+      />
+    );
+  }
+
+  // Bars per group, or per interval when the panel isn't grouped
+  const data = panel.groups
+    ? panel.groups.map((group) => ({
+        name: Object.values(group.key).join(" / "),
+        value: group[key],
+      }))
+    : panel.series.map((point) => ({
+        name: formatDate(point.date, panel.timezone),
+        value: point[key],
+      }));
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">
+        {panel.title}
+      </h3>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+          <XAxis dataKey="name" stroke="#666" fontSize={12} />
+          <YAxis stroke="#666" fontSize={12} />
+          <Tooltip />
+          <Bar
+            dataKey="value"
+            name={key}
+            fill="#3b82f6"
+            radius={[4, 4, 0, 0]}
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// Saved dashboard behind a signed embed link. Rendered for #embed=<token>
+// (iframes), and exported for React apps that embed it directly.
+export const EmbeddedDashboard = ({ token, apiBase = API_BASE }) => {
+  const [dashboard, setDashboard] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDashboard(null);
+    setError(null);
+
+    fetch(`${apiBase}/embed/dashboard`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+      .then(async (response) => {
+        if (response.status === 401) {
+          throw new Error("This dashboard link has expired or was revoked.");
+        }
+        if (!response.ok) {
+          throw new Error("This dashboard could not be loaded.");
+        }
+        setDashboard(await response.json());
+      })
+      .catch((error) => setError(error.message));
+  }, [token, apiBase]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  if (!dashboard) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <TimeZoneContext.Provider value={dashboard.timezone}>
+      <div className="min-h-screen bg-gray-50 px-6 py-6">
+        <h1 className="text-2xl font-bold text-gray-900">{dashboard.name}</h1>
+        <p className="text-gray-600 mb-6">
+          Last {dashboard.range_days} day{dashboard.range_days !== 1 && "s"}
+        </p>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {dashboard.panels.map((panel, index) => (
+            <DashboardPanel key={index} panel={panel} />
+          ))}
+        </div>
+      </div>
+    </TimeZoneContext.Provider>
+  );
+};
+
 // Main Dashboard Component
 const Dashboard = () => {
   const [config, setConfig] = useState(null);
   const [usage, setUsage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [timeRange, setTimeRange] = useState(7);
+  const [firingAlerts, setFiringAlerts] = useState([]);
+
+  useEffect(() => {
+    apiCall("/alerts/history?status=firing")
+      .then((data) => setFiringAlerts(data.alerts))
+      .catch((error) => console.error("Alerts load error:", error));
+  }, []);
+
+  // Live alert updates: add newly firing alerts, drop resolved ones
+  const handleAlert = (alert) => {
+    setFiringAlerts((prev) => {
+      const others = prev.filter((existing) => existing.id !== alert.id);
+      return alert.status === "firing" ? [alert, ...others] : others;
+    });
+  };
+
+  const live = useLiveApi({ onAlert: handleAlert });
 
   useEffect(() => {
     const loadDashboard = async () => {
@@ -303,111 +972,148 @@ const Dashboard = () => {
   }
 
   return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <div className="bg-white border-b border-gray-200 px-6 py-4">
-        <div className="flex items-center justify-between">
-          <div>
-            <h1 className="text-2xl font-bold text-gray-900">
-              Analytics Dashboard
-            </h1>
-            <p className="text-gray-600">{config?.tenant?.name}</p>
-          </div>
+    <TimeZoneContext.Provider value={config?.timezone}>
+      <div className="min-h-screen bg-gray-50">
+        <AlertBanner alerts={firingAlerts} />
 
-          <div className="flex items-center space-x-4">
-            <select
-              value={timeRange}
-              onChange={(e) => setTimeRange(parseInt(e.target.value))}
-              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
-            >
-              <option value={1}>Last 24 hours</option>
-              <option value={7}>Last 7 days</option>
-              <option value={30}>Last 30 days</option>
-              <option value={90}>Last 90 days</option>
-            </select>
-          </div>
-        </div>
-      </div>
+        {/* Header */}
+        <div className="bg-white border-b border-gray-200 px-6 py-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">
+                Analytics Dashboard
+              </h1>
+              <p className="text-gray-600">
+                {config?.tenant?.name}
+                {config?.timezone && ` · ${config.timezone}`}
+              </p>
+            </div>
 
-      <div className="px-6 py-6">
-        {/* Metrics Row */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          <MetricCard
-            title="Total Events"
-            value={usage?.total_events?.toLocaleString() || "0"}
-            change={usage?.growth_rate}
-            icon={Activity}
-            color="blue"
-          />
-          <MetricCard
-            title="Unique Users"
-            value={usage?.unique_users?.toLocaleString() || "0"}
-            icon={Users}
-            color="green"
-          />
-          <MetricCard
-            title="Top Event"
-            value={usage?.top_events?.[0]?.event || "None"}
-            icon={Zap}
-            color="purple"
-          />
-          <MetricCard
-            title="Period"
-            value={`${timeRange} day${timeRange !== 1 ? "s" : ""}`}
-            icon={Calendar}
-            color="orange"
-          />
+            <div className="flex items-center space-x-4">
+              <select
+                value={timeRange}
+                onChange={(e) => setTimeRange(parseInt(e.target.value))}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value={1}>Last 24 hours</option>
+                <option value={7}>Last 7 days</option>
+                <option value={30}>Last 30 days</option>
+                <option value={90}>Last 90 days</option>
+              </select>
+            </div>
+          </div>
         </div>
 
-        {/* Charts Row */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
-          <div className="lg:col-span-2">
-            <UsageChart
-              data={usage?.events_over_time || []}
-              title="Events Over Time"
+        <div className="px-6 py-6">
+          {/* Metrics Row */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+            <MetricCard
+              title="Total Events"
+              value={usage?.total_events?.toLocaleString() || "0"}
+              change={usage?.growth_rate}
+              icon={Activity}
+              color="blue"
+            />
+            <MetricCard
+              title="Unique Users"
+              value={usage?.unique_users?.toLocaleString() || "0"}
+              change={usage?.comparison?.unique_users?.change_rate ?? undefined}
+              icon={Users}
+              color="green"
+            />
+            <MetricCard
+              title="Top Event"
+              value={usage?.top_events?.[0]?.event || "None"}
+              icon={Zap}
+              color="purple"
+            />
+            <MetricCard
+              title="Period"
+              value={`${timeRange} day${timeRange !== 1 ? "s" : ""}`}
+              icon={Calendar}
+              color="orange"
             />
           </div>
-          <EventFeed />
-        </div>
 
-        {/* Bottom Row */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          <TopEventsChart data={usage?.top_events || []} />
-
-          <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              Quick Stats
-            </h3>
-            <div className="space-y-4">
-              <div className="flex justify-between items-center">
-                <span className="text-gray-600">Events Today</span>
-                <span className="font-semibold">
-                  {config?.last_24h?.total_events || 0}
-                </span>
-              </div>
-              <div className="flex justify-between items-center">
-                <span className="text-gray-600">Active Users Today</span>
-                <span className="font-semibold">
-                  {config?.last_24h?.unique_users || 0}
-                </span>
-              </div>
-              <div className="flex justify-between items-center">
-                <span className="text-gray-600">Growth Rate</span>
-                <span
-                  className={`font-semibold ${
-                    usage?.growth_rate >= 0 ? "text-green-600" : "text-red-600"
-                  }`}
-                >
-                  {usage?.growth_rate >= 0 ? "+" : ""}
-                  {usage?.growth_rate || 0}%
-                </span>
+          {/* Charts Row */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+            <div className="lg:col-span-2">
+              <UsageChart
+                data={usage?.events_over_time || []}
+                title="Events Over Time"
+                showPrevious
+              />
+            </div>
+            <EventFeed events={live.events} isConnected={live.connected} />
+          </div>
+
+          {/* Bottom Row */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <TopEventsChart data={usage?.top_events || []} />
+
+            <div className="bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                Quick Stats
+              </h3>
+              <div className="space-y-4">
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-600">Events Today</span>
+                  <span className="font-semibold">
+                    {config?.today?.total_events || 0}
+                  </span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-600">Active Users Today</span>
+                  <span className="font-semibold">
+                    {config?.today?.unique_users || 0}
+                  </span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-600">Growth Rate</span>
+                  <span
+                    className={`font-semibold ${
+                      usage?.growth_rate >= 0
+                        ? "text-green-600"
+                        : "text-red-600"
+                    }`}
+                  >
+                    {usage?.growth_rate >= 0 ? "+" : ""}
+                    {usage?.growth_rate || 0}%
+                  </span>
+                </div>
               </div>
             </div>
+
+            <LiveCounters aggregates={live.aggregates} />
+          </div>
+
+          {/* Revenue Row */}
+          <div className="mt-8">
+            <RevenueSection days={timeRange} />
+          </div>
+
+          {/* Sessions Row */}
+          <div className="mt-8">
+            <SessionsPanel days={timeRange} />
+          </div>
+
+          {/* Retention Row */}
+          <div className="mt-8">
+            <RetentionHeatmap />
           </div>
         </div>
       </div>
-    </div>
+    </TimeZoneContext.Provider>
+  );
+};
+
+// Embed links open the app with #embed=<token>. The fragment is never sent
+// to servers, so the token stays out of access logs and referrers.
+const App = () => {
+  const embedToken = new URLSearchParams(window.location.hash.slice(1)).get(
+    "embed"
   );
+  return embedToken ? <EmbeddedDashboard token={embedToken} /> : <Dashboard />;
 };
 
-export default Dashboard;
+export default App;
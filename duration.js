@@ -0,0 +1,11 @@
+// Durations like "30m", "12h" or "7d"
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const DURATION_PATTERN = /^(\d+)([smhdw])$/;
+
+// Seconds in a duration, or null
+const parseDuration = (value) => {
+  const match = DURATION_PATTERN.exec(value);
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2]] : null;
+};
+
+module.exports = { parseDuration };
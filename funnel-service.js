@@ -0,0 +1,327 @@
+const { isPropertyPath, toPathArray } = require("./property-path");
+const { parseDuration } = require("./duration");
+const { revenueSql } = require("./currency");
+const { comparePeriods, compareValues } = require("./comparison");
+const { round } = require("./util");
+
+const MAX_STEPS = 10;
+const MAX_BREAKDOWN_VALUES = 20;
+const MAX_DROP_OFF_USERS = 1000;
+// Every step after the first looks this far ahead of each entering user
+const MAX_CONVERSION_WINDOW = "90d";
+
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+class FunnelService {
+  constructor(pool, { currency } = {}) {
+    this.pool = pool;
+    this.currency = currency;
+  }
+
+  /**
+   * Validate a funnel request. Returns an error message or null.
+   */
+  static validateQuery({
+    events,
+    conversionWindow,
+    breakdown,
+    dropOffStep,
+    revenue,
+    compare,
+  }) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return "Events array required for funnel analysis";
+    }
+    if (events.length > MAX_STEPS) {
+      return `Funnel supports at most ${MAX_STEPS} steps`;
+    }
+    if (events.some((event) => typeof event !== "string" || !event)) {
+      return "Funnel steps must be event names";
+    }
+    if (conversionWindow !== undefined && !parseDuration(conversionWindow)) {
+      return "conversionWindow must look like 30m, 12h or 7d";
+    }
+    if (
+      conversionWindow !== undefined &&
+      parseDuration(conversionWindow) > parseDuration(MAX_CONVERSION_WINDOW)
+    ) {
+      return `conversionWindow must be at most ${MAX_CONVERSION_WINDOW}`;
+    }
+    if (breakdown !== undefined && !isPropertyPath(breakdown)) {
+      return "breakdown must be a property name";
+    }
+    if (
+      dropOffStep !== undefined &&
+      (!Number.isInteger(dropOffStep) ||
+        dropOffStep < 2 ||
+        dropOffStep > events.length)
+    ) {
+      return `dropOffStep must be between 2 and ${events.length}`;
+    }
+    if (revenue !== undefined && typeof revenue !== "boolean") {
+      return "revenue must be true or false";
+    }
+    if (compare !== undefined && typeof compare !== "boolean") {
+      return "compare must be true or false";
+    }
+    return null;
+  }
+
+  /**
+   * Ordered per-user funnel. Each user enters at their first step-1 event in
+   * [start, end]; every later step must follow the previous one and happen
+   * within `conversionWindow` of entering. Events without a user_id are
+   * ignored. With `revenue`, each step also reports the revenue its users
+   * generated between entering and the end of their conversion window.
+   * With `compare`, adds the previous period and per-step deltas.
+   */
+  async analyze(tenantId, query) {
+    if (!query.compare) {
+      return this.analyzePeriod(tenantId, query);
+    }
+
+    const { current, previous } = await comparePeriods(
+      query.start,
+      query.end,
+      (start, end) =>
+        this.analyzePeriod(tenantId, {
+          ...query,
+          start,
+          end,
+          // Drop-off users are only listed for the current period
+          dropOffStep: start === query.start ? query.dropOffStep : undefined,
+        })
+    );
+
+    return {
+      ...current,
+      previous_period: previous,
+      comparison: {
+        overall_conversion_rate: compareValues(
+          current.overall_conversion_rate,
+          previous.overall_conversion_rate
+        ),
+        funnel: current.funnel.map((step, i) => ({
+          step: step.step,
+          event: step.event,
+          users: compareValues(step.users, previous.funnel[i].users),
+          conversion_rate: compareValues(
+            step.conversion_rate,
+            previous.funnel[i].conversion_rate
+          ),
+          ...(step.revenue !== undefined && {
+            revenue: compareValues(step.revenue, previous.funnel[i].revenue),
+          }),
+        })),
+      },
+    };
+  }
+
+  async analyzePeriod(tenantId, query) {
+    const {
+      events,
+      start,
+      end,
+      conversionWindow = "7d",
+      breakdown,
+      dropOffStep,
+      revenue = false,
+      limit = 100,
+    } = query;
+
+    const windowSeconds = parseDuration(conversionWindow);
+    const params = [
+      tenantId,
+      start,
+      end,
+      windowSeconds,
+      toPathArray(breakdown),
+      ...events,
+    ];
+    const funnelCte = this.buildFunnelCte(events, { revenue });
+
+    const steps = events.map((_, i) => `COUNT(t${i})::int AS step_${i}`);
+    const revenues = revenue
+      ? events.map(
+          (_, i) =>
+            `COALESCE(SUM(revenue) FILTER (WHERE t${i} IS NOT NULL), 0)
+               AS revenue_${i}`
+        )
+      : [];
+    const medians = events.slice(1).map((_, i) => {
+      const step = i + 1;
+      return `percentile_cont(0.5) WITHIN GROUP
+                (ORDER BY EXTRACT(EPOCH FROM t${step} - t${i})) AS median_${step}`;
+    });
+
+    const [result, totals] = await Promise.all([
+      this.pool.query(
+        `WITH ${funnelCte}
+         SELECT ${
+           breakdown
+             ? "breakdown, GROUPING(breakdown) = 1 AS overall"
+             : "TRUE AS overall"
+         },
+                ${[...steps, ...medians, ...revenues].join(
+                  ",\n                "
+                )}
+         FROM funnel
+         ${breakdown ? "GROUP BY GROUPING SETS ((), (breakdown))" : ""}`,
+        params
+      ),
+      // Unordered totals per step event, as reported before funnels were
+      // ordered
+      this.pool.query(
+        `SELECT event_type, COUNT(*)::int AS count,
+                COUNT(DISTINCT canonical_user_id)::int AS unique_users
+         FROM events
+         WHERE tenant_id = $1 AND event_type = ANY($2::text[])
+           AND timestamp >= $3 AND timestamp <= $4
+         GROUP BY event_type`,
+        [tenantId, events, start, end]
+      ),
+    ]);
+
+    const overallRow = result.rows.find((row) => row.overall);
+    const response = {
+      conversion_window: conversionWindow,
+      start_date: start,
+      end_date: end,
+      ...this.formatFunnel(events, overallRow),
+    };
+
+    const totalsByEvent = new Map(
+      totals.rows.map((row) => [row.event_type, row])
+    );
+    response.funnel.forEach((step) => {
+      const stepTotals = totalsByEvent.get(step.event);
+      step.count = stepTotals?.count || 0;
+      step.unique_users = stepTotals?.unique_users || 0;
+    });
+
+    if (breakdown) {
+      response.breakdown = {
+        property: breakdown,
+        values: result.rows
+          .filter((row) => !row.overall)
+          .sort((a, b) => b.step_0 - a.step_0)
+          .slice(0, MAX_BREAKDOWN_VALUES)
+          .map((row) => ({
+            value: row.breakdown,
+            ...this.formatFunnel(events, row),
+          })),
+      };
+    }
+
+    if (dropOffStep) {
+      const reached = dropOffStep - 2;
+      const dropped = await this.pool.query(
+        `WITH ${funnelCte}
+         SELECT user_id, t${reached} AS last_step_at
+         FROM funnel
+         WHERE t${reached} IS NOT NULL AND t${reached + 1} IS NULL
+         ORDER BY last_step_at DESC
+         LIMIT $${params.length + 1}`,
+        [...params, Math.min(limit, MAX_DROP_OFF_USERS)]
+      );
+
+      response.dropped_off = {
+        step: dropOffStep,
+        event: events[dropOffStep - 1],
+        users: dropped.rows,
+      };
+    }
+
+    return response;
+  }
+
+  /**
+   * One row per user with the time each step was reached (t0, t1, ...).
+   * Params: $1 tenant, $2 start, $3 end, $4 window seconds,
+   * $5 breakdown path, $6.. step event types. With `revenue`, adds each
+   * user's revenue within their conversion window.
+   */
+  buildFunnelCte(events, { revenue = false } = {}) {
+    const joins = events.slice(1).map((eventType, i) => {
+      const step = i + 1;
+      // A repeated event type must be a later occurrence
+      const after = eventType === events[i] ? ">" : ">=";
+      return `LEFT JOIN LATERAL (
+           SELECT MIN(e.timestamp) AS t FROM events e
+           WHERE e.tenant_id = $1 AND e.canonical_user_id = s0.user_id
+             AND e.event_type = $${6 + step}
+             AND e.timestamp ${after} s${step - 1}.t
+             AND e.timestamp <= s0.t + $4::int * INTERVAL '1 second'
+         ) s${step} ON TRUE`;
+    });
+
+    if (revenue) {
+      joins.push(`LEFT JOIN LATERAL (
+           SELECT SUM(${revenueSql(this.currency)}) AS revenue FROM events e
+           WHERE e.tenant_id = $1 AND e.canonical_user_id = s0.user_id
+             AND e.timestamp >= s0.t
+             AND e.timestamp <= s0.t + $4::int * INTERVAL '1 second'
+         ) rev ON TRUE`);
+    }
+
+    return `funnel AS (
+         SELECT s0.user_id, s0.breakdown,
+                ${[
+                  ...events.map((_, i) => `s${i}.t AS t${i}`),
+                  ...(revenue ? ["rev.revenue"] : []),
+                ].join(", ")}
+         FROM (
+           SELECT DISTINCT ON (canonical_user_id)
+                  canonical_user_id AS user_id, timestamp AS t,
+                  properties #>> $5::text[] AS breakdown
+           FROM events
+           WHERE tenant_id = $1 AND event_type = $6
+             AND canonical_user_id IS NOT NULL
+             AND timestamp >= $2 AND timestamp <= $3
+           ORDER BY canonical_user_id, timestamp
+         ) s0
+         ${joins.join("\n         ")}
+       )`;
+  }
+
+  formatFunnel(events, row) {
+    const entered = row.step_0;
+
+    const funnel = events.map((event, i) => {
+      const users = row[`step_${i}`];
+      const previous = i === 0 ? users : row[`step_${i - 1}`];
+      const median = i === 0 ? null : row[`median_${i}`];
+
+      const step = {
+        step: i + 1,
+        event,
+        users,
+        conversion_rate: percent(users, entered),
+        step_conversion_rate: percent(users, previous),
+        drop_off: previous - users,
+        median_seconds_from_previous:
+          median === null ? null : round(Number(median)),
+      };
+
+      if (row[`revenue_${i}`] !== undefined) {
+        step.revenue = round(Number(row[`revenue_${i}`]));
+        step.revenue_per_user = users > 0 ? round(step.revenue / users) : 0;
+      }
+
+      return step;
+    });
+
+    return {
+      funnel,
+      overall_conversion_rate: percent(
+        funnel[funnel.length - 1].users,
+        entered
+      ),
+    };
+  }
+}
+
+FunnelService.MAX_STEPS = MAX_STEPS;
+FunnelService.MAX_CONVERSION_WINDOW = MAX_CONVERSION_WINDOW;
+
+module.exports = FunnelService;
@@ -0,0 +1,162 @@
+const OutboxWorker = require("./outbox-worker");
+
+const MAX_ID_LENGTH = 255;
+
+class IdentityService {
+  constructor(pool, { profiles, outboxWorker }) {
+    this.pool = pool;
+    this.profiles = profiles;
+    this.outboxWorker = outboxWorker;
+  }
+
+  /**
+   * Validate an alias request. Returns an error message or null.
+   */
+  static validateAlias({ previousId, userId }) {
+    for (const [name, value] of [
+      ["previousId", previousId],
+      ["userId", userId],
+    ]) {
+      if (typeof value !== "string" && typeof value !== "number") {
+        return `${name} is required`;
+      }
+      if (String(value).length === 0 || String(value).length > MAX_ID_LENGTH) {
+        return `${name} must be 1-${MAX_ID_LENGTH} characters`;
+      }
+    }
+
+    if (String(previousId) === String(userId)) {
+      return "previousId and userId must differ";
+    }
+
+    return null;
+  }
+
+  /**
+   * Serialise identity changes against ingestion for a tenant. Ingestion
+   * takes the lock shared, merges take it exclusively, so no event is
+   * inserted with a canonical id that a concurrent merge is rewriting.
+   */
+  static async lockTenant(db, tenantId, { exclusive = false } = {}) {
+    await db.query(
+      exclusive
+        ? "SELECT pg_advisory_xact_lock(hashtext($1))"
+        : "SELECT pg_advisory_xact_lock_shared(hashtext($1))",
+      [`identity:${tenantId}`]
+    );
+  }
+
+  /**
+   * Canonical user id for a user id (itself when it is not an alias)
+   */
+  async resolve(tenantId, userId, db = this.pool) {
+    const result = await db.query(
+      `SELECT canonical_id FROM user_aliases
+       WHERE tenant_id = $1 AND alias_id = $2`,
+      [tenantId, userId]
+    );
+    return result.rows[0]?.canonical_id || userId;
+  }
+
+  /**
+   * Ids that resolve to a canonical user id, excluding itself
+   */
+  async listAliases(tenantId, canonicalId) {
+    const result = await this.pool.query(
+      `SELECT alias_id FROM user_aliases
+       WHERE tenant_id = $1 AND canonical_id = $2
+       ORDER BY created_at`,
+      [tenantId, canonicalId]
+    );
+    return result.rows.map((row) => row.alias_id);
+  }
+
+  /**
+   * Link `previousId` (e.g. an anonymous id) to `userId`. Everything that
+   * resolved to previousId's identity now resolves to userId's. Past events
+   * are re-attributed and re-indexed, profiles are folded together and the
+   * affected days are queued for a re-rollup.
+   */
+  async alias(tenantId, previousId, userId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await IdentityService.lockTenant(client, tenantId, { exclusive: true });
+
+      const canonicalId = await this.resolve(tenantId, userId, client);
+      const mergedId = await this.resolve(tenantId, previousId, client);
+
+      if (mergedId === canonicalId) {
+        await client.query("COMMIT");
+        return { canonicalId, mergedIds: [], eventsUpdated: 0 };
+      }
+
+      // The merged identity and all of its aliases move to the canonical id
+      const moved = await client.query(
+        `INSERT INTO user_aliases (tenant_id, alias_id, canonical_id)
+         SELECT $1, alias_id, $3 FROM (
+           SELECT $2::varchar AS alias_id
+           UNION
+           SELECT alias_id FROM user_aliases
+           WHERE tenant_id = $1 AND canonical_id = $2
+         ) ids
+         ON CONFLICT (tenant_id, alias_id)
+           DO UPDATE SET canonical_id = EXCLUDED.canonical_id
+         RETURNING alias_id`,
+        [tenantId, mergedId, canonicalId]
+      );
+
+      const updated = await client.query(
+        `UPDATE events SET canonical_user_id = $3
+         WHERE tenant_id = $1 AND canonical_user_id = $2
+         RETURNING id,
+                   to_char(timestamp AT TIME ZONE (
+                     SELECT timezone FROM tenants WHERE id = $1
+                   ), 'YYYY-MM-DD') AS date`,
+        [tenantId, mergedId, canonicalId]
+      );
+      const events = updated.rows;
+
+      // Re-index so OpenSearch picks up the new canonical id
+      await OutboxWorker.enqueue(
+        client,
+        events.map((event) => event.id),
+        { broadcast: false }
+      );
+
+      await client.query(
+        `INSERT INTO rollup_dirty_days (tenant_id, date)
+         SELECT DISTINCT $1::uuid, unnest($2::date[])
+         ON CONFLICT (tenant_id, date) DO UPDATE SET marked_at = NOW()`,
+        [tenantId, events.map((event) => event.date)]
+      );
+
+      await this.profiles.mergeProfiles(
+        client,
+        tenantId,
+        mergedId,
+        canonicalId
+      );
+
+      await client.query("COMMIT");
+
+      if (events.length > 0) {
+        this.outboxWorker.wake();
+      }
+
+      return {
+        canonicalId,
+        mergedIds: moved.rows.map((row) => row.alias_id),
+        eventsUpdated: events.length,
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = IdentityService;
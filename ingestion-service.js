@@ -0,0 +1,500 @@
+const crypto = require("crypto");
+const OutboxWorker = require("./outbox-worker");
+const WebhookService = require("./webhook-service");
+const SchemaRegistry = require("./schema-registry");
+const IdentityService = require("./identity-service");
+const { isPlainObject } = require("./util");
+
+const MAX_EVENT_NAME_LENGTH = 100;
+const MAX_ID_LENGTH = 255;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class IngestionService {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.outboxWorker = options.outboxWorker;
+    this.webhookWorker = options.webhookWorker;
+    this.schemas = options.schemas;
+    this.metering = options.metering;
+    this.profiles = options.profiles;
+
+    // Accepted window for client-supplied timestamps
+    this.maxEventAgeMs = options.maxEventAgeMs || 30 * 24 * HOUR_MS;
+    this.maxClockSkewMs = options.maxClockSkewMs || 5 * 60 * 1000;
+
+    // How long a messageId is remembered for deduplication
+    this.dedupWindowMs = options.dedupWindowMs || 24 * HOUR_MS;
+  }
+
+  /**
+   * Validate a raw tracked event and normalise it for insertion.
+   * Returns { error } or { event }.
+   */
+  normalizeEvent(evt, now = Date.now()) {
+    if (!isPlainObject(evt)) {
+      return { error: "Event must be an object" };
+    }
+
+    const {
+      event,
+      properties = {},
+      userId,
+      sessionId,
+      messageId,
+      timestamp,
+    } = evt;
+
+    if (typeof event !== "string" || event.trim() === "") {
+      return { error: "Event name required" };
+    }
+
+    if (event.length > MAX_EVENT_NAME_LENGTH) {
+      return {
+        error: `Event name exceeds ${MAX_EVENT_NAME_LENGTH} characters`,
+      };
+    }
+
+    if (!isPlainObject(properties)) {
+      return { error: "Properties must be an object" };
+    }
+
+    for (const [name, value] of [
+      ["userId", userId],
+      ["sessionId", sessionId],
+      ["messageId", messageId],
+    ]) {
+      if (value === undefined || value === null) continue;
+      if (typeof value !== "string" && typeof value !== "number") {
+        return { error: `${name} must be a string` };
+      }
+      if (String(value).length > MAX_ID_LENGTH) {
+        return { error: `${name} exceeds ${MAX_ID_LENGTH} characters` };
+      }
+    }
+
+    let eventTime = null;
+    if (timestamp !== undefined && timestamp !== null) {
+      eventTime =
+        typeof timestamp === "number" || typeof timestamp === "string"
+          ? new Date(timestamp)
+          : null;
+
+      if (!eventTime || isNaN(eventTime.getTime())) {
+        return { error: "Timestamp must be an ISO 8601 string or epoch ms" };
+      }
+
+      if (eventTime.getTime() < now - this.maxEventAgeMs) {
+        return { error: "Timestamp is older than the accepted window" };
+      }
+
+      if (eventTime.getTime() > now + this.maxClockSkewMs) {
+        return { error: "Timestamp is too far in the future" };
+      }
+    }
+
+    const serialized = JSON.stringify(properties);
+
+    // Postgres jsonb cannot store NUL characters
+    if (serialized.includes("\\u0000")) {
+      return { error: "Properties must not contain NUL characters" };
+    }
+
+    return {
+      event: {
+        id: crypto.randomUUID(),
+        event_type: event,
+        properties,
+        serializedProperties: serialized,
+        user_id: userId == null ? null : String(userId),
+        session_id: sessionId == null ? null : String(sessionId),
+        message_id: messageId == null ? null : String(messageId),
+        timestamp: eventTime ? eventTime.toISOString() : null,
+      },
+    };
+  }
+
+  /**
+   * Store events in one set-based insert and queue them for indexing.
+   * Invalid events are reported individually and never block valid ones.
+   * Events whose messageId was already seen within the dedup window are
+   * not stored again and report the original event id. Events that break
+   * the tenant's registered schema are rejected, quarantined or stored with
+   * warnings depending on the tenant's schema mode.
+   *
+   * Returns per-event results in input order:
+   * { index, success: true, eventId, timestamp, duplicate?, warnings? },
+   * { index, success: true, quarantined: true, quarantineId, violations? },
+   * { index, success: true, quarantined: true, duplicate: true,
+   *   quarantineId } when the original was quarantined, or
+   * { index, success: false, error }
+   */
+  async ingest(tenantId, rawEvents, { apiKeyId = null } = {}) {
+    const now = Date.now();
+    const results = new Array(rawEvents.length);
+    const normalized = [];
+    const repeatedInBatch = [];
+    const firstIndexByMessageId = new Map();
+
+    rawEvents.forEach((raw, index) => {
+      const { error, event } = this.normalizeEvent(raw, now);
+      if (error) {
+        results[index] = { index, success: false, error };
+        return;
+      }
+
+      if (event.message_id) {
+        if (firstIndexByMessageId.has(event.message_id)) {
+          repeatedInBatch.push({
+            index,
+            firstIndex: firstIndexByMessageId.get(event.message_id),
+          });
+          return;
+        }
+        firstIndexByMessageId.set(event.message_id, index);
+      }
+
+      normalized.push({ index, event });
+    });
+
+    const { warnings, violations, quarantined } = await this.checkSchema(
+      tenantId,
+      normalized,
+      results
+    );
+    const accepted = normalized.filter(({ index }) => !results[index]);
+    const held = normalized.filter(({ index }) => results[index]?.quarantined);
+
+    const client = await this.pool.connect();
+    let stored = [];
+
+    try {
+      await client.query("BEGIN");
+
+      // Quarantined events claim their messageId too, with their
+      // quarantine row instead of an event, so retries are not quarantined
+      // twice
+      const { claimed, previous } = await this.claimMessageIds(
+        client,
+        tenantId,
+        [
+          ...accepted.map(({ event }) => ({
+            messageId: event.message_id,
+            eventId: event.id,
+          })),
+          ...held.map(({ index, event }) => ({
+            messageId: event.message_id,
+            quarantineId: results[index].quarantineId,
+          })),
+        ].filter((claim) => claim.messageId)
+      );
+      const isNew = ({ event }) =>
+        !event.message_id || claimed.has(event.message_id);
+
+      // A retry reports what became of the original message
+      const duplicateOf = (index, messageId) => {
+        const original = previous.get(messageId) || {};
+        return original.quarantineId
+          ? {
+              index,
+              success: true,
+              quarantined: true,
+              duplicate: true,
+              quarantineId: original.quarantineId,
+            }
+          : {
+              index,
+              success: true,
+              duplicate: true,
+              eventId: original.eventId,
+              timestamp: original.timestamp,
+            };
+      };
+
+      held
+        .filter((entry) => !isNew(entry))
+        .forEach(({ index, event }) => {
+          results[index] = duplicateOf(index, event.message_id);
+        });
+
+      stored = accepted.filter(isNew);
+
+      if (stored.some(({ event }) => event.user_id)) {
+        await IdentityService.lockTenant(client, tenantId);
+      }
+
+      const inserted = await this.insertEvents(client, tenantId, stored);
+
+      // Profiles are keyed by the canonical user id
+      await this.profiles.recordEvents(
+        client,
+        tenantId,
+        stored.map(({ event }) => ({
+          ...event,
+          user_id: inserted.get(event.id).canonical_user_id,
+          timestamp: inserted.get(event.id).timestamp,
+        }))
+      );
+
+      await this.schemas.recordViolations(client, tenantId, violations);
+      await this.schemas.quarantineEvents(
+        client,
+        tenantId,
+        quarantined.filter(({ index }) => !results[index].duplicate)
+      );
+
+      const storedIndexes = new Set(stored.map(({ index }) => index));
+
+      accepted.forEach(({ index, event }) => {
+        if (storedIndexes.has(index)) {
+          results[index] = {
+            index,
+            success: true,
+            eventId: event.id,
+            timestamp: inserted.get(event.id).timestamp,
+          };
+        } else {
+          results[index] = duplicateOf(index, event.message_id);
+        }
+
+        if (warnings.has(index)) {
+          results[index].warnings = warnings.get(index);
+        }
+      });
+
+      // Repeats inside the batch share the first occurrence's outcome
+      repeatedInBatch.forEach(({ index, firstIndex }) => {
+        const first = results[firstIndex];
+        results[index] = first.success
+          ? { ...first, index, duplicate: true }
+          : { ...first, index };
+      });
+
+      // Metered in the same transaction so usage matches stored events exactly
+      await this.metering.record(client, tenantId, {
+        apiKeyId,
+        accepted: stored.length,
+        rejected: results.filter((result) => !result.success).length,
+        deduplicated: results.filter((result) => result.duplicate).length,
+        quarantined: results.filter(
+          (result) => result.quarantined && !result.duplicate
+        ).length,
+      });
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (stored.length > 0) {
+      this.outboxWorker.wake();
+      this.webhookWorker.wake();
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate events against the tenant's registered definitions.
+   * Sets results for rejected and quarantined events and returns the
+   * violations to record. Tenants without definitions skip validation.
+   */
+  async checkSchema(tenantId, normalized, results) {
+    const warnings = new Map();
+    const violations = [];
+    const quarantined = [];
+
+    if (normalized.length === 0) {
+      return { warnings, violations, quarantined };
+    }
+
+    const { mode, definitions } = await this.schemas.getTenantSchema(tenantId);
+
+    if (definitions.size === 0) {
+      return { warnings, violations, quarantined };
+    }
+
+    normalized.forEach(({ index, event }) => {
+      const found = SchemaRegistry.validateEvent(
+        definitions,
+        event.event_type,
+        event.properties
+      );
+
+      if (found.length === 0) return;
+
+      found.forEach(({ reason, message }) =>
+        violations.push({
+          eventType: event.event_type,
+          reason,
+          message,
+          properties: event.properties,
+        })
+      );
+
+      const messages = found.map((violation) => violation.message);
+
+      if (mode === "reject") {
+        results[index] = {
+          index,
+          success: false,
+          error: `Schema violation: ${messages.join("; ")}`,
+          violations: messages,
+        };
+      } else if (mode === "quarantine") {
+        const quarantineId = crypto.randomUUID();
+        results[index] = {
+          index,
+          success: true,
+          quarantined: true,
+          quarantineId,
+          violations: messages,
+        };
+        quarantined.push({
+          id: quarantineId,
+          index,
+          eventType: event.event_type,
+          payload: {
+            event: event.event_type,
+            properties: event.properties,
+            userId: event.user_id,
+            sessionId: event.session_id,
+            messageId: event.message_id,
+            timestamp: event.timestamp,
+          },
+          violations: messages,
+        });
+      } else {
+        warnings.set(index, messages);
+      }
+    });
+
+    return { warnings, violations, quarantined };
+  }
+
+  /**
+   * Insert normalised events and queue them in the outbox. User ids are
+   * resolved to their canonical id through the identity graph.
+   * Returns a map of event id to { timestamp, canonical_user_id }.
+   */
+  async insertEvents(client, tenantId, stored) {
+    if (stored.length === 0) {
+      return new Map();
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO events (id, tenant_id, event_type, properties, user_id,
+                           canonical_user_id, session_id, message_id, timestamp)
+       SELECT input.id, $1, input.event_type, input.properties::jsonb,
+              input.user_id, COALESCE(a.canonical_id, input.user_id),
+              input.session_id, input.message_id,
+              COALESCE(input.timestamp, NOW())
+       FROM unnest($2::uuid[], $3::varchar[], $4::text[], $5::varchar[],
+                   $6::varchar[], $7::varchar[], $8::timestamptz[])
+         AS input(id, event_type, properties, user_id, session_id,
+                  message_id, timestamp)
+       LEFT JOIN user_aliases a
+         ON a.tenant_id = $1 AND a.alias_id = input.user_id
+       RETURNING id, timestamp, canonical_user_id`,
+      [
+        tenantId,
+        stored.map(({ event }) => event.id),
+        stored.map(({ event }) => event.event_type),
+        stored.map(({ event }) => event.serializedProperties),
+        stored.map(({ event }) => event.user_id),
+        stored.map(({ event }) => event.session_id),
+        stored.map(({ event }) => event.message_id),
+        stored.map(({ event }) => event.timestamp),
+      ]
+    );
+
+    // Indexing, broadcast and forwarding happen from the queues once
+    // committed
+    const eventIds = stored.map(({ event }) => event.id);
+    await OutboxWorker.enqueue(client, eventIds);
+    await WebhookService.enqueue(client, tenantId, eventIds);
+
+    return new Map(inserted.rows.map((row) => [row.id, row]));
+  }
+
+  /**
+   * Record message ids for deduplication, each for either a stored event
+   * ({ messageId, eventId }) or a quarantined one ({ messageId,
+   * quarantineId }). A message id is claimed when it is new or its previous
+   * record is older than the dedup window; for the rest the previous
+   * outcome is looked up as { eventId, timestamp } or { quarantineId }.
+   */
+  async claimMessageIds(client, tenantId, claims) {
+    const claimed = new Set();
+    const previous = new Map();
+
+    if (claims.length === 0) {
+      return { claimed, previous };
+    }
+
+    const result = await client.query(
+      `INSERT INTO event_dedup
+         (tenant_id, message_id, event_id, quarantined_event_id)
+       SELECT $1, input.message_id, input.event_id, input.quarantined_event_id
+       FROM unnest($2::varchar[], $3::uuid[], $4::uuid[])
+         AS input(message_id, event_id, quarantined_event_id)
+       ON CONFLICT (tenant_id, message_id) DO UPDATE
+         SET event_id = EXCLUDED.event_id,
+             quarantined_event_id = EXCLUDED.quarantined_event_id,
+             created_at = NOW()
+         WHERE event_dedup.created_at < NOW() - make_interval(secs => $5)
+       RETURNING message_id`,
+      [
+        tenantId,
+        claims.map((claim) => claim.messageId),
+        claims.map((claim) => claim.eventId || null),
+        claims.map((claim) => claim.quarantineId || null),
+        this.dedupWindowMs / 1000,
+      ]
+    );
+
+    result.rows.forEach((row) => claimed.add(row.message_id));
+
+    const duplicates = claims
+      .map((claim) => claim.messageId)
+      .filter((messageId) => !claimed.has(messageId));
+
+    if (duplicates.length > 0) {
+      const originals = await client.query(
+        `SELECT d.message_id, d.event_id, d.quarantined_event_id, e.timestamp
+         FROM event_dedup d
+         LEFT JOIN events e ON e.id = d.event_id
+         WHERE d.tenant_id = $1 AND d.message_id = ANY($2)`,
+        [tenantId, duplicates]
+      );
+
+      originals.rows.forEach((row) =>
+        previous.set(
+          row.message_id,
+          row.quarantined_event_id
+            ? { quarantineId: row.quarantined_event_id }
+            : { eventId: row.event_id, timestamp: row.timestamp }
+        )
+      );
+    }
+
+    return { claimed, previous };
+  }
+
+  /**
+   * Forget message ids older than the dedup window
+   */
+  async pruneDedup() {
+    const result = await this.pool.query(
+      `DELETE FROM event_dedup
+       WHERE created_at < NOW() - make_interval(secs => $1)`,
+      [this.dedupWindowMs / 1000]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = IngestionService;
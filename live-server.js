@@ -0,0 +1,516 @@
+// WebSocket live API.
+//
+// Clients connect to /live and authenticate with their first message,
+// {"type": "auth", "token": "..."}, using a short-lived token from
+// POST /live/token, so no API key ends up in a URL. One socket then holds
+// any number of subscriptions, each with a client-chosen id:
+//
+//   {"type": "subscribe", "id": "buys", "channel": "events",
+//    "filter": {"event_type": ["purchase"]}}
+//   {"type": "subscribe", "id": "counters", "channel": "aggregates"}
+//   {"type": "unsubscribe", "id": "buys"}
+//
+// Events and alerts come from the stream hub, so they reach sockets on every
+// instance. Rolling aggregates are recomputed from OpenSearch every few
+// seconds for the tenants with an aggregates subscription on this instance.
+// Tokens minted with a user-restricted API token only get that user's events.
+//
+// A socket lives as long as its token. Clients renew by sending another auth
+// message before it expires; the socket is closed when it does, or as soon as
+// a periodic check finds its API key revoked, without the stream permission,
+// or its tenant suspended.
+
+const { WebSocketServer, WebSocket } = require("ws");
+const ApiKeyService = require("./api-key-service");
+const { isPlainObject } = require("./util");
+
+const TOKEN_SCOPE = "live";
+const CHANNELS = ["events", "alerts", "aggregates"];
+const FILTER_KEYS = ["event_type", "user_id"];
+const MAX_SUBSCRIPTIONS = 20;
+const MAX_FILTER_VALUES = 50;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const TOP_EVENT_TYPES = 10;
+
+// Window of the active user and event totals
+const AGGREGATE_WINDOW_MINUTES = 5;
+
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const PING_INTERVAL_MS = 30 * 1000;
+const KEY_CHECK_INTERVAL_MS = 30 * 1000;
+
+const CLOSE_UNAUTHORIZED = 4001;
+const CLOSE_INTERNAL_ERROR = 1011;
+
+class LiveServer {
+  constructor({ tokens, apiKeys, stream, opensearch, ...options }) {
+    this.tokens = tokens;
+    this.apiKeys = apiKeys;
+    this.stream = stream;
+    this.opensearch = opensearch;
+    this.path = options.path || "/live";
+    this.aggregateInterval = options.aggregateInterval || 5 * 1000;
+    this.keyCheckInterval = options.keyCheckInterval || KEY_CHECK_INTERVAL_MS;
+    this.maxBufferedBytes = options.maxBufferedBytes || 1024 * 1024;
+
+    this.wss = null;
+    this.sessions = new Map();
+    this.timers = [];
+    this.aggregating = false;
+  }
+
+  /**
+   * Validate a subscribe message. Returns an error message or null.
+   */
+  static validateSubscription({ id, channel, filter }) {
+    if (typeof id !== "string" || !id || id.length > 64) {
+      return "Subscriptions need an id of at most 64 characters";
+    }
+    if (!CHANNELS.includes(channel)) {
+      return `channel must be one of: ${CHANNELS.join(", ")}`;
+    }
+    if (filter === undefined) return null;
+
+    if (channel !== "events" || !isPlainObject(filter)) {
+      return "filter is an object and only applies to the events channel";
+    }
+    for (const [key, values] of Object.entries(filter)) {
+      if (!FILTER_KEYS.includes(key)) {
+        return `filter keys must be among: ${FILTER_KEYS.join(", ")}`;
+      }
+      if (
+        !Array.isArray(values) ||
+        values.length === 0 ||
+        values.length > MAX_FILTER_VALUES ||
+        values.some((value) => typeof value !== "string")
+      ) {
+        return `${key} must list 1-${MAX_FILTER_VALUES} strings`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Accept WebSocket upgrades on the live path of an HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      noServer: true,
+      maxPayload: MAX_MESSAGE_BYTES,
+    });
+
+    server.on("upgrade", (req, socket, head) => {
+      if (new URL(req.url, "http://localhost").pathname !== this.path) {
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) =>
+        this.handleConnection(ws)
+      );
+    });
+
+    // Drop sockets that stopped answering pings
+    const ping = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.isAlive) return ws.terminate();
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, PING_INTERVAL_MS);
+
+    const aggregate = setInterval(() => {
+      this.publishAggregates().catch((error) =>
+        console.error("Live aggregates error:", error)
+      );
+    }, this.aggregateInterval);
+
+    const checkKeys = setInterval(() => {
+      this.checkKeys().catch((error) =>
+        console.error("Live key check error:", error)
+      );
+    }, this.keyCheckInterval);
+
+    this.timers = [ping, aggregate, checkKeys];
+    this.timers.forEach((timer) => timer.unref());
+  }
+
+  close() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+    this.wss?.clients.forEach((ws) => ws.terminate());
+    this.wss?.close();
+  }
+
+  handleConnection(ws) {
+    const session = {
+      ws,
+      tenantId: null,
+      canonicalUserId: null,
+      keyId: null,
+      expiresAt: null,
+      authenticating: false,
+      subscriptions: new Map(),
+      stopListening: null,
+      expiryTimer: null,
+      authTimer: setTimeout(
+        () => ws.close(CLOSE_UNAUTHORIZED, "Authentication timed out"),
+        AUTH_TIMEOUT_MS
+      ),
+    };
+
+    ws.isAlive = true;
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    ws.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return this.send(session, {
+          type: "error",
+          message: "Messages must be JSON",
+        });
+      }
+      this.handleMessage(session, message);
+    });
+
+    ws.on("close", () => this.end(session));
+    ws.on("error", (error) =>
+      console.error("Live socket error:", error.message)
+    );
+  }
+
+  handleMessage(session, message) {
+    if (!isPlainObject(message)) {
+      return this.send(session, {
+        type: "error",
+        message: "Messages must be objects",
+      });
+    }
+
+    if (session.authenticating) {
+      return this.send(session, {
+        type: "error",
+        message: "Wait for the token to be checked",
+      });
+    }
+
+    if (!session.tenantId) {
+      return this.authenticate(session, message);
+    }
+
+    switch (message.type) {
+      case "auth":
+        return this.authenticate(session, message);
+      case "subscribe":
+        return this.subscribe(session, message);
+      case "unsubscribe":
+        return this.unsubscribe(session, message);
+      case "ping":
+        return this.send(session, { type: "pong" });
+      default:
+        return this.send(session, {
+          type: "error",
+          message: "type must be auth, subscribe, unsubscribe or ping",
+        });
+    }
+  }
+
+  /**
+   * Check an auth message. The first one starts the session; later ones
+   * renew it with a fresh token for the same tenant and user.
+   */
+  async authenticate(session, message) {
+    const claims =
+      message.type === "auth" && this.tokens.verify(message.token, TOKEN_SCOPE);
+
+    if (
+      !claims ||
+      (session.tenantId &&
+        (claims.sub !== session.tenantId ||
+          (claims.canonical_user_id || null) !== session.canonicalUserId))
+    ) {
+      session.ws.close(CLOSE_UNAUTHORIZED, "Invalid or expired token");
+      return;
+    }
+
+    session.authenticating = true;
+    let key;
+    try {
+      key = await this.apiKeys.authenticateToken(claims.key_id);
+    } catch (error) {
+      console.error("Live auth error:", error);
+      session.ws.close(CLOSE_INTERNAL_ERROR, "Authentication failed");
+      return;
+    } finally {
+      session.authenticating = false;
+    }
+
+    if (!LiveServer.keyAllows(key, claims.sub)) {
+      session.ws.close(CLOSE_UNAUTHORIZED, "API key revoked or not permitted");
+      return;
+    }
+    if (session.ws.readyState !== WebSocket.OPEN) return;
+
+    clearTimeout(session.authTimer);
+    clearTimeout(session.expiryTimer);
+    session.keyId = claims.key_id;
+    session.expiresAt = new Date(claims.exp * 1000);
+    session.expiryTimer = setTimeout(
+      () => session.ws.close(CLOSE_UNAUTHORIZED, "Token expired"),
+      session.expiresAt - Date.now()
+    );
+
+    if (session.tenantId) {
+      return this.send(session, {
+        type: "renewed",
+        expires_at: session.expiresAt.toISOString(),
+      });
+    }
+
+    session.tenantId = claims.sub;
+    session.canonicalUserId = claims.canonical_user_id || null;
+    session.stopListening = this.stream.listen(claims.sub, (streamed) =>
+      this.forward(session, streamed)
+    );
+
+    if (!this.sessions.has(claims.sub)) {
+      this.sessions.set(claims.sub, new Set());
+    }
+    this.sessions.get(claims.sub).add(session);
+
+    this.send(session, {
+      type: "ready",
+      tenant_id: claims.sub,
+      expires_at: session.expiresAt.toISOString(),
+    });
+  }
+
+  // Whether an API key (from authenticateToken) may still stream the tenant
+  static keyAllows(key, tenantId) {
+    return Boolean(
+      key &&
+        key.tenantId === tenantId &&
+        key.tenantStatus !== "suspended" &&
+        ApiKeyService.hasPermission(key.permissions, "stream")
+    );
+  }
+
+  /**
+   * Look up the API key of every open session again and close the sockets
+   * whose key was revoked or downgraded, or whose tenant was suspended
+   */
+  async checkKeys() {
+    const byKey = new Map();
+    this.sessions.forEach((sessions) =>
+      sessions.forEach((session) => {
+        if (!byKey.has(session.keyId)) byKey.set(session.keyId, []);
+        byKey.get(session.keyId).push(session);
+      })
+    );
+
+    for (const [keyId, sessions] of byKey) {
+      const key = await this.apiKeys.authenticateToken(keyId);
+
+      sessions
+        .filter((session) => !LiveServer.keyAllows(key, session.tenantId))
+        .forEach((session) =>
+          session.ws.close(
+            CLOSE_UNAUTHORIZED,
+            "API key revoked or not permitted"
+          )
+        );
+    }
+  }
+
+  subscribe(session, message) {
+    const error = LiveServer.validateSubscription(message);
+    if (error) {
+      return this.send(session, {
+        type: "error",
+        id: message.id,
+        message: error,
+      });
+    }
+    if (session.canonicalUserId && message.channel !== "events") {
+      return this.send(session, {
+        type: "error",
+        id: message.id,
+        message: "This token only has access to one user's events",
+      });
+    }
+    if (
+      !session.subscriptions.has(message.id) &&
+      session.subscriptions.size >= MAX_SUBSCRIPTIONS
+    ) {
+      return this.send(session, {
+        type: "error",
+        id: message.id,
+        message: `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection`,
+      });
+    }
+
+    const { id, channel, filter = {} } = message;
+    session.subscriptions.set(id, {
+      channel,
+      eventTypes: filter.event_type ? new Set(filter.event_type) : null,
+      userIds: filter.user_id ? new Set(filter.user_id) : null,
+    });
+    this.send(session, { type: "subscribed", id, channel });
+
+    // Aggregates start right away instead of after the next tick
+    if (channel === "aggregates") {
+      this.refreshAggregates(session.tenantId).catch((error) =>
+        console.error("Live aggregates error:", error)
+      );
+    }
+  }
+
+  unsubscribe(session, { id }) {
+    if (!session.subscriptions.delete(id)) {
+      return this.send(session, {
+        type: "error",
+        id,
+        message: "No subscription with this id",
+      });
+    }
+    this.send(session, { type: "unsubscribed", id });
+  }
+
+  end(session) {
+    clearTimeout(session.authTimer);
+    clearTimeout(session.expiryTimer);
+    if (!session.tenantId) return;
+
+    session.stopListening();
+    const sessions = this.sessions.get(session.tenantId);
+    sessions.delete(session);
+    if (sessions.size === 0) this.sessions.delete(session.tenantId);
+  }
+
+  /**
+   * Pass a stream message to the session's matching subscriptions
+   */
+  forward(session, { type, data }) {
+    if (
+      session.canonicalUserId &&
+      (type !== "event" || data.canonical_user_id !== session.canonicalUserId)
+    ) {
+      return;
+    }
+
+    session.subscriptions.forEach((subscription, id) => {
+      if (type === "event" && subscription.channel === "events") {
+        if (
+          (subscription.eventTypes &&
+            !subscription.eventTypes.has(data.event_type)) ||
+          (subscription.userIds && !subscription.userIds.has(data.user_id))
+        ) {
+          return;
+        }
+        this.send(session, { type: "event", subscription: id, data });
+      } else if (type === "alert" && subscription.channel === "alerts") {
+        this.send(session, { type: "alert", subscription: id, data });
+      }
+    });
+  }
+
+  /**
+   * Recompute aggregates for every tenant with an aggregates subscription
+   * on this instance. A slow run makes the next tick skip.
+   */
+  async publishAggregates() {
+    if (this.aggregating) return;
+    this.aggregating = true;
+
+    try {
+      const tenantIds = [...this.sessions]
+        .filter(([, sessions]) =>
+          [...sessions].some((session) =>
+            [...session.subscriptions.values()].some(
+              (subscription) => subscription.channel === "aggregates"
+            )
+          )
+        )
+        .map(([tenantId]) => tenantId);
+
+      for (const tenantId of tenantIds) {
+        try {
+          await this.refreshAggregates(tenantId);
+        } catch (error) {
+          console.error("Live aggregates error for tenant:", tenantId, error);
+        }
+      }
+    } finally {
+      this.aggregating = false;
+    }
+  }
+
+  async refreshAggregates(tenantId) {
+    const data = await this.computeAggregates(tenantId);
+    if (!this.sessions.has(tenantId)) return;
+
+    this.sessions.get(tenantId).forEach((session) =>
+      session.subscriptions.forEach((subscription, id) => {
+        if (subscription.channel === "aggregates") {
+          this.send(session, { type: "aggregates", subscription: id, data });
+        }
+      })
+    );
+  }
+
+  /**
+   * Events in the last minute, overall and by type, plus events and
+   * active users in the last few minutes
+   */
+  async computeAggregates(tenantId) {
+    const { total, aggregations } = await this.opensearch.aggregate(tenantId, {
+      startDate: `now-${AGGREGATE_WINDOW_MINUTES}m`,
+      endDate: "now",
+      aggs: {
+        last_minute: {
+          filter: { range: { timestamp: { gte: "now-1m" } } },
+          aggs: {
+            by_type: {
+              terms: { field: "event_type", size: TOP_EVENT_TYPES },
+            },
+          },
+        },
+        active_users: { cardinality: { field: "canonical_user_id" } },
+      },
+    });
+
+    return {
+      timestamp: new Date().toISOString(),
+      window_minutes: AGGREGATE_WINDOW_MINUTES,
+      events_per_minute: aggregations.last_minute?.doc_count || 0,
+      events_per_minute_by_type: (
+        aggregations.last_minute?.by_type?.buckets || []
+      ).map((bucket) => ({ event_type: bucket.key, count: bucket.doc_count })),
+      events_in_window: total,
+      active_users: aggregations.active_users?.value || 0,
+    };
+  }
+
+  /**
+   * Send a message unless the socket is closed. Sockets that let more than
+   * `maxBufferedBytes` pile up are cut off; clients reconnect.
+   */
+  send(session, message) {
+    const { ws } = session;
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (ws.bufferedAmount > this.maxBufferedBytes) {
+      console.warn("Dropping slow live client for tenant:", session.tenantId);
+      ws.terminate();
+      return;
+    }
+    ws.send(JSON.stringify(message));
+  }
+}
+
+LiveServer.TOKEN_SCOPE = TOKEN_SCOPE;
+
+module.exports = LiveServer;
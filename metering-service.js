@@ -0,0 +1,155 @@
+const { getPlan } = require("./plans");
+
+const USAGE_COLUMNS = ["accepted", "rejected", "deduplicated", "quarantined"];
+
+const LINE_ITEM_COLUMNS = [
+  "tenant_id",
+  "tenant_name",
+  "plan",
+  "period",
+  "accepted",
+  "rejected",
+  "deduplicated",
+  "quarantined",
+  "billable_events",
+  "included_events",
+  "overage_events",
+];
+
+class MeteringService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Append one ingestion request's counts to the usage ledger, with the
+   * tenant's current name and plan. Call inside the ingestion transaction.
+   */
+  async record(db, tenantId, counts) {
+    const { apiKeyId = null } = counts;
+
+    if (USAGE_COLUMNS.every((column) => !counts[column])) return;
+
+    await db.query(
+      `INSERT INTO usage_ledger
+         (tenant_id, api_key_id, tenant_name, plan, accepted, rejected,
+          deduplicated, quarantined)
+       SELECT id, $2, name, plan, $3, $4, $5, $6 FROM tenants WHERE id = $1`,
+      [
+        tenantId,
+        apiKeyId,
+        counts.accepted || 0,
+        counts.rejected || 0,
+        counts.deduplicated || 0,
+        counts.quarantined || 0,
+      ]
+    );
+  }
+
+  /**
+   * Events stored for a tenant since `since`, the usage its monthly quota
+   * is checked against
+   */
+  async getAcceptedEvents(tenantId, since) {
+    const result = await this.pool.query(
+      `SELECT COALESCE(SUM(accepted), 0)::bigint AS accepted
+       FROM usage_ledger
+       WHERE tenant_id = $1 AND recorded_at >= $2`,
+      [tenantId, since]
+    );
+    return Number(result.rows[0].accepted);
+  }
+
+  /**
+   * Usage per tenant per UTC day or month in [start, end).
+   * `tenantId` is optional; without it every tenant is returned. Each
+   * period carries the tenant's name and plan as of its last ledger row.
+   */
+  async getUsage({ tenantId, start, end, granularity = "day" }) {
+    const period =
+      granularity === "month"
+        ? "to_char(l.recorded_at AT TIME ZONE 'UTC', 'YYYY-MM')"
+        : "to_char(l.recorded_at AT TIME ZONE 'UTC', 'YYYY-MM-DD')";
+
+    const result = await this.pool.query(
+      `SELECT l.tenant_id,
+              (array_agg(l.tenant_name ORDER BY l.id DESC))[1] AS tenant_name,
+              (array_agg(l.plan ORDER BY l.id DESC))[1] AS plan,
+              ${period} AS period,
+              SUM(l.accepted)::bigint AS accepted,
+              SUM(l.rejected)::bigint AS rejected,
+              SUM(l.deduplicated)::bigint AS deduplicated,
+              SUM(l.quarantined)::bigint AS quarantined
+       FROM usage_ledger l
+       WHERE l.recorded_at >= $1 AND l.recorded_at < $2
+         AND ($3::uuid IS NULL OR l.tenant_id = $3)
+       GROUP BY l.tenant_id, period
+       ORDER BY period, tenant_name`,
+      [start, end, tenantId || null]
+    );
+
+    return result.rows.map((row) => ({
+      ...row,
+      accepted: Number(row.accepted),
+      rejected: Number(row.rejected),
+      deduplicated: Number(row.deduplicated),
+      quarantined: Number(row.quarantined),
+    }));
+  }
+
+  /**
+   * Invoice-ready monthly line items. Only accepted events are billable;
+   * the soft quota of the plan the month ended on is included and anything
+   * above it is overage.
+   */
+  async getMonthlyLineItems({ month, tenantId }) {
+    const [year, monthIndex] = month.split("-").map(Number);
+    const start = new Date(Date.UTC(year, monthIndex - 1, 1)).toISOString();
+    const end = new Date(Date.UTC(year, monthIndex, 1)).toISOString();
+
+    const usage = await this.getUsage({
+      tenantId,
+      start,
+      end,
+      granularity: "month",
+    });
+
+    return usage.map((row) => {
+      const included = getPlan(row.plan).monthlyEvents?.soft ?? null;
+      return {
+        tenant_id: row.tenant_id,
+        tenant_name: row.tenant_name,
+        plan: row.plan,
+        period: row.period,
+        accepted: row.accepted,
+        rejected: row.rejected,
+        deduplicated: row.deduplicated,
+        quarantined: row.quarantined,
+        billable_events: row.accepted,
+        included_events: included,
+        overage_events:
+          included === null ? 0 : Math.max(row.accepted - included, 0),
+      };
+    });
+  }
+
+  /**
+   * Render rows as RFC 4180 CSV
+   */
+  static toCsv(rows, columns = LINE_ITEM_COLUMNS) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(","),
+      ...rows.map((row) => columns.map((c) => escape(row[c])).join(",")),
+    ].join("\r\n");
+  }
+}
+
+MeteringService.USAGE_COLUMNS = USAGE_COLUMNS;
+
+module.exports = MeteringService;
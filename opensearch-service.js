@@ -1,4 +1,115 @@
 const { Client } = require("@opensearch-project/opensearch");
+const {
+  DEFAULT_TIME_ZONE,
+  timeZoneOffset,
+  startOfDay,
+  startOfWeek,
+  startOfLocalDay,
+  addDays,
+} = require("./timezone");
+const { DAY_MS } = require("./util");
+
+// Above this many days we query the tenant wildcard instead of listing indices
+const MAX_EXPLICIT_INDICES = 90;
+
+const CALENDAR_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Field mappings only change when a day's index first sees a property
+const FIELD_MAPPING_TTL_MS = 60 * 1000;
+const MAX_FIELD_MAPPINGS_CACHED = 1000;
+
+// Queries comparing whole values. Indices created before string properties
+// were mapped as keywords hold them as text, where these need the .keyword
+// subfield instead.
+const EXACT_QUERIES = ["term", "terms", "wildcard", "prefix", "range"];
+
+// Group-by values of a property that is text in some indices, keyword in
+// others
+const KEYWORD_VALUES_SCRIPT = `
+  String keyword = params.field + '.keyword';
+  if (doc.containsKey(keyword)) return doc[keyword];
+  if (doc.containsKey(params.field)) return doc[params.field];
+  return [];
+`;
+
+const isPropertyField = (field) =>
+  typeof field === "string" && field.startsWith("properties.");
+
+// Property fields of exact queries and terms aggregations in a query or aggs
+const collectExactFields = (node, fields = new Set()) => {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectExactFields(child, fields));
+  } else if (node !== null && typeof node === "object") {
+    Object.entries(node).forEach(([key, value]) => {
+      if (EXACT_QUERIES.includes(key) && value !== null) {
+        const field = key === "terms" && value.field ? value.field : null;
+        [field, ...Object.keys(value)]
+          .filter(isPropertyField)
+          .forEach((name) => fields.add(name));
+      }
+      collectExactFields(value, fields);
+    });
+  }
+  return fields;
+};
+
+// Rewrite exact queries and terms aggregations on text-mapped properties
+// (see getTextFields) to their .keyword subfield
+const toKeywordFields = (node, textFields) => {
+  if (Array.isArray(node)) {
+    return node.map((child) => toKeywordFields(child, textFields));
+  }
+  if (node === null || typeof node !== "object") return node;
+
+  const type = EXACT_QUERIES.find((key) => node[key]);
+  if (type === "terms" && textFields.has(node.terms.field)) {
+    const { field, ...options } = node.terms;
+    const { mixed } = textFields.get(field);
+    return {
+      ...node,
+      terms: mixed
+        ? {
+            ...options,
+            script: { source: KEYWORD_VALUES_SCRIPT, params: { field } },
+          }
+        : { ...options, field: `${field}.keyword` },
+      aggs: toKeywordFields(node.aggs, textFields),
+    };
+  }
+  if (type && Object.keys(node[type]).some((field) => textFields.has(field))) {
+    const [[field, value]] = Object.entries(node[type]);
+    const { indices, mixed } = textFields.get(field);
+    const keywordQuery = { [type]: { [`${field}.keyword`]: value } };
+    if (!mixed) return keywordQuery;
+
+    // Match each index on the field it maps the property to
+    const textIndices = { terms: { _index: indices } };
+    return {
+      bool: {
+        should: [
+          { bool: { filter: [textIndices, keywordQuery] } },
+          { bool: { must_not: [textIndices], filter: [node] } },
+        ],
+        minimum_should_match: 1,
+      },
+    };
+  }
+
+  return Object.fromEntries(
+    Object.entries(node).map(([key, value]) => [
+      key,
+      toKeywordFields(value, textFields),
+    ])
+  );
+};
+
+const DATE_MATH_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+};
 
 class OpenSearchService {
   constructor(options = {}) {
@@ -9,6 +120,7 @@ class OpenSearchService {
       },
     });
     this.indexPrefix = options.indexPrefix || "analytics";
+    this.fieldMappings = new Map();
   }
 
   /**
@@ -23,12 +135,26 @@ class OpenSearchService {
           number_of_shards: 1,
           number_of_replicas: 0,
           "index.refresh_interval": "5s",
+          // A mistyped property (e.g. revenue sent as a string) is skipped
+          // instead of failing the whole document
+          "index.mapping.ignore_malformed": true,
         },
         mappings: {
+          // String properties are matched and grouped on exact values
+          dynamic_templates: [
+            {
+              property_strings: {
+                path_match: "properties.*",
+                match_mapping_type: "string",
+                mapping: { type: "keyword", ignore_above: 1024 },
+              },
+            },
+          ],
           properties: {
             tenant_id: { type: "keyword" },
             event_type: { type: "keyword" },
             user_id: { type: "keyword" },
+            canonical_user_id: { type: "keyword" },
             session_id: { type: "keyword" },
             timestamp: { type: "date" },
             properties: {
@@ -91,20 +217,23 @@ class OpenSearchService {
    * Index an event
    */
   async indexEvent(tenantId, eventData) {
-    const indexName = this.getEventIndex(tenantId);
+    const timestamp = eventData.timestamp || new Date().toISOString();
+    const indexName = this.getEventIndex(tenantId, timestamp);
 
     const document = {
       tenant_id: tenantId,
       event_type: eventData.event_type || eventData.event,
       user_id: eventData.user_id,
+      canonical_user_id: eventData.canonical_user_id || eventData.user_id,
       session_id: eventData.session_id,
-      timestamp: eventData.timestamp || new Date().toISOString(),
+      timestamp,
       properties: eventData.properties || {},
     };
 
     try {
       const response = await this.client.index({
         index: indexName,
+        id: eventData.id,
         body: document,
       });
       return response.body;
@@ -118,17 +247,23 @@ class OpenSearchService {
    * Bulk index events
    */
   async bulkIndexEvents(tenantId, events) {
-    const indexName = this.getEventIndex(tenantId);
     const body = [];
 
+    // Each event goes to the daily index of its own timestamp
     events.forEach((eventData) => {
-      body.push({ index: { _index: indexName } });
+      const timestamp = eventData.timestamp || new Date().toISOString();
+      const action = { _index: this.getEventIndex(tenantId, timestamp) };
+      // Keyed by event id so re-indexing overwrites. Message ids can be
+      // reused once the dedup window has passed, by a different event.
+      if (eventData.id) action._id = eventData.id;
+      body.push({ index: action });
       body.push({
         tenant_id: tenantId,
         event_type: eventData.event_type || eventData.event,
         user_id: eventData.user_id,
+        canonical_user_id: eventData.canonical_user_id || eventData.user_id,
         session_id: eventData.session_id,
-        timestamp: eventData.timestamp || new Date().toISOString(),
+        timestamp,
         properties: eventData.properties || {},
       });
     });
@@ -146,7 +281,12 @@ class OpenSearchService {
    * Search events with advanced filtering
    */
   async searchEvents(tenantId, query = {}) {
-    const indexName = this.getEventIndex(tenantId);
+    const indexName = this.getSearchIndices(
+      tenantId,
+      query.startDate,
+      query.endDate,
+      query.timeZone
+    );
 
     const searchBody = {
       query: {
@@ -172,13 +312,23 @@ class OpenSearchService {
       });
     }
 
-    if (query.startDate || query.endDate) {
-      const dateRange = {};
-      if (query.startDate) dateRange.gte = query.startDate;
-      if (query.endDate) dateRange.lte = query.endDate;
+    // Every event of a resolved identity
+    if (query.canonicalUserId) {
+      searchBody.query.bool.must.push({
+        term: { canonical_user_id: query.canonicalUserId },
+      });
+    }
+
+    // Users matching a trait filter
+    if (query.userIds) {
+      searchBody.query.bool.must.push({
+        terms: { canonical_user_id: query.userIds },
+      });
+    }
 
+    if (query.startDate || query.endDate) {
       searchBody.query.bool.must.push({
-        range: { timestamp: dateRange },
+        range: { timestamp: this.resolveRange(query) },
       });
     }
 
@@ -192,9 +342,17 @@ class OpenSearchService {
     }
 
     try {
+      const textFields = await this.getTextFields(
+        indexName,
+        collectExactFields(searchBody.query)
+      );
+      searchBody.query = toKeywordFields(searchBody.query, textFields);
+
       const response = await this.client.search({
         index: indexName,
         body: searchBody,
+        ignore_unavailable: true,
+        allow_no_indices: true,
       });
 
       return {
@@ -209,10 +367,26 @@ class OpenSearchService {
   }
 
   /**
-   * Get event analytics/aggregations
+   * Get event analytics/aggregations. Buckets start at local midnight (or
+   * the local hour) in `query.timeZone`; dates are the UTC instants where
+   * they start.
    */
   async getAnalytics(tenantId, query = {}) {
-    const indexName = this.getEventIndex(tenantId);
+    const indexName = this.getSearchIndices(
+      tenantId,
+      query.startDate,
+      query.endDate,
+      query.timeZone
+    );
+
+    const now = new Date();
+    const timeZone = query.timeZone || DEFAULT_TIME_ZONE;
+    const start = query.startDate
+      ? this.resolveDate(query.startDate, now, timeZone)
+      : null;
+    const end = query.endDate
+      ? this.resolveDate(query.endDate, now, timeZone, { end: true })
+      : now;
 
     const searchBody = {
       query: {
@@ -226,7 +400,16 @@ class OpenSearchService {
           date_histogram: {
             field: "timestamp",
             calendar_interval: query.interval || "day",
+            time_zone: timeZone,
             min_doc_count: 0,
+            // Zero-fill the whole range so periods line up bucket for bucket
+            ...(start &&
+              end && {
+                extended_bounds: {
+                  min: start.toISOString(),
+                  max: end.toISOString(),
+                },
+              }),
           },
         },
         top_events: {
@@ -237,7 +420,7 @@ class OpenSearchService {
         },
         unique_users: {
           cardinality: {
-            field: "user_id",
+            field: "canonical_user_id",
           },
         },
       },
@@ -245,12 +428,15 @@ class OpenSearchService {
 
     // Add date range
     if (query.startDate || query.endDate) {
-      const dateRange = {};
-      if (query.startDate) dateRange.gte = query.startDate;
-      if (query.endDate) dateRange.lte = query.endDate;
+      searchBody.query.bool.must.push({
+        range: { timestamp: this.resolveRange(query) },
+      });
+    }
 
+    // Users matching a trait filter
+    if (query.userIds) {
       searchBody.query.bool.must.push({
-        range: { timestamp: dateRange },
+        terms: { canonical_user_id: query.userIds },
       });
     }
 
@@ -258,18 +444,23 @@ class OpenSearchService {
       const response = await this.client.search({
         index: indexName,
         body: searchBody,
+        ignore_unavailable: true,
+        allow_no_indices: true,
       });
 
-      const aggs = response.body.aggregations;
+      // No aggregations come back when none of the daily indices exist yet
+      const aggs = response.body.aggregations || {};
 
       return {
         total_events: response.body.hits.total.value,
-        unique_users: aggs.unique_users.value,
-        events_over_time: aggs.events_over_time.buckets.map((bucket) => ({
-          date: bucket.key_as_string,
-          count: bucket.doc_count,
-        })),
-        top_events: aggs.top_events.buckets.map((bucket) => ({
+        unique_users: aggs.unique_users?.value || 0,
+        events_over_time: (aggs.events_over_time?.buckets || []).map(
+          (bucket) => ({
+            date: new Date(bucket.key).toISOString(),
+            count: bucket.doc_count,
+          })
+        ),
+        top_events: (aggs.top_events?.buckets || []).map((bucket) => ({
           event: bucket.key,
           count: bucket.doc_count,
         })),
@@ -281,69 +472,231 @@ class OpenSearchService {
   }
 
   /**
-   * Get funnel analysis
+   * Run aggregations over a tenant's events in a date range, narrowed by an
+   * extra query clause. Returns { total, aggregations }.
    */
-  async getFunnelAnalysis(tenantId, events, timeWindow = "1d") {
-    const indexName = this.getEventIndex(tenantId);
+  async aggregate(tenantId, { startDate, endDate, filter, aggs }) {
+    const must = [
+      { term: { tenant_id: tenantId } },
+      { range: { timestamp: { gte: startDate, lte: endDate } } },
+    ];
+    if (filter) must.push(filter);
 
-    // Get counts for each event type separately
-    const results = [];
+    const index = this.getSearchIndices(tenantId, startDate, endDate);
+    const body = { query: { bool: { must } }, aggs };
 
     try {
-      for (let i = 0; i < events.length; i++) {
-        const event = events[i];
+      const textFields = await this.getTextFields(
+        index,
+        collectExactFields(body)
+      );
+      const response = await this.client.search({
+        index,
+        body: {
+          ...toKeywordFields(body, textFields),
+          size: 0,
+          track_total_hits: true,
+        },
+        ignore_unavailable: true,
+        allow_no_indices: true,
+      });
 
-        const searchBody = {
+      return {
+        total: response.body.hits.total.value,
+        aggregations: response.body.aggregations || {},
+      };
+    } catch (error) {
+      console.error("OpenSearch aggregation error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Property fields among `fields` that some of the indices map as text
+   * (with a .keyword subfield), as field => { indices, mixed }, where
+   * `indices` are those indices and `mixed` means others map the field
+   * differently. Cached briefly per index list, unless a field is not
+   * mapped yet: it may first appear in an older, text-mapping index.
+   */
+  async getTextFields(index, fields) {
+    const textFields = new Map();
+    if (fields.size === 0) return textFields;
+
+    const key = `${index}|${[...fields].sort().join(",")}`;
+    const cached = this.fieldMappings.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.textFields;
+    }
+
+    const response = await this.client.indices.getFieldMapping({
+      index,
+      fields: [...fields],
+      ignore_unavailable: true,
+      allow_no_indices: true,
+    });
+
+    const types = new Map();
+    Object.entries(response.body).forEach(([indexName, { mappings = {} }]) =>
+      Object.entries(mappings).forEach(([field, { mapping }]) => {
+        if (!types.has(field)) types.set(field, { text: [], other: 0 });
+        const leaf = mapping[field.split(".").pop()];
+        if (leaf?.type === "text" && leaf.fields?.keyword) {
+          types.get(field).text.push(indexName);
+        } else {
+          types.get(field).other++;
+        }
+      })
+    );
+    types.forEach(({ text, other }, field) => {
+      if (text.length > 0) {
+        textFields.set(field, { indices: text, mixed: other > 0 });
+      }
+    });
+
+    if ([...fields].some((field) => !types.has(field))) {
+      return textFields;
+    }
+
+    if (this.fieldMappings.size >= MAX_FIELD_MAPPINGS_CACHED) {
+      this.fieldMappings.clear();
+    }
+    this.fieldMappings.set(key, {
+      textFields,
+      expiresAt: Date.now() + FIELD_MAPPING_TTL_MS,
+    });
+    return textFields;
+  }
+
+  /**
+   * Count a tenant's indexed events per UTC day, keyed by YYYY-MM-DD
+   */
+  async countEventsByDay(tenantId, startDate, endDate) {
+    const searchBody = {
+      query: {
+        bool: {
+          must: [
+            { term: { tenant_id: tenantId } },
+            { range: { timestamp: { gte: startDate, lt: endDate } } },
+          ],
+        },
+      },
+      size: 0,
+      aggs: {
+        per_day: {
+          date_histogram: {
+            field: "timestamp",
+            calendar_interval: "day",
+            format: "yyyy-MM-dd",
+          },
+        },
+      },
+    };
+
+    try {
+      const response = await this.client.search({
+        index: this.getSearchIndices(tenantId, startDate, endDate),
+        body: searchBody,
+        ignore_unavailable: true,
+        allow_no_indices: true,
+      });
+
+      const counts = {};
+      (response.body.aggregations?.per_day?.buckets || []).forEach((bucket) => {
+        counts[bucket.key_as_string] = bucket.doc_count;
+      });
+      return counts;
+    } catch (error) {
+      console.error("OpenSearch count error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tenant's indexed events in [startDate, endDate)
+   */
+  async deleteEventsInRange(tenantId, startDate, endDate) {
+    try {
+      const response = await this.client.deleteByQuery({
+        index: this.getSearchIndices(tenantId, startDate, endDate),
+        body: {
           query: {
             bool: {
               must: [
                 { term: { tenant_id: tenantId } },
-                { term: { event_type: event } },
-                { range: { timestamp: { gte: `now-${timeWindow}` } } },
+                { range: { timestamp: { gte: startDate, lt: endDate } } },
               ],
             },
           },
-          size: 0,
-          aggs: {
-            unique_users: {
-              cardinality: {
-                field: "user_id",
-              },
-            },
-          },
-        };
+        },
+        ignore_unavailable: true,
+        allow_no_indices: true,
+        conflicts: "proceed",
+        refresh: true,
+      });
+      return response.body.deleted;
+    } catch (error) {
+      console.error("OpenSearch range deletion error:", error);
+      throw error;
+    }
+  }
 
-        const response = await this.client.search({
-          index: indexName,
-          body: searchBody,
-        });
+  /**
+   * Index daily rollup rows, one document per tenant, day and event type
+   */
+  async bulkIndexStats(stats) {
+    const body = [];
 
-        const count = response.body.hits.total.value;
-        const uniqueUsers = response.body.aggregations.unique_users.value;
+    stats.forEach((row) => {
+      body.push({
+        index: {
+          _index: this.getStatsIndex(row.date),
+          _id: `${row.tenant_id}:${row.date}:${row.event_type}`,
+        },
+      });
+      body.push({
+        tenant_id: row.tenant_id,
+        date: row.date,
+        event_type: row.event_type,
+        count: Number(row.count),
+        unique_users: Number(row.unique_users),
+        total_revenue: Number(row.total_revenue),
+        avg_duration:
+          row.avg_duration === null ? null : Number(row.avg_duration),
+      });
+    });
 
-        results.push({
-          step: i + 1,
-          event,
-          count,
-          unique_users: uniqueUsers,
-        });
+    try {
+      const response = await this.client.bulk({ body });
+      if (response.body.errors) {
+        throw new Error("Some stats documents failed to index");
       }
+      return response.body;
+    } catch (error) {
+      console.error("OpenSearch stats indexing error:", error);
+      throw error;
+    }
+  }
 
-      // Calculate conversion rates based on first step
-      results.forEach((step, index) => {
-        if (index === 0) {
-          step.conversion_rate = 100;
-        } else {
-          step.conversion_rate =
-            results[0].count > 0
-              ? ((step.count / results[0].count) * 100).toFixed(2)
-              : 0;
-        }
+  /**
+   * Delete every event index and stats document of a tenant
+   */
+  async deleteTenantData(tenantId) {
+    try {
+      await this.client.indices.delete({
+        index: this.getEventIndexPattern(tenantId),
+        ignore_unavailable: true,
+        allow_no_indices: true,
       });
 
-      return { funnel: results };
+      await this.client.deleteByQuery({
+        index: `${this.indexPrefix}-stats-*`,
+        body: { query: { term: { tenant_id: tenantId } } },
+        ignore_unavailable: true,
+        allow_no_indices: true,
+        conflicts: "proceed",
+      });
     } catch (error) {
-      console.error("OpenSearch funnel error:", error);
+      console.error("OpenSearch tenant deletion error:", error);
       throw error;
     }
   }
@@ -362,13 +715,119 @@ class OpenSearchService {
   }
 
   /**
-   * Get index name for tenant events
+   * Get index name for tenant events on the day of the given timestamp
    */
-  getEventIndex(tenantId) {
-    const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
+  getEventIndex(tenantId, timestamp = new Date()) {
+    const date = new Date(timestamp).toISOString().split("T")[0]; // YYYY-MM-DD
     return `${this.indexPrefix}-events-${tenantId}-${date}`;
   }
 
+  /**
+   * Get wildcard pattern covering every daily index of a tenant
+   */
+  getEventIndexPattern(tenantId) {
+    return `${this.indexPrefix}-events-${tenantId}-*`;
+  }
+
+  /**
+   * Get the indices to search for a date range.
+   * Lists the exact daily indices when both bounds resolve to a bounded
+   * window, otherwise falls back to the tenant wildcard. Indices hold UTC
+   * days, so a local day may span two of them.
+   */
+  getSearchIndices(tenantId, startDate, endDate, timeZone) {
+    const now = new Date();
+    const start = startDate ? this.resolveDate(startDate, now, timeZone) : null;
+    const end = endDate
+      ? this.resolveDate(endDate, now, timeZone, { end: true })
+      : now;
+
+    if (!start || !end || start > end) {
+      return this.getEventIndexPattern(tenantId);
+    }
+
+    const firstDay = Date.UTC(
+      start.getUTCFullYear(),
+      start.getUTCMonth(),
+      start.getUTCDate()
+    );
+    const days = Math.floor((end.getTime() - firstDay) / DAY_MS) + 1;
+
+    if (days > MAX_EXPLICIT_INDICES) {
+      return this.getEventIndexPattern(tenantId);
+    }
+
+    const indices = [];
+    for (let i = 0; i < days; i++) {
+      indices.push(this.getEventIndex(tenantId, firstDay + i * DAY_MS));
+    }
+    return indices.join(",");
+  }
+
+  /**
+   * Resolve an absolute date or simple date math ("now", "now-7d", "now-24h/d")
+   * to a Date. Rounding follows `timeZone`: "now/d" is the last local
+   * midnight and "now/w" the start of the local week (Monday). A calendar
+   * date ("2025-01-31") is a local day too: its midnight, or its last
+   * millisecond with `end` so the range includes the whole day. Returns
+   * null when the value cannot be resolved.
+   */
+  resolveDate(
+    value,
+    now = new Date(),
+    timeZone = DEFAULT_TIME_ZONE,
+    { end = false } = {}
+  ) {
+    const match = /^now(?:([+-])(\d+)([smhdw]))?(?:\/([smhdw]))?$/.exec(value);
+
+    if (match) {
+      const [, sign, amount, unit, rounding] = match;
+      let time = now.getTime();
+      if (sign) {
+        const offset = parseInt(amount) * DATE_MATH_UNITS[unit];
+        time += sign === "-" ? -offset : offset;
+      }
+      if (rounding === "d") {
+        time = startOfDay(time, timeZone);
+      } else if (rounding === "w") {
+        time = startOfWeek(time, timeZone);
+      } else if (rounding) {
+        const local = time + timeZoneOffset(time, timeZone);
+        time -= local % DATE_MATH_UNITS[rounding];
+      }
+      return new Date(time);
+    }
+
+    if (CALENDAR_DATE_PATTERN.test(value) && !isNaN(Date.parse(value))) {
+      return new Date(
+        end
+          ? startOfLocalDay(addDays(value, 1), timeZone) - 1
+          : startOfLocalDay(value, timeZone)
+      );
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Range query bounds for `query.startDate` and `query.endDate`, resolved
+   * like the indices searched (see getSearchIndices). Values that do not
+   * resolve are passed on for OpenSearch to reject.
+   */
+  resolveRange({ startDate, endDate, timeZone }) {
+    const now = new Date();
+    const bound = (value, options) => {
+      const date = this.resolveDate(value, now, timeZone, options);
+      return date ? date.toISOString() : value;
+    };
+
+    const range = {};
+    if (startDate) range.gte = bound(startDate);
+    if (endDate) range.lte = bound(endDate, { end: true });
+    return range;
+  }
+
   /**
    * Get stats index name
    */
@@ -0,0 +1,246 @@
+const BASE_BACKOFF_SECONDS = 2;
+const MAX_BACKOFF_SECONDS = 300;
+
+// Claimed rows are hidden from other workers this long, well past the
+// OpenSearch request timeout
+const LEASE_SECONDS = 5 * 60;
+
+class OutboxWorker {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.opensearch = options.opensearch;
+    this.onIndexed = options.onIndexed || (() => {});
+    this.batchSize = options.batchSize || 500;
+    this.pollInterval = options.pollInterval || 1000;
+
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+    this.stopped = true;
+  }
+
+  /**
+   * Queue committed events for indexing. Use inside the transaction that
+   * inserted or changed them so the outbox rows commit atomically with the
+   * events. Events already queued get their version bumped: a worker
+   * indexing them right now read them before the change, so it leaves the
+   * row for another pass instead of deleting it.
+   */
+  static async enqueue(db, eventIds, { broadcast = true } = {}) {
+    if (eventIds.length === 0) return;
+
+    await db.query(
+      `INSERT INTO event_outbox (event_id, broadcast)
+       SELECT unnest($1::uuid[]), $2
+       ON CONFLICT (event_id) DO UPDATE SET version = event_outbox.version + 1`,
+      [eventIds, broadcast]
+    );
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling. An in-flight batch still completes.
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Process the outbox now instead of waiting for the next poll
+   */
+  wake() {
+    if (this.stopped) return;
+
+    if (this.running) {
+      this.rerun = true;
+    } else {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.running = true;
+
+    try {
+      let processed;
+      do {
+        this.rerun = false;
+        ({ processed } = await this.runOnce());
+      } while (!this.stopped && (processed === this.batchSize || this.rerun));
+    } catch (error) {
+      console.error("Outbox worker error:", error);
+    } finally {
+      this.running = false;
+      if (!this.stopped) this.schedule(this.pollInterval);
+    }
+  }
+
+  /**
+   * Index one batch of due outbox entries.
+   *
+   * Rows are claimed with SKIP LOCKED and leased by pushing their
+   * next_attempt_at out, so several workers can share the outbox. No
+   * transaction or connection is held while OpenSearch is indexing; the
+   * outcomes are written together afterwards.
+   */
+  async runOnce() {
+    const rows = await this.claim();
+
+    if (rows.length === 0) {
+      return { processed: 0, indexed: 0, failed: 0 };
+    }
+
+    const byTenant = new Map();
+    rows.forEach((row) => {
+      if (!byTenant.has(row.tenant_id)) byTenant.set(row.tenant_id, []);
+      byTenant.get(row.tenant_id).push(row);
+    });
+
+    const delivered = [];
+    const failures = [];
+
+    for (const [tenantId, rows] of byTenant) {
+      try {
+        const response = await this.opensearch.bulkIndexEvents(tenantId, rows);
+
+        response.items.forEach((item, index) => {
+          const error = item.index?.error;
+          if (error) {
+            failures.push({
+              id: rows[index].outbox_id,
+              error: `${error.type}: ${error.reason}`,
+            });
+          } else {
+            delivered.push(rows[index]);
+          }
+        });
+      } catch (error) {
+        rows.forEach((row) =>
+          failures.push({ id: row.outbox_id, error: error.message })
+        );
+      }
+    }
+
+    await this.record({ delivered, failures });
+
+    // Broadcast only once the outbox rows are gone for good
+    delivered
+      .filter((row) => row.broadcast)
+      .forEach((row) =>
+        this.onIndexed(row.tenant_id, {
+          id: row.id,
+          event_type: row.event_type,
+          properties: row.properties,
+          user_id: row.user_id,
+          canonical_user_id: row.canonical_user_id,
+          session_id: row.session_id,
+          timestamp: row.timestamp,
+        })
+      );
+
+    return {
+      processed: delivered.length + failures.length,
+      indexed: delivered.length,
+      failed: failures.length,
+    };
+  }
+
+  /**
+   * Claim up to a batch of due rows with their events in one statement,
+   * leasing them for LEASE_SECONDS
+   */
+  async claim() {
+    const result = await this.pool.query(
+      `UPDATE event_outbox q SET
+         next_attempt_at = NOW() + make_interval(secs => $2)
+       FROM (
+         SELECT o.id AS outbox_id, o.version AS outbox_version, o.broadcast,
+                e.id, e.tenant_id,
+                e.event_type, e.properties, e.user_id, e.canonical_user_id,
+                e.session_id, e.message_id, e.timestamp
+         FROM event_outbox o
+         JOIN events e ON e.id = o.event_id
+         WHERE o.next_attempt_at <= NOW()
+         ORDER BY o.id
+         LIMIT $1
+         FOR UPDATE OF o SKIP LOCKED
+       ) due
+       WHERE q.id = due.outbox_id
+       RETURNING due.*`,
+      [this.batchSize, LEASE_SECONDS]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Delete the indexed rows and schedule retries of the failed ones in one
+   * transaction. Indexed rows queued again since they were claimed are
+   * released for an immediate re-index instead; their event was already
+   * broadcast.
+   */
+  async record({ delivered, failures }) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      if (delivered.length > 0) {
+        const ids = delivered.map((row) => row.outbox_id);
+
+        await client.query(
+          `DELETE FROM event_outbox o
+           USING unnest($1::bigint[], $2::int[]) AS d(id, version)
+           WHERE o.id = d.id AND o.version = d.version`,
+          [ids, delivered.map((row) => row.outbox_version)]
+        );
+        await client.query(
+          `UPDATE event_outbox SET next_attempt_at = NOW(), broadcast = FALSE
+           WHERE id = ANY($1)`,
+          [ids]
+        );
+      }
+
+      if (failures.length > 0) {
+        await client.query(
+          `UPDATE event_outbox o SET
+             attempts = o.attempts + 1,
+             last_error = f.error,
+             next_attempt_at = NOW() + make_interval(
+               secs => LEAST($3, $4 * POWER(2, o.attempts))
+             )
+           FROM unnest($1::bigint[], $2::text[]) AS f(id, error)
+           WHERE o.id = f.id`,
+          [
+            failures.map((f) => f.id),
+            failures.map((f) => f.error),
+            MAX_BACKOFF_SECONDS,
+            BASE_BACKOFF_SECONDS,
+          ]
+        );
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = OutboxWorker;
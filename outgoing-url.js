@@ -0,0 +1,98 @@
+// Checks for URLs the server POSTs to on a tenant's behalf (webhook
+// destinations, alert notifications). They must not reach the server's own
+// network: loopback, private, link-local (cloud metadata) and other reserved
+// addresses are refused by name when the URL is saved, and again after DNS
+// resolution right before each request. Set ALLOW_PRIVATE_URLS=true to send
+// to local receivers during development.
+const dns = require("dns").promises;
+const net = require("net");
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+const BLOCKED_HOSTS = ["localhost", "metadata", "metadata.google.internal"];
+const BLOCKED_SUFFIXES = [".localhost", ".local", ".internal"];
+
+const allowPrivate = () => process.env.ALLOW_PRIVATE_URLS === "true";
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+const isBlockedAddress = (address) =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Host name of a parsed URL, without the brackets of IPv6 literals
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+const isBlockedHost = (host) => {
+  if (net.isIP(host)) return isBlockedAddress(host);
+
+  const name = host.toLowerCase().replace(/\.$/, "");
+  return (
+    BLOCKED_HOSTS.includes(name) ||
+    BLOCKED_SUFFIXES.some((suffix) => name.endsWith(suffix))
+  );
+};
+
+/**
+ * Validate a URL the server will POST to. Returns an error message or null.
+ */
+const validateOutgoingUrl = (value, name = "url") => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return `${name} must be an http(s) URL`;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return `${name} must be an http(s) URL`;
+  }
+  if (!allowPrivate() && isBlockedHost(hostOf(url))) {
+    return `${name} must not point to a local or private address`;
+  }
+  return null;
+};
+
+/**
+ * Resolve the host of an outgoing URL and throw unless every address it
+ * resolves to is public. Call right before sending; redirects must not be
+ * followed.
+ */
+const assertPublicUrl = async (value) => {
+  if (allowPrivate()) return;
+
+  const host = hostOf(new URL(value));
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true, verbatim: true })).map(
+        (entry) => entry.address
+      );
+
+  if (isBlockedHost(host) || addresses.some(isBlockedAddress)) {
+    throw new Error(`${host} resolves to a local or private address`);
+  }
+};
+
+module.exports = { validateOutgoingUrl, assertPublicUrl };
@@ -0,0 +1,30 @@
+// Limits per billing plan. Rates are per minute (ingestion counts events,
+// queries count requests, embedded dashboards count rendered panels);
+// monthly quotas count stored events per UTC calendar month. A null quota
+// means unlimited.
+const PLANS = {
+  free: {
+    ingestPerMinute: 6000,
+    queryPerMinute: 60,
+    embedPanelsPerMinute: 300,
+    monthlyEvents: { soft: 800000, hard: 1000000 },
+  },
+  pro: {
+    ingestPerMinute: 60000,
+    queryPerMinute: 600,
+    embedPanelsPerMinute: 3000,
+    monthlyEvents: { soft: 40000000, hard: 50000000 },
+  },
+  enterprise: {
+    ingestPerMinute: 600000,
+    queryPerMinute: 3000,
+    embedPanelsPerMinute: 15000,
+    monthlyEvents: null,
+  },
+};
+
+const DEFAULT_PLAN = "free";
+
+const getPlan = (name) => PLANS[name] || PLANS[DEFAULT_PLAN];
+
+module.exports = { PLANS, DEFAULT_PLAN, getPlan };
@@ -0,0 +1,319 @@
+const { isPropertyPath, toPathArray } = require("./property-path");
+const { isPlainObject } = require("./util");
+
+const IDENTIFY_EVENT = "user_identify";
+
+// OpenSearch rejects terms queries with more values than this by default
+const MAX_FILTER_USERS = 65536;
+
+// Folds an incoming profile row into an existing one; newer traits win
+const MERGE_ON_CONFLICT = `
+  ON CONFLICT (tenant_id, user_id) DO UPDATE SET
+    traits = CASE
+      WHEN EXCLUDED.traits_updated_at IS NULL THEN user_profiles.traits
+      WHEN user_profiles.traits_updated_at IS NULL
+        OR EXCLUDED.traits_updated_at >= user_profiles.traits_updated_at
+        THEN user_profiles.traits || EXCLUDED.traits
+      ELSE EXCLUDED.traits || user_profiles.traits
+    END,
+    traits_updated_at = GREATEST(user_profiles.traits_updated_at,
+                                 EXCLUDED.traits_updated_at),
+    first_seen = LEAST(user_profiles.first_seen, EXCLUDED.first_seen),
+    last_seen = GREATEST(user_profiles.last_seen, EXCLUDED.last_seen),
+    event_count = user_profiles.event_count + EXCLUDED.event_count,
+    updated_at = NOW()`;
+
+const RANGE_OPERATORS = { gt: ">", gte: ">=", lt: "<", lte: "<=" };
+
+const PROFILE_COLUMNS =
+  "user_id, traits, first_seen, last_seen, event_count, traits_updated_at";
+
+class ProfileService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Parse `trait.<name>=<value>` query parameters into { name: value }.
+   * Returns { traits } or { error }.
+   */
+  static parseTraitFilters(query) {
+    const traits = {};
+
+    for (const [key, value] of Object.entries(query)) {
+      if (!key.startsWith("trait.")) continue;
+
+      const name = key.slice("trait.".length);
+      if (!isPropertyPath(name) || typeof value !== "string") {
+        return { error: `Invalid trait filter: ${key}` };
+      }
+      traits[name] = value;
+    }
+
+    return { traits };
+  }
+
+  /**
+   * Traits carried by an identify event. The SDK sends them under
+   * `properties.traits` and also flattened into the properties.
+   */
+  static getTraits(properties) {
+    const { traits } = properties;
+    if (isPlainObject(traits)) {
+      return traits;
+    }
+
+    const { userId, ...flattened } = properties;
+    return flattened;
+  }
+
+  /**
+   * Fold stored events into their users' profiles: first/last seen, event
+   * count and, for identify calls, traits. Later identifies win per trait.
+   * Call inside the ingestion transaction.
+   */
+  async recordEvents(db, tenantId, events) {
+    const users = new Map();
+
+    events.forEach((event) => {
+      if (!event.user_id) return;
+
+      const time = new Date(event.timestamp);
+      let user = users.get(event.user_id);
+      if (!user) {
+        user = {
+          firstSeen: time,
+          lastSeen: time,
+          count: 0,
+          identifies: [],
+        };
+        users.set(event.user_id, user);
+      }
+
+      user.count++;
+      if (time < user.firstSeen) user.firstSeen = time;
+      if (time > user.lastSeen) user.lastSeen = time;
+
+      if (event.event_type === IDENTIFY_EVENT) {
+        user.identifies.push({
+          time,
+          traits: ProfileService.getTraits(event.properties),
+        });
+      }
+    });
+
+    if (users.size === 0) return;
+
+    // Sorted so concurrent batches lock profile rows in the same order
+    const rows = [...users.entries()].sort(([a], [b]) => (a < b ? -1 : 1));
+
+    const traits = rows.map(([, user]) => {
+      if (user.identifies.length === 0) return null;
+      const merged = {};
+      user.identifies
+        .sort((a, b) => a.time - b.time)
+        .forEach((identify) => Object.assign(merged, identify.traits));
+      return JSON.stringify(merged);
+    });
+
+    const traitsUpdatedAt = rows.map(([, user]) =>
+      user.identifies.length === 0
+        ? null
+        : new Date(Math.max(...user.identifies.map((i) => i.time)))
+    );
+
+    await db.query(
+      `INSERT INTO user_profiles (tenant_id, user_id, traits, first_seen,
+                                 last_seen, event_count, traits_updated_at)
+       SELECT $1, input.user_id, COALESCE(input.traits::jsonb, '{}'),
+              input.first_seen, input.last_seen, input.event_count,
+              input.traits_updated_at
+       FROM unnest($2::varchar[], $3::text[], $4::timestamptz[],
+                   $5::timestamptz[], $6::int[], $7::timestamptz[])
+         AS input(user_id, traits, first_seen, last_seen, event_count,
+                  traits_updated_at)
+       ${MERGE_ON_CONFLICT}`,
+      [
+        tenantId,
+        rows.map(([userId]) => userId),
+        traits,
+        rows.map(([, user]) => user.firstSeen),
+        rows.map(([, user]) => user.lastSeen),
+        rows.map(([, user]) => user.count),
+        traitsUpdatedAt,
+      ]
+    );
+  }
+
+  /**
+   * Fold one user's profile into another's after an identity merge.
+   * Call inside the merge transaction.
+   */
+  async mergeProfiles(db, tenantId, fromUserId, toUserId) {
+    await db.query(
+      `WITH removed AS (
+         DELETE FROM user_profiles WHERE tenant_id = $1 AND user_id = $2
+         RETURNING traits, first_seen, last_seen, event_count, traits_updated_at
+       )
+       INSERT INTO user_profiles (tenant_id, user_id, traits, first_seen,
+                                  last_seen, event_count, traits_updated_at)
+       SELECT $1, $3, traits, first_seen, last_seen, event_count,
+              traits_updated_at
+       FROM removed
+       ${MERGE_ON_CONFLICT}`,
+      [tenantId, fromUserId, toUserId]
+    );
+  }
+
+  /**
+   * Get a profile with per-event-type counts, or null
+   */
+  async getProfile(tenantId, userId) {
+    const result = await this.pool.query(
+      `SELECT ${PROFILE_COLUMNS} FROM user_profiles
+       WHERE tenant_id = $1 AND user_id = $2`,
+      [tenantId, userId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const counts = await this.pool.query(
+      `SELECT event_type, COUNT(*)::int AS count FROM events
+       WHERE tenant_id = $1 AND canonical_user_id = $2
+       GROUP BY event_type ORDER BY count DESC`,
+      [tenantId, userId]
+    );
+
+    return {
+      ...result.rows[0],
+      event_count: Number(result.rows[0].event_count),
+      event_counts: Object.fromEntries(
+        counts.rows.map((row) => [row.event_type, row.count])
+      ),
+    };
+  }
+
+  /**
+   * List profiles, most recently seen first, optionally filtered by traits
+   * ({ name: value }, compared as text)
+   */
+  async listProfiles(tenantId, { traits = {}, limit = 50, offset = 0 }) {
+    const { clause, params } = this.buildTraitClause(traits, 2);
+
+    const result = await this.pool.query(
+      `SELECT ${PROFILE_COLUMNS}, COUNT(*) OVER () AS total
+       FROM user_profiles
+       WHERE tenant_id = $1 ${clause}
+       ORDER BY last_seen DESC
+       LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+      [tenantId, ...params, limit, offset]
+    );
+
+    return {
+      users: result.rows.map(({ total, ...row }) => ({
+        ...row,
+        event_count: Number(row.event_count),
+      })),
+      total: result.rows.length > 0 ? Number(result.rows[0].total) : 0,
+    };
+  }
+
+  /**
+   * Ids of the users matching every trait, for filtering event queries.
+   * Returns null when more users match than a query can filter on.
+   */
+  async findUserIds(tenantId, traits) {
+    return this.findUserIdsMatching(
+      tenantId,
+      ProfileService.toConditions(traits)
+    );
+  }
+
+  /**
+   * Ids of the users matching every { trait, op, value } condition (see
+   * buildConditionClause), or null when too many match.
+   */
+  async findUserIdsMatching(tenantId, conditions) {
+    const { clause, params } = this.buildConditionClause(conditions, 2);
+
+    const result = await this.pool.query(
+      `SELECT user_id FROM user_profiles
+       WHERE tenant_id = $1 ${clause}
+       LIMIT $${params.length + 2}`,
+      [tenantId, ...params, MAX_FILTER_USERS + 1]
+    );
+
+    if (result.rows.length > MAX_FILTER_USERS) return null;
+    return result.rows.map((row) => row.user_id);
+  }
+
+  // { name: value } trait filters as equality conditions
+  static toConditions(traits) {
+    return Object.entries(traits).map(([trait, value]) => ({
+      trait,
+      op: "eq",
+      value,
+    }));
+  }
+
+  buildTraitClause(traits, firstParam) {
+    return this.buildConditionClause(
+      ProfileService.toConditions(traits),
+      firstParam
+    );
+  }
+
+  /**
+   * AND-ed SQL conditions on traits. Supported ops: eq and in (compared as
+   * text), range ({ gt, gte, lt, lte }; numbers compare numerically, strings
+   * as text), exists and contains (case-insensitive substring).
+   */
+  buildConditionClause(conditions, firstParam) {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${firstParam + params.length - 1}`;
+    };
+
+    const clauses = conditions.map(({ trait, op, value }) => {
+      const path = param(toPathArray(trait));
+
+      switch (op) {
+        case "eq":
+          return `AND traits #>> ${path}::text[] = ${param(String(value))}`;
+        case "in":
+          return `AND traits #>> ${path}::text[] = ANY(${param(
+            value.map(String)
+          )}::text[])`;
+        case "exists":
+          return `AND traits #> ${path}::text[] IS NOT NULL`;
+        case "contains":
+          return `AND traits #>> ${path}::text[] ILIKE ${param(
+            `%${String(value).replace(/[\\%_]/g, "\\$&")}%`
+          )}`;
+        case "range":
+          return Object.entries(value)
+            .map(([bound, limit]) => {
+              const operator = RANGE_OPERATORS[bound];
+              return typeof limit === "number"
+                ? `AND (CASE WHEN jsonb_typeof(traits #> ${path}::text[]) = 'number'
+                        THEN (traits #>> ${path}::text[])::numeric END)
+                      ${operator} ${param(limit)}::numeric`
+                : `AND traits #>> ${path}::text[] ${operator} ${param(
+                    String(limit)
+                  )}`;
+            })
+            .join(" ");
+        default:
+          throw new Error(`Unsupported trait condition: ${op}`);
+      }
+    });
+
+    return { clause: clauses.join(" "), params };
+  }
+}
+
+ProfileService.IDENTIFY_EVENT = IDENTIFY_EVENT;
+ProfileService.MAX_FILTER_USERS = MAX_FILTER_USERS;
+
+module.exports = ProfileService;
@@ -0,0 +1,10 @@
+// Dotted paths into event properties, e.g. "plan" or "utm.source"
+const PROPERTY_PATTERN = /^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/;
+
+const isPropertyPath = (value) =>
+  typeof value === "string" && PROPERTY_PATTERN.test(value);
+
+// Path array for Postgres' #> / #>> operators
+const toPathArray = (value) => (value ? value.split(".") : null);
+
+module.exports = { isPropertyPath, toPathArray };
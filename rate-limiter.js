@@ -0,0 +1,218 @@
+const { DAY_MS } = require("./util");
+
+// Checks every counter first and only increments when all have room, so a
+// rejected request does not use up budget.
+// KEYS: counters, ARGV[1]: cost, ARGV[2]: ttl ms, ARGV[3..]: limit per key
+const CONSUME_SCRIPT = `
+local cost = tonumber(ARGV[1])
+for i, key in ipairs(KEYS) do
+  local current = tonumber(redis.call("GET", key) or "0")
+  if current + cost > tonumber(ARGV[i + 2]) then
+    return {0, i, current}
+  end
+end
+local result = {1}
+for i, key in ipairs(KEYS) do
+  local current = redis.call("INCRBY", key, cost)
+  if current == cost then
+    redis.call("PEXPIRE", key, ARGV[2])
+  end
+  result[i + 1] = current
+end
+return result
+`;
+
+// Adds `cost` to a monthly usage counter unless that would pass the hard
+// quota. ARGV[4] is the usage recorded in the ledger when it was read; the
+// counter is raised to it. Without it a missing counter returns {-1}, so it
+// is never rebuilt from zero.
+// KEYS[1]: counter, ARGV[1]: cost, ARGV[2]: hard quota, ARGV[3]: ttl ms
+const RESERVE_QUOTA_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if ARGV[4] ~= "" then
+  current = math.max(tonumber(current or "0"), tonumber(ARGV[4]))
+elseif not current then
+  return {-1}
+else
+  current = tonumber(current)
+end
+local cost = tonumber(ARGV[1])
+if current + cost > tonumber(ARGV[2]) then
+  redis.call("SET", KEYS[1], current, "PX", ARGV[3])
+  return {0, current}
+end
+redis.call("SET", KEYS[1], current + cost, "PX", ARGV[3])
+return {1, current + cost}
+`;
+
+// Quota counters catch up with the usage ledger this often, so events
+// stored while Redis was unavailable count again once it is back
+const QUOTA_SYNC_MS = 60 * 1000;
+const QUOTA_TTL_MS = 40 * DAY_MS;
+
+class RateLimiter {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.metering = options.metering;
+    this.windowMs = options.windowMs || 60 * 1000;
+  }
+
+  /**
+   * Whether Redis can be used. Limits fail open while it is unavailable.
+   */
+  isAvailable() {
+    return Boolean(this.redis && this.redis.isReady);
+  }
+
+  /**
+   * Consume `cost` from every counter in a fixed window.
+   * `counters` is a list of { id, limit }.
+   * Returns { allowed, limit, remaining, resetMs } for the tightest counter,
+   * or null when Redis is unavailable.
+   */
+  async consume(bucket, counters, cost = 1) {
+    if (!this.isAvailable()) return null;
+
+    const now = Date.now();
+    const windowStart = now - (now % this.windowMs);
+    const resetMs = windowStart + this.windowMs - now;
+
+    try {
+      const reply = await this.redis.eval(CONSUME_SCRIPT, {
+        keys: counters.map(
+          (counter) => `ratelimit:${bucket}:${counter.id}:${windowStart}`
+        ),
+        arguments: [
+          String(cost),
+          String(this.windowMs * 2),
+          ...counters.map((counter) => String(counter.limit)),
+        ],
+      });
+
+      if (reply[0] === 0) {
+        const counter = counters[reply[1] - 1];
+        return {
+          allowed: false,
+          limit: counter.limit,
+          remaining: Math.max(counter.limit - reply[2], 0),
+          resetMs,
+        };
+      }
+
+      // Report the counter with the least room left
+      let tightest = null;
+      counters.forEach((counter, index) => {
+        const remaining = counter.limit - reply[index + 1];
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { limit: counter.limit, remaining };
+        }
+      });
+
+      return { allowed: true, ...tightest, resetMs };
+    } catch (error) {
+      console.error("Rate limit error:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reserve `cost` events of the tenant's monthly quota. The check and the
+   * increment are one step, so concurrent requests can't pass the hard
+   * quota together; settle the reservation with `settleQuota` once the
+   * events are stored. While Redis is unavailable usage is read from the
+   * ledger instead and nothing is reserved.
+   * Returns { allowed, softExceeded, usage, soft, hard, resetMs, reserved }
+   * or null when the tenant has no quota.
+   */
+  async reserveQuota(tenantId, quota, cost = 1) {
+    if (!quota) return null;
+
+    const now = new Date();
+    const result = (allowed, usage, reserved) => ({
+      allowed,
+      softExceeded: usage + cost > quota.soft,
+      usage,
+      soft: quota.soft,
+      hard: quota.hard,
+      resetMs: this.getMonthEnd(now) - now.getTime(),
+      reserved,
+    });
+
+    if (this.isAvailable()) {
+      const key = this.getQuotaKey(tenantId, now);
+
+      const reserve = (recorded) =>
+        this.redis.eval(RESERVE_QUOTA_SCRIPT, {
+          keys: [key],
+          arguments: [
+            String(cost),
+            String(quota.hard),
+            String(QUOTA_TTL_MS),
+            recorded === null ? "" : String(recorded),
+          ],
+        });
+
+      try {
+        const syncDue = await this.redis.set(`${key}:synced`, "1", {
+          NX: true,
+          PX: QUOTA_SYNC_MS,
+        });
+        let reply = await reserve(
+          syncDue ? await this.getRecordedUsage(tenantId, now) : null
+        );
+
+        // Redis lost the counter: rebuild it from the ledger
+        if (reply[0] === -1) {
+          reply = await reserve(await this.getRecordedUsage(tenantId, now));
+        }
+
+        const [allowed, current] = reply;
+        return allowed === 1
+          ? result(true, current - cost, cost)
+          : result(false, current, 0);
+      } catch (error) {
+        console.error("Quota check error:", error.message);
+      }
+    }
+
+    const usage = await this.getRecordedUsage(tenantId, now);
+    return result(usage + cost <= quota.hard, usage, 0);
+  }
+
+  /**
+   * Events stored this month according to the usage ledger
+   */
+  getRecordedUsage(tenantId, date) {
+    return this.metering.getAcceptedEvents(tenantId, this.getMonthStart(date));
+  }
+
+  /**
+   * Give back the part of a reservation that was not stored (rejected,
+   * duplicate or quarantined events, or all of them when the request
+   * failed)
+   */
+  async settleQuota(tenantId, reserved, stored) {
+    const unused = reserved - stored;
+    if (unused <= 0 || !this.isAvailable()) return;
+
+    try {
+      await this.redis.decrBy(this.getQuotaKey(tenantId), unused);
+    } catch (error) {
+      console.error("Quota usage error:", error.message);
+    }
+  }
+
+  getQuotaKey(tenantId, date = new Date()) {
+    return `quota:${tenantId}:${date.toISOString().slice(0, 7)}`;
+  }
+
+  getMonthStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  getMonthEnd(date = new Date()) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,174 @@
+// Re-sync OpenSearch with PostgreSQL for a date range.
+//
+// Usage: node reconcile.js [--start YYYY-MM-DD] [--end YYYY-MM-DD]
+//                          [--tenant <id>] [--dry-run]
+//
+// Compares per-day event counts between the two stores. For every UTC day
+// that disagrees, the day's OpenSearch documents are deleted and all of its
+// Postgres events are queued in the outbox for re-indexing (without being
+// broadcast). The API server's outbox worker does the actual indexing.
+
+const { Pool } = require("pg");
+const OpenSearchService = require("./opensearch-service");
+const OutboxWorker = require("./outbox-worker");
+const { DAY_MS } = require("./util");
+require("dotenv").config();
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--start":
+        args.start = argv[++i];
+        break;
+      case "--end":
+        args.end = argv[++i];
+        break;
+      case "--tenant":
+        args.tenant = argv[++i];
+        break;
+      case "--dry-run":
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+};
+
+const toDay = (date) => date.toISOString().split("T")[0];
+
+async function reconcile({ pool, opensearch, start, end, tenant, dryRun }) {
+  const tenantIds = tenant
+    ? [tenant]
+    : (await pool.query("SELECT id FROM tenants ORDER BY created_at")).rows.map(
+        (row) => row.id
+      );
+
+  const summary = [];
+  const rangeStart = new Date(Date.parse(start)).toISOString();
+  const rangeEnd = new Date(Date.parse(end)).toISOString();
+
+  for (const tenantId of tenantIds) {
+    // Events still waiting in the outbox are not expected in OpenSearch yet
+    const pgResult = await pool.query(
+      `SELECT to_char(e.timestamp AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,
+              COUNT(*)::int AS count
+       FROM events e
+       WHERE e.tenant_id = $1 AND e.timestamp >= $2 AND e.timestamp < $3
+         AND NOT EXISTS (SELECT 1 FROM event_outbox o WHERE o.event_id = e.id)
+       GROUP BY 1`,
+      [tenantId, rangeStart, rangeEnd]
+    );
+
+    const pgCounts = {};
+    pgResult.rows.forEach((row) => {
+      pgCounts[row.day] = row.count;
+    });
+
+    const osCounts = await opensearch.countEventsByDay(
+      tenantId,
+      rangeStart,
+      rangeEnd
+    );
+
+    for (let time = Date.parse(start); time < Date.parse(end); time += DAY_MS) {
+      const day = toDay(new Date(time));
+      const postgres = pgCounts[day] || 0;
+      const indexed = osCounts[day] || 0;
+
+      if (postgres === indexed) continue;
+
+      summary.push({ tenantId, day, postgres, opensearch: indexed });
+
+      if (dryRun) continue;
+
+      const dayStart = new Date(time).toISOString();
+      const dayEnd = new Date(time + DAY_MS).toISOString();
+
+      await opensearch.deleteEventsInRange(tenantId, dayStart, dayEnd);
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const events = await client.query(
+          `SELECT id FROM events
+           WHERE tenant_id = $1 AND timestamp >= $2 AND timestamp < $3`,
+          [tenantId, dayStart, dayEnd]
+        );
+        await OutboxWorker.enqueue(
+          client,
+          events.rows.map((row) => row.id),
+          { broadcast: false }
+        );
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  return summary;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = Date.parse(toDay(new Date()));
+  const end = args.end
+    ? toDay(new Date(Date.parse(args.end) + DAY_MS))
+    : toDay(new Date(today + DAY_MS));
+  const start = args.start || toDay(new Date(today - 6 * DAY_MS));
+
+  const pool = new Pool({
+    user: process.env.DB_USER || "postgres",
+    host: process.env.DB_HOST || "localhost",
+    database: process.env.DB_NAME || "analytics",
+    password: process.env.DB_PASSWORD || "password",
+    port: process.env.DB_PORT || 5432,
+  });
+
+  const opensearch = new OpenSearchService({
+    host: process.env.OPENSEARCH_HOST || "localhost",
+    port: process.env.OPENSEARCH_PORT || 9200,
+    indexPrefix: "analytics",
+  });
+
+  try {
+    const summary = await reconcile({
+      pool,
+      opensearch,
+      start,
+      end,
+      tenant: args.tenant,
+      dryRun: args.dryRun,
+    });
+
+    if (summary.length === 0) {
+      console.log(`✅ Stores agree from ${start} to ${end} (exclusive)`);
+    } else {
+      console.table(summary);
+      console.log(
+        args.dryRun
+          ? `${summary.length} day(s) differ (dry run, nothing changed)`
+          : `${summary.length} day(s) queued for re-indexing`
+      );
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Reconcile failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = reconcile;
@@ -0,0 +1,335 @@
+const { isPropertyPath, toPathArray } = require("./property-path");
+const { revenueSql } = require("./currency");
+const { DEFAULT_TIME_ZONE, addDays, startOfLocalDay } = require("./timezone");
+const { comparePeriods, compareValues } = require("./comparison");
+const { round } = require("./util");
+
+const GRANULARITIES = ["day", "week", "month"];
+
+// Periods after the cohort period reported by default
+const DEFAULT_PERIODS = { day: 14, week: 8, month: 6 };
+const MAX_PERIODS = 90;
+
+// Whole periods between the cohort start and a return event, in the time
+// zone bound to $8
+const PERIOD_INDEX = {
+  day: `(date_trunc('day', e.timestamp AT TIME ZONE $8)::date
+         - c.cohort_start::date)`,
+  week: `(date_trunc('week', e.timestamp AT TIME ZONE $8)::date
+          - c.cohort_start::date) / 7`,
+  month: `((EXTRACT(YEAR FROM e.timestamp AT TIME ZONE $8)
+            - EXTRACT(YEAR FROM c.cohort_start)) * 12
+           + EXTRACT(MONTH FROM e.timestamp AT TIME ZONE $8)
+           - EXTRACT(MONTH FROM c.cohort_start))::int`,
+};
+
+// Share of all cohort users retained in each period, over the cohorts whose
+// period has started; null when none has
+const overallRetention = (cohorts, periods) =>
+  Array.from({ length: periods + 1 }, (_, period) => {
+    let users = 0;
+    let size = 0;
+    cohorts.forEach((cohort) => {
+      if (cohort.values[period].users === null) return;
+      users += cohort.values[period].users;
+      size += cohort.size;
+    });
+    return size > 0 ? round((users / size) * 100) : null;
+  });
+
+class RetentionService {
+  constructor(pool, { currency } = {}) {
+    this.pool = pool;
+    this.currency = currency;
+  }
+
+  /**
+   * Validate a retention request. Returns an error message or null.
+   */
+  static validateQuery({
+    cohortEvent,
+    returnEvent,
+    granularity,
+    periods,
+    groupBy,
+    compare,
+  }) {
+    if (!cohortEvent || typeof cohortEvent !== "string") {
+      return "cohort_event is required";
+    }
+    if (!returnEvent || typeof returnEvent !== "string") {
+      return "return_event is required";
+    }
+    if (!GRANULARITIES.includes(granularity)) {
+      return `granularity must be one of: ${GRANULARITIES.join(", ")}`;
+    }
+    if (
+      periods !== undefined &&
+      (!Number.isInteger(periods) || periods < 1 || periods > MAX_PERIODS)
+    ) {
+      return `periods must be between 1 and ${MAX_PERIODS}`;
+    }
+    if (groupBy !== undefined && !isPropertyPath(groupBy)) {
+      return "group_by must be a property name";
+    }
+    if (compare !== undefined && typeof compare !== "boolean") {
+      return "compare must be true or false";
+    }
+    return null;
+  }
+
+  /**
+   * Cohort retention matrix. Users join the cohort of the period of their
+   * first `cohortEvent` in [start, end]; period N counts the cohort's users
+   * with a `returnEvent` N periods later (period 0 is the cohort period,
+   * after joining). Periods are calendar periods in `timeZone`. Cells that
+   * lie in the future are null. With `revenue`, cells also carry the
+   * revenue of those return events and the revenue per cohort user. With
+   * `compare`, adds the previous period and compares the number of cohort
+   * users and the overall retention of each period.
+   */
+  async getRetention(tenantId, query) {
+    if (!query.compare) {
+      return this.getPeriodRetention(tenantId, query);
+    }
+
+    const { current, previous } = await comparePeriods(
+      query.start,
+      query.end,
+      (start, end) =>
+        this.getPeriodRetention(tenantId, { ...query, start, end })
+    );
+
+    const cohortUsers = (result) =>
+      result.cohorts.reduce((sum, cohort) => sum + cohort.size, 0);
+    const previousRetention = overallRetention(
+      previous.cohorts,
+      previous.periods
+    );
+
+    return {
+      ...current,
+      previous_period: previous,
+      comparison: {
+        cohort_users: compareValues(
+          cohortUsers(current),
+          cohortUsers(previous)
+        ),
+        retention: overallRetention(current.cohorts, current.periods).map(
+          (percentage, period) => ({
+            period,
+            // Periods that have not started yet have nothing to compare
+            ...(percentage === null || previousRetention[period] === null
+              ? {
+                  current: percentage,
+                  previous: previousRetention[period],
+                  change: null,
+                  change_rate: null,
+                }
+              : compareValues(percentage, previousRetention[period])),
+          })
+        ),
+      },
+    };
+  }
+
+  async getPeriodRetention(tenantId, query) {
+    const {
+      cohortEvent,
+      returnEvent,
+      granularity,
+      start,
+      end,
+      groupBy,
+      revenue = false,
+      timeZone = DEFAULT_TIME_ZONE,
+    } = query;
+    const periods = query.periods || DEFAULT_PERIODS[granularity];
+
+    const result = await this.pool.query(
+      `WITH cohort AS (
+         SELECT DISTINCT ON (canonical_user_id)
+                canonical_user_id AS user_id, timestamp AS joined_at,
+                date_trunc('${granularity}', timestamp AT TIME ZONE $8) AS cohort_start,
+                properties #>> $6::text[] AS grp
+         FROM events
+         WHERE tenant_id = $1 AND event_type = $2
+           AND canonical_user_id IS NOT NULL
+           AND timestamp >= $4 AND timestamp <= $5
+         ORDER BY canonical_user_id, timestamp
+       ),
+       returns AS (
+         SELECT c.user_id, c.cohort_start, c.grp,
+                ${PERIOD_INDEX[granularity]} AS period,
+                ${
+                  revenue
+                    ? `SUM(${revenueSql(this.currency)})`
+                    : "NULL::numeric"
+                }
+                  AS revenue
+         FROM cohort c
+         JOIN events e
+           ON e.tenant_id = $1 AND e.canonical_user_id = c.user_id
+          AND e.event_type = $3
+          AND e.timestamp >= c.joined_at
+          AND e.timestamp < (c.cohort_start + ($7::int + 1) * INTERVAL '1 ${granularity}')
+                            AT TIME ZONE $8
+         GROUP BY c.user_id, c.cohort_start, c.grp, period
+       ),
+       sizes AS (
+         SELECT cohort_start, grp, COUNT(*)::int AS size
+         FROM cohort GROUP BY cohort_start, grp
+       )
+       SELECT to_char(s.cohort_start, 'YYYY-MM-DD') AS cohort, s.grp, s.size,
+              r.period, COUNT(r.user_id)::int AS users,
+              SUM(r.revenue) AS revenue
+       FROM sizes s
+       LEFT JOIN returns r
+         ON r.cohort_start = s.cohort_start AND r.grp IS NOT DISTINCT FROM s.grp
+       GROUP BY s.cohort_start, s.grp, s.size, r.period`,
+      [
+        tenantId,
+        cohortEvent,
+        returnEvent,
+        start,
+        end,
+        toPathArray(groupBy),
+        periods,
+        timeZone,
+      ]
+    );
+
+    const response = {
+      cohort_event: cohortEvent,
+      return_event: returnEvent,
+      granularity,
+      periods,
+      timezone: timeZone,
+      start_date: start,
+      end_date: end,
+      cohorts: this.buildMatrix(
+        result.rows,
+        granularity,
+        periods,
+        revenue,
+        timeZone
+      ),
+    };
+
+    if (groupBy) {
+      const groups = new Map();
+      result.rows.forEach((row) => {
+        if (!groups.has(row.grp)) groups.set(row.grp, []);
+        groups.get(row.grp).push(row);
+      });
+
+      response.group_by = groupBy;
+      response.groups = [...groups.entries()].map(([value, rows]) => ({
+        value,
+        cohorts: this.buildMatrix(
+          rows,
+          granularity,
+          periods,
+          revenue,
+          timeZone
+        ),
+      }));
+    }
+
+    return response;
+  }
+
+  /**
+   * Turn (cohort, group, size, period, users) rows into one row per cohort
+   * with a cell per period
+   */
+  buildMatrix(
+    rows,
+    granularity,
+    periods,
+    revenue = false,
+    timeZone = DEFAULT_TIME_ZONE
+  ) {
+    const cohorts = new Map();
+
+    rows.forEach((row) => {
+      if (!cohorts.has(row.cohort)) {
+        cohorts.set(row.cohort, {
+          size: 0,
+          groups: new Set(),
+          cells: new Map(),
+          revenues: new Map(),
+        });
+      }
+      const entry = cohorts.get(row.cohort);
+
+      // Rows repeat a group's size once per period
+      if (!entry.groups.has(row.grp)) {
+        entry.groups.add(row.grp);
+        entry.size += row.size;
+      }
+
+      if (row.period !== null && row.period <= periods) {
+        entry.cells.set(
+          row.period,
+          (entry.cells.get(row.period) || 0) + row.users
+        );
+        entry.revenues.set(
+          row.period,
+          (entry.revenues.get(row.period) || 0) + Number(row.revenue || 0)
+        );
+      }
+    });
+
+    const now = Date.now();
+
+    return [...cohorts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([cohort, { size, cells, revenues }]) => {
+        const values = [];
+        for (let period = 0; period <= periods; period++) {
+          const observable =
+            this.periodStart(cohort, granularity, period, timeZone) <= now;
+          const users = observable ? cells.get(period) || 0 : null;
+          const cell = {
+            period,
+            users,
+            percentage:
+              users === null
+                ? null
+                : size > 0
+                ? round((users / size) * 100)
+                : 0,
+          };
+
+          if (revenue) {
+            cell.revenue =
+              users === null ? null : round(revenues.get(period) || 0);
+            cell.revenue_per_user =
+              users === null ? null : size > 0 ? round(cell.revenue / size) : 0;
+          }
+
+          values.push(cell);
+        }
+
+        return { cohort, size, values };
+      });
+  }
+
+  // Instant at which a cohort's period starts, local midnight in `timeZone`
+  periodStart(cohort, granularity, period, timeZone) {
+    if (granularity === "month") {
+      const date = new Date(`${cohort}T00:00:00.000Z`);
+      date.setUTCMonth(date.getUTCMonth() + period);
+      return startOfLocalDay(date.toISOString().split("T")[0], timeZone);
+    }
+    return startOfLocalDay(
+      addDays(cohort, period * (granularity === "week" ? 7 : 1)),
+      timeZone
+    );
+  }
+}
+
+RetentionService.GRANULARITIES = GRANULARITIES;
+
+module.exports = RetentionService;
@@ -0,0 +1,216 @@
+const { isPropertyPath, toPathArray } = require("./property-path");
+const { revenueSql } = require("./currency");
+const { DEFAULT_TIME_ZONE } = require("./timezone");
+const {
+  comparePeriods,
+  compareValues,
+  compareLists,
+  overlaySeries,
+} = require("./comparison");
+const { round } = require("./util");
+
+const INTERVALS = ["day", "week", "month"];
+const MAX_VALUES = 100;
+
+const perUser = (revenue, users) => (users > 0 ? round(revenue / users) : 0);
+
+class RevenueService {
+  constructor(pool, { currency }) {
+    this.pool = pool;
+    this.currency = currency;
+  }
+
+  /**
+   * Validate a revenue request. Returns an error message or null.
+   */
+  static validateQuery({ interval, groupBy, limit, compare }) {
+    if (!INTERVALS.includes(interval)) {
+      return `interval must be one of: ${INTERVALS.join(", ")}`;
+    }
+    if (groupBy !== undefined && !isPropertyPath(groupBy)) {
+      return "group_by must be a property name";
+    }
+    if (
+      limit !== undefined &&
+      (!Number.isInteger(limit) || limit < 1 || limit > MAX_VALUES)
+    ) {
+      return `limit must be between 1 and ${MAX_VALUES}`;
+    }
+    if (compare !== undefined && typeof compare !== "boolean") {
+      return "compare must be true or false";
+    }
+    return null;
+  }
+
+  /**
+   * Revenue in [start, end], converted to the reporting currency: totals,
+   * ARPU (per active user) and ARPPU (per paying user), a zero-filled
+   * series and breakdowns by event type and, optionally, by a property.
+   * Series buckets start at local midnight in `timeZone`. Events in
+   * currencies without a rate are counted as unconverted. With `compare`,
+   * adds the previous period and deltas.
+   */
+  async getRevenue(tenantId, query) {
+    if (!query.compare) {
+      return this.getPeriodRevenue(tenantId, query);
+    }
+
+    const { current, previous } = await comparePeriods(
+      query.start,
+      query.end,
+      (start, end) => this.getPeriodRevenue(tenantId, { ...query, start, end })
+    );
+
+    return {
+      ...current,
+      revenue_over_time: overlaySeries(
+        current.revenue_over_time,
+        previous.revenue_over_time,
+        "revenue"
+      ),
+      previous_period: previous,
+      comparison: {
+        ...Object.fromEntries(
+          [
+            "total_revenue",
+            "transactions",
+            "paying_users",
+            "active_users",
+            "arpu",
+            "arppu",
+          ].map((key) => [key, compareValues(current[key], previous[key])])
+        ),
+        by_event_type: compareLists(
+          current.by_event_type,
+          previous.by_event_type,
+          "event_type",
+          "revenue"
+        ),
+      },
+    };
+  }
+
+  async getPeriodRevenue(
+    tenantId,
+    { start, end, interval, groupBy, limit = 10, timeZone = DEFAULT_TIME_ZONE }
+  ) {
+    const params = [tenantId, start, end];
+    const revenueCte = `revenue AS (
+         SELECT e.event_type, e.canonical_user_id, e.timestamp, e.properties,
+                ${revenueSql(this.currency)} AS amount,
+                jsonb_typeof(e.properties->'revenue') = 'number' AS has_revenue
+         FROM events e
+         WHERE e.tenant_id = $1 AND e.timestamp >= $2 AND e.timestamp <= $3
+       )`;
+
+    const [summary, series, byProperty] = await Promise.all([
+      this.pool.query(
+        `WITH ${revenueCte}
+         SELECT event_type, GROUPING(event_type) = 1 AS overall,
+                COALESCE(SUM(amount), 0) AS revenue,
+                COUNT(amount)::int AS transactions,
+                COUNT(DISTINCT canonical_user_id)
+                  FILTER (WHERE amount > 0)::int AS paying_users,
+                COUNT(DISTINCT canonical_user_id)::int AS active_users,
+                COUNT(*) FILTER (WHERE has_revenue AND amount IS NULL)::int
+                  AS unconverted_events
+         FROM revenue
+         GROUP BY GROUPING SETS ((), (event_type))`,
+        params
+      ),
+      this.pool.query(
+        `WITH ${revenueCte},
+         buckets AS (
+           SELECT generate_series(
+                    date_trunc($4::text, $2::timestamptz AT TIME ZONE $5),
+                    $3::timestamptz AT TIME ZONE $5,
+                    ('1 ' || $4)::interval
+                  ) AS bucket
+         ),
+         totals AS (
+           SELECT date_trunc($4::text, timestamp AT TIME ZONE $5) AS bucket,
+                  SUM(amount) AS revenue, COUNT(amount)::int AS transactions,
+                  COUNT(DISTINCT canonical_user_id)
+                    FILTER (WHERE amount > 0)::int AS paying_users
+           FROM revenue
+           WHERE amount IS NOT NULL
+           GROUP BY 1
+         )
+         SELECT to_char(b.bucket AT TIME ZONE $5 AT TIME ZONE 'UTC',
+                        'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS date,
+                COALESCE(t.revenue, 0) AS revenue,
+                COALESCE(t.transactions, 0) AS transactions,
+                COALESCE(t.paying_users, 0) AS paying_users
+         FROM buckets b
+         LEFT JOIN totals t USING (bucket)
+         ORDER BY b.bucket`,
+        [...params, interval, timeZone]
+      ),
+      groupBy
+        ? this.pool.query(
+            `WITH ${revenueCte}
+             SELECT properties #>> $4::text[] AS value,
+                    SUM(amount) AS revenue, COUNT(amount)::int AS transactions,
+                    COUNT(DISTINCT canonical_user_id)
+                      FILTER (WHERE amount > 0)::int AS paying_users
+             FROM revenue
+             WHERE amount IS NOT NULL
+             GROUP BY 1
+             ORDER BY revenue DESC
+             LIMIT $5`,
+            [...params, toPathArray(groupBy), limit]
+          )
+        : null,
+    ]);
+
+    const overall = summary.rows.find((row) => row.overall);
+    const revenue = round(overall.revenue);
+
+    const response = {
+      currency: this.currency.base,
+      start_date: start,
+      end_date: end,
+      interval,
+      timezone: timeZone,
+      total_revenue: revenue,
+      transactions: overall.transactions,
+      paying_users: overall.paying_users,
+      active_users: overall.active_users,
+      arpu: perUser(revenue, overall.active_users),
+      arppu: perUser(revenue, overall.paying_users),
+      unconverted_events: overall.unconverted_events,
+      revenue_over_time: series.rows.map((row) => ({
+        date: row.date,
+        revenue: round(row.revenue),
+        transactions: row.transactions,
+        paying_users: row.paying_users,
+      })),
+      by_event_type: summary.rows
+        .filter((row) => !row.overall && row.transactions > 0)
+        .map((row) => ({
+          event_type: row.event_type,
+          revenue: round(row.revenue),
+          transactions: row.transactions,
+          paying_users: row.paying_users,
+        }))
+        .sort((a, b) => b.revenue - a.revenue),
+    };
+
+    if (byProperty) {
+      response.by_property = {
+        property: groupBy,
+        values: byProperty.rows.map((row) => ({
+          value: row.value,
+          revenue: round(row.revenue),
+          transactions: row.transactions,
+          paying_users: row.paying_users,
+          arppu: perUser(round(row.revenue), row.paying_users),
+        })),
+      };
+    }
+
+    return response;
+  }
+}
+
+module.exports = RevenueService;
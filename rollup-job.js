@@ -0,0 +1,341 @@
+// Daily stats rollup.
+//
+// The server runs the job on an interval: it recomputes every tenant/day
+// that received events since the last run. Recomputing a day replaces its
+// rows, so runs are idempotent and can overlap safely. Days are calendar
+// days in the tenant's time zone.
+//
+// Backfill: node rollup-job.js --start YYYY-MM-DD --end YYYY-MM-DD [--tenant <id>]
+
+const { Pool } = require("pg");
+const OpenSearchService = require("./opensearch-service");
+const { loadCurrency, revenueSql, currencyHash } = require("./currency");
+const { sketchSql } = require("./user-sketch");
+const { DAY_MS } = require("./util");
+require("dotenv").config();
+
+// Re-read this much before the watermark to catch late-committing inserts
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+// Tenant/day pairs recomputed per transaction
+const CHUNK_SIZE = 100;
+
+const LOCK_KEY = "daily_stats_rollup";
+
+class RollupJob {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.opensearch = options.opensearch;
+    this.currency = options.currency || loadCurrency();
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Run now and then on every interval
+   */
+  start() {
+    const run = () =>
+      this.runOnce().catch((error) => console.error("Rollup error:", error));
+
+    run();
+    this.timer = setInterval(run, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * When the last run started. Events created before it are in the rollups.
+   */
+  static async getWatermark(db) {
+    const result = await db.query(
+      "SELECT watermark FROM rollup_state WHERE name = $1",
+      [LOCK_KEY]
+    );
+    return result.rows[0]?.watermark || null;
+  }
+
+  /**
+   * Roll up every tenant/day touched since the last run, plus days marked
+   * dirty in rollup_dirty_days. Only one instance runs at a time (advisory
+   * lock).
+   */
+  async runOnce() {
+    const client = await this.pool.connect();
+
+    try {
+      const lock = await client.query(
+        "SELECT pg_try_advisory_lock(hashtext($1)) AS locked",
+        [LOCK_KEY]
+      );
+
+      if (!lock.rows[0].locked) {
+        return { skipped: true };
+      }
+
+      try {
+        const state = await client.query(
+          `SELECT NOW() AS now, s.watermark, s.currency_hash
+           FROM (SELECT 1) one
+           LEFT JOIN rollup_state s ON s.name = $1`,
+          [LOCK_KEY]
+        );
+        const { watermark, now } = state.rows[0];
+        const since = watermark
+          ? new Date(watermark.getTime() - WATERMARK_OVERLAP_MS)
+          : new Date(0);
+
+        // Revenue was converted with other rates: rebuild every day
+        const hash = currencyHash(this.currency);
+        if (watermark && state.rows[0].currency_hash !== hash) {
+          await client.query(
+            `INSERT INTO rollup_dirty_days (tenant_id, date)
+             SELECT DISTINCT tenant_id, date FROM daily_stats
+             ON CONFLICT (tenant_id, date) DO UPDATE SET marked_at = NOW()`
+          );
+        }
+
+        const dirty = await client.query(
+          `SELECT DISTINCT e.tenant_id,
+                  to_char(e.timestamp AT TIME ZONE t.timezone, 'YYYY-MM-DD')
+                    AS date
+           FROM events e
+           JOIN tenants t ON t.id = e.tenant_id
+           WHERE e.created_at > $1 AND e.created_at <= $2`,
+          [since, now]
+        );
+
+        // Days whose existing events changed, e.g. through identity merges
+        const marked = await client.query(
+          `SELECT tenant_id, to_char(date, 'YYYY-MM-DD') AS date,
+                  marked_at::text AS marked_at
+           FROM rollup_dirty_days`
+        );
+
+        const pairs = new Map();
+        [...dirty.rows, ...marked.rows].forEach((row) =>
+          pairs.set(`${row.tenant_id}:${row.date}`, row)
+        );
+
+        const days = await this.rollupDays([...pairs.values()]);
+
+        // Rows marked again while we ran keep their new marked_at and stay
+        await client.query(
+          `DELETE FROM rollup_dirty_days d
+           USING unnest($1::uuid[], $2::date[], $3::timestamptz[])
+             AS done(tenant_id, date, marked_at)
+           WHERE d.tenant_id = done.tenant_id AND d.date = done.date
+             AND d.marked_at = done.marked_at`,
+          [
+            marked.rows.map((row) => row.tenant_id),
+            marked.rows.map((row) => row.date),
+            marked.rows.map((row) => row.marked_at),
+          ]
+        );
+
+        await client.query(
+          `INSERT INTO rollup_state (name, watermark, currency_hash)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (name) DO UPDATE SET
+             watermark = EXCLUDED.watermark,
+             currency_hash = EXCLUDED.currency_hash`,
+          [LOCK_KEY, now, hash]
+        );
+
+        return { skipped: false, days };
+      } finally {
+        await client.query("SELECT pg_advisory_unlock(hashtext($1))", [
+          LOCK_KEY,
+        ]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Recompute every tenant/day with events or stats in [start, end]
+   */
+  async backfill({ start, end, tenantId }) {
+    const result = await this.pool.query(
+      `SELECT DISTINCT tenant_id, date FROM (
+         SELECT e.tenant_id,
+                to_char(e.timestamp AT TIME ZONE t.timezone, 'YYYY-MM-DD')
+                  AS date
+         FROM events e
+         JOIN tenants t ON t.id = e.tenant_id
+         -- Padded by a day on each side to cover every UTC offset
+         WHERE e.timestamp >= ($1::date - 1)::timestamp AT TIME ZONE 'UTC'
+           AND e.timestamp < ($2::date + 2)::timestamp AT TIME ZONE 'UTC'
+           AND ($3::uuid IS NULL OR e.tenant_id = $3)
+       ) local
+       WHERE date::date BETWEEN $1::date AND $2::date
+       UNION
+       SELECT tenant_id, to_char(date, 'YYYY-MM-DD')
+       FROM daily_stats
+       WHERE date >= $1::date AND date <= $2::date
+         AND ($3::uuid IS NULL OR tenant_id = $3)`,
+      [start, end, tenantId || null]
+    );
+
+    return this.rollupDays(result.rows);
+  }
+
+  /**
+   * Replace the stats and user sketches of the given { tenant_id, date }
+   * pairs from raw events and mirror the stats into the OpenSearch stats
+   * indices
+   */
+  async rollupDays(pairs) {
+    for (let i = 0; i < pairs.length; i += CHUNK_SIZE) {
+      const chunk = pairs.slice(i, i + CHUNK_SIZE);
+      const tenantIds = chunk.map((pair) => pair.tenant_id);
+      const dates = chunk.map((pair) => pair.date);
+
+      const client = await this.pool.connect();
+      let stats;
+
+      try {
+        await client.query("BEGIN");
+
+        await client.query(
+          `DELETE FROM daily_stats d
+           USING unnest($1::uuid[], $2::date[]) AS dirty(tenant_id, date)
+           WHERE d.tenant_id = dirty.tenant_id AND d.date = dirty.date`,
+          [tenantIds, dates]
+        );
+
+        const inserted = await client.query(
+          `INSERT INTO daily_stats (tenant_id, date, event_type, count,
+                                   unique_users, total_revenue, avg_duration)
+           SELECT e.tenant_id, dirty.date, e.event_type,
+                  COUNT(*),
+                  COUNT(DISTINCT e.canonical_user_id),
+                  COALESCE(SUM(${revenueSql(this.currency)}), 0),
+                  AVG(CASE WHEN jsonb_typeof(e.properties->'duration') = 'number'
+                           THEN (e.properties->>'duration')::double precision END)
+           FROM unnest($1::uuid[], $2::date[]) AS dirty(tenant_id, date)
+           JOIN tenants t ON t.id = dirty.tenant_id
+           JOIN events e
+             ON e.tenant_id = dirty.tenant_id
+            AND e.timestamp >= dirty.date::timestamp AT TIME ZONE t.timezone
+            AND e.timestamp < (dirty.date + 1)::timestamp AT TIME ZONE t.timezone
+           GROUP BY e.tenant_id, dirty.date, e.event_type
+           RETURNING tenant_id, to_char(date, 'YYYY-MM-DD') AS date, event_type,
+                     count, unique_users, total_revenue, avg_duration`,
+          [tenantIds, dates]
+        );
+        stats = inserted.rows;
+
+        await client.query(
+          `DELETE FROM daily_user_sketches d
+           USING unnest($1::uuid[], $2::date[]) AS dirty(tenant_id, date)
+           WHERE d.tenant_id = dirty.tenant_id AND d.date = dirty.date`,
+          [tenantIds, dates]
+        );
+
+        // Days without events get no sketch
+        await client.query(
+          `INSERT INTO daily_user_sketches (tenant_id, date, registers)
+           SELECT dirty.tenant_id, dirty.date, sketch.registers
+           FROM unnest($1::uuid[], $2::date[]) AS dirty(tenant_id, date)
+           JOIN tenants t ON t.id = dirty.tenant_id
+           CROSS JOIN LATERAL (${sketchSql(`
+             SELECT e.canonical_user_id FROM events e
+             WHERE e.tenant_id = dirty.tenant_id
+               AND e.timestamp >= dirty.date::timestamp AT TIME ZONE t.timezone
+               AND e.timestamp < (dirty.date + 1)::timestamp AT TIME ZONE t.timezone`)}
+           ) sketch
+           WHERE EXISTS (
+             SELECT 1 FROM daily_stats s
+             WHERE s.tenant_id = dirty.tenant_id AND s.date = dirty.date
+           )`,
+          [tenantIds, dates]
+        );
+
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      if (this.opensearch && stats.length > 0) {
+        await this.opensearch.bulkIndexStats(stats);
+      }
+    }
+
+    return pairs.length;
+  }
+}
+
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--start":
+        args.start = argv[++i];
+        break;
+      case "--end":
+        args.end = argv[++i];
+        break;
+      case "--tenant":
+        args.tenant = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const today = new Date().toISOString().split("T")[0];
+  const end = args.end || today;
+  const start =
+    args.start ||
+    new Date(Date.parse(end) - 29 * DAY_MS).toISOString().split("T")[0];
+
+  const pool = new Pool({
+    user: process.env.DB_USER || "postgres",
+    host: process.env.DB_HOST || "localhost",
+    database: process.env.DB_NAME || "analytics",
+    password: process.env.DB_PASSWORD || "password",
+    port: process.env.DB_PORT || 5432,
+  });
+
+  const opensearch = new OpenSearchService({
+    host: process.env.OPENSEARCH_HOST || "localhost",
+    port: process.env.OPENSEARCH_PORT || 9200,
+    indexPrefix: "analytics",
+  });
+
+  try {
+    const currency = loadCurrency(
+      process.env.CURRENCY_RATES,
+      process.env.REVENUE_CURRENCY
+    );
+    const job = new RollupJob(pool, { opensearch, currency });
+    const days = await job.backfill({ start, end, tenantId: args.tenant });
+    console.log(`✅ Rolled up ${days} tenant-day(s) from ${start} to ${end}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Rollup failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = RollupJob;
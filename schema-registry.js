@@ -0,0 +1,340 @@
+const { isPlainObject } = require("./util");
+
+const SCHEMA_MODES = ["reject", "warn", "quarantine"];
+
+const PROPERTY_TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: isPlainObject,
+  array: (value) => Array.isArray(value),
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Unexpected properties named in a violation message
+const MAX_LISTED_PROPERTIES = 10;
+
+class SchemaRegistry {
+  constructor(pool) {
+    this.pool = pool;
+    this.cache = new Map();
+  }
+
+  /**
+   * Validate a definition payload, returning an error message or null
+   */
+  static validateDefinition(definition) {
+    const { properties = {}, additionalProperties = true } = definition || {};
+
+    if (!isPlainObject(properties)) {
+      return "Properties must be an object of property schemas";
+    }
+
+    if (typeof additionalProperties !== "boolean") {
+      return "additionalProperties must be a boolean";
+    }
+
+    for (const [name, schema] of Object.entries(properties)) {
+      if (!schema || !PROPERTY_TYPES[schema.type]) {
+        return `Property '${name}' needs a type: ${Object.keys(
+          PROPERTY_TYPES
+        ).join(", ")}`;
+      }
+      if (
+        schema.required !== undefined &&
+        typeof schema.required !== "boolean"
+      ) {
+        return `Property '${name}' required flag must be a boolean`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an event against a tenant's definitions.
+   * Returns a list of { reason, message } violations (empty when valid).
+   */
+  static validateEvent(definitions, eventType, properties) {
+    const definition = definitions.get(eventType);
+
+    if (!definition) {
+      return [
+        {
+          reason: "unknown_event",
+          message: `Event '${eventType}' is not registered`,
+        },
+      ];
+    }
+
+    const violations = [];
+    const schemas = definition.properties || {};
+
+    Object.entries(schemas).forEach(([name, schema]) => {
+      const value = properties[name];
+
+      if (value === undefined || value === null) {
+        if (schema.required) {
+          violations.push({
+            reason: `missing_required:${name}`,
+            message: `Required property '${name}' is missing`,
+          });
+        }
+        return;
+      }
+
+      if (!PROPERTY_TYPES[schema.type](value)) {
+        violations.push({
+          reason: `type_mismatch:${name}`,
+          message: `Property '${name}' must be of type ${schema.type}`,
+        });
+      }
+    });
+
+    const unexpected =
+      definition.additional_properties === false
+        ? Object.keys(properties).filter((name) => !(name in schemas))
+        : [];
+
+    // One violation however many there are, so arbitrary property names
+    // can't flood the violation counters
+    if (unexpected.length > 0) {
+      const listed = unexpected
+        .slice(0, MAX_LISTED_PROPERTIES)
+        .map((name) => `'${name}'`)
+        .join(", ");
+      const more = unexpected.length - MAX_LISTED_PROPERTIES;
+
+      violations.push({
+        reason: "unexpected_properties",
+        message: `Properties not part of the definition: ${listed}${
+          more > 0 ? ` and ${more} more` : ""
+        }`,
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Get a tenant's mode and definitions (cached briefly)
+   */
+  async getTenantSchema(tenantId) {
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.schema;
+    }
+
+    const [tenantResult, definitionResult] = await Promise.all([
+      this.pool.query("SELECT schema_mode FROM tenants WHERE id = $1", [
+        tenantId,
+      ]),
+      this.pool.query(
+        `SELECT event_type, properties, additional_properties
+         FROM event_definitions WHERE tenant_id = $1`,
+        [tenantId]
+      ),
+    ]);
+
+    const schema = {
+      mode: tenantResult.rows[0]?.schema_mode || "warn",
+      definitions: new Map(
+        definitionResult.rows.map((row) => [row.event_type, row])
+      ),
+    };
+
+    this.cache.set(tenantId, { schema, expiresAt: Date.now() + CACHE_TTL_MS });
+    return schema;
+  }
+
+  /**
+   * List a tenant's definitions and mode
+   */
+  async listDefinitions(tenantId) {
+    const [tenantResult, definitionResult] = await Promise.all([
+      this.pool.query("SELECT schema_mode FROM tenants WHERE id = $1", [
+        tenantId,
+      ]),
+      this.pool.query(
+        `SELECT event_type, description, properties, additional_properties,
+                created_at, updated_at
+         FROM event_definitions
+         WHERE tenant_id = $1
+         ORDER BY event_type`,
+        [tenantId]
+      ),
+    ]);
+
+    return {
+      mode: tenantResult.rows[0]?.schema_mode || "warn",
+      definitions: definitionResult.rows,
+    };
+  }
+
+  /**
+   * Create or replace the definition of an event type
+   */
+  async upsertDefinition(tenantId, eventType, definition) {
+    const {
+      description = null,
+      properties = {},
+      additionalProperties = true,
+    } = definition;
+
+    const result = await this.pool.query(
+      `INSERT INTO event_definitions
+         (tenant_id, event_type, description, properties, additional_properties)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (tenant_id, event_type) DO UPDATE SET
+         description = EXCLUDED.description,
+         properties = EXCLUDED.properties,
+         additional_properties = EXCLUDED.additional_properties,
+         updated_at = NOW()
+       RETURNING event_type, description, properties, additional_properties,
+                 created_at, updated_at`,
+      [
+        tenantId,
+        eventType,
+        description,
+        JSON.stringify(properties),
+        additionalProperties,
+      ]
+    );
+
+    this.cache.delete(tenantId);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete an event definition. Returns false when none existed.
+   */
+  async deleteDefinition(tenantId, eventType) {
+    const result = await this.pool.query(
+      "DELETE FROM event_definitions WHERE tenant_id = $1 AND event_type = $2",
+      [tenantId, eventType]
+    );
+
+    this.cache.delete(tenantId);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Set how a tenant handles events that fail validation
+   */
+  async setMode(tenantId, mode) {
+    await this.pool.query(
+      "UPDATE tenants SET schema_mode = $2, updated_at = NOW() WHERE id = $1",
+      [tenantId, mode]
+    );
+
+    this.cache.delete(tenantId);
+  }
+
+  /**
+   * Aggregate violations into per-reason counters
+   */
+  async recordViolations(db, tenantId, violations) {
+    if (violations.length === 0) return;
+
+    const grouped = new Map();
+    violations.forEach(({ eventType, reason, message, properties }) => {
+      const key = `${eventType}\u0000${reason}`;
+      const entry = grouped.get(key);
+      if (entry) {
+        entry.count++;
+        entry.sample = properties;
+      } else {
+        grouped.set(key, {
+          eventType,
+          reason,
+          message,
+          count: 1,
+          sample: properties,
+        });
+      }
+    });
+
+    const entries = [...grouped.values()];
+
+    await db.query(
+      `INSERT INTO schema_violations
+         (tenant_id, event_type, reason, message, count, sample_properties)
+       SELECT $1, input.event_type, input.reason, input.message, input.count,
+              input.sample::jsonb
+       FROM unnest($2::varchar[], $3::varchar[], $4::text[], $5::int[], $6::text[])
+         AS input(event_type, reason, message, count, sample)
+       ON CONFLICT (tenant_id, event_type, reason) DO UPDATE SET
+         message = EXCLUDED.message,
+         count = schema_violations.count + EXCLUDED.count,
+         sample_properties = EXCLUDED.sample_properties,
+         last_seen = NOW()`,
+      [
+        tenantId,
+        entries.map((entry) => entry.eventType),
+        entries.map((entry) => entry.reason),
+        entries.map((entry) => entry.message),
+        entries.map((entry) => entry.count),
+        entries.map((entry) => JSON.stringify(entry.sample)),
+      ]
+    );
+  }
+
+  /**
+   * Hold events that failed validation out of the analytics stores
+   */
+  async quarantineEvents(db, tenantId, events) {
+    if (events.length === 0) return;
+
+    await db.query(
+      `INSERT INTO quarantined_events
+         (id, tenant_id, event_type, payload, violations)
+       SELECT input.id, $1, input.event_type, input.payload::jsonb,
+              input.violations::jsonb
+       FROM unnest($2::uuid[], $3::varchar[], $4::text[], $5::text[])
+         AS input(id, event_type, payload, violations)`,
+      [
+        tenantId,
+        events.map((entry) => entry.id),
+        events.map((entry) => entry.eventType),
+        events.map((entry) => JSON.stringify(entry.payload)),
+        events.map((entry) => JSON.stringify(entry.violations)),
+      ]
+    );
+  }
+
+  /**
+   * Violations seen in the last `days` days, most recent first
+   */
+  async listViolations(tenantId, { days = 7 } = {}) {
+    const result = await this.pool.query(
+      `SELECT event_type, reason, message, count, sample_properties,
+              first_seen, last_seen
+       FROM schema_violations
+       WHERE tenant_id = $1 AND last_seen >= NOW() - make_interval(days => $2)
+       ORDER BY last_seen DESC`,
+      [tenantId, days]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Most recent quarantined events
+   */
+  async listQuarantined(tenantId, { limit = 100 } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, event_type, payload, violations, received_at
+       FROM quarantined_events
+       WHERE tenant_id = $1
+       ORDER BY received_at DESC
+       LIMIT $2`,
+      [tenantId, limit]
+    );
+    return result.rows;
+  }
+}
+
+SchemaRegistry.MODES = SCHEMA_MODES;
+
+module.exports = SchemaRegistry;
@@ -4,7 +4,12 @@
 CREATE TABLE tenants (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   name VARCHAR(255) NOT NULL,
-  api_key VARCHAR(64) UNIQUE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')),
+  plan VARCHAR(50) NOT NULL DEFAULT 'free',
+  schema_mode VARCHAR(20) NOT NULL DEFAULT 'warn' CHECK (schema_mode IN ('reject', 'warn', 'quarantine')),
+  -- IANA time zone for day boundaries and buckets; daily_stats dates are local days
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  suspended_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -12,47 +17,357 @@ CREATE TABLE tenants (
 -- Events table with tenant partitioning
 CREATE TABLE events (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  tenant_id UUID NOT NULL REFERENCES tenants(id),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
   event_type VARCHAR(100) NOT NULL,
   properties JSONB DEFAULT '{}',
   user_id VARCHAR(255),
+  -- user_id resolved through user_aliases; what user analytics count
+  canonical_user_id VARCHAR(255),
   session_id VARCHAR(255),
+  message_id VARCHAR(255),
   timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Partition by tenant_id for isolation
 CREATE INDEX idx_events_tenant_id ON events(tenant_id);
+CREATE INDEX idx_events_tenant_time ON events(tenant_id, timestamp);
 CREATE INDEX idx_events_timestamp ON events(timestamp);
 CREATE INDEX idx_events_type ON events(event_type);
 CREATE INDEX idx_events_user ON events(user_id);
+CREATE INDEX idx_events_created_at ON events(created_at);
+CREATE INDEX idx_events_tenant_canonical_time ON events(tenant_id, canonical_user_id, timestamp);
+
+-- Recently seen client message ids, used to drop retried events
+CREATE TABLE event_dedup (
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  message_id VARCHAR(255) NOT NULL,
+  -- The stored event, or the quarantined_events row when the message was
+  -- quarantined
+  event_id UUID,
+  quarantined_event_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, message_id)
+);
+
+CREATE INDEX idx_event_dedup_created ON event_dedup(created_at);
+
+-- Outbox of committed events still to be indexed in OpenSearch and broadcast
+CREATE TABLE event_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  event_id UUID NOT NULL UNIQUE REFERENCES events(id) ON DELETE CASCADE,
+  broadcast BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Bumped when the event is queued again, e.g. by an identity merge, so a
+  -- worker indexing an older copy keeps the row
+  version INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_event_outbox_next_attempt ON event_outbox(next_attempt_at);
+
+-- Append-only metering ledger, one row per ingestion request.
+-- No foreign key to tenants so billing history outlives offboarding.
+CREATE TABLE usage_ledger (
+  id BIGSERIAL PRIMARY KEY,
+  tenant_id UUID NOT NULL,
+  api_key_id UUID,
+  -- The tenant's name and plan when the usage happened, so reports stay
+  -- right after renames, plan changes and deletion
+  tenant_name VARCHAR(255) NOT NULL,
+  plan VARCHAR(50) NOT NULL,
+  accepted INTEGER NOT NULL DEFAULT 0,
+  rejected INTEGER NOT NULL DEFAULT 0,
+  deduplicated INTEGER NOT NULL DEFAULT 0,
+  quarantined INTEGER NOT NULL DEFAULT 0,
+  recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_usage_ledger_tenant_recorded ON usage_ledger(tenant_id, recorded_at);
+CREATE INDEX idx_usage_ledger_recorded ON usage_ledger(recorded_at);
 
 -- Daily aggregations table
 CREATE TABLE daily_stats (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  tenant_id UUID NOT NULL REFERENCES tenants(id),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
   date DATE NOT NULL,
   event_type VARCHAR(100) NOT NULL,
   count INTEGER DEFAULT 0,
   unique_users INTEGER DEFAULT 0,
+  total_revenue NUMERIC NOT NULL DEFAULT 0,
+  avg_duration DOUBLE PRECISION,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(tenant_id, date, event_type)
 );
 
 CREATE INDEX idx_daily_stats_tenant_date ON daily_stats(tenant_id, date);
 
--- API keys for authentication
+-- HyperLogLog sketch of each rolled-up day's distinct users (user-sketch.js)
+CREATE TABLE daily_user_sketches (
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  registers SMALLINT[] NOT NULL,
+  PRIMARY KEY (tenant_id, date)
+);
+
+-- Deleted tenants whose OpenSearch data still has to be deleted
+CREATE TABLE tenant_deletions (
+  tenant_id UUID PRIMARY KEY,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Progress of background jobs (e.g. the daily_stats rollup watermark) and
+-- the currency rates their revenue was converted with
+CREATE TABLE rollup_state (
+  name VARCHAR(100) PRIMARY KEY,
+  watermark TIMESTAMP WITH TIME ZONE NOT NULL,
+  currency_hash VARCHAR(64)
+);
+
+-- Days whose existing events changed (e.g. identity merges) and need a re-rollup
+CREATE TABLE rollup_dirty_days (
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  marked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, date)
+);
+
+-- Identity graph: each alias resolves to one canonical user id
+CREATE TABLE user_aliases (
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  alias_id VARCHAR(255) NOT NULL,
+  canonical_id VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, alias_id)
+);
+
+CREATE INDEX idx_user_aliases_canonical ON user_aliases(tenant_id, canonical_id);
+
+-- Per-tenant user profiles, folded from tracked events and identify calls
+CREATE TABLE user_profiles (
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  traits JSONB NOT NULL DEFAULT '{}',
+  first_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen TIMESTAMP WITH TIME ZONE NOT NULL,
+  event_count BIGINT NOT NULL DEFAULT 0,
+  traits_updated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (tenant_id, user_id)
+);
+
+CREATE INDEX idx_user_profiles_last_seen ON user_profiles(tenant_id, last_seen DESC);
+
+-- Registered event definitions with typed property schemas
+CREATE TABLE event_definitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  event_type VARCHAR(100) NOT NULL,
+  description TEXT,
+  properties JSONB NOT NULL DEFAULT '{}',
+  additional_properties BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(tenant_id, event_type)
+);
+
+-- Unknown or invalid events seen at ingestion, counted per reason
+CREATE TABLE schema_violations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  event_type VARCHAR(100) NOT NULL,
+  reason TEXT NOT NULL,
+  message TEXT,
+  count INTEGER NOT NULL DEFAULT 0,
+  sample_properties JSONB,
+  first_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(tenant_id, event_type, reason)
+);
+
+CREATE INDEX idx_schema_violations_tenant_seen ON schema_violations(tenant_id, last_seen);
+
+-- Events held back by a tenant in quarantine mode
+CREATE TABLE quarantined_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  event_type VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  violations JSONB NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_quarantined_events_tenant ON quarantined_events(tenant_id, received_at);
+
+-- API keys for authentication (only the SHA-256 of each key is stored)
 CREATE TABLE api_keys (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  tenant_id UUID NOT NULL REFERENCES tenants(id),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
   key_hash VARCHAR(64) NOT NULL UNIQUE,
+  key_prefix VARCHAR(16),
   name VARCHAR(100),
   permissions JSONB DEFAULT '["track", "query"]',
+  rate_limit_per_minute INTEGER,
   last_used TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_api_keys_tenant ON api_keys(tenant_id);
+
+-- Alert rules over event metrics, evaluated on a schedule
+CREATE TABLE alert_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100),
+  filter JSONB,
+  metric JSONB NOT NULL,
+  condition JSONB NOT NULL,
+  window_seconds INTEGER NOT NULL,
+  interval_seconds INTEGER NOT NULL,
+  webhook_url TEXT,
+  webhook_secret TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  state VARCHAR(20) NOT NULL DEFAULT 'ok' CHECK (state IN ('ok', 'firing')),
+  last_value DOUBLE PRECISION,
+  last_error TEXT,
+  last_evaluated_at TIMESTAMP WITH TIME ZONE,
+  next_evaluation_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_alert_rules_tenant ON alert_rules(tenant_id);
+CREATE INDEX idx_alert_rules_due ON alert_rules(next_evaluation_at) WHERE enabled;
+
+-- Alert history: one row per time a rule fired, resolved once it clears
+CREATE TABLE alert_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id UUID NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  value DOUBLE PRECISION,
+  baseline DOUBLE PRECISION,
+  message TEXT NOT NULL,
+  fired_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolved_value DOUBLE PRECISION,
+  notified_at TIMESTAMP WITH TIME ZONE,
+  notification_error TEXT
+);
+
+CREATE INDEX idx_alert_events_tenant_fired ON alert_events(tenant_id, fired_at DESC);
+CREATE INDEX idx_alert_events_open ON alert_events(rule_id) WHERE resolved_at IS NULL;
+
+-- Outgoing webhook destinations. The signing secret is stored as is
+-- because every delivery is signed with it.
+CREATE TABLE webhook_destinations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(100),
+  url TEXT NOT NULL,
+  secret VARCHAR(100) NOT NULL,
+  event_types TEXT[], -- NULL forwards every event
+  batch_size INTEGER NOT NULL DEFAULT 50,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_destinations_tenant ON webhook_destinations(tenant_id);
+
+-- Events waiting to be forwarded, one row per event and destination
+CREATE TABLE webhook_queue (
+  id BIGSERIAL PRIMARY KEY,
+  destination_id UUID NOT NULL REFERENCES webhook_destinations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (destination_id, event_id)
+);
+
+CREATE INDEX idx_webhook_queue_next_attempt ON webhook_queue(next_attempt_at);
+
+-- Delivery log: one row per POST of a batch to a destination
+CREATE TABLE webhook_deliveries (
+  id UUID PRIMARY KEY,
+  destination_id UUID NOT NULL REFERENCES webhook_destinations(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  event_ids UUID[] NOT NULL,
+  attempt INTEGER NOT NULL,
+  test BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('delivered', 'failed')),
+  response_status INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE INDEX idx_webhook_deliveries_destination ON webhook_deliveries(destination_id, created_at DESC);
+CREATE INDEX idx_webhook_deliveries_created ON webhook_deliveries(created_at);
+
+-- Events that failed every delivery attempt to a destination
+CREATE TABLE webhook_dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  destination_id UUID NOT NULL REFERENCES webhook_destinations(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  attempts INTEGER NOT NULL,
+  last_error TEXT,
+  failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (destination_id, event_id)
+);
+
+-- Saved dashboards; each panel is a segmentation query drawn as a chart
+CREATE TABLE dashboards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  range_days INTEGER NOT NULL DEFAULT 30,
+  panels JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_dashboards_tenant ON dashboards(tenant_id);
+
+-- Signed embed links to a dashboard, optionally narrowed to one
+-- end-customer's events by a filter
+CREATE TABLE dashboard_embeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  dashboard_id UUID NOT NULL REFERENCES dashboards(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(100),
+  filter JSONB, -- segmentation filter applied to every panel
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_viewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_dashboard_embeds_dashboard ON dashboard_embeds(dashboard_id);
+
 -- Seed data for testing
-INSERT INTO tenants (name, api_key) VALUES 
-('Test Company', 'test-api-key-123'),
-('Demo Corp', 'demo-api-key-456');
\ No newline at end of file
+WITH seed (name, api_key) AS (
+  VALUES
+    ('Test Company', 'test-api-key-123'),
+    ('Demo Corp', 'demo-api-key-456')
+),
+seeded_tenants AS (
+  INSERT INTO tenants (name) SELECT name FROM seed RETURNING id, name
+)
+INSERT INTO api_keys (tenant_id, key_hash, key_prefix, name, permissions)
+SELECT
+  seeded_tenants.id,
+  encode(sha256(convert_to(seed.api_key, 'UTF8')), 'hex'),
+  left(seed.api_key, 12),
+  'Seed key',
+  '["track", "query", "stream", "admin"]'
+FROM seeded_tenants
+JOIN seed USING (name);
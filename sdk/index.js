@@ -1,17 +1,74 @@
 const axios = require("axios");
 
+// Most events the server accepts in one batch (its MAX_BATCH_SIZE default)
+const MAX_BATCH_SIZE = 1000;
+
+// Most events held while the server is unreachable or asks us to back off
+// (a hard quota can do so until the end of the month). The oldest events
+// are dropped beyond this.
+const MAX_QUEUE_SIZE = 10000;
+
+/**
+ * Generate a unique message id (RFC 4122 v4) so retried events can be
+ * deduplicated by the server
+ */
+const generateMessageId = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+};
+
+/**
+ * Whether a failed request may succeed later: rate limited, a server error
+ * or no response at all. Other rejections (such as 400 for invalid events)
+ * would fail again.
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return status === undefined || status === 429 || status >= 500;
+};
+
+/**
+ * Sum the responses of the batches one flush was split into
+ */
+const combineBatchResponses = (responses) => {
+  const sum = (field) =>
+    responses.reduce((total, response) => total + (response[field] || 0), 0);
+
+  return {
+    success: responses.every((response) => response.success),
+    eventIds: responses.flatMap((response) => response.eventIds || []),
+    count: sum("count"),
+    duplicates: sum("duplicates"),
+    quarantined: sum("quarantined"),
+    failed: sum("failed"),
+    results: responses.flatMap((response) => response.results || []),
+  };
+};
+
 class Analytics {
   constructor(options = {}) {
     this.apiKey = options.apiKey;
     this.baseURL = options.baseURL || "http://localhost:3000";
     this.timeout = options.timeout || 5000;
     this.batchSize = options.batchSize || 100;
+    this.maxBatchSize = options.maxBatchSize || MAX_BATCH_SIZE;
+    this.maxQueueSize = options.maxQueueSize || MAX_QUEUE_SIZE;
     this.flushInterval = options.flushInterval || 10000; // 10 seconds
 
-    // Event queue for batching
+    // Event queue for batching, and how many events overflowed it
     this.eventQueue = [];
+    this.droppedEvents = 0;
     this.batchTimer = null;
 
+    // Set when the server asks us to back off (429 + Retry-After)
+    this.retryAfterUntil = 0;
+
     // HTTP client
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -36,7 +93,7 @@ class Analytics {
    * Track a single event
    * @param {string} event - Event name
    * @param {object} properties - Event properties
-   * @param {object} options - Additional options (userId, sessionId)
+   * @param {object} options - Additional options (userId, sessionId, timestamp, messageId)
    */
   async track(event, properties = {}, options = {}) {
     const eventData = {
@@ -44,7 +101,8 @@ class Analytics {
       properties,
       userId: options.userId,
       sessionId: options.sessionId,
-      timestamp: new Date().toISOString(),
+      messageId: options.messageId || generateMessageId(),
+      timestamp: options.timestamp || new Date().toISOString(),
     };
 
     if (options.enableBatching === false) {
@@ -52,7 +110,7 @@ class Analytics {
       return this.sendEvent(eventData);
     } else {
       // Add to batch queue
-      this.eventQueue.push(eventData);
+      this.enqueue([eventData]);
 
       // Flush if batch is full
       if (this.eventQueue.length >= this.batchSize) {
@@ -67,37 +125,127 @@ class Analytics {
    * Send single event immediately
    */
   async sendEvent(eventData) {
+    if (this.isRateLimited()) {
+      // Hold the event until the server accepts traffic again
+      this.enqueue([eventData]);
+      return this.rateLimitedResult();
+    }
+
     try {
       const response = await this.client.post("/track", eventData);
       return response.data;
     } catch (error) {
+      if (this.handleRateLimit(error)) {
+        this.enqueue([eventData]);
+        return this.rateLimitedResult();
+      }
       this.handleError("track", error);
       throw error;
     }
   }
 
   /**
-   * Flush all queued events
+   * Flush all queued events, in batches of at most `maxBatchSize`
    */
   async flush() {
     if (this.eventQueue.length === 0) {
       return { success: true, count: 0 };
     }
 
-    const events = [...this.eventQueue];
-    this.eventQueue = [];
+    const responses = [];
 
-    try {
-      const response = await this.client.post("/track/batch", { events });
-      return response.data;
-    } catch (error) {
-      // Re-queue events on failure
+    while (this.eventQueue.length > 0) {
+      if (this.isRateLimited()) {
+        return this.rateLimitedResult();
+      }
+
+      const events = this.eventQueue.splice(0, this.maxBatchSize);
+
+      try {
+        const response = await this.client.post("/track/batch", { events });
+        responses.push(response.data);
+      } catch (error) {
+        // Re-queue the failed batch if it can succeed later; earlier batches
+        // were stored. A rejected batch is dropped so it can't block the
+        // events behind it.
+        if (isRetryable(error)) {
+          this.enqueue(events, { front: true });
+        }
+
+        if (this.handleRateLimit(error)) {
+          return this.rateLimitedResult();
+        }
+
+        this.handleError("flush", error);
+        throw error;
+      }
+    }
+
+    return responses.length === 1
+      ? responses[0]
+      : combineBatchResponses(responses);
+  }
+
+  /**
+   * Queue events for the next flush, dropping the oldest queued events
+   * beyond `maxQueueSize`
+   */
+  enqueue(events, { front = false } = {}) {
+    if (front) {
       this.eventQueue.unshift(...events);
-      this.handleError("flush", error);
-      throw error;
+    } else {
+      this.eventQueue.push(...events);
+    }
+
+    const overflow = this.eventQueue.length - this.maxQueueSize;
+    if (overflow > 0) {
+      this.eventQueue.splice(0, overflow);
+      this.droppedEvents += overflow;
+      console.warn(
+        `Analytics queue full: dropped the ${overflow} oldest event(s)`
+      );
     }
   }
 
+  /**
+   * Whether we are still inside a server-requested back-off
+   */
+  isRateLimited() {
+    return Date.now() < this.retryAfterUntil;
+  }
+
+  /**
+   * Record the back-off from a 429 response. Returns true when handled.
+   */
+  handleRateLimit(error) {
+    if (error.response?.status !== 429) {
+      return false;
+    }
+
+    const header = error.response.headers?.["retry-after"];
+    const seconds = Number(header);
+    const retryAt = Number.isFinite(seconds)
+      ? Date.now() + seconds * 1000
+      : Date.parse(header);
+
+    // Fall back to the flush interval when the header is missing or invalid
+    this.retryAfterUntil = Number.isFinite(retryAt)
+      ? retryAt
+      : Date.now() + this.flushInterval;
+
+    return true;
+  }
+
+  rateLimitedResult() {
+    return {
+      success: false,
+      rateLimited: true,
+      retryAfter: Math.ceil((this.retryAfterUntil - Date.now()) / 1000),
+      queueSize: this.eventQueue.length,
+      droppedEvents: this.droppedEvents,
+    };
+  }
+
   /**
    * Query events
    * @param {object} options - Query parameters
@@ -135,6 +283,23 @@ class Analytics {
     );
   }
 
+  /**
+   * Link a previous id (e.g. the anonymous id used before signup) to a user
+   * id, so both count as one user. Past events under previousId are merged.
+   */
+  async alias(userId, previousId) {
+    try {
+      const response = await this.client.post("/alias", {
+        previousId,
+        userId,
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError("alias", error);
+      throw error;
+    }
+  }
+
   /**
    * Track page view
    */
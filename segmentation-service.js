@@ -0,0 +1,514 @@
+const { isPropertyPath } = require("./property-path");
+const { comparePeriods, compareValues } = require("./comparison");
+const { DEFAULT_TIME_ZONE } = require("./timezone");
+const { isPlainObject } = require("./util");
+
+const OPERATORS = ["eq", "neq", "in", "range", "exists", "contains"];
+const RANGE_BOUNDS = ["gt", "gte", "lt", "lte"];
+const PROPERTY_METRICS = ["sum", "avg", "min", "max", "percentiles"];
+const METRICS = ["count", "unique_users", ...PROPERTY_METRICS];
+const DEFAULT_PERCENTS = [50, 90, 99];
+
+// Approximate bucket widths, used to bound the size of a response
+const INTERVAL_SECONDS = {
+  minute: 60,
+  hour: 3600,
+  day: 86400,
+  week: 604800,
+  month: 2592000,
+};
+
+const MAX_EVENTS = 50;
+const MAX_FILTER_DEPTH = 5;
+const MAX_FILTER_CONDITIONS = 50;
+const MAX_IN_VALUES = 1000;
+const MAX_GROUP_BY = 2;
+const MAX_GROUPS = 20;
+const MAX_METRICS = 10;
+const MAX_BUCKETS = 50000;
+
+const isScalar = (value) =>
+  typeof value === "string" ||
+  typeof value === "boolean" ||
+  (typeof value === "number" && Number.isFinite(value));
+
+// Group-by field; "event_type" groups by event name
+const toGroupField = (path) =>
+  path === "event_type" ? "event_type" : `properties.${path}`;
+
+class SegmentationService {
+  constructor(opensearch, { profiles }) {
+    this.opensearch = opensearch;
+    this.profiles = profiles;
+  }
+
+  /**
+   * Validate a segmentation query (with resolved `start` and `end` dates).
+   * Returns an error message or null.
+   */
+  static validateQuery(query) {
+    const {
+      event,
+      filter,
+      groupBy,
+      metrics,
+      interval,
+      limit,
+      compare,
+      start,
+      end,
+    } = query;
+
+    if (event !== undefined) {
+      const events = Array.isArray(event) ? event : [event];
+      if (
+        events.length === 0 ||
+        events.length > MAX_EVENTS ||
+        events.some((name) => typeof name !== "string" || !name)
+      ) {
+        return `event must be an event name or up to ${MAX_EVENTS} names`;
+      }
+    }
+
+    if (filter !== undefined) {
+      const error = SegmentationService.validateFilter(filter, 1, {
+        conditions: 0,
+      });
+      if (error) return error;
+    }
+
+    if (groupBy !== undefined) {
+      if (
+        !Array.isArray(groupBy) ||
+        groupBy.length === 0 ||
+        groupBy.length > MAX_GROUP_BY ||
+        groupBy.some((path) => !isPropertyPath(path))
+      ) {
+        return `groupBy must list 1-${MAX_GROUP_BY} property names`;
+      }
+    }
+
+    if (
+      !Array.isArray(metrics) ||
+      metrics.length === 0 ||
+      metrics.length > MAX_METRICS
+    ) {
+      return `metrics must list 1-${MAX_METRICS} metrics`;
+    }
+    for (const metric of metrics) {
+      const error = SegmentationService.validateMetric(metric);
+      if (error) return error;
+    }
+
+    if (!INTERVAL_SECONDS[interval]) {
+      return `interval must be one of: ${Object.keys(INTERVAL_SECONDS).join(
+        ", "
+      )}`;
+    }
+
+    if (
+      limit !== undefined &&
+      (!Number.isInteger(limit) || limit < 1 || limit > MAX_GROUPS)
+    ) {
+      return `limit must be between 1 and ${MAX_GROUPS}`;
+    }
+
+    if (compare !== undefined && typeof compare !== "boolean") {
+      return "compare must be true or false";
+    }
+
+    const buckets =
+      Math.floor((end - start) / 1000 / INTERVAL_SECONDS[interval]) + 1;
+    const groups = Math.pow(limit || 10, groupBy ? groupBy.length : 0);
+    if (buckets * groups > MAX_BUCKETS) {
+      return "Query has too many buckets, use a coarser interval, a shorter range or fewer groups";
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a filter node: { and: [...] }, { or: [...] }, { not: node } or
+   * a condition { property | trait, op, value }
+   */
+  static validateFilter(node, depth, counter) {
+    if (!isPlainObject(node)) {
+      return "filter nodes must be objects";
+    }
+    if (depth > MAX_FILTER_DEPTH) {
+      return `filter is nested deeper than ${MAX_FILTER_DEPTH} levels`;
+    }
+
+    if (node.and !== undefined || node.or !== undefined) {
+      const children = node.and !== undefined ? node.and : node.or;
+      if (
+        Object.keys(node).length !== 1 ||
+        !Array.isArray(children) ||
+        children.length === 0
+      ) {
+        return "and/or must be the only key and list at least one filter";
+      }
+      for (const child of children) {
+        const error = SegmentationService.validateFilter(
+          child,
+          depth + 1,
+          counter
+        );
+        if (error) return error;
+      }
+      return null;
+    }
+
+    if (node.not !== undefined) {
+      if (Object.keys(node).length !== 1) {
+        return "not must be the only key of its filter";
+      }
+      return SegmentationService.validateFilter(node.not, depth + 1, counter);
+    }
+
+    if (++counter.conditions > MAX_FILTER_CONDITIONS) {
+      return `filter has more than ${MAX_FILTER_CONDITIONS} conditions`;
+    }
+    return SegmentationService.validateCondition(node);
+  }
+
+  static validateCondition({ property, trait, op, value }) {
+    if ((property === undefined) === (trait === undefined)) {
+      return "Each condition needs either a property or a trait";
+    }
+    const path = property !== undefined ? property : trait;
+    if (!isPropertyPath(path)) {
+      return `Invalid ${
+        property !== undefined ? "property" : "trait"
+      }: ${path}`;
+    }
+    if (!OPERATORS.includes(op)) {
+      return `op must be one of: ${OPERATORS.join(", ")}`;
+    }
+
+    switch (op) {
+      case "eq":
+      case "neq":
+        return isScalar(value)
+          ? null
+          : `${op} needs a string, number or boolean`;
+      case "in":
+        return Array.isArray(value) &&
+          value.length > 0 &&
+          value.length <= MAX_IN_VALUES &&
+          value.every(isScalar)
+          ? null
+          : `in needs a list of 1-${MAX_IN_VALUES} values`;
+      case "range":
+        return isPlainObject(value) &&
+          Object.keys(value).length > 0 &&
+          Object.entries(value).every(
+            ([bound, limit]) =>
+              RANGE_BOUNDS.includes(bound) &&
+              (typeof limit === "string" ||
+                (typeof limit === "number" && Number.isFinite(limit)))
+          )
+          ? null
+          : `range needs bounds among: ${RANGE_BOUNDS.join(", ")}`;
+      case "exists":
+        return value === undefined ? null : "exists takes no value";
+      case "contains":
+        return typeof value === "string" && value
+          ? null
+          : "contains needs a string";
+    }
+    return null;
+  }
+
+  static validateMetric(metric) {
+    if (!isPlainObject(metric) || !METRICS.includes(metric.type)) {
+      return `metric type must be one of: ${METRICS.join(", ")}`;
+    }
+    if (!PROPERTY_METRICS.includes(metric.type)) {
+      return null;
+    }
+    if (!isPropertyPath(metric.property)) {
+      return `${metric.type} needs a numeric property`;
+    }
+    if (
+      metric.percents !== undefined &&
+      (metric.type !== "percentiles" ||
+        !Array.isArray(metric.percents) ||
+        metric.percents.length === 0 ||
+        metric.percents.some(
+          (percent) =>
+            typeof percent !== "number" || percent <= 0 || percent >= 100
+        ))
+    ) {
+      return "percents must list numbers between 0 and 100";
+    }
+    return null;
+  }
+
+  /**
+   * Translate a validated filter tree into an OpenSearch query. Trait
+   * conditions are resolved to the matching users' ids.
+   * Returns { filter } or { error }.
+   */
+  async compileFilter(tenantId, node) {
+    if (node.and || node.or) {
+      const children = [];
+      for (const child of node.and || node.or) {
+        const compiled = await this.compileFilter(tenantId, child);
+        if (compiled.error) return compiled;
+        children.push(compiled.filter);
+      }
+      return {
+        filter: node.and
+          ? { bool: { must: children } }
+          : { bool: { should: children, minimum_should_match: 1 } },
+      };
+    }
+
+    if (node.not) {
+      const compiled = await this.compileFilter(tenantId, node.not);
+      if (compiled.error) return compiled;
+      return { filter: { bool: { must_not: [compiled.filter] } } };
+    }
+
+    if (node.trait !== undefined) {
+      return this.compileTraitCondition(tenantId, node);
+    }
+
+    const field = `properties.${node.property}`;
+    const { op, value } = node;
+    const filter = {
+      eq: () => ({ term: { [field]: value } }),
+      neq: () => ({ bool: { must_not: [{ term: { [field]: value } }] } }),
+      in: () => ({ terms: { [field]: value } }),
+      range: () => ({ range: { [field]: value } }),
+      exists: () => ({ exists: { field } }),
+      contains: () => ({
+        wildcard: {
+          [field]: {
+            value: `*${value.replace(/[\\*?]/g, "\\$&")}*`,
+            case_insensitive: true,
+          },
+        },
+      }),
+    }[op]();
+
+    return { filter };
+  }
+
+  async compileTraitCondition(tenantId, { trait, op, value }) {
+    // Events of users without the trait value count as "not equal" too
+    const condition =
+      op === "neq" ? { trait, op: "eq", value } : { trait, op, value };
+    const userIds = await this.profiles.findUserIdsMatching(tenantId, [
+      condition,
+    ]);
+
+    if (userIds === null) {
+      return { error: `Trait filter on ${trait} matches too many users` };
+    }
+
+    const matching = { terms: { canonical_user_id: userIds } };
+    return {
+      filter: op === "neq" ? { bool: { must_not: [matching] } } : matching,
+    };
+  }
+
+  /**
+   * Run a validated query. `start` and `end` are ISO dates and `filter` is
+   * the compiled filter. Returns totals and a time series of every metric,
+   * plus one entry per group when grouped. Series buckets start at local
+   * boundaries in `timeZone`. With `compare`, adds the previous period and
+   * deltas of the totals.
+   */
+  async segment(tenantId, query) {
+    if (!query.compare) {
+      return this.segmentPeriod(tenantId, query);
+    }
+
+    const { current, previous } = await comparePeriods(
+      query.start,
+      query.end,
+      (start, end) => this.segmentPeriod(tenantId, { ...query, start, end })
+    );
+
+    return {
+      ...current,
+      previous_period: previous,
+      comparison: Object.fromEntries(
+        Object.entries(current.totals).map(([name, value]) => [
+          name,
+          compareValues(value || 0, previous.totals[name] || 0),
+        ])
+      ),
+    };
+  }
+
+  async segmentPeriod(tenantId, query) {
+    const {
+      event,
+      filter,
+      groupBy,
+      metrics,
+      interval,
+      limit = 10,
+      timeZone = DEFAULT_TIME_ZONE,
+      start,
+      end,
+    } = query;
+
+    const must = [];
+    if (event !== undefined) {
+      must.push({ terms: { event_type: [].concat(event) } });
+    }
+    if (filter) must.push(filter);
+
+    const metricAggs = this.buildMetricAggs(metrics);
+    const series = {
+      date_histogram: {
+        field: "timestamp",
+        calendar_interval: interval,
+        time_zone: timeZone,
+        min_doc_count: 0,
+        extended_bounds: { min: start, max: end },
+      },
+      aggs: metricAggs,
+    };
+
+    const aggs = { ...metricAggs, series };
+    if (groupBy) {
+      // Nest one terms aggregation per group-by, innermost carries metrics
+      aggs.groups = groupBy.reduceRight(
+        (inner, path, level) => ({
+          terms: { field: toGroupField(path), size: limit },
+          aggs: inner
+            ? { [`group_${level + 1}`]: inner }
+            : { ...metricAggs, series },
+        }),
+        null
+      );
+    }
+
+    const { total, aggregations } = await this.opensearch.aggregate(tenantId, {
+      startDate: start,
+      endDate: end,
+      filter: must.length > 0 ? { bool: { must } } : null,
+      aggs,
+    });
+
+    const response = {
+      start_date: start,
+      end_date: end,
+      interval,
+      timezone: timeZone,
+      totals: this.readMetrics(metrics, aggregations, total),
+      series: this.readSeries(metrics, aggregations.series),
+    };
+
+    if (groupBy) {
+      response.group_by = groupBy;
+      response.groups = this.readGroups(
+        metrics,
+        groupBy,
+        aggregations.groups,
+        0,
+        {}
+      );
+    }
+
+    return response;
+  }
+
+  buildMetricAggs(metrics) {
+    const aggs = {};
+
+    metrics.forEach((metric, i) => {
+      const field = `properties.${metric.property}`;
+      switch (metric.type) {
+        case "unique_users":
+          aggs[`m${i}`] = { cardinality: { field: "canonical_user_id" } };
+          break;
+        case "percentiles":
+          aggs[`m${i}`] = {
+            percentiles: {
+              field,
+              percents: metric.percents || DEFAULT_PERCENTS,
+              keyed: false,
+            },
+          };
+          break;
+        case "sum":
+        case "avg":
+        case "min":
+        case "max":
+          aggs[`m${i}`] = { [metric.type]: { field } };
+          break;
+      }
+    });
+
+    return aggs;
+  }
+
+  /**
+   * Metric values of a bucket, named e.g. count, unique_users, avg_revenue
+   * or p90_duration. Missing values (no data) are null.
+   */
+  readMetrics(metrics, bucket = {}, count) {
+    const values = {};
+
+    metrics.forEach((metric, i) => {
+      const agg = bucket[`m${i}`];
+      switch (metric.type) {
+        case "count":
+          values.count = count;
+          break;
+        case "unique_users":
+          values.unique_users = agg?.value ?? 0;
+          break;
+        case "percentiles":
+          (metric.percents || DEFAULT_PERCENTS).forEach((percent, j) => {
+            values[`p${percent}_${metric.property}`] =
+              agg?.values?.[j]?.value ?? null;
+          });
+          break;
+        default:
+          values[`${metric.type}_${metric.property}`] = agg?.value ?? null;
+      }
+    });
+
+    return values;
+  }
+
+  readSeries(metrics, histogram) {
+    return (histogram?.buckets || []).map((bucket) => ({
+      date: new Date(bucket.key).toISOString(),
+      ...this.readMetrics(metrics, bucket, bucket.doc_count),
+    }));
+  }
+
+  readGroups(metrics, groupBy, terms, level, key) {
+    return (terms?.buckets || []).flatMap((bucket) => {
+      const groupKey = { ...key, [groupBy[level]]: bucket.key };
+
+      if (level < groupBy.length - 1) {
+        return this.readGroups(
+          metrics,
+          groupBy,
+          bucket[`group_${level + 1}`],
+          level + 1,
+          groupKey
+        );
+      }
+
+      return [
+        {
+          key: groupKey,
+          ...this.readMetrics(metrics, bucket, bucket.doc_count),
+          series: this.readSeries(metrics, bucket.series),
+        },
+      ];
+    });
+  }
+}
+
+module.exports = SegmentationService;
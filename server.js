@@ -1,13 +1,56 @@
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const { Pool } = require("pg");
+const { createClient } = require("redis");
 const OpenSearchService = require("./opensearch-service");
+const ApiKeyService = require("./api-key-service");
+const TenantService = require("./tenant-service");
+const OutboxWorker = require("./outbox-worker");
+const IngestionService = require("./ingestion-service");
+const SchemaRegistry = require("./schema-registry");
+const RateLimiter = require("./rate-limiter");
+const MeteringService = require("./metering-service");
+const StatsService = require("./stats-service");
+const RollupJob = require("./rollup-job");
+const FunnelService = require("./funnel-service");
+const RetentionService = require("./retention-service");
+const ProfileService = require("./profile-service");
+const IdentityService = require("./identity-service");
+const SessionService = require("./session-service");
+const SegmentationService = require("./segmentation-service");
+const RevenueService = require("./revenue-service");
+const AlertService = require("./alert-service");
+const AlertScheduler = require("./alert-scheduler");
+const WebhookService = require("./webhook-service");
+const WebhookWorker = require("./webhook-worker");
+const DashboardService = require("./dashboard-service");
+const StreamHub = require("./stream-hub");
+const TokenService = require("./token-service");
+const LiveServer = require("./live-server");
+const { loadCurrency } = require("./currency");
+const { isTimeZone } = require("./timezone");
+const { PLANS, getPlan } = require("./plans");
+const { DAY_MS } = require("./util");
 require("dotenv").config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Ingestion limits for /track/batch
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE) || 1000;
+const MAX_BATCH_BYTES =
+  parseInt(process.env.MAX_BATCH_BYTES) || 5 * 1024 * 1024;
+
+// Lifetime of tokens for the WebSocket live API, and so of the sockets
+// unless they renew
+const LIVE_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Days of webhook delivery log kept
+const WEBHOOK_LOG_RETENTION_DAYS =
+  parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
 // Database connection
 const pool = new Pool({
   user: process.env.DB_USER || "postgres",
@@ -17,6 +60,28 @@ const pool = new Pool({
   port: process.env.DB_PORT || 5432,
 });
 
+// Redis connection (commands fail fast while disconnected)
+const redis = createClient({
+  socket: {
+    host: process.env.REDIS_HOST || "localhost",
+    port: process.env.REDIS_PORT || 6379,
+  },
+  disableOfflineQueue: true,
+});
+redis.on("error", (error) => console.error("Redis error:", error.message));
+redis.connect().catch(console.error);
+
+// Signs short-lived tokens; instances verifying each other's tokens need the
+// same TOKEN_SECRET
+const tokens = new TokenService({ secret: process.env.TOKEN_SECRET });
+
+// Live streams fan out through Redis pub/sub so every instance's clients
+// see every message
+const stream = new StreamHub(redis, {
+  bufferSize: parseInt(process.env.STREAM_REPLAY_SIZE) || 1000,
+  maxBufferedBytes: parseInt(process.env.STREAM_MAX_BUFFER_BYTES) || 256 * 1024,
+});
+
 // OpenSearch connection
 const opensearch = new OpenSearchService({
   host: process.env.OPENSEARCH_HOST || "localhost",
@@ -24,33 +89,150 @@ const opensearch = new OpenSearchService({
   indexPrefix: "analytics",
 });
 
+const apiKeys = new ApiKeyService(pool);
+const tenants = new TenantService(pool, { opensearch, apiKeys });
+
+// Indexes committed events into OpenSearch and broadcasts them
+const outboxWorker = new OutboxWorker(pool, {
+  opensearch,
+  onIndexed: (tenantId, event) => broadcast(tenantId, "event", event),
+  pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL) || 1000,
+});
+
+// Forwards tracked events to tenants' webhook destinations
+const webhooks = new WebhookService(pool);
+const webhookWorker = new WebhookWorker(pool, {
+  webhooks,
+  pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000,
+});
+
+const schemas = new SchemaRegistry(pool);
+const metering = new MeteringService(pool);
+const profiles = new ProfileService(pool);
+const identity = new IdentityService(pool, { profiles, outboxWorker });
+const rateLimiter = new RateLimiter(redis, { metering });
+
+// Daily rollups in daily_stats serve long-range analytics
+const stats = new StatsService(pool, {
+  opensearch,
+  minRollupDays: parseInt(process.env.ROLLUP_MIN_DAYS) || 7,
+});
+// Revenue is reported in one currency using a static rate table
+const currency = loadCurrency(
+  process.env.CURRENCY_RATES,
+  process.env.REVENUE_CURRENCY
+);
+const funnels = new FunnelService(pool, { currency });
+const retention = new RetentionService(pool, { currency });
+const revenue = new RevenueService(pool, { currency });
+const sessions = new SessionService(pool);
+const segmentation = new SegmentationService(opensearch, { profiles });
+// Saved dashboards and their signed embed links, served by the dashboard app
+const dashboards = new DashboardService(pool, {
+  opensearch,
+  segmentation,
+  tokens,
+  embedBaseUrl: process.env.EMBED_BASE_URL || "http://localhost:3001",
+});
+// WebSocket live API on /live, attached once the server listens
+const live = new LiveServer({
+  tokens,
+  apiKeys,
+  stream,
+  opensearch,
+  aggregateInterval: parseInt(process.env.LIVE_AGGREGATE_INTERVAL_MS) || 5000,
+});
+
+// Alert rules are evaluated against OpenSearch on their own intervals
+const alerts = new AlertService(pool, {
+  opensearch,
+  segmentation,
+  onAlert: (tenantId, alert) => broadcast(tenantId, "alert", alert),
+});
+const alertScheduler = new AlertScheduler(pool, {
+  alerts,
+  interval: parseInt(process.env.ALERT_POLL_INTERVAL_MS) || 15 * 1000,
+});
+const rollupJob = new RollupJob(pool, {
+  opensearch,
+  currency,
+  interval: parseInt(process.env.ROLLUP_INTERVAL_MS) || 5 * 60 * 1000,
+});
+
+const ingestion = new IngestionService(pool, {
+  outboxWorker,
+  webhookWorker,
+  schemas,
+  metering,
+  profiles,
+  maxEventAgeMs: parseInt(process.env.MAX_EVENT_AGE_HOURS) * 3600000,
+  maxClockSkewMs: parseInt(process.env.MAX_CLOCK_SKEW_SECONDS) * 1000,
+  dedupWindowMs: parseInt(process.env.DEDUP_WINDOW_HOURS) * 3600000,
+});
+
 // Initialize OpenSearch on startup
 opensearch.initialize().catch(console.error);
 
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw size around for per-route payload limits
+    verify: (req, res, buf) => {
+      req.bodyLength = buf.length;
+    },
+  })
+);
 
-// Auth middleware - extracts tenant from API key (header or query param)
+// Auth middleware - resolves tenant and permissions from an API key
+// (x-api-key header) or a token from POST /auth/token (Authorization: Bearer,
+// or ?access_token= where headers can't be set, e.g. EventSource)
 const authenticateTenant = async (req, res, next) => {
-  const apiKey = req.headers["x-api-key"] || req.query.api_key;
+  const apiKey = req.headers["x-api-key"];
+  const token =
+    req.headers.authorization?.match(/^Bearer (.+)$/i)?.[1] ||
+    req.query.access_token;
 
-  if (!apiKey) {
-    return res.status(401).json({ error: "API key required" });
+  if (!apiKey && !token) {
+    return res.status(401).json({ error: "API key or token required" });
   }
 
   try {
-    const result = await pool.query(
-      "SELECT id FROM tenants WHERE api_key = $1",
-      [apiKey]
-    );
+    let key;
+    let claims = null;
+
+    if (apiKey) {
+      key = await apiKeys.authenticate(apiKey);
+
+      if (!key) {
+        return res.status(401).json({ error: "Invalid API key" });
+      }
+    } else {
+      claims = tokens.verify(token, ApiKeyService.TOKEN_SCOPE);
+      key = claims && (await apiKeys.authenticateToken(claims.key_id));
+
+      if (!key || key.tenantId !== claims.sub) {
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
+
+      // A token never grants more than its key currently does
+      key = {
+        ...key,
+        permissions: claims.permissions.filter((p) =>
+          ApiKeyService.hasPermission(key.permissions, p)
+        ),
+      };
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid API key" });
+    if (key.tenantStatus === "suspended") {
+      return res.status(403).json({ error: "Tenant is suspended" });
     }
 
-    req.tenantId = result.rows[0].id;
+    req.tenantId = key.tenantId;
+    req.apiKey = key;
+    req.token = claims;
     next();
   } catch (error) {
     console.error("Auth error:", error);
@@ -58,148 +240,436 @@ const authenticateTenant = async (req, res, next) => {
   }
 };
 
-// Routes
-app.get("/health", (req, res) => {
-  res.json({ status: "healthy", timestamp: new Date().toISOString() });
-});
+// Permission middleware - must run after authenticateTenant
+const requirePermission = (permission) => (req, res, next) => {
+  if (!ApiKeyService.hasPermission(req.apiKey.permissions, permission)) {
+    return res
+      .status(403)
+      .json({ error: `API key lacks '${permission}' permission` });
+  }
+  next();
+};
 
-// Track event endpoint
-app.post("/track", authenticateTenant, async (req, res) => {
-  const { event, properties = {}, userId, sessionId } = req.body;
+// Tokens restricted to one user only reach routes that apply the restriction
+const rejectUserToken = (req, res, next) => {
+  if (req.token?.filter) {
+    return res
+      .status(403)
+      .json({ error: "Token is restricted to a single user's data" });
+  }
+  next();
+};
+
+// Resolve the user a restricted token is limited to (req.scopedUserId, a
+// canonical id)
+const resolveUserToken = async (req, res, next) => {
+  if (!req.token?.filter) return next();
+
+  try {
+    req.scopedUserId = await identity.resolve(
+      req.tenantId,
+      req.token.filter.user_id
+    );
+    next();
+  } catch (error) {
+    console.error("Token user error:", error);
+    res.status(500).json({ error: "Failed to resolve token user" });
+  }
+};
+
+// Embed middleware - resolves tenant, dashboard and filter from the token
+// of a signed embed link (Authorization: Bearer)
+const authenticateEmbed = async (req, res, next) => {
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/i)?.[1];
+
+  if (!token) {
+    return res.status(401).json({ error: "Embed token required" });
+  }
+
+  try {
+    const embed = await dashboards.authenticateEmbed(token);
+
+    if (!embed) {
+      return res
+        .status(401)
+        .json({ error: "Embed link is invalid, expired or revoked" });
+    }
+
+    if (embed.tenantStatus === "suspended") {
+      return res.status(403).json({ error: "Tenant is suspended" });
+    }
+
+    req.tenantId = embed.tenantId;
+    req.embed = embed;
+    next();
+  } catch (error) {
+    console.error("Embed auth error:", error);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+};
+
+// Platform admin middleware - compares against ADMIN_API_KEY
+const authenticateAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const provided = req.headers["x-admin-key"];
+
+  if (!adminKey) {
+    return res.status(403).json({ error: "Admin API is not configured" });
+  }
+
+  if (!provided) {
+    return res.status(401).json({ error: "Admin key required" });
+  }
+
+  const expectedHash = ApiKeyService.hashKey(adminKey);
+  const providedHash = ApiKeyService.hashKey(provided);
+
+  if (
+    !crypto.timingSafeEqual(
+      Buffer.from(expectedHash, "hex"),
+      Buffer.from(providedHash, "hex")
+    )
+  ) {
+    return res.status(401).json({ error: "Invalid admin key" });
+  }
+
+  next();
+};
+
+// Number of events an ingestion request carries
+const eventCount = (req) =>
+  Array.isArray(req.body?.events) ? req.body.events.length : 1;
+
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    "X-RateLimit-Limit": String(result.limit),
+    "X-RateLimit-Remaining": String(result.remaining),
+    "X-RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+  });
+};
+
+// Rate limit middleware - per tenant (plan limit) and per key (optional
+// override). Embed links count their panels against their tenant's own
+// embed bucket.
+const rateLimit = (bucket) => async (req, res, next) => {
+  const plan = getPlan((req.apiKey || req.embed).tenantPlan);
+  const { limit, cost } = {
+    ingest: { limit: plan.ingestPerMinute, cost: eventCount(req) },
+    query: { limit: plan.queryPerMinute, cost: 1 },
+    embed: {
+      limit: plan.embedPanelsPerMinute,
+      cost: req.embed?.dashboard.panels.length,
+    },
+  }[bucket];
+
+  const counters = [{ id: `tenant:${req.tenantId}`, limit }];
+  if (req.apiKey?.rateLimitPerMinute) {
+    counters.push({
+      id: `key:${req.apiKey.id}`,
+      limit: req.apiKey.rateLimitPerMinute,
+    });
+  }
+
+  const result = await rateLimiter.consume(bucket, counters, cost);
+
+  // Redis unavailable - fail open
+  if (!result) return next();
+
+  setRateLimitHeaders(res, result);
 
-  if (!event) {
-    return res.status(400).json({ error: "Event name required" });
+  if (!result.allowed) {
+    res.set("Retry-After", String(Math.ceil(result.resetMs / 1000)));
+    return res.status(429).json({
+      error: "Rate limit exceeded",
+      limit: result.limit,
+      retry_after: Math.ceil(result.resetMs / 1000),
+    });
   }
 
-  const client = await pool.connect();
+  next();
+};
 
+// Monthly event quota middleware - soft limit warns, hard limit rejects.
+// Accepted requests reserve their events, and the part recordUsage did not
+// count as stored is given back once the response is done.
+const enforceQuota = async (req, res, next) => {
+  const plan = getPlan(req.apiKey.tenantPlan);
+  let quota;
   try {
-    await client.query("BEGIN");
+    quota = await rateLimiter.reserveQuota(
+      req.tenantId,
+      plan.monthlyEvents,
+      eventCount(req)
+    );
+  } catch (error) {
+    console.error("Quota error:", error);
+    return res.status(500).json({ error: "Failed to check quota" });
+  }
 
-    // Store in PostgreSQL
-    const pgResult = await client.query(
-      `INSERT INTO events (tenant_id, event_type, properties, user_id, session_id)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, timestamp`,
-      [req.tenantId, event, JSON.stringify(properties), userId, sessionId]
+  if (!quota) return next();
+
+  if (quota.reserved > 0) {
+    res.once("close", () =>
+      rateLimiter.settleQuota(
+        req.tenantId,
+        quota.reserved,
+        req.storedEvents || 0
+      )
     );
+  }
 
-    // Index in OpenSearch for real-time analytics
-    await opensearch.indexEvent(req.tenantId, {
-      event_type: event,
-      properties,
-      user_id: userId,
-      session_id: sessionId,
-      timestamp: pgResult.rows[0].timestamp,
-    });
-
-    // Broadcast to real-time dashboard
-    const eventForBroadcast = {
-      id: pgResult.rows[0].id,
-      event_type: event,
-      properties,
-      user_id: userId,
-      session_id: sessionId,
-      timestamp: pgResult.rows[0].timestamp,
-    };
+  res.set({
+    "X-Quota-Limit": String(quota.hard),
+    "X-Quota-Used": String(quota.usage),
+  });
+
+  if (!quota.allowed) {
+    res.set("Retry-After", String(Math.ceil(quota.resetMs / 1000)));
+    return res.status(429).json({
+      error: "Monthly event quota exceeded",
+      quota: quota.hard,
+      used: quota.usage,
+      retry_after: Math.ceil(quota.resetMs / 1000),
+    });
+  }
 
-    broadcastEvent(req.tenantId, eventForBroadcast);
+  if (quota.softExceeded) {
+    res.set("X-Quota-Warning", "Soft monthly event quota exceeded");
+  }
 
-    await client.query("COMMIT");
+  next();
+};
 
-    res.status(201).json({
+const TIME_ZONE_ERROR = "timezone must be an IANA time zone, e.g. Asia/Tokyo";
+
+// Time zone middleware - the tenant's time zone unless the request passes
+// ?timezone= (or "timezone" in a JSON body)
+const resolveTimeZone = (req, res, next) => {
+  const override = req.query.timezone ?? req.body?.timezone;
+
+  if (override !== undefined && !isTimeZone(override)) {
+    return res.status(400).json({ error: TIME_ZONE_ERROR });
+  }
+
+  req.timeZone = override || req.apiKey.tenantTimeZone;
+  next();
+};
+
+// A true/false query parameter as a boolean (absent is false). Other values
+// are returned as given for the validators to refuse.
+const queryFlag = (value) =>
+  value === undefined || value === "false" ? false : value === "true" || value;
+
+// An integer query parameter in [1, max], `fallback` when absent, or null
+// when it is anything else
+const queryCount = (value, fallback, max) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= max
+    ? number
+    : null;
+};
+
+// Longest lookback of the day-based reports
+const MAX_REPORT_DAYS = 365;
+
+// Authenticate, require a permission and apply its limits in one step.
+// Routes that can limit their data to one user pass `userScoped` to accept
+// restricted tokens.
+const authorize = (permission, { userScoped = false } = {}) => {
+  const chain = [
+    authenticateTenant,
+    requirePermission(permission),
+    userScoped ? resolveUserToken : rejectUserToken,
+  ];
+
+  if (permission === "track") {
+    chain.push(rateLimit("ingest"), enforceQuota);
+  } else if (permission === "identify") {
+    chain.push(rateLimit("ingest"));
+  } else if (permission === "query") {
+    chain.push(rateLimit("query"), resolveTimeZone);
+  }
+
+  return chain;
+};
+
+// Count only events that were newly stored against the quota
+const recordUsage = (req, results) => {
+  req.storedEvents = results.filter(
+    (result) => result.success && !result.duplicate && !result.quarantined
+  ).length;
+};
+
+// Resolve trait.<name>=<value> query filters to the matching user ids,
+// narrowed to a restricted token's user
+const resolveTraitFilter = async (req, res, next) => {
+  const { traits, error } = ProfileService.parseTraitFilters(req.query);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (Object.keys(traits).length === 0) {
+    if (req.scopedUserId) req.userIds = [req.scopedUserId];
+    return next();
+  }
+
+  try {
+    const userIds = await profiles.findUserIds(req.tenantId, traits);
+
+    if (userIds === null) {
+      return res
+        .status(400)
+        .json({ error: "Trait filter matches too many users" });
+    }
+
+    if (req.scopedUserId) {
+      req.userIds = userIds.filter((id) => id === req.scopedUserId);
+    } else {
+      req.userIds = userIds;
+    }
+    next();
+  } catch (error) {
+    console.error("Trait filter error:", error);
+    res.status(500).json({ error: "Failed to resolve trait filter" });
+  }
+};
+
+// Query routes that accept trait.<name>=<value> filters
+const authorizeTraitQuery = [
+  ...authorize("query", { userScoped: true }),
+  resolveTraitFilter,
+];
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Routes
+app.get("/health", (req, res) => {
+  res.json({ status: "healthy", timestamp: new Date().toISOString() });
+});
+
+// Track event endpoint
+app.post("/track", authorize("track"), async (req, res) => {
+  try {
+    const [result] = await ingestion.ingest(req.tenantId, [req.body], {
+      apiKeyId: req.apiKey.id,
+    });
+    recordUsage(req, [result]);
+
+    if (!result.success) {
+      return res
+        .status(400)
+        .json({ error: result.error, violations: result.violations });
+    }
+
+    if (result.quarantined) {
+      return res.status(202).json({
+        success: true,
+        quarantined: true,
+        quarantineId: result.quarantineId,
+        duplicate: result.duplicate || false,
+        violations: result.violations,
+      });
+    }
+
+    // A retried messageId returns the original event with 200
+    res.status(result.duplicate ? 200 : 201).json({
       success: true,
-      eventId: pgResult.rows[0].id,
-      timestamp: pgResult.rows[0].timestamp,
+      eventId: result.eventId,
+      timestamp: result.timestamp,
+      duplicate: result.duplicate || false,
+      warnings: result.warnings,
     });
   } catch (error) {
-    await client.query("ROLLBACK");
     console.error("Track error:", error);
     res.status(500).json({ error: "Failed to track event" });
-  } finally {
-    client.release();
   }
 });
 
-// Batch track endpoint
-app.post("/track/batch", authenticateTenant, async (req, res) => {
-  const { events } = req.body;
+// Link a previous (e.g. anonymous) id to a user id. Merging identities
+// rewrites history, so this takes a server-side permission.
+app.post("/alias", authorize("identify"), async (req, res) => {
+  const error = IdentityService.validateAlias(req.body || {});
 
-  if (!Array.isArray(events) || events.length === 0) {
-    return res.status(400).json({ error: "Events array required" });
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  const client = await pool.connect();
-
   try {
-    await client.query("BEGIN");
+    const result = await identity.alias(
+      req.tenantId,
+      String(req.body.previousId),
+      String(req.body.userId)
+    );
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Alias error:", error);
+    res.status(500).json({ error: "Failed to alias user" });
+  }
+});
 
-    const insertedIds = [];
-    const opensearchEvents = [];
+// Batch track endpoint
+app.post("/track/batch", authorize("track"), async (req, res) => {
+  const { events } = req.body;
 
-    for (const evt of events) {
-      const result = await client.query(
-        `INSERT INTO events (tenant_id, event_type, properties, user_id, session_id)
-         VALUES ($1, $2, $3, $4, $5)
-         RETURNING id, timestamp`,
-        [
-          req.tenantId,
-          evt.event,
-          JSON.stringify(evt.properties || {}),
-          evt.userId,
-          evt.sessionId,
-        ]
-      );
+  if (req.bodyLength > MAX_BATCH_BYTES) {
+    return res.status(413).json({
+      error: `Batch payload exceeds ${MAX_BATCH_BYTES} bytes`,
+    });
+  }
 
-      insertedIds.push(result.rows[0].id);
-      opensearchEvents.push({
-        event_type: evt.event,
-        properties: evt.properties || {},
-        user_id: evt.userId,
-        session_id: evt.sessionId,
-        timestamp: result.rows[0].timestamp,
-      });
-    }
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ error: "Events array required" });
+  }
 
-    // Bulk index to OpenSearch
-    await opensearch.bulkIndexEvents(req.tenantId, opensearchEvents);
+  if (events.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({
+      error: `Batch exceeds ${MAX_BATCH_SIZE} events`,
+    });
+  }
 
-    // Broadcast each event to real-time dashboard
-    opensearchEvents.forEach((evt, index) => {
-      broadcastEvent(req.tenantId, {
-        id: insertedIds[index],
-        event_type: evt.event_type,
-        properties: evt.properties,
-        user_id: evt.user_id,
-        session_id: evt.session_id,
-        timestamp: evt.timestamp,
-      });
+  try {
+    const results = await ingestion.ingest(req.tenantId, events, {
+      apiKeyId: req.apiKey.id,
     });
+    recordUsage(req, results);
+    const accepted = results.filter((result) => result.success);
+    const failed = results.length - accepted.length;
 
-    await client.query("COMMIT");
+    // 207 when only some events were stored, 400 when none were
+    const status = failed === 0 ? 201 : accepted.length > 0 ? 207 : 400;
 
-    res.status(201).json({
-      success: true,
-      eventIds: insertedIds,
-      count: insertedIds.length,
+    res.status(status).json({
+      success: failed === 0,
+      eventIds: accepted
+        .filter((result) => result.eventId)
+        .map((result) => result.eventId),
+      count: accepted.length,
+      duplicates: accepted.filter((result) => result.duplicate).length,
+      quarantined: accepted.filter(
+        (result) => result.quarantined && !result.duplicate
+      ).length,
+      failed,
+      results,
     });
   } catch (error) {
-    await client.query("ROLLBACK");
     console.error("Batch track error:", error);
     res.status(500).json({ error: "Failed to track events" });
-  } finally {
-    client.release();
   }
 });
 
 // Basic query endpoint (now using OpenSearch for better performance)
-app.get("/events", authenticateTenant, async (req, res) => {
+app.get("/events", authorizeTraitQuery, async (req, res) => {
   try {
     const result = await opensearch.searchEvents(req.tenantId, {
       eventType: req.query.event_type,
       userId: req.query.user_id,
+      userIds: req.userIds,
       startDate: req.query.start_date,
       endDate: req.query.end_date,
+      timeZone: req.timeZone,
       limit: parseInt(req.query.limit) || 100,
       offset: parseInt(req.query.offset) || 0,
       properties: req.query.properties
@@ -220,12 +690,29 @@ app.get("/events", authenticateTenant, async (req, res) => {
 });
 
 // Analytics dashboard endpoint
-app.get("/analytics", authenticateTenant, async (req, res) => {
+app.get("/analytics", authorizeTraitQuery, async (req, res) => {
+  const compare = queryFlag(req.query.compare);
+  if (typeof compare !== "boolean") {
+    return res.status(400).json({ error: "compare must be true or false" });
+  }
+
+  // The previous period is only defined for a bounded range
+  const start = req.query.start_date
+    ? opensearch.resolveDate(req.query.start_date, new Date(), req.timeZone)
+    : null;
+  if (compare && !start) {
+    return res.status(400).json({ error: "compare needs a start_date" });
+  }
+
   try {
-    const analytics = await opensearch.getAnalytics(req.tenantId, {
+    const analytics = await stats.getAnalytics(req.tenantId, {
       startDate: req.query.start_date,
       endDate: req.query.end_date,
       interval: req.query.interval || "day",
+      userIds: req.userIds,
+      timeZone: req.timeZone,
+      tenantTimeZone: req.apiKey.tenantTimeZone,
+      compare,
     });
 
     res.json(analytics);
@@ -236,21 +723,40 @@ app.get("/analytics", authenticateTenant, async (req, res) => {
 });
 
 // Funnel analysis endpoint
-app.post("/analytics/funnel", authenticateTenant, async (req, res) => {
-  const { events, timeWindow = "7d" } = req.body;
+app.post("/analytics/funnel", authorize("query"), async (req, res) => {
+  const { timeWindow = "7d", startDate, endDate, limit } = req.body;
 
-  if (!Array.isArray(events) || events.length === 0) {
-    return res
-      .status(400)
-      .json({ error: "Events array required for funnel analysis" });
+  const validationError = FunnelService.validateQuery(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // The range defaults to the last `timeWindow`
+  const now = new Date();
+  const start = opensearch.resolveDate(
+    startDate || `now-${timeWindow}`,
+    now,
+    req.timeZone
+  );
+  const end = opensearch.resolveDate(endDate || "now", now, req.timeZone, {
+    end: true,
+  });
+  if (!start || !end || start > end) {
+    return res.status(400).json({ error: "Invalid date range" });
   }
 
   try {
-    const funnel = await opensearch.getFunnelAnalysis(
-      req.tenantId,
-      events,
-      timeWindow
-    );
+    const funnel = await funnels.analyze(req.tenantId, {
+      events: req.body.events,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      conversionWindow: req.body.conversionWindow,
+      breakdown: req.body.breakdown,
+      dropOffStep: req.body.dropOffStep,
+      revenue: req.body.revenue,
+      compare: req.body.compare,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+    });
     res.json(funnel);
   } catch (error) {
     console.error("Funnel error:", error);
@@ -258,142 +764,430 @@ app.post("/analytics/funnel", authenticateTenant, async (req, res) => {
   }
 });
 
-// Real-time events stream (SSE)
-app.get("/events/stream", authenticateTenant, (req, res) => {
-  // Set SSE headers with proper CORS
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-    "Access-Control-Allow-Origin": "http://localhost:3001",
-    "Access-Control-Allow-Credentials": "true",
-    "Access-Control-Allow-Headers": "x-api-key, Content-Type",
-  });
+// Cohort retention endpoint
+app.get("/analytics/retention", authorize("query"), async (req, res) => {
+  const query = {
+    cohortEvent: req.query.cohort_event,
+    returnEvent: req.query.return_event,
+    granularity: req.query.granularity || "week",
+    periods: req.query.periods ? Number(req.query.periods) : undefined,
+    groupBy: req.query.group_by,
+    revenue: req.query.revenue === "true",
+    compare: queryFlag(req.query.compare),
+  };
 
-  // Send immediate connection confirmation
-  res.write('data: {"type":"connected","message":"Stream established"}\n\n');
+  const validationError = RetentionService.validateQuery(query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-  // Send heartbeat every 30 seconds
-  const heartbeat = setInterval(() => {
-    try {
-      res.write(
-        'data: {"type":"heartbeat","timestamp":"' +
-          new Date().toISOString() +
-          '"}\n\n'
-      );
-    } catch (error) {
-      clearInterval(heartbeat);
-    }
-  }, 30000);
+  const now = new Date();
+  const start = opensearch.resolveDate(
+    req.query.start_date || "now-90d",
+    now,
+    req.timeZone
+  );
+  const end = opensearch.resolveDate(
+    req.query.end_date || "now",
+    now,
+    req.timeZone,
+    { end: true }
+  );
+  if (!start || !end || start > end) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
 
-  // Store connection for broadcasting
-  const connectionId = Date.now() + Math.random();
-  if (!global.sseConnections) global.sseConnections = new Map();
-  global.sseConnections.set(connectionId, { res, tenantId: req.tenantId });
+  try {
+    const matrix = await retention.getRetention(req.tenantId, {
+      ...query,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      timeZone: req.timeZone,
+    });
+    res.json(matrix);
+  } catch (error) {
+    console.error("Retention error:", error);
+    res.status(500).json({ error: "Failed to get retention" });
+  }
+});
 
-  // Cleanup on disconnect
-  req.on("close", () => {
-    clearInterval(heartbeat);
-    global.sseConnections.delete(connectionId);
-    console.log("SSE client disconnected:", connectionId);
-  });
+// Revenue analytics endpoint
+app.get("/analytics/revenue", authorize("query"), async (req, res) => {
+  const query = {
+    interval: req.query.interval || "day",
+    groupBy: req.query.group_by,
+    limit: req.query.limit ? Number(req.query.limit) : undefined,
+    compare: queryFlag(req.query.compare),
+  };
 
-  req.on("error", () => {
-    clearInterval(heartbeat);
-    global.sseConnections.delete(connectionId);
-  });
+  const validationError = RevenueService.validateQuery(query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-  console.log(
-    "SSE client connected:",
-    connectionId,
-    "for tenant:",
-    req.tenantId
+  const now = new Date();
+  const start = opensearch.resolveDate(
+    req.query.start_date || "now-30d",
+    now,
+    req.timeZone
+  );
+  const end = opensearch.resolveDate(
+    req.query.end_date || "now",
+    now,
+    req.timeZone,
+    { end: true }
   );
+  if (!start || !end || start > end) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
+
+  try {
+    const result = await revenue.getRevenue(req.tenantId, {
+      ...query,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      timeZone: req.timeZone,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Revenue error:", error);
+    res.status(500).json({ error: "Failed to get revenue" });
+  }
 });
 
-// Broadcast new events to SSE connections
-function broadcastEvent(tenantId, eventData) {
-  if (!global.sseConnections) return;
-
-  let broadcastCount = 0;
-  global.sseConnections.forEach((conn, id) => {
-    if (conn.tenantId === tenantId) {
-      try {
-        const message = `data: ${JSON.stringify({
-          type: "event",
-          data: eventData,
-        })}\n\n`;
-        conn.res.write(message);
-        broadcastCount++;
-      } catch (error) {
-        console.error("Broadcast error to connection", id, error.message);
-        global.sseConnections.delete(id);
-      }
-    }
+// Segmentation endpoint
+app.post("/analytics/segment", authorize("query"), async (req, res) => {
+  const body = req.body || {};
+  const now = new Date();
+  const start = opensearch.resolveDate(
+    body.startDate || "now-7d",
+    now,
+    req.timeZone
+  );
+  const end = opensearch.resolveDate(body.endDate || "now", now, req.timeZone, {
+    end: true,
   });
-}
+  if (!start || !end || start > end) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
 
-// Usage metrics endpoint
-app.get("/analytics/usage", authenticateTenant, async (req, res) => {
-  const days = parseInt(req.query.days) || 30;
+  const query = {
+    event: body.event,
+    filter: body.filter,
+    groupBy: typeof body.groupBy === "string" ? [body.groupBy] : body.groupBy,
+    metrics: body.metrics || [{ type: "count" }],
+    interval: body.interval || "day",
+    limit: body.limit,
+    compare: body.compare,
+    timeZone: req.timeZone,
+    start,
+    end,
+  };
+
+  const validationError = SegmentationService.validateQuery(query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
   try {
-    const analytics = await opensearch.getAnalytics(req.tenantId, {
-      startDate: `now-${days}d`,
-      endDate: "now",
-      interval: days > 7 ? "day" : "hour",
+    let filter = null;
+    if (query.filter) {
+      const compiled = await segmentation.compileFilter(
+        req.tenantId,
+        query.filter
+      );
+      if (compiled.error) {
+        return res.status(400).json({ error: compiled.error });
+      }
+      filter = compiled.filter;
+    }
+
+    const result = await segmentation.segment(req.tenantId, {
+      ...query,
+      filter,
+      start: start.toISOString(),
+      end: end.toISOString(),
     });
+    res.json(result);
+  } catch (error) {
+    console.error("Segmentation error:", error);
+    res.status(500).json({ error: "Failed to run segmentation" });
+  }
+});
 
-    // Calculate growth rate
-    const events = analytics.events_over_time;
-    const midPoint = Math.floor(events.length / 2);
-    const firstHalf = events
-      .slice(0, midPoint)
-      .reduce((sum, item) => sum + item.count, 0);
-    const secondHalf = events
-      .slice(midPoint)
-      .reduce((sum, item) => sum + item.count, 0);
-    const growthRate =
-      firstHalf > 0
-        ? (((secondHalf - firstHalf) / firstHalf) * 100).toFixed(1)
-        : 0;
+// Session analytics endpoint
+app.get("/analytics/sessions", authorize("query"), async (req, res) => {
+  const query = {
+    inactivityTimeout:
+      req.query.inactivity_timeout || SessionService.DEFAULT_INACTIVITY_TIMEOUT,
+    limit: req.query.limit ? Number(req.query.limit) : undefined,
+    compare: queryFlag(req.query.compare),
+  };
 
-    res.json({
-      ...analytics,
-      growth_rate: parseFloat(growthRate),
-      period_days: days,
+  const validationError = SessionService.validateQuery(query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const now = new Date();
+  const start = opensearch.resolveDate(
+    req.query.start_date || "now-7d",
+    now,
+    req.timeZone
+  );
+  const end = opensearch.resolveDate(
+    req.query.end_date || "now",
+    now,
+    req.timeZone,
+    { end: true }
+  );
+  if (!start || !end || start > end) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
+
+  try {
+    const result = await sessions.getSessions(req.tenantId, {
+      ...query,
+      start: start.toISOString(),
+      end: end.toISOString(),
     });
+    res.json(result);
   } catch (error) {
-    console.error("Usage analytics error:", error);
-    res.status(500).json({ error: "Failed to get usage analytics" });
+    console.error("Sessions error:", error);
+    res.status(500).json({ error: "Failed to get sessions" });
   }
 });
 
-// Dashboard config endpoint
-app.get("/dashboard/config", authenticateTenant, async (req, res) => {
-  try {
-    // Get tenant info
-    const tenantResult = await pool.query(
-      "SELECT name FROM tenants WHERE id = $1",
-      [req.tenantId]
-    );
+// Real-time events stream (SSE). Reconnecting clients send Last-Event-ID
+// (or ?last_event_id=) to receive the messages they missed.
+const MAX_STREAM_FILTER_VALUES = 50;
 
-    // Get recent activity summary
-    const analytics = await opensearch.getAnalytics(req.tenantId, {
-      startDate: "now-24h",
-      endDate: "now",
-    });
+const parseStreamFilter = (value) =>
+  value === undefined
+    ? null
+    : String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
 
-    res.json({
+app.get(
+  "/events/stream",
+  authorize("stream", { userScoped: true }),
+  async (req, res) => {
+    const eventTypes = parseStreamFilter(req.query.event_type);
+    const userIds = parseStreamFilter(req.query.user_id);
+    const lastEventId =
+      req.get("Last-Event-ID") || req.query.last_event_id || null;
+
+    if (
+      [eventTypes, userIds].some(
+        (values) =>
+          values &&
+          (values.length === 0 || values.length > MAX_STREAM_FILTER_VALUES)
+      )
+    ) {
+      return res.status(400).json({
+        error: `event_type and user_id take 1-${MAX_STREAM_FILTER_VALUES} comma-separated values`,
+      });
+    }
+
+    if (lastEventId !== null && !StreamHub.isStreamId(lastEventId)) {
+      return res.status(400).json({ error: "Invalid Last-Event-ID" });
+    }
+
+    // Set SSE headers with proper CORS
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "http://localhost:3001",
+      "Access-Control-Allow-Credentials": "true",
+      "Access-Control-Allow-Headers":
+        "x-api-key, Authorization, Content-Type, Last-Event-ID",
+    });
+
+    // Send immediate connection confirmation; clients retry after 3s
+    res.write(
+      'retry: 3000\ndata: {"type":"connected","message":"Stream established"}\n\n'
+    );
+
+    const client = await stream.connect(req.tenantId, res, {
+      eventTypes,
+      userIds,
+      canonicalUserId: req.scopedUserId,
+      lastEventId,
+    });
+
+    // Cleanup on disconnect
+    const cleanup = () => {
+      stream.disconnect(client);
+      console.log("SSE client disconnected for tenant:", req.tenantId);
+    };
+    res.on("close", cleanup);
+    if (res.destroyed) cleanup();
+
+    console.log("SSE client connected for tenant:", req.tenantId);
+  }
+);
+
+// Short-lived token for authenticating to the WebSocket live API
+app.post(
+  "/live/token",
+  authorize("stream", { userScoped: true }),
+  (req, res) => {
+    // Never outlive the token this one was requested with
+    const ttlSeconds = req.token
+      ? Math.max(
+          1,
+          Math.min(
+            LIVE_TOKEN_TTL_SECONDS,
+            req.token.exp - Math.floor(Date.now() / 1000)
+          )
+        )
+      : LIVE_TOKEN_TTL_SECONDS;
+
+    res.status(201).json({
+      ...tokens.sign(
+        {
+          sub: req.tenantId,
+          key_id: req.apiKey.id,
+          scope: LiveServer.TOKEN_SCOPE,
+          canonical_user_id: req.scopedUserId,
+        },
+        ttlSeconds
+      ),
+      expires_in: ttlSeconds,
+    });
+  }
+);
+
+// Exchange an API key for a short-lived token, optionally with fewer
+// permissions or limited to one user's data
+app.post("/auth/token", authenticateTenant, (req, res) => {
+  if (req.token) {
+    return res
+      .status(403)
+      .json({ error: "Tokens are only issued for API keys" });
+  }
+
+  const grant = {
+    permissions: req.body?.permissions,
+    filter: req.body?.filter,
+    ttlSeconds: req.body?.ttlSeconds,
+  };
+  const error = ApiKeyService.validateTokenGrant(grant, req.apiKey.permissions);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const permissions =
+    grant.permissions || ApiKeyService.tokenPermissions(req.apiKey.permissions);
+  if (permissions.length === 0) {
+    return res
+      .status(403)
+      .json({ error: "API key has no permissions tokens can carry" });
+  }
+
+  const ttlSeconds =
+    grant.ttlSeconds || ApiKeyService.DEFAULT_TOKEN_TTL_SECONDS;
+  const filter = grant.filter || null;
+
+  res.status(201).json({
+    ...tokens.sign(
+      {
+        sub: req.tenantId,
+        key_id: req.apiKey.id,
+        scope: ApiKeyService.TOKEN_SCOPE,
+        permissions,
+        filter,
+      },
+      ttlSeconds
+    ),
+    expires_in: ttlSeconds,
+    permissions,
+    filter,
+  });
+});
+
+// Publish a message (new events, alerts) to a tenant's SSE and WebSocket
+// clients on every instance
+function broadcast(tenantId, type, data) {
+  stream.publish(tenantId, type, data).catch((error) => {
+    console.error("Broadcast error:", error.message);
+  });
+}
+
+// Usage metrics endpoint
+app.get("/analytics/usage", authorizeTraitQuery, async (req, res) => {
+  const days = queryCount(req.query.days, 30, MAX_REPORT_DAYS);
+
+  if (days === null) {
+    return res.status(400).json({
+      error: `days must be an integer between 1 and ${MAX_REPORT_DAYS}`,
+    });
+  }
+
+  try {
+    const analytics = await stats.getAnalytics(req.tenantId, {
+      startDate: `now-${days}d`,
+      endDate: "now",
+      interval: days > 7 ? "day" : "hour",
+      userIds: req.userIds,
+      timeZone: req.timeZone,
+      tenantTimeZone: req.apiKey.tenantTimeZone,
+      compare: true,
+    });
+
+    // Growth against the previous `days` days
+    res.json({
+      ...analytics,
+      growth_rate: analytics.comparison.total_events.change_rate || 0,
+      period_days: days,
+    });
+  } catch (error) {
+    console.error("Usage analytics error:", error);
+    res.status(500).json({ error: "Failed to get usage analytics" });
+  }
+});
+
+// Dashboard config endpoint
+app.get("/dashboard/config", authorize("query"), async (req, res) => {
+  try {
+    // Get tenant info
+    const tenantResult = await pool.query(
+      "SELECT name FROM tenants WHERE id = $1",
+      [req.tenantId]
+    );
+
+    // Get recent activity summary, and today's since local midnight
+    const [analytics, today] = await Promise.all([
+      opensearch.getAnalytics(req.tenantId, {
+        startDate: "now-24h",
+        endDate: "now",
+      }),
+      opensearch.getAnalytics(req.tenantId, {
+        startDate: "now/d",
+        endDate: "now",
+        timeZone: req.timeZone,
+      }),
+    ]);
+
+    res.json({
       tenant: {
         id: req.tenantId,
         name: tenantResult.rows[0]?.name || "Unknown",
+        timezone: req.apiKey.tenantTimeZone,
       },
+      timezone: req.timeZone,
       last_24h: {
         total_events: analytics.total_events,
         unique_users: analytics.unique_users,
         top_event: analytics.top_events[0]?.event || null,
       },
+      today: {
+        total_events: today.total_events,
+        unique_users: today.unique_users,
+      },
     });
   } catch (error) {
     console.error("Dashboard config error:", error);
@@ -401,9 +1195,1127 @@ app.get("/dashboard/config", authenticateTenant, async (req, res) => {
   }
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`Analytics API running on port ${port}`);
+// User profiles
+app.get("/users", authorize("query"), async (req, res) => {
+  const { traits, error } = ProfileService.parseTraitFilters(req.query);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await profiles.listProfiles(req.tenantId, {
+      traits,
+      limit: Math.min(parseInt(req.query.limit) || 50, 1000),
+      offset: parseInt(req.query.offset) || 0,
+    });
+    res.json({ ...result, count: result.users.length });
+  } catch (error) {
+    console.error("List users error:", error);
+    res.status(500).json({ error: "Failed to list users" });
+  }
+});
+
+app.get(
+  "/users/:userId",
+  authorize("query", { userScoped: true }),
+  async (req, res) => {
+    try {
+      const canonicalId = await identity.resolve(
+        req.tenantId,
+        req.params.userId
+      );
+
+      // Restricted tokens only see their own user
+      if (req.scopedUserId && canonicalId !== req.scopedUserId) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const profile = await profiles.getProfile(req.tenantId, canonicalId);
+
+      if (!profile) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const aliases = await identity.listAliases(req.tenantId, canonicalId);
+      res.json({ ...profile, canonical_id: canonicalId, aliases });
+    } catch (error) {
+      console.error("Get user error:", error);
+      res.status(500).json({ error: "Failed to get user" });
+    }
+  }
+);
+
+app.get(
+  "/users/:userId/events",
+  authorize("query", { userScoped: true }),
+  async (req, res) => {
+    try {
+      const canonicalId = await identity.resolve(
+        req.tenantId,
+        req.params.userId
+      );
+
+      if (req.scopedUserId && canonicalId !== req.scopedUserId) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const result = await opensearch.searchEvents(req.tenantId, {
+        canonicalUserId: canonicalId,
+        eventType: req.query.event_type,
+        startDate: req.query.start_date,
+        endDate: req.query.end_date,
+        timeZone: req.timeZone,
+        limit: Math.min(parseInt(req.query.limit) || 50, 1000),
+        offset: parseInt(req.query.offset) || 0,
+      });
+
+      res.json({
+        user_id: req.params.userId,
+        canonical_id: canonicalId,
+        events: result.events,
+        total: result.total,
+        count: result.events.length,
+      });
+    } catch (error) {
+      console.error("User timeline error:", error);
+      res.status(500).json({ error: "Failed to get user timeline" });
+    }
+  }
+);
+
+// API key management
+app.get("/keys", authorize("admin"), async (req, res) => {
+  try {
+    const keys = await apiKeys.listKeys(req.tenantId);
+    res.json({ keys });
+  } catch (error) {
+    console.error("List keys error:", error);
+    res.status(500).json({ error: "Failed to list API keys" });
+  }
+});
+
+app.post("/keys", authorize("admin"), async (req, res) => {
+  const {
+    name,
+    permissions = ["track", "query"],
+    rateLimitPerMinute = null,
+  } = req.body;
+
+  const permissionError = ApiKeyService.validatePermissions(permissions);
+  if (permissionError) {
+    return res.status(400).json({ error: permissionError });
+  }
+
+  if (
+    rateLimitPerMinute !== null &&
+    !(Number.isInteger(rateLimitPerMinute) && rateLimitPerMinute > 0)
+  ) {
+    return res
+      .status(400)
+      .json({ error: "rateLimitPerMinute must be a positive integer" });
+  }
+
+  try {
+    const key = await apiKeys.createKey(req.tenantId, {
+      name,
+      permissions,
+      rateLimitPerMinute,
+    });
+    res.status(201).json(key);
+  } catch (error) {
+    console.error("Create key error:", error);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+app.post("/keys/:id/rotate", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  try {
+    const key = await apiKeys.rotateKey(req.tenantId, req.params.id);
+
+    if (!key) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    res.status(201).json(key);
+  } catch (error) {
+    console.error("Rotate key error:", error);
+    res.status(500).json({ error: "Failed to rotate API key" });
+  }
+});
+
+app.delete("/keys/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "API key not found" });
+  }
+
+  try {
+    const revoked = await apiKeys.revokeKey(req.tenantId, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error("Revoke key error:", error);
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+// Event schema registry
+app.get("/schemas/events", authorize("query"), async (req, res) => {
+  try {
+    res.json(await schemas.listDefinitions(req.tenantId));
+  } catch (error) {
+    console.error("List schemas error:", error);
+    res.status(500).json({ error: "Failed to list event definitions" });
+  }
+});
+
+app.put("/schemas/events/:eventType", authorize("admin"), async (req, res) => {
+  const { eventType } = req.params;
+
+  if (eventType.length > 100) {
+    return res.status(400).json({ error: "Event name exceeds 100 characters" });
+  }
+
+  const definitionError = SchemaRegistry.validateDefinition(req.body);
+  if (definitionError) {
+    return res.status(400).json({ error: definitionError });
+  }
+
+  try {
+    const definition = await schemas.upsertDefinition(
+      req.tenantId,
+      eventType,
+      req.body
+    );
+    res.json(definition);
+  } catch (error) {
+    console.error("Upsert schema error:", error);
+    res.status(500).json({ error: "Failed to save event definition" });
+  }
+});
+
+app.delete(
+  "/schemas/events/:eventType",
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const deleted = await schemas.deleteDefinition(
+        req.tenantId,
+        req.params.eventType
+      );
+
+      if (!deleted) {
+        return res.status(404).json({ error: "Event definition not found" });
+      }
+
+      res.json({ success: true, event_type: req.params.eventType });
+    } catch (error) {
+      console.error("Delete schema error:", error);
+      res.status(500).json({ error: "Failed to delete event definition" });
+    }
+  }
+);
+
+app.put("/schemas/mode", authorize("admin"), async (req, res) => {
+  const { mode } = req.body;
+
+  if (!SchemaRegistry.MODES.includes(mode)) {
+    return res.status(400).json({
+      error: `Mode must be one of: ${SchemaRegistry.MODES.join(", ")}`,
+    });
+  }
+
+  try {
+    await schemas.setMode(req.tenantId, mode);
+    res.json({ success: true, mode });
+  } catch (error) {
+    console.error("Set schema mode error:", error);
+    res.status(500).json({ error: "Failed to set schema mode" });
+  }
+});
+
+// Tenant time zone for day boundaries and buckets
+app.put("/settings/timezone", authorize("admin"), async (req, res) => {
+  const { timezone } = req.body;
+
+  if (!isTimeZone(timezone)) {
+    return res.status(400).json({ error: TIME_ZONE_ERROR });
+  }
+
+  try {
+    await tenants.updateTenant(req.tenantId, { timezone });
+    res.json({ success: true, timezone });
+  } catch (error) {
+    console.error("Set time zone error:", error);
+    res.status(500).json({ error: "Failed to set time zone" });
+  }
+});
+
+app.get("/schemas/violations", authorize("query"), async (req, res) => {
+  const days = queryCount(req.query.days, 7, MAX_REPORT_DAYS);
+
+  if (days === null) {
+    return res.status(400).json({
+      error: `days must be an integer between 1 and ${MAX_REPORT_DAYS}`,
+    });
+  }
+
+  try {
+    const violations = await schemas.listViolations(req.tenantId, { days });
+    res.json({ violations, period_days: days });
+  } catch (error) {
+    console.error("List violations error:", error);
+    res.status(500).json({ error: "Failed to list schema violations" });
+  }
+});
+
+app.get("/schemas/quarantine", authorize("query"), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  try {
+    const events = await schemas.listQuarantined(req.tenantId, { limit });
+    res.json({ events, count: events.length });
+  } catch (error) {
+    console.error("List quarantine error:", error);
+    res.status(500).json({ error: "Failed to list quarantined events" });
+  }
+});
+
+// Alert rules and history
+app.get("/alerts/rules", authorize("query"), async (req, res) => {
+  try {
+    const rules = await alerts.listRules(req.tenantId);
+    res.json({ rules });
+  } catch (error) {
+    console.error("List alert rules error:", error);
+    res.status(500).json({ error: "Failed to list alert rules" });
+  }
+});
+
+app.get("/alerts/rules/:id", authorize("query"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Alert rule not found" });
+  }
+
+  try {
+    const rule = await alerts.getRule(req.tenantId, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error("Get alert rule error:", error);
+    res.status(500).json({ error: "Failed to get alert rule" });
+  }
+});
+
+app.post("/alerts/rules", authorize("admin"), async (req, res) => {
+  const ruleError = AlertService.validateRule(req.body);
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError });
+  }
+
+  try {
+    const rule = await alerts.createRule(req.tenantId, req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error("Create alert rule error:", error);
+    res.status(500).json({ error: "Failed to create alert rule" });
+  }
+});
+
+app.patch("/alerts/rules/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Alert rule not found" });
+  }
+
+  const ruleError = AlertService.validateRule(req.body, { partial: true });
+  if (ruleError) {
+    return res.status(400).json({ error: ruleError });
+  }
+
+  try {
+    const rule = await alerts.updateRule(req.tenantId, req.params.id, req.body);
+
+    if (!rule) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error("Update alert rule error:", error);
+    res.status(500).json({ error: "Failed to update alert rule" });
+  }
+});
+
+app.post(
+  "/alerts/rules/:id/rotate-secret",
+  authorize("admin"),
+  async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+
+    try {
+      const rule = await alerts.rotateSecret(req.tenantId, req.params.id);
+
+      if (!rule) {
+        return res.status(404).json({ error: "Alert rule not found" });
+      }
+
+      res.json(rule);
+    } catch (error) {
+      console.error("Rotate alert secret error:", error);
+      res.status(500).json({ error: "Failed to rotate alert secret" });
+    }
+  }
+);
+
+app.delete("/alerts/rules/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Alert rule not found" });
+  }
+
+  try {
+    const deleted = await alerts.deleteRule(req.tenantId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Alert rule not found" });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error("Delete alert rule error:", error);
+    res.status(500).json({ error: "Failed to delete alert rule" });
+  }
+});
+
+app.get("/alerts/history", authorize("query"), async (req, res) => {
+  const { rule_id: ruleId, status } = req.query;
+  const limit = queryCount(req.query.limit, 50, AlertService.MAX_HISTORY);
+
+  if (limit === null) {
+    return res.status(400).json({
+      error: `limit must be an integer between 1 and ${AlertService.MAX_HISTORY}`,
+    });
+  }
+
+  if (ruleId !== undefined && !UUID_PATTERN.test(ruleId)) {
+    return res.status(400).json({ error: "rule_id must be a rule id" });
+  }
+
+  if (status !== undefined && !["firing", "resolved"].includes(status)) {
+    return res.status(400).json({ error: "status must be firing or resolved" });
+  }
+
+  try {
+    const history = await alerts.listHistory(req.tenantId, {
+      ruleId,
+      status,
+      limit,
+    });
+    res.json({ alerts: history, count: history.length });
+  } catch (error) {
+    console.error("Alert history error:", error);
+    res.status(500).json({ error: "Failed to get alert history" });
+  }
+});
+
+// Outgoing webhook destinations
+app.get("/webhooks", authorize("admin"), async (req, res) => {
+  try {
+    const destinations = await webhooks.listDestinations(req.tenantId);
+    res.json({ destinations });
+  } catch (error) {
+    console.error("List webhooks error:", error);
+    res.status(500).json({ error: "Failed to list webhook destinations" });
+  }
+});
+
+app.post("/webhooks", authorize("admin"), async (req, res) => {
+  const destinationError = WebhookService.validateDestination(req.body);
+  if (destinationError) {
+    return res.status(400).json({ error: destinationError });
+  }
+
+  try {
+    const destination = await webhooks.createDestination(
+      req.tenantId,
+      req.body
+    );
+    res.status(201).json(destination);
+  } catch (error) {
+    console.error("Create webhook error:", error);
+    res.status(500).json({ error: "Failed to create webhook destination" });
+  }
+});
+
+app.get("/webhooks/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Webhook destination not found" });
+  }
+
+  try {
+    const destination = await webhooks.getDestination(
+      req.tenantId,
+      req.params.id
+    );
+
+    if (!destination) {
+      return res.status(404).json({ error: "Webhook destination not found" });
+    }
+
+    res.json(destination);
+  } catch (error) {
+    console.error("Get webhook error:", error);
+    res.status(500).json({ error: "Failed to get webhook destination" });
+  }
+});
+
+app.patch("/webhooks/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Webhook destination not found" });
+  }
+
+  const destinationError = WebhookService.validateDestination(req.body, {
+    partial: true,
+  });
+  if (destinationError) {
+    return res.status(400).json({ error: destinationError });
+  }
+
+  try {
+    const destination = await webhooks.updateDestination(
+      req.tenantId,
+      req.params.id,
+      req.body
+    );
+
+    if (!destination) {
+      return res.status(404).json({ error: "Webhook destination not found" });
+    }
+
+    webhookWorker.wake();
+    res.json(destination);
+  } catch (error) {
+    console.error("Update webhook error:", error);
+    res.status(500).json({ error: "Failed to update webhook destination" });
+  }
+});
+
+app.delete("/webhooks/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Webhook destination not found" });
+  }
+
+  try {
+    const deleted = await webhooks.deleteDestination(
+      req.tenantId,
+      req.params.id
+    );
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Webhook destination not found" });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error("Delete webhook error:", error);
+    res.status(500).json({ error: "Failed to delete webhook destination" });
+  }
+});
+
+app.post(
+  "/webhooks/:id/rotate-secret",
+  authorize("admin"),
+  async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Webhook destination not found" });
+    }
+
+    try {
+      const destination = await webhooks.rotateSecret(
+        req.tenantId,
+        req.params.id
+      );
+
+      if (!destination) {
+        return res.status(404).json({ error: "Webhook destination not found" });
+      }
+
+      res.json(destination);
+    } catch (error) {
+      console.error("Rotate webhook secret error:", error);
+      res.status(500).json({ error: "Failed to rotate webhook secret" });
+    }
+  }
+);
+
+// Send a test event right away and report how the destination answered
+app.post("/webhooks/:id/test", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Webhook destination not found" });
+  }
+
+  try {
+    const delivery = await webhooks.sendTest(req.tenantId, req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: "Webhook destination not found" });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error("Test webhook error:", error);
+    res.status(500).json({ error: "Failed to send test event" });
+  }
+});
+
+app.get("/webhooks/:id/deliveries", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Webhook destination not found" });
+  }
+
+  const { status } = req.query;
+  const limit = queryCount(req.query.limit, 50, WebhookService.MAX_LOG_ENTRIES);
+
+  if (limit === null) {
+    return res.status(400).json({
+      error: `limit must be an integer between 1 and ${WebhookService.MAX_LOG_ENTRIES}`,
+    });
+  }
+
+  if (status !== undefined && !["delivered", "failed"].includes(status)) {
+    return res
+      .status(400)
+      .json({ error: "status must be delivered or failed" });
+  }
+
+  try {
+    const deliveries = await webhooks.listDeliveries(
+      req.tenantId,
+      req.params.id,
+      { status, limit }
+    );
+    res.json({ deliveries, count: deliveries.length });
+  } catch (error) {
+    console.error("Webhook deliveries error:", error);
+    res.status(500).json({ error: "Failed to list webhook deliveries" });
+  }
+});
+
+app.get("/webhooks/:id/dead-letters", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Webhook destination not found" });
+  }
+
+  const limit = queryCount(req.query.limit, 50, WebhookService.MAX_LOG_ENTRIES);
+
+  if (limit === null) {
+    return res.status(400).json({
+      error: `limit must be an integer between 1 and ${WebhookService.MAX_LOG_ENTRIES}`,
+    });
+  }
+
+  try {
+    const deadLetters = await webhooks.listDeadLetters(
+      req.tenantId,
+      req.params.id,
+      { limit }
+    );
+    res.json({ dead_letters: deadLetters, count: deadLetters.length });
+  } catch (error) {
+    console.error("Webhook dead letters error:", error);
+    res.status(500).json({ error: "Failed to list dead letters" });
+  }
+});
+
+app.post(
+  "/webhooks/:id/dead-letters/replay",
+  authorize("admin"),
+  async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Webhook destination not found" });
+    }
+
+    try {
+      const requeued = await webhooks.replayDeadLetters(
+        req.tenantId,
+        req.params.id
+      );
+      webhookWorker.wake();
+      res.json({ success: true, requeued });
+    } catch (error) {
+      console.error("Replay dead letters error:", error);
+      res.status(500).json({ error: "Failed to replay dead letters" });
+    }
+  }
+);
+
+// Saved dashboards
+app.get("/dashboards", authorize("query"), async (req, res) => {
+  try {
+    res.json({ dashboards: await dashboards.listDashboards(req.tenantId) });
+  } catch (error) {
+    console.error("List dashboards error:", error);
+    res.status(500).json({ error: "Failed to list dashboards" });
+  }
+});
+
+app.post("/dashboards", authorize("admin"), async (req, res) => {
+  const dashboardError = DashboardService.validateDashboard(req.body);
+  if (dashboardError) {
+    return res.status(400).json({ error: dashboardError });
+  }
+
+  try {
+    const dashboard = await dashboards.createDashboard(req.tenantId, req.body);
+    res.status(201).json(dashboard);
+  } catch (error) {
+    console.error("Create dashboard error:", error);
+    res.status(500).json({ error: "Failed to create dashboard" });
+  }
+});
+
+app.get("/dashboards/:id", authorize("query"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Dashboard not found" });
+  }
+
+  try {
+    const dashboard = await dashboards.getDashboard(
+      req.tenantId,
+      req.params.id
+    );
+
+    if (!dashboard) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+
+    res.json(dashboard);
+  } catch (error) {
+    console.error("Get dashboard error:", error);
+    res.status(500).json({ error: "Failed to get dashboard" });
+  }
+});
+
+app.patch("/dashboards/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Dashboard not found" });
+  }
+
+  if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+    return res.status(400).json({ error: "Dashboard must be an object" });
+  }
+
+  try {
+    const existing = await dashboards.getDashboard(req.tenantId, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+
+    // Panels are checked against the range, so validate the result
+    const dashboardError = DashboardService.validateDashboard({
+      name: existing.name,
+      rangeDays: existing.range_days,
+      panels: existing.panels,
+      ...req.body,
+    });
+    if (dashboardError) {
+      return res.status(400).json({ error: dashboardError });
+    }
+
+    const dashboard = await dashboards.updateDashboard(
+      req.tenantId,
+      req.params.id,
+      req.body
+    );
+
+    if (!dashboard) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+
+    res.json(dashboard);
+  } catch (error) {
+    console.error("Update dashboard error:", error);
+    res.status(500).json({ error: "Failed to update dashboard" });
+  }
+});
+
+app.delete("/dashboards/:id", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Dashboard not found" });
+  }
+
+  try {
+    const deleted = await dashboards.deleteDashboard(
+      req.tenantId,
+      req.params.id
+    );
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error("Delete dashboard error:", error);
+    res.status(500).json({ error: "Failed to delete dashboard" });
+  }
+});
+
+// A dashboard's panels with data, as an embed link would show them
+app.get("/dashboards/:id/data", authorize("query"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Dashboard not found" });
+  }
+
+  try {
+    const dashboard = await dashboards.getDashboard(
+      req.tenantId,
+      req.params.id
+    );
+
+    if (!dashboard) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+
+    res.json(
+      await dashboards.render(req.tenantId, dashboard, {
+        timeZone: req.timeZone,
+      })
+    );
+  } catch (error) {
+    console.error("Dashboard data error:", error);
+    res.status(500).json({ error: "Failed to load dashboard" });
+  }
+});
+
+// Signed embed links
+app.get("/dashboards/:id/embeds", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Dashboard not found" });
+  }
+
+  try {
+    const embeds = await dashboards.listEmbeds(req.tenantId, req.params.id);
+    res.json({ embeds, count: embeds.length });
+  } catch (error) {
+    console.error("List embeds error:", error);
+    res.status(500).json({ error: "Failed to list embed links" });
+  }
+});
+
+app.post("/dashboards/:id/embeds", authorize("admin"), async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Dashboard not found" });
+  }
+
+  const embedError = DashboardService.validateEmbed(req.body || {});
+  if (embedError) {
+    return res.status(400).json({ error: embedError });
+  }
+
+  try {
+    const embed = await dashboards.createEmbed(
+      req.tenantId,
+      req.params.id,
+      req.body || {}
+    );
+
+    if (!embed) {
+      return res.status(404).json({ error: "Dashboard not found" });
+    }
+
+    res.status(201).json(embed);
+  } catch (error) {
+    console.error("Create embed error:", error);
+    res.status(500).json({ error: "Failed to create embed link" });
+  }
+});
+
+app.delete(
+  "/dashboards/:id/embeds/:embedId",
+  authorize("admin"),
+  async (req, res) => {
+    if (
+      !UUID_PATTERN.test(req.params.id) ||
+      !UUID_PATTERN.test(req.params.embedId)
+    ) {
+      return res.status(404).json({ error: "Embed link not found" });
+    }
+
+    try {
+      const embed = await dashboards.revokeEmbed(
+        req.tenantId,
+        req.params.id,
+        req.params.embedId
+      );
+
+      if (!embed) {
+        return res.status(404).json({ error: "Embed link not found" });
+      }
+
+      res.json(embed);
+    } catch (error) {
+      console.error("Revoke embed error:", error);
+      res.status(500).json({ error: "Failed to revoke embed link" });
+    }
+  }
+);
+
+// Embedded dashboard data, authenticated by the embed link's token
+app.get(
+  "/embed/dashboard",
+  authenticateEmbed,
+  // Recently rendered links are served again without querying or charging
+  (req, res, next) => {
+    const cached = dashboards.cachedEmbed(req.embed.id);
+    if (cached) return res.json(cached);
+    next();
+  },
+  rateLimit("embed"),
+  async (req, res) => {
+    try {
+      res.json(await dashboards.renderEmbed(req.embed));
+    } catch (error) {
+      console.error("Embedded dashboard error:", error);
+      res.status(500).json({ error: "Failed to load dashboard" });
+    }
+  }
+);
+
+// Tenant administration (platform admins only)
+app.get("/admin/tenants", authenticateAdmin, async (req, res) => {
+  try {
+    res.json({ tenants: await tenants.listTenants() });
+  } catch (error) {
+    console.error("List tenants error:", error);
+    res.status(500).json({ error: "Failed to list tenants" });
+  }
+});
+
+app.post("/admin/tenants", authenticateAdmin, async (req, res) => {
+  const { name, plan, timezone } = req.body;
+
+  if (typeof name !== "string" || name.trim() === "") {
+    return res.status(400).json({ error: "Tenant name required" });
+  }
+
+  if (plan !== undefined && !PLANS[plan]) {
+    return res.status(400).json({
+      error: `Plan must be one of: ${Object.keys(PLANS).join(", ")}`,
+    });
+  }
+
+  if (timezone !== undefined && !isTimeZone(timezone)) {
+    return res.status(400).json({ error: TIME_ZONE_ERROR });
+  }
+
+  try {
+    const result = await tenants.createTenant({
+      name: name.trim(),
+      plan,
+      timezone,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("Create tenant error:", error);
+    res.status(500).json({ error: "Failed to create tenant" });
+  }
+});
+
+app.get("/admin/tenants/:id", authenticateAdmin, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Tenant not found" });
+  }
+
+  try {
+    const tenant = await tenants.getTenant(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    res.json(tenant);
+  } catch (error) {
+    console.error("Get tenant error:", error);
+    res.status(500).json({ error: "Failed to get tenant" });
+  }
+});
+
+app.patch("/admin/tenants/:id", authenticateAdmin, async (req, res) => {
+  const { name, status, plan, timezone } = req.body;
+
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Tenant not found" });
+  }
+
+  if (name !== undefined && (typeof name !== "string" || name.trim() === "")) {
+    return res.status(400).json({ error: "Tenant name must be non-empty" });
+  }
+
+  if (status !== undefined && !TenantService.STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `Status must be one of: ${TenantService.STATUSES.join(", ")}`,
+    });
+  }
+
+  if (plan !== undefined && !PLANS[plan]) {
+    return res.status(400).json({
+      error: `Plan must be one of: ${Object.keys(PLANS).join(", ")}`,
+    });
+  }
+
+  if (timezone !== undefined && !isTimeZone(timezone)) {
+    return res.status(400).json({ error: TIME_ZONE_ERROR });
+  }
+
+  try {
+    const tenant = await tenants.updateTenant(req.params.id, {
+      name: name?.trim(),
+      status,
+      plan,
+      timezone,
+    });
+
+    if (!tenant) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    res.json(tenant);
+  } catch (error) {
+    console.error("Update tenant error:", error);
+    res.status(500).json({ error: "Failed to update tenant" });
+  }
+});
+
+app.delete("/admin/tenants/:id", authenticateAdmin, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: "Tenant not found" });
+  }
+
+  try {
+    const deleted = await tenants.deleteTenant(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Tenant not found" });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error("Delete tenant error:", error);
+    res.status(500).json({ error: "Failed to delete tenant" });
+  }
+});
+
+// Usage metering export (platform admins only)
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const sendUsage = (req, res, rows, columns) => {
+  if (req.query.format === "csv") {
+    res.type("text/csv");
+    return res.send(MeteringService.toCsv(rows, columns));
+  }
+  res.json({ line_items: rows, count: rows.length });
+};
+
+app.get("/admin/usage", authenticateAdmin, async (req, res) => {
+  const month = req.query.month || new Date().toISOString().slice(0, 7);
+  const tenantId = req.query.tenant_id;
+
+  if (!MONTH_PATTERN.test(month)) {
+    return res.status(400).json({ error: "month must be YYYY-MM" });
+  }
+
+  if (tenantId && !UUID_PATTERN.test(tenantId)) {
+    return res.status(400).json({ error: "Invalid tenant_id" });
+  }
+
+  try {
+    const items = await metering.getMonthlyLineItems({ month, tenantId });
+    sendUsage(req, res, items);
+  } catch (error) {
+    console.error("Usage export error:", error);
+    res.status(500).json({ error: "Failed to export usage" });
+  }
+});
+
+app.get("/admin/usage/daily", authenticateAdmin, async (req, res) => {
+  const { start_date: startDate, end_date: endDate } = req.query;
+  const tenantId = req.query.tenant_id;
+
+  if (
+    !DATE_PATTERN.test(startDate || "") ||
+    !DATE_PATTERN.test(endDate || "")
+  ) {
+    return res
+      .status(400)
+      .json({ error: "start_date and end_date must be YYYY-MM-DD" });
+  }
+
+  if (tenantId && !UUID_PATTERN.test(tenantId)) {
+    return res.status(400).json({ error: "Invalid tenant_id" });
+  }
+
+  // end_date is inclusive
+  const end = new Date(Date.parse(endDate) + DAY_MS);
+
+  try {
+    const usage = await metering.getUsage({
+      tenantId,
+      start: new Date(Date.parse(startDate)).toISOString(),
+      end: end.toISOString(),
+      granularity: "day",
+    });
+    sendUsage(req, res, usage, [
+      "tenant_id",
+      "tenant_name",
+      "plan",
+      "period",
+      ...MeteringService.USAGE_COLUMNS,
+    ]);
+  } catch (error) {
+    console.error("Daily usage export error:", error);
+    res.status(500).json({ error: "Failed to export usage" });
+  }
+});
+
+// Start server
+const server = app.listen(port, () => {
+  console.log(`Analytics API running on port ${port}`);
+  live.attach(server);
+  stream.start().catch(console.error);
+  outboxWorker.start();
+  rollupJob.start();
+  alertScheduler.start();
+  webhookWorker.start();
+
+  // Forget expired messageIds and old webhook deliveries hourly, and retry
+  // OpenSearch deletions of deleted tenants
+  setInterval(() => {
+    ingestion.pruneDedup().catch((error) => {
+      console.error("Dedup prune error:", error);
+    });
+    webhooks.pruneDeliveries(WEBHOOK_LOG_RETENTION_DAYS).catch((error) => {
+      console.error("Webhook log prune error:", error);
+    });
+    tenants.purgeDeletedTenants().catch((error) => {
+      console.error("Tenant purge error:", error);
+    });
+  }, 60 * 60 * 1000).unref();
 });
 
 // OpenSearch health check
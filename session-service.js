@@ -0,0 +1,186 @@
+const { parseDuration } = require("./duration");
+const { comparePeriods, compareValues } = require("./comparison");
+const { round } = require("./util");
+
+const PAGE_EVENT = "page_view";
+const DEFAULT_INACTIVITY_TIMEOUT = "30m";
+const MAX_PAGES = 100;
+
+class SessionService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Validate a sessions request. Returns an error message or null.
+   */
+  static validateQuery({ inactivityTimeout, limit, compare }) {
+    if (inactivityTimeout !== undefined && !parseDuration(inactivityTimeout)) {
+      return "inactivity_timeout must look like 30m, 12h or 7d";
+    }
+    if (
+      limit !== undefined &&
+      (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGES)
+    ) {
+      return `limit must be between 1 and ${MAX_PAGES}`;
+    }
+    if (compare !== undefined && typeof compare !== "boolean") {
+      return "compare must be true or false";
+    }
+    return null;
+  }
+
+  /**
+   * Session metrics for events in [start, end]. Events with a session_id
+   * are grouped by it. Events without one are split into sessions per user
+   * wherever the user was inactive for longer than `inactivityTimeout`;
+   * events with neither id are left out. A bounce is a single-event
+   * session. Entry and exit pages come from page_view events. With
+   * `compare`, adds the previous period and deltas.
+   */
+  async getSessions(tenantId, query) {
+    if (!query.compare) {
+      return this.getPeriodSessions(tenantId, query);
+    }
+
+    const { current, previous } = await comparePeriods(
+      query.start,
+      query.end,
+      (start, end) => this.getPeriodSessions(tenantId, { ...query, start, end })
+    );
+
+    return {
+      ...current,
+      previous_period: previous,
+      comparison: Object.fromEntries(
+        [
+          "sessions",
+          "avg_duration_seconds",
+          "median_duration_seconds",
+          "avg_events_per_session",
+          "bounce_rate",
+        ].map((key) => [key, compareValues(current[key], previous[key])])
+      ),
+    };
+  }
+
+  async getPeriodSessions(tenantId, query) {
+    const {
+      start,
+      end,
+      inactivityTimeout = DEFAULT_INACTIVITY_TIMEOUT,
+      limit = 10,
+    } = query;
+
+    const params = [
+      tenantId,
+      start,
+      end,
+      parseDuration(inactivityTimeout),
+      PAGE_EVENT,
+    ];
+    const sessionsCte = this.buildSessionsCte();
+
+    const [summary, pages] = await Promise.all([
+      this.pool.query(
+        `WITH ${sessionsCte}
+         SELECT COUNT(*)::int AS sessions,
+                COUNT(*) FILTER (WHERE events = 1)::int AS bounces,
+                COUNT(*) FILTER (WHERE inferred)::int AS inferred_sessions,
+                AVG(duration) AS avg_duration,
+                percentile_cont(0.5) WITHIN GROUP (ORDER BY duration)
+                  AS median_duration,
+                AVG(events) AS avg_events
+         FROM sessions`,
+        params
+      ),
+      this.pool.query(
+        `WITH ${sessionsCte}
+         (SELECT 'entry' AS kind, entry_page AS page, COUNT(*)::int AS sessions
+          FROM sessions WHERE entry_page IS NOT NULL
+          GROUP BY entry_page ORDER BY sessions DESC, page LIMIT $6)
+         UNION ALL
+         (SELECT 'exit', exit_page, COUNT(*)::int AS sessions
+          FROM sessions WHERE exit_page IS NOT NULL
+          GROUP BY exit_page ORDER BY sessions DESC, exit_page LIMIT $6)`,
+        [...params, limit]
+      ),
+    ]);
+
+    const row = summary.rows[0];
+    const pagesOf = (kind) =>
+      pages.rows
+        .filter((page) => page.kind === kind)
+        .map(({ page, sessions }) => ({
+          page,
+          sessions,
+          percentage:
+            row.sessions > 0 ? round((sessions / row.sessions) * 100) : 0,
+        }));
+
+    return {
+      start_date: start,
+      end_date: end,
+      inactivity_timeout: inactivityTimeout,
+      sessions: row.sessions,
+      inferred_sessions: row.inferred_sessions,
+      avg_duration_seconds: round(Number(row.avg_duration) || 0),
+      median_duration_seconds: round(Number(row.median_duration) || 0),
+      avg_events_per_session: round(Number(row.avg_events) || 0),
+      bounce_rate:
+        row.sessions > 0 ? round((row.bounces / row.sessions) * 100) : 0,
+      entry_pages: pagesOf("entry"),
+      exit_pages: pagesOf("exit"),
+    };
+  }
+
+  /**
+   * CTE ending in `sessions`: one row per session with its duration in
+   * seconds, event count and entry/exit pages.
+   * Params: $1 tenant, $2 start, $3 end, $4 timeout seconds, $5 page event.
+   */
+  buildSessionsCte() {
+    return `unlabelled AS (
+         SELECT canonical_user_id, event_type, timestamp,
+                properties->>'page' AS page,
+                timestamp - LAG(timestamp) OVER (
+                  PARTITION BY canonical_user_id ORDER BY timestamp
+                ) AS gap
+         FROM events
+         WHERE tenant_id = $1 AND timestamp >= $2 AND timestamp <= $3
+           AND session_id IS NULL AND canonical_user_id IS NOT NULL
+       ),
+       tagged AS (
+         SELECT 's:' || session_id AS session_key, FALSE AS inferred,
+                event_type, timestamp, properties->>'page' AS page
+         FROM events
+         WHERE tenant_id = $1 AND timestamp >= $2 AND timestamp <= $3
+           AND session_id IS NOT NULL
+         UNION ALL
+         SELECT 'u:' || canonical_user_id || ':' || SUM(
+                  CASE WHEN gap IS NULL OR gap > $4::int * INTERVAL '1 second'
+                       THEN 1 ELSE 0 END
+                ) OVER (PARTITION BY canonical_user_id ORDER BY timestamp
+                        ROWS UNBOUNDED PRECEDING),
+                TRUE, event_type, timestamp, page
+         FROM unlabelled
+       ),
+       sessions AS (
+         SELECT session_key, bool_or(inferred) AS inferred,
+                EXTRACT(EPOCH FROM MAX(timestamp) - MIN(timestamp)) AS duration,
+                COUNT(*) AS events,
+                (array_agg(page ORDER BY timestamp)
+                   FILTER (WHERE event_type = $5 AND page IS NOT NULL))[1]
+                  AS entry_page,
+                (array_agg(page ORDER BY timestamp DESC)
+                   FILTER (WHERE event_type = $5 AND page IS NOT NULL))[1]
+                  AS exit_page
+         FROM tagged
+         GROUP BY session_key
+       )`;
+  }
+}
+
+SessionService.DEFAULT_INACTIVITY_TIMEOUT = DEFAULT_INACTIVITY_TIMEOUT;
+
+module.exports = SessionService;
@@ -0,0 +1,274 @@
+const {
+  comparePeriods,
+  compareValues,
+  compareLists,
+  overlaySeries,
+} = require("./comparison");
+const {
+  DEFAULT_TIME_ZONE,
+  localDate,
+  addDays,
+  startOfLocalDay,
+} = require("./timezone");
+const { sketchSql, mergeSketches, estimateUsers } = require("./user-sketch");
+const RollupJob = require("./rollup-job");
+const { DAY_MS } = require("./util");
+
+// Histogram intervals that daily rollups can answer
+const ROLLUP_INTERVALS = ["day", "week", "month"];
+
+// Truncate a calendar date (YYYY-MM-DD) to the first day of its bucket
+const truncateDay = (date, interval) => {
+  if (interval === "week") {
+    const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7)); // Monday
+  }
+  if (interval === "month") {
+    return `${date.slice(0, 7)}-01`;
+  }
+  return date;
+};
+
+class StatsService {
+  constructor(pool, { opensearch, minRollupDays = 7 }) {
+    this.pool = pool;
+    this.opensearch = opensearch;
+    this.minRollupDays = minRollupDays;
+  }
+
+  /**
+   * Event analytics for a date range. With `compare`, also returns the
+   * previous period of the same length (`previous_period`), deltas for
+   * totals and per-event counts (`comparison`) and a `previous_count` on
+   * each bucket. Comparing needs a start date. Buckets and rounded
+   * relative dates follow `query.timeZone`.
+   */
+  async getAnalytics(tenantId, query = {}) {
+    if (!query.compare) {
+      return this.getPeriodAnalytics(tenantId, query);
+    }
+
+    const now = new Date();
+    const start = this.opensearch.resolveDate(
+      query.startDate,
+      now,
+      query.timeZone
+    );
+    const end = query.endDate
+      ? this.opensearch.resolveDate(query.endDate, now, query.timeZone, {
+          end: true,
+        })
+      : now;
+
+    const { current, previous } = await comparePeriods(
+      start.toISOString(),
+      end.toISOString(),
+      (startDate, endDate) =>
+        this.getPeriodAnalytics(tenantId, { ...query, startDate, endDate })
+    );
+
+    return {
+      ...current,
+      events_over_time: overlaySeries(
+        current.events_over_time,
+        previous.events_over_time,
+        "count"
+      ),
+      previous_period: previous,
+      comparison: {
+        total_events: compareValues(
+          current.total_events,
+          previous.total_events
+        ),
+        unique_users: compareValues(
+          current.unique_users,
+          previous.unique_users
+        ),
+        events: compareLists(
+          current.top_events,
+          previous.top_events,
+          "event",
+          "count"
+        ),
+      },
+    };
+  }
+
+  /**
+   * Analytics for one period. Long day/week/month ranges are served from
+   * daily_stats for whole days the rollup has completed, plus raw events for
+   * partial days at either end and days since the last rollup run;
+   * everything else aggregates raw events.
+   */
+  async getPeriodAnalytics(tenantId, query) {
+    const interval = query.interval || "day";
+    const timeZone = query.timeZone || DEFAULT_TIME_ZONE;
+    const now = new Date();
+    const start = query.startDate
+      ? this.opensearch.resolveDate(query.startDate, now, timeZone)
+      : null;
+    const end = query.endDate
+      ? this.opensearch.resolveDate(query.endDate, now, timeZone, { end: true })
+      : now;
+
+    // Rollups carry no per-user detail, so user filters need raw events.
+    // Their days are the tenant's local days, so other time zones do too.
+    const useRollups =
+      !query.userIds &&
+      timeZone === (query.tenantTimeZone || DEFAULT_TIME_ZONE) &&
+      ROLLUP_INTERVALS.includes(interval) &&
+      start &&
+      end &&
+      end - start >= this.minRollupDays * DAY_MS;
+
+    if (!useRollups) {
+      const analytics = await this.opensearch.getAnalytics(tenantId, query);
+      return { ...analytics, source: "events" };
+    }
+
+    return this.getRollupAnalytics(tenantId, {
+      start,
+      end,
+      interval,
+      timeZone,
+      query,
+    });
+  }
+
+  async getRollupAnalytics(
+    tenantId,
+    { start, end, interval, timeZone, query }
+  ) {
+    const watermark = await RollupJob.getWatermark(this.pool);
+
+    // Local calendar days; YYYY-MM-DD strings compare in date order
+    const startDay = localDate(start.getTime(), timeZone);
+    const lastDay = localDate(end.getTime(), timeZone);
+    // Whole days in the range, from firstDay up to (excluding) rangeEnd
+    const firstDay =
+      startOfLocalDay(startDay, timeZone) < start.getTime()
+        ? addDays(startDay, 1)
+        : startDay;
+    const rangeEnd = localDate(end.getTime() + 1, timeZone);
+    // Days before the one the last rollup run started on are complete
+    const rollupEnd = watermark
+      ? [rangeEnd, localDate(watermark.getTime(), timeZone)].sort()[0]
+      : null;
+
+    if (!rollupEnd || rollupEnd <= firstDay) {
+      const analytics = await this.opensearch.getAnalytics(tenantId, query);
+      return { ...analytics, source: "events" };
+    }
+
+    // Partial days at either end come from raw events
+    const headEnd = startOfLocalDay(firstDay, timeZone);
+    const tailStart = startOfLocalDay(rollupEnd, timeZone);
+    const head = start.getTime() < headEnd ? [start.getTime(), headEnd] : null;
+    const tail =
+      tailStart <= end.getTime() ? [tailStart, end.getTime() + 1] : null;
+
+    // Buckets are keyed by the instant their first local day starts
+    const bucketKey = (date) =>
+      new Date(startOfLocalDay(date, timeZone)).toISOString();
+
+    const liveAnalytics = ([from, to]) =>
+      this.opensearch.getAnalytics(tenantId, {
+        startDate: new Date(from).toISOString(),
+        endDate: new Date(to - 1).toISOString(),
+        interval,
+        timeZone,
+      });
+    const isoRange = (range) =>
+      range ? range.map((time) => new Date(time).toISOString()) : [null, null];
+
+    const [rollups, rollupSketch, edgeSketch, ...live] = await Promise.all([
+      this.pool.query(
+        `SELECT to_char(date_trunc($4::text, date::timestamp), 'YYYY-MM-DD')
+                  AS bucket,
+                event_type, SUM(count)::bigint AS count
+         FROM daily_stats
+         WHERE tenant_id = $1 AND date >= $2::date AND date < $3::date
+         GROUP BY bucket, event_type`,
+        [tenantId, firstDay, rollupEnd, interval]
+      ),
+      this.pool.query(
+        `SELECT array_agg(merged.rank ORDER BY merged.i) AS registers
+         FROM (
+           SELECT r.i, MAX(r.rank) AS rank
+           FROM daily_user_sketches s
+           CROSS JOIN LATERAL unnest(s.registers) WITH ORDINALITY AS r(rank, i)
+           WHERE s.tenant_id = $1 AND s.date >= $2::date AND s.date < $3::date
+           GROUP BY r.i
+         ) merged`,
+        [tenantId, firstDay, rollupEnd]
+      ),
+      head || tail
+        ? this.pool.query(
+            sketchSql(`
+              SELECT canonical_user_id FROM events
+              WHERE tenant_id = $1
+                AND ((timestamp >= $2 AND timestamp < $3)
+                  OR (timestamp >= $4 AND timestamp < $5))`),
+            [tenantId, ...isoRange(head), ...isoRange(tail)]
+          )
+        : null,
+      ...[head, tail].filter(Boolean).map(liveAnalytics),
+    ]);
+
+    // Zero-filled buckets across the whole range
+    const buckets = new Map();
+    for (let day = startDay; day <= lastDay; day = addDays(day, 1)) {
+      buckets.set(bucketKey(truncateDay(day, interval)), 0);
+    }
+
+    const eventCounts = new Map();
+    let total = 0;
+
+    const add = (key, eventType, count) => {
+      if (key !== null) buckets.set(key, (buckets.get(key) || 0) + count);
+      if (eventType !== null) {
+        eventCounts.set(eventType, (eventCounts.get(eventType) || 0) + count);
+      }
+    };
+
+    rollups.rows.forEach((row) => {
+      const count = Number(row.count);
+      add(bucketKey(row.bucket), row.event_type, count);
+      total += count;
+    });
+
+    live.forEach((analytics) => {
+      analytics.events_over_time.forEach((bucket) => {
+        const day = localDate(Date.parse(bucket.date), timeZone);
+        const key = bucketKey(truncateDay(day, interval));
+        add(key, null, bucket.count);
+      });
+      analytics.top_events.forEach((item) => add(null, item.event, item.count));
+      total += analytics.total_events;
+    });
+
+    const uniqueUsers = estimateUsers(
+      mergeSketches([
+        rollupSketch.rows[0]?.registers,
+        edgeSketch?.rows[0]?.registers,
+      ])
+    );
+
+    return {
+      total_events: total,
+      unique_users: uniqueUsers,
+      events_over_time: [...buckets.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, count]) => ({ date, count })),
+      top_events: [...eventCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 20)
+        .map(([event, count]) => ({ event, count })),
+      source: "rollups",
+    };
+  }
+}
+
+StatsService.ROLLUP_INTERVALS = ROLLUP_INTERVALS;
+
+module.exports = StatsService;
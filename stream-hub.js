@@ -0,0 +1,372 @@
+// Live stream fan-out across API instances.
+//
+// Messages (new events, alerts) are published to a per-tenant Redis channel
+// and every instance forwards them to its own SSE clients. An instance only
+// subscribes to the channels of tenants it has clients or listeners for, and
+// subscribes to them again when its subscriber reconnects. Each message is
+// also appended to a short per-tenant Redis stream whose entry ids double as
+// SSE ids, so a reconnecting client can send Last-Event-ID and receive what
+// it missed. While Redis is unavailable, messages only reach clients on the
+// publishing instance.
+
+const KEY_PREFIX = "sse:";
+
+// Delay before subscribing again after a failed subscribe
+const SUBSCRIBE_RETRY_MS = 1000;
+
+// Appends to the replay buffer and publishes in one step, so every
+// subscriber sees messages in buffer (id) order.
+// KEYS[1]: buffer stream, ARGV[1]: channel, ARGV[2]: message,
+// ARGV[3]: buffer length, ARGV[4]: buffer ttl seconds
+const PUBLISH_SCRIPT = `
+local id = redis.call("XADD", KEYS[1], "MAXLEN", "~", ARGV[3], "*", "message", ARGV[2])
+redis.call("EXPIRE", KEYS[1], ARGV[4])
+redis.call("PUBLISH", ARGV[1], id .. " " .. ARGV[2])
+return id
+`;
+
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+// Negative, zero or positive as stream id `a` is before, equal to or after `b`
+const compareIds = (a, b) => {
+  const [aMs, aSeq] = a.split("-").map(BigInt);
+  const [bMs, bSeq] = b.split("-").map(BigInt);
+  if (aMs !== bMs) return aMs < bMs ? -1 : 1;
+  if (aSeq !== bSeq) return aSeq < bSeq ? -1 : 1;
+  return 0;
+};
+
+class StreamHub {
+  constructor(redis, options = {}) {
+    this.redis = redis;
+    this.bufferSize = options.bufferSize || 1000;
+    this.bufferTtlSeconds = options.bufferTtlSeconds || 60 * 60;
+    this.maxBufferedBytes = options.maxBufferedBytes || 256 * 1024;
+    this.heartbeatInterval = options.heartbeatInterval || 30 * 1000;
+
+    this.clients = new Map();
+    this.listeners = new Map();
+    this.subscriber = null;
+    this.heartbeat = null;
+    this.subscribeRetry = null;
+
+    this.onMessage = (raw, channel) =>
+      this.receive(channel.slice(KEY_PREFIX.length), raw);
+  }
+
+  static isStreamId(value) {
+    return typeof value === "string" && STREAM_ID_PATTERN.test(value);
+  }
+
+  /**
+   * Connect the subscriber, subscribe to the channels of tenants that
+   * already have clients or listeners, and start heartbeats
+   */
+  async start() {
+    this.heartbeat = setInterval(() => {
+      const message = {
+        type: "heartbeat",
+        timestamp: new Date().toISOString(),
+      };
+      this.clients.forEach((clients) =>
+        clients.forEach((client) => this.write(client, null, message))
+      );
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on("error", (error) =>
+      console.error("Stream subscriber error:", error.message)
+    );
+    await this.subscriber.connect();
+
+    // Subscribes are refused while the connection is down, so make them
+    // again whenever it is back
+    this.subscriber.on("ready", () => this.subscribe(this.watchedTenants()));
+    await this.subscribe(this.watchedTenants());
+  }
+
+  async stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    clearTimeout(this.subscribeRetry);
+    this.subscribeRetry = null;
+    if (this.subscriber) {
+      await this.subscriber.close();
+      this.subscriber = null;
+    }
+  }
+
+  /**
+   * Whether messages go through Redis. Both connections are needed, or
+   * this instance's clients would miss its own messages.
+   */
+  isAvailable() {
+    return Boolean(this.redis?.isReady && this.subscriber?.isReady);
+  }
+
+  /**
+   * Send a message ({ type, data }) to a tenant's clients on every
+   * instance. Falls back to this instance's clients when Redis is down.
+   */
+  async publish(tenantId, type, data) {
+    const message = { type, data };
+
+    if (this.isAvailable()) {
+      try {
+        await this.redis.eval(PUBLISH_SCRIPT, {
+          keys: [`${KEY_PREFIX}${tenantId}`],
+          arguments: [
+            `${KEY_PREFIX}${tenantId}`,
+            JSON.stringify(message),
+            String(this.bufferSize),
+            String(this.bufferTtlSeconds),
+          ],
+        });
+        return;
+      } catch (error) {
+        console.error("Stream publish error:", error.message);
+      }
+    }
+
+    this.dispatch(tenantId, null, message);
+  }
+
+  /**
+   * Subscribe to a tenant's channel for its first client or listener.
+   * Before start() connects the subscriber, start() subscribes instead.
+   */
+  async watch(tenantId) {
+    if (this.countWatchers(tenantId) !== 1) return;
+    await this.subscribe([tenantId]);
+  }
+
+  /**
+   * Subscribe to the channels of the given tenants; channels already
+   * subscribed are left as they are. When that fails, every watched
+   * tenant is subscribed again after SUBSCRIBE_RETRY_MS, or once the
+   * subscriber is ready again if it is down.
+   */
+  async subscribe(tenantIds) {
+    if (!this.subscriber || tenantIds.length === 0) return;
+
+    try {
+      await this.subscriber.subscribe(
+        tenantIds.map((tenantId) => `${KEY_PREFIX}${tenantId}`),
+        this.onMessage
+      );
+    } catch (error) {
+      console.error("Stream subscribe error:", error.message);
+      if (this.subscribeRetry) return;
+
+      this.subscribeRetry = setTimeout(() => {
+        this.subscribeRetry = null;
+        if (this.subscriber?.isReady) {
+          this.subscribe(this.watchedTenants());
+        }
+      }, SUBSCRIBE_RETRY_MS);
+      this.subscribeRetry.unref();
+    }
+  }
+
+  /**
+   * Unsubscribe from a tenant's channel once its last client or listener
+   * is gone
+   */
+  unwatch(tenantId) {
+    if (!this.subscriber) return;
+    if (this.countWatchers(tenantId) !== 0) return;
+
+    this.subscriber
+      .unsubscribe(`${KEY_PREFIX}${tenantId}`, this.onMessage)
+      .catch((error) =>
+        console.error("Stream unsubscribe error:", error.message)
+      );
+  }
+
+  watchedTenants() {
+    return [...new Set([...this.clients.keys(), ...this.listeners.keys()])];
+  }
+
+  countWatchers(tenantId) {
+    return (
+      (this.clients.get(tenantId)?.size || 0) +
+      (this.listeners.get(tenantId)?.size || 0)
+    );
+  }
+
+  /**
+   * Handle a message published on a tenant's channel ("<id> <json>")
+   */
+  receive(tenantId, raw) {
+    if (!this.clients.has(tenantId) && !this.listeners.has(tenantId)) return;
+
+    const space = raw.indexOf(" ");
+    try {
+      this.dispatch(
+        tenantId,
+        raw.slice(0, space),
+        JSON.parse(raw.slice(space + 1))
+      );
+    } catch (error) {
+      console.error("Stream message error:", error.message);
+    }
+  }
+
+  dispatch(tenantId, id, message) {
+    this.listeners.get(tenantId)?.forEach((listener) => listener(message, id));
+
+    const clients = this.clients.get(tenantId);
+    if (!clients) return;
+
+    clients.forEach((client) => {
+      if (client.pending) {
+        client.pending.push({ id, message });
+      } else {
+        this.deliver(client, id, message);
+      }
+    });
+  }
+
+  /**
+   * Attach an SSE response as a tenant's client. Event messages are
+   * narrowed by `eventTypes` and `userIds` (null for all). A client with a
+   * `canonicalUserId` only receives that user's events. With a
+   * `lastEventId`, buffered messages after it are replayed first; if the
+   * buffer no longer reaches back that far, a "resync" message says that
+   * some were lost. Returns the client for `disconnect`.
+   */
+  async connect(
+    tenantId,
+    res,
+    { eventTypes, userIds, canonicalUserId, lastEventId } = {}
+  ) {
+    const client = {
+      tenantId,
+      res,
+      eventTypes: eventTypes ? new Set(eventTypes) : null,
+      userIds: userIds ? new Set(userIds) : null,
+      canonicalUserId: canonicalUserId || null,
+      lastId: lastEventId || null,
+      // Live messages wait here while the replay is read
+      pending: lastEventId ? [] : null,
+    };
+
+    if (!this.clients.has(tenantId)) this.clients.set(tenantId, new Set());
+    this.clients.get(tenantId).add(client);
+
+    // Subscribed before the replay is read, so nothing falls in between
+    await this.watch(tenantId);
+
+    if (!lastEventId) return client;
+
+    try {
+      const entries = this.isAvailable()
+        ? await this.redis.xRange(
+            `${KEY_PREFIX}${tenantId}`,
+            lastEventId,
+            "+",
+            {
+              COUNT: this.bufferSize + 1,
+            }
+          )
+        : [];
+
+      if (entries[0]?.id !== lastEventId) {
+        this.write(client, null, { type: "resync" });
+      }
+      entries
+        .filter((entry) => entry.id !== lastEventId)
+        .forEach((entry) =>
+          this.deliver(client, entry.id, JSON.parse(entry.message.message))
+        );
+    } catch (error) {
+      console.error("Stream replay error:", error.message);
+      this.write(client, null, { type: "resync" });
+    }
+
+    // Flush live messages that arrived meanwhile, skipping replayed ones
+    const pending = client.pending;
+    client.pending = null;
+    pending.forEach(({ id, message }) => {
+      if (!id || !client.lastId || compareIds(id, client.lastId) > 0) {
+        this.deliver(client, id, message);
+      }
+    });
+
+    return client;
+  }
+
+  /**
+   * Call `listener(message, id)` for each of a tenant's messages received by
+   * this instance, for consumers other than SSE responses. Returns a
+   * function that stops listening.
+   */
+  listen(tenantId, listener) {
+    if (!this.listeners.has(tenantId)) this.listeners.set(tenantId, new Set());
+    this.listeners.get(tenantId).add(listener);
+    this.watch(tenantId);
+
+    return () => {
+      const listeners = this.listeners.get(tenantId);
+      if (!listeners?.delete(listener)) return;
+      if (listeners.size === 0) this.listeners.delete(tenantId);
+      this.unwatch(tenantId);
+    };
+  }
+
+  disconnect(client) {
+    const clients = this.clients.get(client.tenantId);
+    if (!clients) return;
+
+    if (!clients.delete(client)) return;
+    if (clients.size === 0) this.clients.delete(client.tenantId);
+    this.unwatch(client.tenantId);
+  }
+
+  deliver(client, id, message) {
+    if (id) client.lastId = id;
+    if (!this.matches(client, message)) return;
+    this.write(client, id, message);
+  }
+
+  matches(client, message) {
+    if (message.type !== "event") return !client.canonicalUserId;
+
+    const {
+      event_type: eventType,
+      user_id: userId,
+      canonical_user_id: canonicalUserId,
+    } = message.data;
+    return (
+      (!client.eventTypes || client.eventTypes.has(eventType)) &&
+      (!client.userIds || client.userIds.has(userId)) &&
+      (!client.canonicalUserId || client.canonicalUserId === canonicalUserId)
+    );
+  }
+
+  /**
+   * Write one SSE message. A client that is not reading fast enough (more
+   * than `maxBufferedBytes` queued) is dropped; EventSource reconnects
+   * with its Last-Event-ID and catches up from the buffer.
+   */
+  write(client, id, message) {
+    const { res } = client;
+    if (res.destroyed) return;
+
+    if (res.writableLength > this.maxBufferedBytes) {
+      console.warn(
+        "Dropping slow SSE client for tenant:",
+        client.tenantId,
+        `(${res.writableLength} bytes queued)`
+      );
+      this.disconnect(client);
+      res.destroy();
+      return;
+    }
+
+    res.write(`${id ? `id: ${id}\n` : ""}data: ${JSON.stringify(message)}\n\n`);
+  }
+}
+
+module.exports = StreamHub;
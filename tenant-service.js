@@ -0,0 +1,232 @@
+const { DEFAULT_PLAN } = require("./plans");
+const { DEFAULT_TIME_ZONE } = require("./timezone");
+
+const TENANT_STATUSES = ["active", "suspended"];
+
+const TENANT_COLUMNS =
+  "id, name, status, plan, timezone, suspended_at, created_at, updated_at";
+
+class TenantService {
+  constructor(pool, { opensearch, apiKeys }) {
+    this.pool = pool;
+    this.opensearch = opensearch;
+    this.apiKeys = apiKeys;
+  }
+
+  /**
+   * Create a tenant together with its first admin API key
+   */
+  async createTenant({
+    name,
+    plan = DEFAULT_PLAN,
+    timezone = DEFAULT_TIME_ZONE,
+  }) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        `INSERT INTO tenants (name, plan, timezone) VALUES ($1, $2, $3)
+         RETURNING ${TENANT_COLUMNS}`,
+        [name, plan, timezone]
+      );
+      const tenant = result.rows[0];
+
+      const apiKey = await this.apiKeys.insertKey(
+        client,
+        tenant.id,
+        "Initial admin key",
+        ["track", "query", "stream", "admin"]
+      );
+
+      await client.query("COMMIT");
+
+      return { tenant, api_key: apiKey };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List all tenants
+   */
+  async listTenants() {
+    const result = await this.pool.query(
+      `SELECT ${TENANT_COLUMNS} FROM tenants ORDER BY created_at`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a single tenant or null
+   */
+  async getTenant(tenantId) {
+    const result = await this.pool.query(
+      `SELECT ${TENANT_COLUMNS} FROM tenants WHERE id = $1`,
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rename, suspend, reactivate or change the plan or time zone of a
+   * tenant. A new time zone moves every day boundary, so all of the
+   * tenant's days are queued for the rollup job. Returns null when not
+   * found.
+   */
+  async updateTenant(tenantId, { name, status, plan, timezone }) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const current = await client.query(
+        "SELECT timezone FROM tenants WHERE id = $1 FOR UPDATE",
+        [tenantId]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const result = await client.query(
+        `UPDATE tenants SET
+           name = COALESCE($2, name),
+           status = COALESCE($3, status),
+           plan = COALESCE($4, plan),
+           timezone = COALESCE($5, timezone),
+           suspended_at = CASE
+             WHEN $3 = 'suspended' AND status <> 'suspended' THEN NOW()
+             WHEN $3 = 'active' THEN NULL
+             ELSE suspended_at
+           END,
+           updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${TENANT_COLUMNS}`,
+        [tenantId, name ?? null, status ?? null, plan ?? null, timezone ?? null]
+      );
+
+      if (timezone && timezone !== current.rows[0].timezone) {
+        await this.markDaysDirty(client, tenantId, timezone);
+      }
+
+      await client.query("COMMIT");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queue every day of a tenant for the rollup job after a time zone
+   * change: old local days are replaced, new ones filled in. Call inside
+   * the transaction that changes the time zone, so a rollup run never sees
+   * the new zone without the days to rebuild.
+   */
+  async markDaysDirty(db, tenantId, timezone) {
+    await db.query(
+      `INSERT INTO rollup_dirty_days (tenant_id, date)
+       SELECT $1::uuid, date FROM daily_stats WHERE tenant_id = $1
+       UNION
+       SELECT $1::uuid, generate_series(span.first, span.last, INTERVAL '1 day')::date
+       FROM (
+         SELECT (MIN(timestamp) AT TIME ZONE $2)::date AS first,
+                (MAX(timestamp) AT TIME ZONE $2)::date AS last
+         FROM events WHERE tenant_id = $1
+       ) span
+       WHERE span.first IS NOT NULL
+       ON CONFLICT (tenant_id, date) DO UPDATE SET marked_at = NOW()`,
+      [tenantId, timezone]
+    );
+  }
+
+  /**
+   * Delete a tenant and all of its data.
+   * Postgres rows cascade from the tenants row; OpenSearch data is removed
+   * after commit and retried later if that fails.
+   */
+  async deleteTenant(tenantId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const result = await client.query(
+        "DELETE FROM tenants WHERE id = $1 RETURNING id",
+        [tenantId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return false;
+      }
+
+      // OpenSearch can't join the transaction: queue its data for deletion
+      // and delete it once the tenant is gone
+      await client.query(
+        "INSERT INTO tenant_deletions (tenant_id) VALUES ($1)",
+        [tenantId]
+      );
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.purgeTenantData(tenantId);
+    return true;
+  }
+
+  /**
+   * Retry OpenSearch deletions of tenants whose first attempt failed
+   */
+  async purgeDeletedTenants() {
+    const result = await this.pool.query(
+      "SELECT tenant_id FROM tenant_deletions ORDER BY requested_at"
+    );
+
+    for (const row of result.rows) {
+      await this.purgeTenantData(row.tenant_id);
+    }
+  }
+
+  /**
+   * Delete a deleted tenant's OpenSearch data. Failures stay queued in
+   * tenant_deletions for purgeDeletedTenants.
+   */
+  async purgeTenantData(tenantId) {
+    try {
+      await this.opensearch.deleteTenantData(tenantId);
+      await this.pool.query(
+        "DELETE FROM tenant_deletions WHERE tenant_id = $1",
+        [tenantId]
+      );
+    } catch (error) {
+      console.error("Tenant data purge error:", error);
+      // The tenant stays queued even if recording the failure fails
+      await this.pool
+        .query(
+          `UPDATE tenant_deletions
+           SET attempts = attempts + 1, last_error = $2
+           WHERE tenant_id = $1`,
+          [tenantId, error.message]
+        )
+        .catch(() => {});
+    }
+  }
+}
+
+TenantService.STATUSES = TENANT_STATUSES;
+
+module.exports = TenantService;
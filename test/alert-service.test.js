@@ -0,0 +1,218 @@
+const AlertService = require("../alert-service");
+const fakePool = require("./fake-pool");
+
+const checkoutDrop = {
+  name: "Checkout drop",
+  event: "purchase",
+  condition: { type: "baseline", direction: "drop", percent: 50 },
+  window: "1h",
+  interval: "5m",
+};
+
+describe("AlertService.validateRule", () => {
+  test("accepts a baseline rule and a threshold on a property metric", () => {
+    expect(AlertService.validateRule(checkoutDrop)).toBeNull();
+    expect(
+      AlertService.validateRule({
+        name: "Low revenue",
+        metric: { type: "sum", property: "revenue" },
+        condition: { type: "threshold", operator: "below", value: 100 },
+      })
+    ).toBeNull();
+  });
+
+  test("only checks the given fields of a partial update", () => {
+    expect(
+      AlertService.validateRule({ enabled: false }, { partial: true })
+    ).toBeNull();
+    expect(AlertService.validateRule({ enabled: false })).toMatch(
+      /name is required/
+    );
+  });
+
+  test("needs a condition of a known type", () => {
+    const { condition, ...rest } = checkoutDrop;
+
+    expect(AlertService.validateRule(rest)).toBe("condition is required");
+    expect(
+      AlertService.validateRule({ ...rest, condition: { type: "anomaly" } })
+    ).toBe("condition type must be threshold or baseline");
+    expect(
+      AlertService.validateRule({
+        ...rest,
+        condition: { ...condition, periods: 25 },
+      })
+    ).toBe("baseline periods must be between 1 and 24");
+  });
+
+  test("keeps windows and intervals between a minute and their limit", () => {
+    expect(AlertService.validateRule({ ...checkoutDrop, window: "30s" })).toBe(
+      "window must be a duration between 1m and 7d, e.g. 1h"
+    );
+    expect(AlertService.validateRule({ ...checkoutDrop, window: "7d" })).toBe(
+      null
+    );
+    expect(
+      AlertService.validateRule({ ...checkoutDrop, interval: "2d" })
+    ).toMatch(/interval must be a duration/);
+  });
+
+  test("refuses webhooks to private addresses", () => {
+    expect(
+      AlertService.validateRule({
+        ...checkoutDrop,
+        webhookUrl: "http://127.0.0.1/hook",
+      })
+    ).toMatch(/local or private address/);
+  });
+});
+
+describe("AlertService.isFiring", () => {
+  const above = { type: "threshold", operator: "above", value: 10 };
+  const drop = { type: "baseline", direction: "drop", percent: 50 };
+  const spike = { type: "baseline", direction: "spike", percent: 50 };
+
+  test("compares thresholds strictly", () => {
+    expect(AlertService.isFiring(above, 11, null)).toBe(true);
+    expect(AlertService.isFiring(above, 10, null)).toBe(false);
+    expect(AlertService.isFiring(above, null, null)).toBe(false);
+  });
+
+  test("fires when the change from the baseline reaches the percent", () => {
+    expect(AlertService.isFiring(drop, 50, 100)).toBe(true);
+    expect(AlertService.isFiring(drop, 51, 100)).toBe(false);
+    expect(AlertService.isFiring(spike, 150, 100)).toBe(true);
+    expect(AlertService.isFiring(spike, 149, 100)).toBe(false);
+  });
+
+  test("treats a zero baseline as a spike only and no baseline as quiet", () => {
+    expect(AlertService.isFiring(spike, 1, 0)).toBe(true);
+    expect(AlertService.isFiring(drop, 0, 0)).toBe(false);
+    expect(AlertService.isFiring(spike, 1000, null)).toBe(false);
+  });
+});
+
+describe("AlertService.check", () => {
+  const rule = {
+    id: "r1",
+    tenant_id: "t1",
+    name: "Signups dropped",
+    event_type: "user_signup",
+    filter: null,
+    metric: { type: "count" },
+    condition: { type: "baseline", direction: "drop", percent: 50 },
+    window_seconds: 3600,
+    webhook_url: null,
+  };
+  const now = new Date("2025-01-10T12:00:00Z");
+
+  // Alerts over a rule currently in `state`, measuring `counts` per window
+  // (the current one first)
+  const setup = (state, counts) => {
+    const pool = fakePool((text) => {
+      if (text.includes("FOR UPDATE")) return { rows: [{ state }] };
+      if (text.includes("INSERT INTO alert_events")) {
+        return { rows: [{ id: "a1", resolved_at: null }] };
+      }
+      if (text.includes("UPDATE alert_events")) {
+        return { rows: [{ id: "a1", resolved_at: now }] };
+      }
+    });
+    const opensearch = {
+      aggregate: jest.fn(async () => ({
+        aggregations: {
+          windows: {
+            buckets: counts.map((count, i) => ({
+              key: `w${i}`,
+              doc_count: count,
+            })),
+          },
+        },
+      })),
+    };
+    const segmentation = {
+      buildMetricAggs: () => ({}),
+      readMetrics: (metrics, bucket, total) => ({ count: total }),
+    };
+    const onAlert = jest.fn();
+    const alerts = new AlertService(pool, {
+      opensearch,
+      segmentation,
+      onAlert,
+    });
+    return { alerts, pool, opensearch, onAlert };
+  };
+
+  test("opens an alert when the rule starts firing", async () => {
+    const { alerts, pool, opensearch, onAlert } = setup("ok", [40, 84]);
+
+    const alert = await alerts.check(rule, now);
+
+    expect(alert).toEqual({ id: "a1", resolved_at: null });
+    expect(opensearch.aggregate.mock.calls[0][1]).toMatchObject({
+      startDate: "2025-01-10T10:00:00.000Z",
+      endDate: "2025-01-10T12:00:00.000Z",
+    });
+    expect(pool.find(/INSERT INTO alert_events/).params).toEqual([
+      "r1",
+      "t1",
+      40,
+      84,
+      "Signups dropped: user_signup count is 40 (-52.38% vs 84)",
+    ]);
+    expect(pool.find(/UPDATE alert_rules/).params).toEqual([
+      "r1",
+      "firing",
+      40,
+      now,
+    ]);
+    expect(pool.log.map((entry) => entry.text || entry.on)).toContain("COMMIT");
+    expect(onAlert).toHaveBeenCalledWith(
+      "t1",
+      expect.objectContaining({ rule_id: "r1", status: "firing" })
+    );
+  });
+
+  test("resolves the open alert when the rule clears", async () => {
+    const { alerts, pool, onAlert } = setup("firing", [80, 84]);
+
+    const alert = await alerts.check(rule, now);
+
+    expect(alert.resolved_at).toBe(now);
+    expect(pool.find(/UPDATE alert_events/).params).toEqual(["r1", now, 80]);
+    expect(pool.find(/UPDATE alert_rules/).params[1]).toBe("ok");
+    expect(onAlert.mock.calls[0][1].status).toBe("resolved");
+  });
+
+  test("only records the value while the state holds", async () => {
+    const { alerts, pool, onAlert } = setup("firing", [10, 84]);
+
+    expect(await alerts.check(rule, now)).toBeNull();
+    expect(pool.find(/alert_events/)).toBeUndefined();
+    expect(onAlert).not.toHaveBeenCalled();
+  });
+
+  test("records a failed measurement on the rule", async () => {
+    const { alerts, pool, opensearch } = setup("ok", []);
+    opensearch.aggregate.mockRejectedValue(new Error("cluster unavailable"));
+
+    expect(await alerts.check(rule, now)).toBeNull();
+    expect(pool.statements()).toHaveLength(1);
+    expect(pool.find(/last_error = \$2/).params).toEqual([
+      "r1",
+      "cluster unavailable",
+      now,
+    ]);
+  });
+});
+
+describe("AlertService.listHistory", () => {
+  test("returns at most 500 alerts", async () => {
+    const pool = fakePool();
+    const alerts = new AlertService(pool, {});
+
+    await alerts.listHistory("t1", { status: "firing", limit: 5000 });
+
+    expect(pool.log[0].params).toEqual(["t1", null, "firing", 500]);
+  });
+});
@@ -0,0 +1,54 @@
+const { loadCurrency, revenueSql, currencyHash } = require("../currency");
+
+describe("loadCurrency", () => {
+  test("expresses every rate in the reporting currency", () => {
+    const { base, rates } = loadCurrency({ USD: 1, EUR: 1.25 }, "EUR");
+
+    expect(base).toBe("EUR");
+    expect(rates.EUR).toBe(1);
+    expect(rates.USD).toBe(0.8);
+  });
+
+  test("reads overrides from CURRENCY_RATES JSON", () => {
+    expect(loadCurrency('{"ISK": 0.0072}').rates.ISK).toBe(0.0072);
+  });
+
+  test("refuses malformed codes and rates", () => {
+    expect(() => loadCurrency({ usd: 1 })).toThrow(
+      "Invalid currency rate: usd=1"
+    );
+    expect(() => loadCurrency({ EUR: 0 })).toThrow(
+      "Invalid currency rate: EUR=0"
+    );
+    expect(() => loadCurrency({ EUR: "1.1" })).toThrow(/EUR=1.1/);
+    expect(() => loadCurrency({}, "XTS")).toThrow(
+      "No rate for reporting currency XTS"
+    );
+  });
+});
+
+describe("revenueSql", () => {
+  test("inlines the rate table against the event's currency", () => {
+    const sql = revenueSql({ base: "EUR", rates: { EUR: 1, SEK: 0.087 } }, "x");
+
+    expect(sql).toContain("jsonb_typeof(x.properties->'revenue') = 'number'");
+    expect(sql).toContain("COALESCE(x.properties->>'currency', 'EUR')");
+    expect(sql).toContain("WHEN 'EUR' THEN 1 WHEN 'SEK' THEN 0.087");
+  });
+});
+
+describe("currencyHash", () => {
+  test("changes with any rate but not with key order", () => {
+    const hash = currencyHash({ base: "USD", rates: { USD: 1, EUR: 1.08 } });
+
+    expect(currencyHash({ base: "USD", rates: { EUR: 1.08, USD: 1 } })).toBe(
+      hash
+    );
+    expect(
+      currencyHash({ base: "USD", rates: { USD: 1, EUR: 1.09 } })
+    ).not.toBe(hash);
+    expect(
+      currencyHash({ base: "EUR", rates: { USD: 1, EUR: 1.08 } })
+    ).not.toBe(hash);
+  });
+});
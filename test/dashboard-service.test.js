@@ -0,0 +1,216 @@
+const DashboardService = require("../dashboard-service");
+const TokenService = require("../token-service");
+const fakePool = require("./fake-pool");
+
+const purchases = { title: "Purchases", chart: "line", event: "purchase" };
+const buyers = {
+  title: "Buyers by plan",
+  chart: "bar",
+  event: "purchase",
+  groupBy: "plan",
+  metrics: [{ type: "unique_users" }],
+};
+
+describe("DashboardService.validateDashboard", () => {
+  test("accepts a dashboard of panels", () => {
+    expect(
+      DashboardService.validateDashboard({
+        name: "Sales",
+        rangeDays: 90,
+        panels: [purchases, buyers],
+      })
+    ).toBeNull();
+  });
+
+  test("names the panel a query error comes from", () => {
+    expect(
+      DashboardService.validateDashboard({
+        name: "Sales",
+        panels: [purchases, { ...buyers, metrics: [] }],
+      })
+    ).toMatch(/^Panel "Buyers by plan": metrics must list/);
+  });
+
+  test("checks panel buckets against the dashboard's range", () => {
+    const hourly = { ...purchases, interval: "hour", groupBy: "plan" };
+
+    expect(
+      DashboardService.validateDashboard({
+        name: "Today",
+        rangeDays: 1,
+        panels: [hourly],
+      })
+    ).toBeNull();
+    expect(
+      DashboardService.validateDashboard({
+        name: "This year",
+        rangeDays: 365,
+        panels: [hourly],
+      })
+    ).toMatch(/too many buckets/);
+  });
+
+  test("needs a name, a range in days and 1-12 panels", () => {
+    expect(DashboardService.validateDashboard({ panels: [purchases] })).toBe(
+      "name is required (at most 100 characters)"
+    );
+    expect(
+      DashboardService.validateDashboard({
+        name: "Sales",
+        rangeDays: 366,
+        panels: [purchases],
+      })
+    ).toBe("rangeDays must be between 1 and 365");
+    expect(
+      DashboardService.validateDashboard({
+        name: "Sales",
+        panels: Array(13).fill(purchases),
+      })
+    ).toBe("panels must list 1-12 panels");
+    expect(
+      DashboardService.validateDashboard({
+        name: "Sales",
+        panels: [{ ...purchases, chart: "pie" }],
+      })
+    ).toBe("chart must be one of: number, line, bar");
+  });
+});
+
+describe("DashboardService.validateEmbed", () => {
+  test("takes an optional name, filter and lifetime", () => {
+    expect(DashboardService.validateEmbed({})).toBeNull();
+    expect(
+      DashboardService.validateEmbed({
+        name: "Acme",
+        filter: { property: "account_id", op: "eq", value: "acme" },
+        ttlSeconds: 3600,
+      })
+    ).toBeNull();
+    expect(DashboardService.validateEmbed({ ttlSeconds: 30 })).toMatch(
+      /ttlSeconds must be an integer between 60 and/
+    );
+  });
+});
+
+describe("DashboardService embed links", () => {
+  const tokens = new TokenService({ secret: "test-secret" });
+  const embedRow = {
+    id: "e1",
+    tenant_id: "t1",
+    filter: { property: "account_id", op: "eq", value: "acme" },
+    dashboard_id: "d1",
+    name: "Sales",
+    range_days: 30,
+    panels: [purchases],
+    tenant_status: "active",
+    tenant_plan: "pro",
+    tenant_timezone: "Europe/Berlin",
+  };
+
+  // Dashboards over links stored as `rows`
+  const setup = (rows) => {
+    const pool = fakePool((text) => {
+      if (text.includes("INSERT INTO dashboard_embeds")) {
+        return { rows: [{ id: "e1", dashboard_id: "d1" }] };
+      }
+      if (text.includes("FROM dashboard_embeds e")) return { rows };
+    });
+    const dashboards = new DashboardService(pool, {
+      tokens,
+      embedBaseUrl: "https://app.example.com",
+    });
+    return { dashboards, pool };
+  };
+
+  test("carry the token in the URL fragment", async () => {
+    const { dashboards } = setup([]);
+
+    const embed = await dashboards.createEmbed("t1", "d1", {
+      ttlSeconds: 600,
+    });
+
+    expect(embed.url).toBe(`https://app.example.com/#embed=${embed.token}`);
+    expect(tokens.verify(embed.token, "embed")).toMatchObject({
+      sub: "t1",
+      embed_id: "e1",
+    });
+  });
+
+  test("resolve to the dashboard and the link's filter", async () => {
+    const { dashboards, pool } = setup([embedRow]);
+    const { token } = tokens.sign(
+      { sub: "t1", scope: "embed", embed_id: "e1" },
+      600
+    );
+
+    const embed = await dashboards.authenticateEmbed(token);
+
+    expect(pool.find(/FROM dashboard_embeds e/).params).toEqual(["e1", "t1"]);
+    expect(embed).toEqual({
+      id: "e1",
+      tenantId: "t1",
+      tenantStatus: "active",
+      tenantPlan: "pro",
+      tenantTimeZone: "Europe/Berlin",
+      filter: embedRow.filter,
+      dashboard: {
+        id: "d1",
+        name: "Sales",
+        range_days: 30,
+        panels: [purchases],
+      },
+    });
+  });
+
+  test("stop working once revoked, expired or used as another token", async () => {
+    const { dashboards, pool } = setup([]);
+    const { token } = tokens.sign(
+      { sub: "t1", scope: "embed", embed_id: "e1" },
+      600
+    );
+    const apiToken = tokens.sign({ sub: "t1", scope: "api" }, 600).token;
+
+    expect(await dashboards.authenticateEmbed(token)).toBeNull();
+    expect(await dashboards.authenticateEmbed(apiToken)).toBeNull();
+    expect(pool.statements()).toHaveLength(1);
+  });
+});
+
+describe("DashboardService.renderEmbed", () => {
+  test("narrows every panel by the link's filter and caches the result", async () => {
+    const segmentation = {
+      compileFilter: jest.fn(async (tenantId, node) => ({ filter: node })),
+      segment: jest.fn(async () => ({ series: [] })),
+    };
+    const opensearch = { resolveDate: () => new Date("2025-01-01T00:00Z") };
+    const dashboards = new DashboardService(fakePool(), {
+      opensearch,
+      segmentation,
+    });
+    const linkFilter = { property: "account_id", op: "eq", value: "acme" };
+    const panelFilter = { property: "plan", op: "eq", value: "pro" };
+
+    const rendered = await dashboards.renderEmbed({
+      id: "e1",
+      tenantId: "t1",
+      tenantTimeZone: "UTC",
+      filter: linkFilter,
+      dashboard: {
+        id: "d1",
+        name: "Sales",
+        range_days: 30,
+        panels: [purchases, { ...buyers, filter: panelFilter }],
+      },
+    });
+
+    expect(
+      segmentation.compileFilter.mock.calls.map(([, node]) => node)
+    ).toEqual([linkFilter, { and: [panelFilter, linkFilter] }]);
+    expect(rendered.panels.map((panel) => panel.title)).toEqual([
+      "Purchases",
+      "Buyers by plan",
+    ]);
+    expect(dashboards.cachedEmbed("e1")).toBe(rendered);
+    expect(dashboards.cachedEmbed("e2")).toBeNull();
+  });
+});
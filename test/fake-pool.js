@@ -0,0 +1,29 @@
+// Stand-in for a pg Pool. Queries on the pool and on connected clients are
+// answered by `respond(text, params)`, which returns a result such as
+// { rows } or throws. `log` records every query ({ on, text, params }) and
+// every connect and release, in order.
+const fakePool = (respond = () => ({ rows: [] })) => {
+  const log = [];
+
+  const run = (on) => async (text, params) => {
+    log.push({ on, text, params });
+    return (await respond(text, params)) || { rows: [] };
+  };
+
+  return {
+    log,
+    query: run("pool"),
+    connect: async () => {
+      log.push({ on: "connect" });
+      return {
+        query: run("client"),
+        release: () => log.push({ on: "release" }),
+      };
+    },
+    // Statements run, without connects and releases
+    statements: () => log.filter((entry) => entry.text),
+    find: (pattern) => log.find((entry) => pattern.test(entry.text || "")),
+  };
+};
+
+module.exports = fakePool;
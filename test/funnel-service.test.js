@@ -0,0 +1,248 @@
+const FunnelService = require("../funnel-service");
+const fakePool = require("./fake-pool");
+
+const START = "2025-01-01T00:00:00.000Z";
+const END = "2025-01-31T23:59:59.999Z";
+
+// Funnel over a fake database. `rows` answers the funnel query (one row per
+// breakdown value plus the overall row), `totals` the unordered counts and
+// `dropped` the drop-off listing.
+const funnelOf = ({ rows = [], totals = [], dropped = [] } = {}) => {
+  const pool = fakePool((text) => {
+    if (text.includes("AS last_step_at")) return { rows: dropped };
+    if (text.includes("FROM funnel")) return { rows };
+    if (text.includes("GROUP BY event_type")) return { rows: totals };
+  });
+  return {
+    funnel: new FunnelService(pool, {
+      currency: { base: "USD", rates: { USD: 1 } },
+    }),
+    pool,
+  };
+};
+
+describe("FunnelService.validateQuery", () => {
+  const valid = { events: ["view", "cart", "buy"] };
+
+  test("accepts a plain list of steps", () => {
+    expect(FunnelService.validateQuery(valid)).toBeNull();
+    expect(
+      FunnelService.validateQuery({
+        ...valid,
+        conversionWindow: "90d",
+        breakdown: "plan.name",
+        dropOffStep: 3,
+        revenue: true,
+        compare: false,
+      })
+    ).toBeNull();
+  });
+
+  test("needs between one and MAX_STEPS event names", () => {
+    expect(FunnelService.validateQuery({ events: [] })).toMatch(/required/);
+    expect(
+      FunnelService.validateQuery({
+        events: Array(FunnelService.MAX_STEPS + 1).fill("view"),
+      })
+    ).toMatch(/at most 10 steps/);
+    expect(FunnelService.validateQuery({ events: ["view", ""] })).toBe(
+      "Funnel steps must be event names"
+    );
+  });
+
+  test("caps the conversion window", () => {
+    expect(
+      FunnelService.validateQuery({ ...valid, conversionWindow: "2 days" })
+    ).toMatch(/must look like/);
+    expect(
+      FunnelService.validateQuery({ ...valid, conversionWindow: "91d" })
+    ).toBe("conversionWindow must be at most 90d");
+  });
+
+  test("only drops off after the first step", () => {
+    expect(FunnelService.validateQuery({ ...valid, dropOffStep: 1 })).toBe(
+      "dropOffStep must be between 2 and 3"
+    );
+    expect(
+      FunnelService.validateQuery({ ...valid, dropOffStep: 4 })
+    ).not.toBeNull();
+  });
+});
+
+describe("FunnelService.analyze", () => {
+  test("reports conversion per step and from the previous step", async () => {
+    const { funnel } = funnelOf({
+      rows: [
+        {
+          overall: true,
+          step_0: 3,
+          step_1: 2,
+          step_2: 1,
+          median_1: "90.456",
+          median_2: null,
+        },
+      ],
+      totals: [{ event_type: "view", count: 10, unique_users: 4 }],
+    });
+
+    const result = await funnel.analyze("t1", {
+      events: ["view", "cart", "buy"],
+      start: START,
+      end: END,
+    });
+
+    expect(result.conversion_window).toBe("7d");
+    expect(result.overall_conversion_rate).toBe(33.33);
+    expect(result.funnel[1]).toEqual({
+      step: 2,
+      event: "cart",
+      users: 2,
+      conversion_rate: 66.67,
+      step_conversion_rate: 66.67,
+      drop_off: 1,
+      median_seconds_from_previous: 90.46,
+      count: 0,
+      unique_users: 0,
+    });
+    expect(result.funnel[0]).toMatchObject({ count: 10, unique_users: 4 });
+  });
+
+  test("reports zero rates when nobody entered", async () => {
+    const { funnel } = funnelOf({
+      rows: [{ overall: true, step_0: 0, step_1: 0 }],
+    });
+
+    const result = await funnel.analyze("t1", {
+      events: ["view", "buy"],
+      start: START,
+      end: END,
+    });
+
+    expect(result.overall_conversion_rate).toBe(0);
+    expect(result.funnel.map((step) => step.conversion_rate)).toEqual([0, 0]);
+  });
+
+  test("orders breakdown values by entering users", async () => {
+    const { funnel, pool } = funnelOf({
+      rows: [
+        { overall: true, breakdown: null, step_0: 5, step_1: 2 },
+        { overall: false, breakdown: "free", step_0: 1, step_1: 0 },
+        { overall: false, breakdown: "pro", step_0: 4, step_1: 2 },
+      ],
+    });
+
+    const result = await funnel.analyze("t1", {
+      events: ["view", "buy"],
+      start: START,
+      end: END,
+      breakdown: "plan.name",
+    });
+
+    expect(result.breakdown.values.map((value) => value.value)).toEqual([
+      "pro",
+      "free",
+    ]);
+    expect(result.breakdown.values[0].overall_conversion_rate).toBe(50);
+    expect(pool.find(/FROM funnel/).params[4]).toEqual(["plan", "name"]);
+  });
+
+  test("lists users who reached a step but not the next", async () => {
+    const { funnel, pool } = funnelOf({
+      rows: [{ overall: true, step_0: 2, step_1: 1, step_2: 0 }],
+      dropped: [{ user_id: "u1", last_step_at: "2025-01-02T00:00:00Z" }],
+    });
+
+    const result = await funnel.analyze("t1", {
+      events: ["view", "cart", "buy"],
+      start: START,
+      end: END,
+      dropOffStep: 3,
+      limit: 5000,
+    });
+
+    expect(result.dropped_off).toEqual({
+      step: 3,
+      event: "buy",
+      users: [{ user_id: "u1", last_step_at: "2025-01-02T00:00:00Z" }],
+    });
+    const dropped = pool.find(/AS last_step_at/);
+    expect(dropped.text).toContain("t1 IS NOT NULL AND t2 IS NULL");
+    expect(dropped.params[dropped.params.length - 1]).toBe(1000);
+  });
+
+  test("adds revenue per step and per user", async () => {
+    const { funnel, pool } = funnelOf({
+      rows: [
+        {
+          overall: true,
+          step_0: 4,
+          step_1: 3,
+          revenue_0: "100.25",
+          revenue_1: "100",
+        },
+      ],
+    });
+
+    const result = await funnel.analyze("t1", {
+      events: ["view", "buy"],
+      start: START,
+      end: END,
+      revenue: true,
+    });
+
+    expect(result.funnel[0]).toMatchObject({
+      revenue: 100.25,
+      revenue_per_user: 25.06,
+    });
+    expect(result.funnel[1]).toMatchObject({
+      revenue: 100,
+      revenue_per_user: 33.33,
+    });
+    expect(pool.find(/FROM funnel/).text).toContain("rev.revenue");
+  });
+
+  test("compares with the period before", async () => {
+    const { funnel, pool } = funnelOf();
+    const periods = { [START]: [10, 5], "2024-12-01T00:00:00.000Z": [8, 2] };
+    pool.query = async (text, params) => {
+      if (!text.includes("FROM funnel")) return { rows: [] };
+      const [entered, converted] = periods[params[1]];
+      return {
+        rows: [{ overall: true, step_0: entered, step_1: converted }],
+      };
+    };
+
+    const result = await funnel.analyze("t1", {
+      events: ["view", "buy"],
+      start: START,
+      end: END,
+      compare: true,
+    });
+
+    expect(result.previous_period.start_date).toBe("2024-12-01T00:00:00.000Z");
+    expect(result.comparison.overall_conversion_rate).toEqual({
+      current: 50,
+      previous: 25,
+      change: 25,
+      change_rate: 100,
+    });
+    expect(result.comparison.funnel[0].users).toMatchObject({
+      current: 10,
+      previous: 8,
+      change: 2,
+    });
+  });
+});
+
+describe("FunnelService.buildFunnelCte", () => {
+  test("needs a later event when a step repeats the previous one", () => {
+    const cte = new FunnelService(null).buildFunnelCte(["view", "view", "buy"]);
+
+    expect(cte).toContain(
+      "e.event_type = $7\n             AND e.timestamp > s0.t"
+    );
+    expect(cte).toContain(
+      "e.event_type = $8\n             AND e.timestamp >= s1.t"
+    );
+  });
+});
@@ -0,0 +1,153 @@
+const IdentityService = require("../identity-service");
+const fakePool = require("./fake-pool");
+
+// Identity service over a fake database where `aliases` maps alias ids to
+// canonical ids and `events` are the merged identity's events
+const setup = ({ aliases = {}, events = [], moved = [] } = {}) => {
+  const pool = fakePool((text, params) => {
+    if (text.includes("SELECT canonical_id FROM user_aliases")) {
+      const canonicalId = aliases[params[1]];
+      return { rows: canonicalId ? [{ canonical_id: canonicalId }] : [] };
+    }
+    if (text.includes("INSERT INTO user_aliases")) {
+      return { rows: moved.map((aliasId) => ({ alias_id: aliasId })) };
+    }
+    if (text.includes("UPDATE events SET canonical_user_id")) {
+      return { rows: events };
+    }
+  });
+  const profiles = { mergeProfiles: jest.fn() };
+  const outboxWorker = { wake: jest.fn() };
+  const identity = new IdentityService(pool, { profiles, outboxWorker });
+  return { identity, pool, profiles, outboxWorker };
+};
+
+const texts = (pool) =>
+  pool.statements().map((entry) => entry.text.trim().split(/\s+/)[0]);
+
+describe("IdentityService.validateAlias", () => {
+  test("accepts string and numeric ids", () => {
+    expect(
+      IdentityService.validateAlias({ previousId: "anon-1", userId: 42 })
+    ).toBeNull();
+  });
+
+  test("names the missing or oversized id", () => {
+    expect(IdentityService.validateAlias({ userId: "u1" })).toBe(
+      "previousId is required"
+    );
+    expect(
+      IdentityService.validateAlias({
+        previousId: "anon-1",
+        userId: "u".repeat(256),
+      })
+    ).toBe("userId must be 1-255 characters");
+  });
+
+  test("refuses to alias an id to itself", () => {
+    expect(IdentityService.validateAlias({ previousId: 7, userId: "7" })).toBe(
+      "previousId and userId must differ"
+    );
+  });
+});
+
+describe("IdentityService.alias", () => {
+  test("moves the merged identity and its aliases under the lock", async () => {
+    const { identity, pool, profiles, outboxWorker } = setup({
+      aliases: { "anon-2": "anon-1" },
+      moved: ["anon-1", "anon-2"],
+      events: [
+        { id: "e1", date: "2025-01-01" },
+        { id: "e2", date: "2025-01-01" },
+        { id: "e3", date: "2025-01-02" },
+      ],
+    });
+
+    const result = await identity.alias("t1", "anon-2", "u1");
+
+    expect(result).toEqual({
+      canonicalId: "u1",
+      mergedIds: ["anon-1", "anon-2"],
+      eventsUpdated: 3,
+    });
+    expect(pool.find(/pg_advisory_xact_lock\(/).params).toEqual([
+      "identity:t1",
+    ]);
+    expect(pool.find(/INSERT INTO user_aliases/).params).toEqual([
+      "t1",
+      "anon-1",
+      "u1",
+    ]);
+    expect(pool.find(/UPDATE events/).params).toEqual(["t1", "anon-1", "u1"]);
+
+    // Re-indexed without a second live broadcast
+    expect(pool.find(/INSERT INTO event_outbox/).params).toEqual([
+      ["e1", "e2", "e3"],
+      false,
+    ]);
+    expect(pool.find(/INSERT INTO rollup_dirty_days/).params).toEqual([
+      "t1",
+      ["2025-01-01", "2025-01-01", "2025-01-02"],
+    ]);
+    expect(profiles.mergeProfiles).toHaveBeenCalledWith(
+      expect.anything(),
+      "t1",
+      "anon-1",
+      "u1"
+    );
+    expect(texts(pool)[texts(pool).length - 1]).toBe("COMMIT");
+    expect(outboxWorker.wake).toHaveBeenCalled();
+  });
+
+  test("does nothing when both ids are already one user", async () => {
+    const { identity, pool, outboxWorker } = setup({
+      aliases: { "anon-1": "u1" },
+    });
+
+    await expect(identity.alias("t1", "anon-1", "u1")).resolves.toEqual({
+      canonicalId: "u1",
+      mergedIds: [],
+      eventsUpdated: 0,
+    });
+    expect(texts(pool)).toEqual([
+      "BEGIN",
+      "SELECT",
+      "SELECT",
+      "SELECT",
+      "COMMIT",
+    ]);
+    expect(outboxWorker.wake).not.toHaveBeenCalled();
+  });
+
+  test("links an identity without events", async () => {
+    const { identity, pool, outboxWorker } = setup({ moved: ["anon-1"] });
+
+    const result = await identity.alias("t1", "anon-1", "u1");
+
+    expect(result.eventsUpdated).toBe(0);
+    expect(pool.find(/INSERT INTO event_outbox/)).toBeUndefined();
+    expect(outboxWorker.wake).not.toHaveBeenCalled();
+  });
+
+  test("rolls back a failed merge", async () => {
+    const { identity, pool, profiles, outboxWorker } = setup();
+    profiles.mergeProfiles.mockRejectedValue(new Error("deadlock detected"));
+
+    await expect(identity.alias("t1", "anon-1", "u1")).rejects.toThrow(
+      "deadlock detected"
+    );
+    expect(texts(pool)).toContain("ROLLBACK");
+    expect(texts(pool)).not.toContain("COMMIT");
+    expect(pool.log[pool.log.length - 1].on).toBe("release");
+    expect(outboxWorker.wake).not.toHaveBeenCalled();
+  });
+});
+
+describe("IdentityService.resolve", () => {
+  test("returns the id itself when it is not an alias", async () => {
+    const { identity } = setup({ aliases: { "anon-1": "u1" } });
+
+    await expect(identity.resolve("t1", "anon-1")).resolves.toBe("u1");
+    await expect(identity.resolve("t1", "u2")).resolves.toBe("u2");
+  });
+});
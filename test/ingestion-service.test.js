@@ -0,0 +1,426 @@
+const IngestionService = require("../ingestion-service");
+const fakePool = require("./fake-pool");
+
+const NOW = Date.parse("2025-03-01T12:00:00Z");
+
+// Ingestion service over a fake database. `seen` maps message ids already
+// in event_dedup to their previous { event_id, timestamp }; `schema` is the
+// tenant schema returned by the registry.
+const setup = ({ seen = new Map(), schema, failOn } = {}) => {
+  const pool = fakePool((text, params) => {
+    if (failOn && failOn.test(text)) throw new Error("insert failed");
+
+    if (text.includes("INSERT INTO event_dedup")) {
+      return {
+        rows: params[1]
+          .filter((messageId) => !seen.has(messageId))
+          .map((messageId) => ({ message_id: messageId })),
+      };
+    }
+    if (text.includes("FROM event_dedup d")) {
+      return {
+        rows: params[1].map((messageId) => ({
+          message_id: messageId,
+          ...seen.get(messageId),
+        })),
+      };
+    }
+    if (text.includes("INSERT INTO events")) {
+      const [, ids, , , userIds, , , timestamps] = params;
+      return {
+        rows: ids.map((id, i) => ({
+          id,
+          timestamp: timestamps[i] || new Date(NOW).toISOString(),
+          canonical_user_id: userIds[i],
+        })),
+      };
+    }
+  });
+
+  const schemas = {
+    getTenantSchema: async () =>
+      schema || { mode: "warn", definitions: new Map() },
+    recordViolations: jest.fn(),
+    quarantineEvents: jest.fn(),
+  };
+  const metering = { record: jest.fn() };
+  const profiles = { recordEvents: jest.fn() };
+  const outboxWorker = { wake: jest.fn() };
+  const webhookWorker = { wake: jest.fn() };
+
+  const service = new IngestionService(pool, {
+    schemas,
+    metering,
+    profiles,
+    outboxWorker,
+    webhookWorker,
+  });
+
+  return { service, pool, schemas, metering, profiles, outboxWorker };
+};
+
+describe("IngestionService.normalizeEvent", () => {
+  const { service } = setup();
+
+  test("normalises a tracked event for insertion", () => {
+    const { event } = service.normalizeEvent(
+      { event: "signup", properties: { plan: "pro" }, userId: 42 },
+      NOW
+    );
+
+    expect(event).toMatchObject({
+      event_type: "signup",
+      properties: { plan: "pro" },
+      serializedProperties: '{"plan":"pro"}',
+      user_id: "42",
+      session_id: null,
+      message_id: null,
+      timestamp: null,
+    });
+    expect(event.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test("defaults properties to an empty object", () => {
+    expect(
+      service.normalizeEvent({ event: "signup" }, NOW).event.properties
+    ).toEqual({});
+  });
+
+  test("explains why an event is invalid", () => {
+    const errorOf = (evt) => service.normalizeEvent(evt, NOW).error;
+
+    expect(errorOf(null)).toBe("Event must be an object");
+    expect(errorOf(["signup"])).toBe("Event must be an object");
+    expect(errorOf({ event: "  " })).toBe("Event name required");
+    expect(errorOf({ event: "x".repeat(101) })).toBe(
+      "Event name exceeds 100 characters"
+    );
+    expect(errorOf({ event: "a", properties: [1] })).toBe(
+      "Properties must be an object"
+    );
+    expect(errorOf({ event: "a", properties: null })).toBe(
+      "Properties must be an object"
+    );
+    expect(errorOf({ event: "a", userId: { id: 1 } })).toBe(
+      "userId must be a string"
+    );
+    expect(errorOf({ event: "a", sessionId: "s".repeat(256) })).toBe(
+      "sessionId exceeds 255 characters"
+    );
+    expect(errorOf({ event: "a", properties: { note: "a\u0000b" } })).toBe(
+      "Properties must not contain NUL characters"
+    );
+  });
+});
+
+describe("IngestionService.ingest", () => {
+  test("stores a batch with one insert and reports every event", async () => {
+    const { service, pool, metering, outboxWorker } = setup();
+
+    const results = await service.ingest(
+      "tenant-1",
+      [
+        { event: "page_view", userId: "u1" },
+        { properties: {} },
+        { event: "click", properties: { button: "buy" } },
+      ],
+      { apiKeyId: "key-1" }
+    );
+
+    expect(results).toEqual([
+      expect.objectContaining({ index: 0, success: true }),
+      { index: 1, success: false, error: "Event name required" },
+      expect.objectContaining({ index: 2, success: true }),
+    ]);
+
+    const inserts = pool.log.filter((entry) =>
+      /INSERT INTO events/.test(entry.text)
+    );
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0].params[0]).toBe("tenant-1");
+    expect(inserts[0].params[1]).toEqual([
+      results[0].eventId,
+      results[2].eventId,
+    ]);
+    expect(inserts[0].params[2]).toEqual(["page_view", "click"]);
+
+    // Queued for indexing and forwarding in the same transaction
+    const statements = pool.statements().map((entry) => entry.text);
+    expect(statements[0]).toBe("BEGIN");
+    expect(statements[statements.length - 1]).toBe("COMMIT");
+    expect(pool.find(/INSERT INTO event_outbox/).params[0]).toEqual(
+      inserts[0].params[1]
+    );
+    expect(pool.find(/INSERT INTO webhook_queue/)).toBeDefined();
+
+    expect(metering.record).toHaveBeenCalledWith(
+      expect.anything(),
+      "tenant-1",
+      {
+        apiKeyId: "key-1",
+        accepted: 2,
+        rejected: 1,
+        deduplicated: 0,
+        quarantined: 0,
+      }
+    );
+    expect(outboxWorker.wake).toHaveBeenCalled();
+  });
+
+  test("commits nothing when only invalid events arrive", async () => {
+    const { service, pool, outboxWorker } = setup();
+
+    const results = await service.ingest("tenant-1", [{ event: "" }, 5]);
+
+    expect(results.map((result) => result.success)).toEqual([false, false]);
+    expect(pool.find(/INSERT INTO events/)).toBeUndefined();
+    expect(outboxWorker.wake).not.toHaveBeenCalled();
+  });
+
+  test("rolls back the whole batch when the insert fails", async () => {
+    const { service, pool, metering } = setup({
+      failOn: /INSERT INTO events/,
+    });
+
+    await expect(
+      service.ingest("tenant-1", [{ event: "a" }, { event: "b" }])
+    ).rejects.toThrow("insert failed");
+
+    const statements = pool.statements().map((entry) => entry.text);
+    expect(statements).toContain("ROLLBACK");
+    expect(statements).not.toContain("COMMIT");
+    expect(pool.log[pool.log.length - 1].on).toBe("release");
+    expect(metering.record).not.toHaveBeenCalled();
+  });
+});
+
+describe("client timestamps", () => {
+  const { service } = setup();
+  const at = (timestamp) =>
+    service.normalizeEvent({ event: "a", timestamp }, NOW);
+
+  test("accepts ISO strings and epoch milliseconds", () => {
+    expect(at("2025-02-28T08:30:00+01:00").event.timestamp).toBe(
+      "2025-02-28T07:30:00.000Z"
+    );
+    expect(at(NOW - 1000).event.timestamp).toBe("2025-03-01T11:59:59.000Z");
+  });
+
+  test("keeps events within the accepted window", () => {
+    expect(at(NOW - 30 * 24 * 60 * 60 * 1000).error).toBeUndefined();
+    expect(at(NOW - 31 * 24 * 60 * 60 * 1000).error).toBe(
+      "Timestamp is older than the accepted window"
+    );
+    expect(at(NOW + 4 * 60 * 1000).error).toBeUndefined();
+    expect(at(NOW + 6 * 60 * 1000).error).toBe(
+      "Timestamp is too far in the future"
+    );
+    expect(at("yesterday").error).toBe(
+      "Timestamp must be an ISO 8601 string or epoch ms"
+    );
+    expect(at(true).error).toBe(
+      "Timestamp must be an ISO 8601 string or epoch ms"
+    );
+  });
+
+  test("honours a configured window", () => {
+    const strict = new IngestionService(null, { maxEventAgeMs: 60 * 1000 });
+    expect(
+      strict.normalizeEvent({ event: "a", timestamp: NOW - 120 * 1000 }, NOW)
+        .error
+    ).toBe("Timestamp is older than the accepted window");
+  });
+});
+
+describe("messageId deduplication", () => {
+  test("answers a retried message with the original event", async () => {
+    const seen = new Map([
+      ["m-1", { event_id: "event-1", timestamp: "2025-03-01T10:00:00.000Z" }],
+    ]);
+    const { service, pool, metering } = setup({ seen });
+
+    const results = await service.ingest("tenant-1", [
+      { event: "purchase", messageId: "m-1" },
+      { event: "purchase", messageId: "m-2" },
+    ]);
+
+    expect(results[0]).toEqual({
+      index: 0,
+      success: true,
+      duplicate: true,
+      eventId: "event-1",
+      timestamp: "2025-03-01T10:00:00.000Z",
+    });
+    expect(results[1].duplicate).toBeUndefined();
+    expect(pool.find(/INSERT INTO events/).params[6]).toEqual(["m-2"]);
+
+    // Remembered for the configured window
+    expect(pool.find(/INSERT INTO event_dedup/).params[4]).toBe(24 * 60 * 60);
+    expect(metering.record.mock.calls[0][2]).toMatchObject({
+      accepted: 1,
+      deduplicated: 1,
+    });
+  });
+
+  test("stores a message id repeated within a batch once", async () => {
+    const { service, pool } = setup();
+
+    const results = await service.ingest("tenant-1", [
+      { event: "purchase", messageId: "m-1" },
+      { event: "purchase", messageId: "m-1" },
+      { event: "purchase", messageId: 7 },
+    ]);
+
+    expect(results[1]).toEqual({
+      ...results[0],
+      index: 1,
+      duplicate: true,
+    });
+    expect(pool.find(/INSERT INTO event_dedup/).params[1]).toEqual([
+      "m-1",
+      "7",
+    ]);
+    expect(pool.find(/INSERT INTO events/).params[1]).toHaveLength(2);
+  });
+
+  test("does not store or claim events without a message id", async () => {
+    const { service, pool } = setup();
+
+    await service.ingest("tenant-1", [{ event: "a" }, { event: "a" }]);
+
+    expect(pool.find(/INSERT INTO event_dedup/)).toBeUndefined();
+    expect(pool.find(/INSERT INTO events/).params[1]).toHaveLength(2);
+  });
+});
+
+describe("schema modes", () => {
+  const definitions = new Map([
+    [
+      "purchase",
+      {
+        properties: { revenue: { type: "number", required: true } },
+        additional_properties: true,
+      },
+    ],
+  ]);
+
+  test("warn stores the event and returns the warnings", async () => {
+    const { service, schemas } = setup({
+      schema: { mode: "warn", definitions },
+    });
+
+    const [result] = await service.ingest("tenant-1", [
+      { event: "purchase", properties: { revenue: "12" } },
+    ]);
+
+    expect(result.eventId).toBeDefined();
+    expect(result.warnings).toEqual([
+      "Property 'revenue' must be of type number",
+    ]);
+    expect(schemas.recordViolations.mock.calls[0][2]).toEqual([
+      expect.objectContaining({
+        eventType: "purchase",
+        reason: "type_mismatch:revenue",
+      }),
+    ]);
+  });
+
+  test("reject fails only the violating events", async () => {
+    const { service, pool } = setup({
+      schema: { mode: "reject", definitions },
+    });
+
+    const results = await service.ingest("tenant-1", [
+      { event: "purchase", properties: {} },
+      { event: "purchase", properties: { revenue: 5 } },
+    ]);
+
+    expect(results[0]).toMatchObject({
+      success: false,
+      error: "Schema violation: Required property 'revenue' is missing",
+    });
+    expect(results[1].eventId).toBeDefined();
+    expect(pool.find(/INSERT INTO events/).params[2]).toEqual(["purchase"]);
+  });
+
+  test("quarantine holds the event back under a quarantine id", async () => {
+    const { service, pool, schemas, metering } = setup({
+      schema: { mode: "quarantine", definitions },
+    });
+
+    const [result] = await service.ingest("tenant-1", [
+      { event: "signup", messageId: "m-1" },
+    ]);
+
+    expect(result).toEqual({
+      index: 0,
+      success: true,
+      quarantined: true,
+      quarantineId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      violations: ["Event 'signup' is not registered"],
+    });
+    expect(pool.find(/INSERT INTO events/)).toBeUndefined();
+
+    const [[, , held]] = schemas.quarantineEvents.mock.calls;
+    expect(held).toEqual([
+      expect.objectContaining({ id: result.quarantineId, eventType: "signup" }),
+    ]);
+
+    // The message id points at the quarantine row, not at an event
+    const claim = pool.find(/INSERT INTO event_dedup/);
+    expect(claim.params.slice(1, 4)).toEqual([
+      ["m-1"],
+      [null],
+      [result.quarantineId],
+    ]);
+    expect(metering.record.mock.calls[0][2]).toMatchObject({
+      accepted: 0,
+      quarantined: 1,
+    });
+  });
+
+  test("a retried quarantined message is not quarantined again", async () => {
+    const seen = new Map([["m-1", { quarantined_event_id: "q-1" }]]);
+    const { service, schemas, metering } = setup({
+      seen,
+      schema: { mode: "quarantine", definitions },
+    });
+
+    const [result] = await service.ingest("tenant-1", [
+      { event: "signup", messageId: "m-1" },
+    ]);
+
+    expect(result).toEqual({
+      index: 0,
+      success: true,
+      quarantined: true,
+      duplicate: true,
+      quarantineId: "q-1",
+    });
+    expect(schemas.quarantineEvents.mock.calls[0][2]).toEqual([]);
+    expect(metering.record.mock.calls[0][2]).toMatchObject({
+      quarantined: 0,
+      deduplicated: 1,
+    });
+  });
+
+  test("a valid retry of a quarantined message reports the quarantine", async () => {
+    const seen = new Map([["m-1", { quarantined_event_id: "q-1" }]]);
+    const { service, pool } = setup({
+      seen,
+      schema: { mode: "quarantine", definitions },
+    });
+
+    const [result] = await service.ingest("tenant-1", [
+      { event: "purchase", properties: { revenue: 5 }, messageId: "m-1" },
+    ]);
+
+    expect(result).toMatchObject({
+      quarantined: true,
+      duplicate: true,
+      quarantineId: "q-1",
+    });
+    expect(result.eventId).toBeUndefined();
+    expect(pool.find(/INSERT INTO events/)).toBeUndefined();
+  });
+});
@@ -0,0 +1,185 @@
+const EventEmitter = require("events");
+const { WebSocket } = require("ws");
+const LiveServer = require("../live-server");
+const TokenService = require("../token-service");
+
+const tokens = new TokenService({ secret: "test-secret" });
+const liveToken = (claims = {}) =>
+  tokens.sign(
+    { sub: "t1", key_id: "k1", scope: LiveServer.TOKEN_SCOPE, ...claims },
+    300
+  ).token;
+
+// Sockets to close after each test, which clears their timers
+const sockets = [];
+
+// A live server with one connected socket. `key` is what the API key lookup
+// returns; `publish` feeds a message from the stream hub to the tenant.
+const connect = (key = { tenantId: "t1", permissions: ["stream"] }) => {
+  const listeners = new Map();
+  const stream = {
+    listen: (tenantId, listener) => {
+      listeners.set(tenantId, listener);
+      return () => listeners.delete(tenantId);
+    },
+  };
+  const apiKeys = { authenticateToken: jest.fn(async () => key) };
+  const live = new LiveServer({ tokens, apiKeys, stream });
+
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.bufferedAmount = 0;
+  ws.send = jest.fn();
+  ws.close = jest.fn();
+  live.handleConnection(ws);
+  sockets.push(ws);
+
+  const say = async (message) => {
+    ws.emit("message", Buffer.from(JSON.stringify(message)));
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  const received = () => ws.send.mock.calls.map(([raw]) => JSON.parse(raw));
+  const publish = (message) => listeners.get("t1")(message);
+
+  return { live, ws, apiKeys, say, received, publish };
+};
+
+afterEach(() => sockets.splice(0).forEach((ws) => ws.emit("close")));
+
+describe("LiveServer.validateSubscription", () => {
+  test("accepts filters on the events channel only", () => {
+    expect(
+      LiveServer.validateSubscription({
+        id: "buys",
+        channel: "events",
+        filter: { event_type: ["purchase"], user_id: ["u1"] },
+      })
+    ).toBeNull();
+    expect(
+      LiveServer.validateSubscription({
+        id: "alerts",
+        channel: "alerts",
+        filter: { event_type: ["purchase"] },
+      })
+    ).toBe("filter is an object and only applies to the events channel");
+  });
+
+  test("needs an id and a known channel", () => {
+    expect(LiveServer.validateSubscription({ channel: "events" })).toMatch(
+      /need an id/
+    );
+    expect(
+      LiveServer.validateSubscription({ id: "x", channel: "metrics" })
+    ).toBe("channel must be one of: events, alerts, aggregates");
+  });
+
+  test("lists filter values as strings", () => {
+    expect(
+      LiveServer.validateSubscription({
+        id: "x",
+        channel: "events",
+        filter: { user_id: "u1" },
+      })
+    ).toBe("user_id must list 1-50 strings");
+  });
+});
+
+describe("LiveServer sessions", () => {
+  test("start with an auth message carrying a live token", async () => {
+    const { ws, apiKeys, say, received } = connect();
+
+    await say({ type: "auth", token: liveToken() });
+
+    expect(apiKeys.authenticateToken).toHaveBeenCalledWith("k1");
+    expect(received()).toEqual([
+      expect.objectContaining({ type: "ready", tenant_id: "t1" }),
+    ]);
+    expect(ws.close).not.toHaveBeenCalled();
+  });
+
+  test("close on tokens of another scope and on revoked keys", async () => {
+    const wrongScope = connect();
+    await wrongScope.say({
+      type: "auth",
+      token: liveToken({ scope: "api" }),
+    });
+    expect(wrongScope.ws.close).toHaveBeenCalledWith(
+      4001,
+      "Invalid or expired token"
+    );
+
+    const revoked = connect(null);
+    await revoked.say({ type: "auth", token: liveToken() });
+    expect(revoked.ws.close).toHaveBeenCalledWith(
+      4001,
+      "API key revoked or not permitted"
+    );
+  });
+
+  test("forward events to the subscriptions whose filter they match", async () => {
+    const { say, received, publish } = connect();
+    await say({ type: "auth", token: liveToken() });
+    await say({
+      type: "subscribe",
+      id: "buys",
+      channel: "events",
+      filter: { event_type: ["purchase"] },
+    });
+    await say({ type: "subscribe", id: "all", channel: "events" });
+
+    publish({ type: "event", data: { event_type: "purchase" } });
+    publish({ type: "event", data: { event_type: "page_view" } });
+
+    expect(received().slice(1)).toEqual([
+      { type: "subscribed", id: "buys", channel: "events" },
+      { type: "subscribed", id: "all", channel: "events" },
+      {
+        type: "event",
+        subscription: "buys",
+        data: { event_type: "purchase" },
+      },
+      { type: "event", subscription: "all", data: { event_type: "purchase" } },
+      { type: "event", subscription: "all", data: { event_type: "page_view" } },
+    ]);
+  });
+
+  test("keep user-restricted tokens to that user's events", async () => {
+    const { say, received, publish } = connect();
+    await say({
+      type: "auth",
+      token: liveToken({ canonical_user_id: "c1" }),
+    });
+    await say({ type: "subscribe", id: "alerts", channel: "alerts" });
+    await say({ type: "subscribe", id: "mine", channel: "events" });
+
+    publish({ type: "event", data: { canonical_user_id: "c2" } });
+    publish({ type: "event", data: { canonical_user_id: "c1" } });
+
+    expect(received().slice(1)).toEqual([
+      {
+        type: "error",
+        id: "alerts",
+        message: "This token only has access to one user's events",
+      },
+      { type: "subscribed", id: "mine", channel: "events" },
+      {
+        type: "event",
+        subscription: "mine",
+        data: { canonical_user_id: "c1" },
+      },
+    ]);
+  });
+
+  test("close once the key check finds the key revoked", async () => {
+    const { live, ws, apiKeys, say } = connect();
+    await say({ type: "auth", token: liveToken() });
+
+    apiKeys.authenticateToken.mockResolvedValue(null);
+    await live.checkKeys();
+
+    expect(ws.close).toHaveBeenCalledWith(
+      4001,
+      "API key revoked or not permitted"
+    );
+  });
+});
@@ -0,0 +1,102 @@
+const MeteringService = require("../metering-service");
+const fakePool = require("./fake-pool");
+
+describe("MeteringService.record", () => {
+  test("appends the counts with the tenant's name and plan", async () => {
+    const pool = fakePool();
+    const metering = new MeteringService(pool);
+
+    await metering.record(pool, "t1", {
+      apiKeyId: "k1",
+      accepted: 3,
+      deduplicated: 1,
+    });
+
+    const [insert] = pool.statements();
+    expect(insert.text).toMatch(
+      /SELECT id, \$2, name, plan, \$3, \$4, \$5, \$6 FROM tenants/
+    );
+    expect(insert.params).toEqual(["t1", "k1", 3, 0, 1, 0]);
+  });
+
+  test("writes nothing for a request that counted nothing", async () => {
+    const pool = fakePool();
+
+    await new MeteringService(pool).record(pool, "t1", { apiKeyId: "k1" });
+
+    expect(pool.statements()).toEqual([]);
+  });
+});
+
+describe("MeteringService.getMonthlyLineItems", () => {
+  test("bills accepted events above the plan's included quota", async () => {
+    const pool = fakePool(() => ({
+      rows: [
+        {
+          tenant_id: "t1",
+          tenant_name: "Acme",
+          plan: "free",
+          period: "2025-02",
+          accepted: "900000",
+          rejected: "12",
+          deduplicated: "30",
+          quarantined: "4",
+        },
+        {
+          tenant_id: "t2",
+          tenant_name: "Globex",
+          plan: "enterprise",
+          period: "2025-02",
+          accepted: "90000000",
+          rejected: "0",
+          deduplicated: "0",
+          quarantined: "0",
+        },
+      ],
+    }));
+    const metering = new MeteringService(pool);
+
+    const items = await metering.getMonthlyLineItems({ month: "2025-02" });
+
+    expect(pool.statements()[0].params).toEqual([
+      "2025-02-01T00:00:00.000Z",
+      "2025-03-01T00:00:00.000Z",
+      null,
+    ]);
+    expect(items[0]).toMatchObject({
+      accepted: 900000,
+      billable_events: 900000,
+      included_events: 800000,
+      overage_events: 100000,
+    });
+    expect(items[1]).toMatchObject({
+      included_events: null,
+      overage_events: 0,
+    });
+  });
+});
+
+describe("MeteringService.getAcceptedEvents", () => {
+  test("sums the tenant's stored events since a date", async () => {
+    const pool = fakePool(() => ({ rows: [{ accepted: "1234" }] }));
+    const since = new Date("2025-02-01T00:00:00Z");
+
+    await expect(
+      new MeteringService(pool).getAcceptedEvents("t1", since)
+    ).resolves.toBe(1234);
+    expect(pool.statements()[0].params).toEqual(["t1", since]);
+  });
+});
+
+describe("MeteringService.toCsv", () => {
+  test("quotes fields that need it and leaves blanks for nulls", () => {
+    const csv = MeteringService.toCsv(
+      [{ tenant_name: 'Acme, "Inc"', plan: "pro", included_events: null }],
+      ["tenant_name", "plan", "included_events"]
+    );
+
+    expect(csv).toBe(
+      'tenant_name,plan,included_events\r\n"Acme, ""Inc""",pro,'
+    );
+  });
+});
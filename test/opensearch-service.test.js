@@ -0,0 +1,263 @@
+const OpenSearchService = require("../opensearch-service");
+
+describe("OpenSearchService.bulkIndexEvents", () => {
+  test("keys each document by event id in the index of its day", async () => {
+    const opensearch = new OpenSearchService();
+    opensearch.client = {
+      bulk: jest.fn(async () => ({ body: { errors: false, items: [] } })),
+    };
+
+    await opensearch.bulkIndexEvents("t1", [
+      {
+        id: "event-1",
+        event_type: "purchase",
+        user_id: "u1",
+        timestamp: "2025-01-01T23:59:59.000Z",
+      },
+      {
+        id: "event-2",
+        event_type: "purchase",
+        timestamp: "2025-01-02T00:00:00Z",
+      },
+    ]);
+
+    const { body } = opensearch.client.bulk.mock.calls[0][0];
+    expect(body[0]).toEqual({
+      index: { _index: "analytics-events-t1-2025-01-01", _id: "event-1" },
+    });
+    expect(body[1]).toMatchObject({ event_type: "purchase", user_id: "u1" });
+    expect(body[2]).toEqual({
+      index: { _index: "analytics-events-t1-2025-01-02", _id: "event-2" },
+    });
+  });
+});
+
+describe("OpenSearchService field mappings", () => {
+  const TEXT = { type: "text", fields: { keyword: { type: "keyword" } } };
+  const KEYWORD = { type: "keyword" };
+
+  // getFieldMapping response: index => field => leaf mapping
+  const mappingsOf = (indices) =>
+    Object.fromEntries(
+      Object.entries(indices).map(([index, fields]) => [
+        index,
+        {
+          mappings: Object.fromEntries(
+            Object.entries(fields).map(([field, leaf]) => [
+              field,
+              { mapping: { [field.split(".").pop()]: leaf } },
+            ])
+          ),
+        },
+      ])
+    );
+
+  const withMappings = (indices) => {
+    const opensearch = new OpenSearchService();
+    const getFieldMapping = jest.fn(async () => ({
+      body: mappingsOf(indices()),
+    }));
+    const search = jest.fn(async () => ({
+      body: { hits: { total: { value: 0 } }, aggregations: {} },
+    }));
+    opensearch.client = { indices: { getFieldMapping }, search };
+    return { opensearch, getFieldMapping, search };
+  };
+
+  const aggregate = (opensearch, filter, aggs = {}) =>
+    opensearch.aggregate("t1", {
+      startDate: "2025-01-01T00:00:00.000Z",
+      endDate: "2025-01-02T23:59:59.999Z",
+      filter,
+      aggs,
+    });
+
+  const sentFilter = (search, call = 0) =>
+    search.mock.calls[call][0].body.query.bool.must[2];
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("queries text-mapped properties through .keyword", async () => {
+    const { opensearch, search } = withMappings(() => ({
+      "analytics-events-t1-2025-01-01": { "properties.plan": TEXT },
+    }));
+
+    await aggregate(opensearch, { term: { "properties.plan": "pro" } });
+
+    expect(sentFilter(search)).toEqual({
+      term: { "properties.plan.keyword": "pro" },
+    });
+  });
+
+  test("matches each index on its own mapping when they differ", async () => {
+    const { opensearch, search } = withMappings(() => ({
+      "analytics-events-t1-2025-01-01": { "properties.plan": TEXT },
+      "analytics-events-t1-2025-01-02": { "properties.plan": KEYWORD },
+    }));
+
+    await aggregate(opensearch, null, {
+      plans: { terms: { field: "properties.plan", size: 5 } },
+    });
+    await aggregate(opensearch, { terms: { "properties.plan": ["pro"] } });
+
+    const { aggs } = search.mock.calls[0][0].body;
+    expect(aggs.plans.terms).toEqual({
+      size: 5,
+      script: expect.objectContaining({
+        params: { field: "properties.plan" },
+      }),
+    });
+    expect(sentFilter(search, 1).bool.should).toEqual([
+      {
+        bool: {
+          filter: [
+            { terms: { _index: ["analytics-events-t1-2025-01-01"] } },
+            { terms: { "properties.plan.keyword": ["pro"] } },
+          ],
+        },
+      },
+      {
+        bool: {
+          must_not: [{ terms: { _index: ["analytics-events-t1-2025-01-01"] } }],
+          filter: [{ terms: { "properties.plan": ["pro"] } }],
+        },
+      },
+    ]);
+  });
+
+  test("reuses mappings until they expire", async () => {
+    jest.useFakeTimers({ now: new Date("2025-01-03T00:00:00Z") });
+    const { opensearch, getFieldMapping } = withMappings(() => ({
+      "analytics-events-t1-2025-01-01": { "properties.plan": KEYWORD },
+    }));
+    const filter = { term: { "properties.plan": "pro" } };
+
+    await aggregate(opensearch, filter);
+    await aggregate(opensearch, filter);
+    expect(getFieldMapping).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(61 * 1000);
+    await aggregate(opensearch, filter);
+    expect(getFieldMapping).toHaveBeenCalledTimes(2);
+  });
+
+  test("looks again for properties no index maps yet", async () => {
+    let indices = {};
+    const { opensearch, getFieldMapping, search } = withMappings(() => indices);
+    const filter = { term: { "properties.coupon": "NEW" } };
+
+    await aggregate(opensearch, filter);
+    expect(sentFilter(search)).toEqual(filter);
+
+    // A late event brings the property into an older, text-mapping index
+    indices = {
+      "analytics-events-t1-2025-01-01": { "properties.coupon": TEXT },
+    };
+    await aggregate(opensearch, filter);
+
+    expect(getFieldMapping).toHaveBeenCalledTimes(2);
+    expect(sentFilter(search, 1)).toEqual({
+      term: { "properties.coupon.keyword": "NEW" },
+    });
+  });
+
+  test("skips the lookup when nothing compares whole values", async () => {
+    const { opensearch, getFieldMapping } = withMappings(() => ({}));
+
+    await aggregate(opensearch, { exists: { field: "properties.plan" } });
+
+    expect(getFieldMapping).not.toHaveBeenCalled();
+  });
+});
+
+describe("OpenSearchService dates", () => {
+  const opensearch = new OpenSearchService();
+  const now = new Date("2025-01-15T10:30:00Z");
+  const resolve = (value, timeZone, options) =>
+    opensearch.resolveDate(value, now, timeZone, options)?.toISOString();
+
+  test("resolves calendar dates to local days", () => {
+    expect(resolve("2025-01-01", "Asia/Tokyo")).toBe(
+      "2024-12-31T15:00:00.000Z"
+    );
+    expect(resolve("2025-01-01", "Asia/Tokyo", { end: true })).toBe(
+      "2025-01-01T14:59:59.999Z"
+    );
+    expect(resolve("2025-01-01", "America/Los_Angeles", { end: true })).toBe(
+      "2025-01-02T07:59:59.999Z"
+    );
+    expect(resolve("2025-01-01")).toBe("2025-01-01T00:00:00.000Z");
+  });
+
+  test("keeps instants and rounds date math in the time zone", () => {
+    expect(resolve("2025-01-01T12:00:00+09:00", "America/Los_Angeles")).toBe(
+      "2025-01-01T03:00:00.000Z"
+    );
+    expect(resolve("now-1d/d", "Asia/Tokyo")).toBe("2025-01-13T15:00:00.000Z");
+    expect(resolve("now/w", "UTC")).toBe("2025-01-13T00:00:00.000Z");
+    expect(resolve("yesterday", "UTC")).toBeUndefined();
+  });
+
+  test("searches the UTC day before a local day ahead of UTC", () => {
+    expect(
+      opensearch
+        .getSearchIndices("t1", "2025-01-01", "2025-01-02", "Asia/Tokyo")
+        .split(",")
+    ).toEqual([
+      "analytics-events-t1-2024-12-31",
+      "analytics-events-t1-2025-01-01",
+      "analytics-events-t1-2025-01-02",
+    ]);
+  });
+
+  test("searches the UTC day after a local day behind UTC", () => {
+    expect(
+      opensearch
+        .getSearchIndices(
+          "t1",
+          "2025-01-01",
+          "2025-01-01",
+          "America/Los_Angeles"
+        )
+        .split(",")
+    ).toEqual([
+      "analytics-events-t1-2025-01-01",
+      "analytics-events-t1-2025-01-02",
+    ]);
+  });
+
+  test("queries the same bounds as the indices it searches", async () => {
+    const search = jest.fn(async () => ({
+      body: { hits: { hits: [], total: { value: 0 } }, took: 1 },
+    }));
+    const client = new OpenSearchService();
+    client.client = { search };
+
+    await client.searchEvents("t1", {
+      startDate: "2025-01-01",
+      endDate: "2025-01-01",
+      timeZone: "America/Los_Angeles",
+    });
+
+    const { index, body } = search.mock.calls[0][0];
+    expect(index).toBe(
+      "analytics-events-t1-2025-01-01,analytics-events-t1-2025-01-02"
+    );
+    expect(body.query.bool.must).toContainEqual({
+      range: {
+        timestamp: {
+          gte: "2025-01-01T08:00:00.000Z",
+          lte: "2025-01-02T07:59:59.999Z",
+        },
+      },
+    });
+  });
+
+  test("lets OpenSearch reject dates it cannot resolve", () => {
+    expect(
+      opensearch.resolveRange({ startDate: "last tuesday", timeZone: "UTC" })
+    ).toEqual({ gte: "last tuesday" });
+  });
+});
@@ -0,0 +1,240 @@
+const OutboxWorker = require("../outbox-worker");
+const fakePool = require("./fake-pool");
+
+const outboxRow = (id, tenantId, broadcast = true) => ({
+  outbox_id: id,
+  outbox_version: 0,
+  broadcast,
+  id: `event-${id}`,
+  tenant_id: tenantId,
+  event_type: "page_view",
+  properties: {},
+  user_id: "u1",
+  canonical_user_id: "u1",
+  session_id: null,
+  message_id: null,
+  timestamp: new Date("2025-01-01T00:00:00Z"),
+});
+
+describe("OutboxWorker.runOnce", () => {
+  test("does nothing without due rows", async () => {
+    const pool = fakePool();
+    const opensearch = { bulkIndexEvents: jest.fn() };
+    const worker = new OutboxWorker(pool, { opensearch });
+
+    expect(await worker.runOnce()).toEqual({
+      processed: 0,
+      indexed: 0,
+      failed: 0,
+    });
+    expect(opensearch.bulkIndexEvents).not.toHaveBeenCalled();
+    expect(pool.log.map((entry) => entry.on)).toEqual(["pool"]);
+  });
+
+  test("holds no connection or transaction while OpenSearch indexes", async () => {
+    const rows = [outboxRow(1, "t1"), outboxRow(2, "t1")];
+    const pool = fakePool((text) =>
+      text.includes("UPDATE event_outbox q") ? { rows } : { rows: [] }
+    );
+    let logWhileIndexing;
+    const opensearch = {
+      bulkIndexEvents: async () => {
+        logWhileIndexing = [...pool.log];
+        return { items: [{ index: {} }, { index: {} }] };
+      },
+    };
+    const worker = new OutboxWorker(pool, { opensearch });
+
+    await worker.runOnce();
+
+    // Only the claim ran before indexing, as a single leasing statement
+    expect(logWhileIndexing).toHaveLength(1);
+    expect(logWhileIndexing[0].text).toMatch(/next_attempt_at = NOW\(\) \+/);
+    expect(logWhileIndexing[0].text).toMatch(/FOR UPDATE OF o SKIP LOCKED/);
+
+    const after = pool.log.slice(1);
+    expect(after.map((entry) => entry.on)).toEqual([
+      "connect",
+      "client",
+      "client",
+      "client",
+      "client",
+      "release",
+    ]);
+    expect(after[1].text).toBe("BEGIN");
+    expect(after[2].text).toMatch(/^DELETE FROM event_outbox/);
+    expect(after[2].params).toEqual([
+      [1, 2],
+      [0, 0],
+    ]);
+    expect(after[4].text).toBe("COMMIT");
+  });
+
+  test("retries failed documents and broadcasts only indexed ones", async () => {
+    const rows = [
+      outboxRow(1, "t1"),
+      outboxRow(2, "t1"),
+      outboxRow(3, "t2", false),
+      outboxRow(4, "t3"),
+    ];
+    const pool = fakePool((text) =>
+      text.includes("UPDATE event_outbox q") ? { rows } : { rows: [] }
+    );
+    const opensearch = {
+      bulkIndexEvents: async (tenantId) => {
+        if (tenantId === "t3") throw new Error("connect ECONNREFUSED");
+        return tenantId === "t1"
+          ? {
+              items: [
+                { index: {} },
+                {
+                  index: {
+                    error: { type: "mapper_parsing_exception", reason: "bad" },
+                  },
+                },
+              ],
+            }
+          : { items: [{ index: {} }] };
+      },
+    };
+    const onIndexed = jest.fn();
+    const worker = new OutboxWorker(pool, { opensearch, onIndexed });
+
+    expect(await worker.runOnce()).toEqual({
+      processed: 4,
+      indexed: 2,
+      failed: 2,
+    });
+
+    const deleted = pool.find(/^DELETE/);
+    expect(deleted.params[0]).toEqual([1, 3]);
+
+    const retried = pool.find(/attempts = o.attempts \+ 1/);
+    expect(retried.params.slice(0, 2)).toEqual([
+      [2, 4],
+      ["mapper_parsing_exception: bad", "connect ECONNREFUSED"],
+    ]);
+
+    // Event 3 was indexed but queued without broadcast (reconcile)
+    expect(onIndexed).toHaveBeenCalledTimes(1);
+    expect(onIndexed).toHaveBeenCalledWith(
+      "t1",
+      expect.objectContaining({ id: "event-1" })
+    );
+  });
+
+  test("rolls back and rethrows when recording fails", async () => {
+    const rows = [outboxRow(1, "t1")];
+    const pool = fakePool((text) => {
+      if (text.includes("UPDATE event_outbox q")) return { rows };
+      if (text.startsWith("DELETE")) throw new Error("connection lost");
+      return { rows: [] };
+    });
+    const opensearch = {
+      bulkIndexEvents: async () => ({ items: [{ index: {} }] }),
+    };
+    const onIndexed = jest.fn();
+    const worker = new OutboxWorker(pool, { opensearch, onIndexed });
+
+    await expect(worker.runOnce()).rejects.toThrow("connection lost");
+    expect(pool.log.map((entry) => entry.text || entry.on)).toContain(
+      "ROLLBACK"
+    );
+    expect(pool.log[pool.log.length - 1].on).toBe("release");
+    expect(onIndexed).not.toHaveBeenCalled();
+  });
+});
+
+describe("OutboxWorker re-queueing", () => {
+  // Just enough of event_outbox to follow a row through enqueue, claim and
+  // record
+  const outboxTable = () => {
+    const rows = new Map();
+    let nextId = 1;
+
+    const pool = fakePool((text, params) => {
+      if (text.startsWith("INSERT INTO event_outbox")) {
+        const [eventIds, broadcast] = params;
+        eventIds.forEach((eventId) => {
+          const row = [...rows.values()].find((r) => r.event_id === eventId);
+          if (row) {
+            row.version++;
+          } else {
+            rows.set(nextId, {
+              id: nextId++,
+              event_id: eventId,
+              broadcast,
+              version: 0,
+              due: true,
+            });
+          }
+        });
+      } else if (text.includes("UPDATE event_outbox q")) {
+        const due = [...rows.values()].filter((row) => row.due);
+        due.forEach((row) => (row.due = false));
+        return {
+          rows: due.map((row) => ({
+            ...outboxRow(row.id, "t1", row.broadcast),
+            outbox_version: row.version,
+            id: row.event_id,
+          })),
+        };
+      } else if (text.startsWith("DELETE FROM event_outbox")) {
+        const [ids, versions] = params;
+        ids.forEach((id, i) => {
+          if (rows.get(id)?.version === versions[i]) rows.delete(id);
+        });
+      } else if (text.includes("broadcast = FALSE")) {
+        params[0].forEach((id) => {
+          if (!rows.has(id)) return;
+          rows.get(id).due = true;
+          rows.get(id).broadcast = false;
+        });
+      }
+    });
+
+    return { pool, rows };
+  };
+
+  test("re-indexes an event changed while it was being indexed", async () => {
+    const { pool, rows } = outboxTable();
+    await OutboxWorker.enqueue(pool, ["e1"]);
+
+    // An identity merge re-queues the event while OpenSearch indexes the
+    // copy claimed before it
+    const opensearch = {
+      bulkIndexEvents: jest
+        .fn()
+        .mockImplementationOnce(async () => {
+          await OutboxWorker.enqueue(pool, ["e1"], { broadcast: false });
+          return { items: [{ index: {} }] };
+        })
+        .mockResolvedValue({ items: [{ index: {} }] }),
+    };
+    const onIndexed = jest.fn();
+    const worker = new OutboxWorker(pool, { opensearch, onIndexed });
+
+    await worker.runOnce();
+
+    expect([...rows.values()]).toEqual([
+      expect.objectContaining({ version: 1, due: true, broadcast: false }),
+    ]);
+    expect(onIndexed).toHaveBeenCalledTimes(1);
+
+    await worker.runOnce();
+
+    expect(opensearch.bulkIndexEvents).toHaveBeenCalledTimes(2);
+    expect(rows.size).toBe(0);
+    expect(onIndexed).toHaveBeenCalledTimes(1);
+  });
+
+  test("re-queueing a waiting event keeps a single row", async () => {
+    const { pool, rows } = outboxTable();
+
+    await OutboxWorker.enqueue(pool, ["e1", "e2"]);
+    await OutboxWorker.enqueue(pool, ["e2"], { broadcast: false });
+
+    expect(rows.size).toBe(2);
+    expect(rows.get(2)).toMatchObject({ version: 1, broadcast: true });
+  });
+});
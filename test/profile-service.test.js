@@ -0,0 +1,195 @@
+const ProfileService = require("../profile-service");
+const fakePool = require("./fake-pool");
+
+const identify = (userId, timestamp, traits) => ({
+  user_id: userId,
+  event_type: "user_identify",
+  timestamp,
+  properties: { traits },
+});
+
+describe("ProfileService.recordEvents", () => {
+  test("folds a batch into one row per user", async () => {
+    const db = fakePool();
+
+    await new ProfileService(db).recordEvents(db, "t1", [
+      identify("u2", "2025-01-02T00:00:00Z", { plan: "pro", seats: 3 }),
+      { user_id: "u1", event_type: "view", timestamp: "2025-01-03T00:00:00Z" },
+      identify("u2", "2025-01-01T00:00:00Z", { plan: "free", name: "Ada" }),
+      { user_id: null, event_type: "view", timestamp: "2025-01-04T00:00:00Z" },
+    ]);
+
+    const [tenantId, users, traits, firstSeen, lastSeen, counts, updatedAt] =
+      db.find(/INSERT INTO user_profiles/).params;
+    expect(tenantId).toBe("t1");
+    expect(users).toEqual(["u1", "u2"]);
+    // The later identify wins per trait, whatever the batch order
+    expect(traits).toEqual([
+      null,
+      JSON.stringify({ plan: "pro", name: "Ada", seats: 3 }),
+    ]);
+    expect(firstSeen[1]).toEqual(new Date("2025-01-01T00:00:00Z"));
+    expect(lastSeen[1]).toEqual(new Date("2025-01-02T00:00:00Z"));
+    expect(counts).toEqual([1, 2]);
+    expect(updatedAt).toEqual([null, new Date("2025-01-02T00:00:00Z")]);
+  });
+
+  test("writes nothing for anonymous events", async () => {
+    const db = fakePool();
+
+    await new ProfileService(db).recordEvents(db, "t1", [
+      { event_type: "view", timestamp: "2025-01-01T00:00:00Z" },
+    ]);
+
+    expect(db.log).toEqual([]);
+  });
+});
+
+describe("ProfileService.getTraits", () => {
+  test("prefers the traits object", () => {
+    expect(
+      ProfileService.getTraits({ traits: { plan: "pro" }, plan: "old" })
+    ).toEqual({ plan: "pro" });
+  });
+
+  test("falls back to the flattened properties without the user id", () => {
+    expect(
+      ProfileService.getTraits({ userId: "u1", traits: ["x"], plan: "pro" })
+    ).toEqual({ traits: ["x"], plan: "pro" });
+  });
+});
+
+describe("ProfileService.parseTraitFilters", () => {
+  test("collects trait.* parameters", () => {
+    expect(
+      ProfileService.parseTraitFilters({
+        "trait.plan": "pro",
+        "trait.company.size": "10",
+        limit: "5",
+      })
+    ).toEqual({ traits: { plan: "pro", "company.size": "10" } });
+  });
+
+  test("rejects repeated or malformed filters", () => {
+    expect(
+      ProfileService.parseTraitFilters({ "trait.plan": ["pro", "free"] })
+    ).toEqual({ error: "Invalid trait filter: trait.plan" });
+    expect(ProfileService.parseTraitFilters({ "trait.": "x" }).error).toBe(
+      "Invalid trait filter: trait."
+    );
+  });
+});
+
+describe("ProfileService queries", () => {
+  test("returns null for an unknown user", async () => {
+    const pool = fakePool();
+
+    await expect(
+      new ProfileService(pool).getProfile("t1", "u1")
+    ).resolves.toBeNull();
+    expect(pool.statements()).toHaveLength(1);
+  });
+
+  test("adds per-event-type counts to a profile", async () => {
+    const pool = fakePool((text) =>
+      text.includes("FROM user_profiles")
+        ? { rows: [{ user_id: "u1", traits: {}, event_count: "12" }] }
+        : {
+            rows: [
+              { event_type: "view", count: 10 },
+              { event_type: "buy", count: 2 },
+            ],
+          }
+    );
+
+    const profile = await new ProfileService(pool).getProfile("t1", "u1");
+
+    expect(profile).toMatchObject({
+      event_count: 12,
+      event_counts: { view: 10, buy: 2 },
+    });
+  });
+
+  test("pages profiles filtered by traits", async () => {
+    const pool = fakePool(() => ({
+      rows: [{ user_id: "u1", event_count: "3", total: "41" }],
+    }));
+
+    const result = await new ProfileService(pool).listProfiles("t1", {
+      traits: { plan: "pro" },
+      limit: 1,
+      offset: 40,
+    });
+
+    expect(result).toEqual({
+      users: [{ user_id: "u1", event_count: 3 }],
+      total: 41,
+    });
+    const query = pool.find(/FROM user_profiles/);
+    expect(query.text).toContain("traits #>> $2::text[] = $3");
+    expect(query.text).toContain("LIMIT $4 OFFSET $5");
+    expect(query.params).toEqual(["t1", ["plan"], "pro", 1, 40]);
+  });
+
+  test("gives up on filters matching too many users", async () => {
+    const { MAX_FILTER_USERS } = ProfileService;
+    const rows = Array.from({ length: MAX_FILTER_USERS + 1 }, (_, i) => ({
+      user_id: `u${i}`,
+    }));
+    const service = new ProfileService(fakePool(() => ({ rows })));
+
+    await expect(service.findUserIds("t1", { plan: "pro" })).resolves.toBe(
+      null
+    );
+
+    rows.pop();
+    await expect(
+      service.findUserIds("t1", { plan: "pro" })
+    ).resolves.toHaveLength(MAX_FILTER_USERS);
+  });
+});
+
+describe("ProfileService.buildConditionClause", () => {
+  const build = (conditions) =>
+    new ProfileService(null).buildConditionClause(conditions, 2);
+
+  test("compares numbers numerically and strings as text", () => {
+    const { clause, params } = build([
+      { trait: "seats", op: "range", value: { gte: 5, lt: 10 } },
+      { trait: "signup", op: "range", value: { gt: "2025-01-01" } },
+    ]);
+
+    expect(clause).toContain("THEN (traits #>> $2::text[])::numeric END)");
+    expect(clause).toMatch(/>= \$3::numeric/);
+    expect(clause).toMatch(/< \$4::numeric/);
+    expect(clause).toContain("traits #>> $5::text[] > $6");
+    expect(params).toEqual([["seats"], 5, 10, ["signup"], "2025-01-01"]);
+  });
+
+  test("matches substrings literally", () => {
+    const { params } = build([
+      { trait: "email", op: "contains", value: "50%_off\\" },
+    ]);
+
+    expect(params[1]).toBe("%50\\%\\_off\\\\%");
+  });
+
+  test("matches any of a list as text", () => {
+    const { clause, params } = build([
+      { trait: "tier", op: "in", value: [1, "2"] },
+      { trait: "company", op: "exists" },
+    ]);
+
+    expect(clause).toBe(
+      "AND traits #>> $2::text[] = ANY($3::text[]) " +
+        "AND traits #> $4::text[] IS NOT NULL"
+    );
+    expect(params).toEqual([["tier"], ["1", "2"], ["company"]]);
+  });
+
+  test("refuses unknown operators", () => {
+    expect(() => build([{ trait: "plan", op: "like", value: "p" }])).toThrow(
+      "Unsupported trait condition: like"
+    );
+  });
+});
@@ -0,0 +1,215 @@
+const RateLimiter = require("../rate-limiter");
+
+// In-memory Redis running the limiter's Lua scripts as their JavaScript
+// equivalents. Expiry is ignored; `flushAll` simulates lost data.
+class MemoryRedis {
+  constructor() {
+    this.isReady = true;
+    this.data = new Map();
+  }
+
+  async set(key, value, { NX } = {}) {
+    if (NX && this.data.has(key)) return null;
+    this.data.set(key, String(value));
+    return "OK";
+  }
+
+  async decrBy(key, amount) {
+    const value = this.number(key) - amount;
+    this.data.set(key, String(value));
+    return value;
+  }
+
+  async eval(script, { keys, arguments: args }) {
+    if (script.includes("ARGV[4]")) {
+      const [cost, hard, , recorded] = args;
+      if (recorded === "" && !this.data.has(keys[0])) return [-1];
+      const current = Math.max(this.number(keys[0]), Number(recorded));
+      this.data.set(keys[0], String(current));
+      if (current + Number(cost) > Number(hard)) return [0, current];
+      this.data.set(keys[0], String(current + Number(cost)));
+      return [1, current + Number(cost)];
+    }
+
+    const [cost, , ...limits] = args.map(Number);
+    for (let i = 0; i < keys.length; i++) {
+      const current = this.number(keys[i]);
+      if (current + cost > limits[i]) return [0, i + 1, current];
+    }
+    return [
+      1,
+      ...keys.map((key) => {
+        this.data.set(key, String(this.number(key) + cost));
+        return this.number(key);
+      }),
+    ];
+  }
+
+  number(key) {
+    return Number(this.data.get(key) || 0);
+  }
+
+  flushAll() {
+    this.data.clear();
+  }
+}
+
+const quota = { soft: 80, hard: 100 };
+
+const setup = (ledger = 0) => {
+  const redis = new MemoryRedis();
+  const metering = { getAcceptedEvents: jest.fn(async () => ledger) };
+  const limiter = new RateLimiter(redis, { metering });
+  return { redis, metering, limiter };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("RateLimiter.consume", () => {
+  test("stops at the tightest counter without using up the others", async () => {
+    const { limiter, redis } = setup();
+    const counters = [
+      { id: "tenant:t1", limit: 10 },
+      { id: "key:k1", limit: 4 },
+    ];
+
+    await expect(limiter.consume("ingest", counters, 3)).resolves.toMatchObject(
+      { allowed: true, limit: 4, remaining: 1 }
+    );
+    await expect(limiter.consume("ingest", counters, 2)).resolves.toMatchObject(
+      { allowed: false, limit: 4, remaining: 1 }
+    );
+
+    const tenantKey = [...redis.data.keys()].find((key) =>
+      key.startsWith("ratelimit:ingest:tenant:t1:")
+    );
+    expect(redis.number(tenantKey)).toBe(3);
+  });
+
+  test("fails open while Redis is unavailable", async () => {
+    const { limiter, redis } = setup();
+    redis.isReady = false;
+
+    await expect(
+      limiter.consume("query", [{ id: "tenant:t1", limit: 1 }])
+    ).resolves.toBeNull();
+  });
+});
+
+describe("RateLimiter.reserveQuota", () => {
+  test("starts from the ledger and reserves up to the hard quota", async () => {
+    const { limiter, metering } = setup(90);
+
+    const first = await limiter.reserveQuota("t1", quota, 8);
+    expect(first).toMatchObject({
+      allowed: true,
+      softExceeded: true,
+      usage: 90,
+      reserved: 8,
+    });
+    expect(metering.getAcceptedEvents).toHaveBeenCalledWith(
+      "t1",
+      limiter.getMonthStart()
+    );
+
+    // The counter is not read back from the ledger within a minute
+    await expect(limiter.reserveQuota("t1", quota, 3)).resolves.toMatchObject({
+      allowed: false,
+      usage: 98,
+      reserved: 0,
+    });
+    await expect(limiter.reserveQuota("t1", quota, 2)).resolves.toMatchObject({
+      allowed: true,
+      usage: 98,
+    });
+    expect(metering.getAcceptedEvents).toHaveBeenCalledTimes(1);
+  });
+
+  test("lets concurrent requests share the last of the quota", async () => {
+    const { limiter } = setup(95);
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() => limiter.reserveQuota("t1", quota, 3))
+    );
+
+    expect(results.map((result) => result.allowed).sort()).toEqual([
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  test("recovers usage from the ledger after Redis lost it", async () => {
+    const { limiter, redis, metering } = setup(0);
+    await limiter.reserveQuota("t1", quota, 60);
+
+    redis.flushAll();
+    metering.getAcceptedEvents.mockResolvedValue(60);
+
+    await expect(limiter.reserveQuota("t1", quota, 50)).resolves.toMatchObject({
+      allowed: false,
+      usage: 60,
+    });
+  });
+
+  test("checks the ledger while Redis is unavailable", async () => {
+    const { limiter, redis } = setup(99);
+    redis.isReady = false;
+
+    await expect(limiter.reserveQuota("t1", quota, 2)).resolves.toMatchObject({
+      allowed: false,
+      usage: 99,
+      reserved: 0,
+    });
+    await expect(limiter.reserveQuota("t1", quota, 1)).resolves.toMatchObject({
+      allowed: true,
+    });
+  });
+
+  test("falls back to the ledger when a Redis command fails", async () => {
+    const { limiter, redis } = setup(100);
+    redis.eval = async () => {
+      throw new Error("Connection lost");
+    };
+
+    await expect(limiter.reserveQuota("t1", quota, 1)).resolves.toMatchObject({
+      allowed: false,
+      usage: 100,
+    });
+  });
+
+  test("is skipped for plans without a quota", async () => {
+    const { limiter, metering } = setup();
+
+    await expect(limiter.reserveQuota("t1", null, 5)).resolves.toBeNull();
+    expect(metering.getAcceptedEvents).not.toHaveBeenCalled();
+  });
+});
+
+describe("RateLimiter.settleQuota", () => {
+  test("gives back reserved events that were not stored", async () => {
+    const { limiter, redis } = setup(10);
+    await limiter.reserveQuota("t1", quota, 5);
+
+    await limiter.settleQuota("t1", 5, 3);
+
+    expect(redis.number(limiter.getQuotaKey("t1"))).toBe(13);
+  });
+
+  test("leaves the counter alone when everything was stored", async () => {
+    const { limiter, redis } = setup(10);
+    await limiter.reserveQuota("t1", quota, 5);
+    redis.decrBy = jest.fn();
+
+    await limiter.settleQuota("t1", 5, 5);
+    await limiter.settleQuota("t1", 0, 0);
+
+    expect(redis.decrBy).not.toHaveBeenCalled();
+  });
+});
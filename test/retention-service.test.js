@@ -0,0 +1,284 @@
+const RetentionService = require("../retention-service");
+const fakePool = require("./fake-pool");
+
+const retention = (rows = []) => {
+  const pool = fakePool(() => ({ rows }));
+  return {
+    service: new RetentionService(pool, {
+      currency: { base: "USD", rates: { USD: 1 } },
+    }),
+    pool,
+  };
+};
+
+// A (cohort, group, size, period, users) row as the retention query returns it
+const row = (cohort, period, users, extra = {}) => ({
+  cohort,
+  grp: null,
+  size: 4,
+  period,
+  users,
+  revenue: null,
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date("2025-01-10T12:00:00Z") });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("RetentionService.validateQuery", () => {
+  test("needs both events and a known granularity", () => {
+    const query = { cohortEvent: "signup", returnEvent: "login" };
+
+    expect(
+      RetentionService.validateQuery({ ...query, granularity: "week" })
+    ).toBeNull();
+    expect(
+      RetentionService.validateQuery({ ...query, granularity: "hour" })
+    ).toBe("granularity must be one of: day, week, month");
+    expect(
+      RetentionService.validateQuery({
+        returnEvent: "login",
+        granularity: "day",
+      })
+    ).toBe("cohort_event is required");
+  });
+
+  test("bounds the number of periods", () => {
+    const query = {
+      cohortEvent: "signup",
+      returnEvent: "login",
+      granularity: "day",
+    };
+
+    expect(RetentionService.validateQuery({ ...query, periods: 90 })).toBe(
+      null
+    );
+    expect(RetentionService.validateQuery({ ...query, periods: 0 })).toMatch(
+      /between 1 and 90/
+    );
+    expect(RetentionService.validateQuery({ ...query, periods: 2.5 })).toMatch(
+      /between 1 and 90/
+    );
+  });
+});
+
+describe("RetentionService.getRetention", () => {
+  test("builds a matrix with empty and future cells", async () => {
+    const { service, pool } = retention([
+      row("2025-01-08", 0, 4),
+      row("2025-01-08", 1, 1),
+      row("2025-01-09", null, 0, { size: 2 }),
+    ]);
+
+    const result = await service.getRetention("t1", {
+      cohortEvent: "signup",
+      returnEvent: "login",
+      granularity: "day",
+      periods: 3,
+      start: "2025-01-01T00:00:00.000Z",
+      end: "2025-01-10T00:00:00.000Z",
+    });
+
+    expect(result.timezone).toBe("UTC");
+    expect(result.cohorts).toEqual([
+      {
+        cohort: "2025-01-08",
+        size: 4,
+        values: [
+          { period: 0, users: 4, percentage: 100 },
+          { period: 1, users: 1, percentage: 25 },
+          { period: 2, users: 0, percentage: 0 },
+          { period: 3, users: null, percentage: null },
+        ],
+      },
+      {
+        cohort: "2025-01-09",
+        size: 2,
+        values: [
+          { period: 0, users: 0, percentage: 0 },
+          { period: 1, users: 0, percentage: 0 },
+          { period: 2, users: null, percentage: null },
+          { period: 3, users: null, percentage: null },
+        ],
+      },
+    ]);
+    expect(pool.find(/WITH cohort/).params.slice(6)).toEqual([3, "UTC"]);
+  });
+
+  test("defaults the periods to the granularity", async () => {
+    const { service } = retention();
+
+    const result = await service.getRetention("t1", {
+      cohortEvent: "signup",
+      returnEvent: "login",
+      granularity: "week",
+    });
+
+    expect(result.periods).toBe(8);
+  });
+
+  test("sums groups into the overall cohorts", async () => {
+    const { service } = retention([
+      row("2025-01-06", 0, 3, { grp: "pro", size: 3 }),
+      row("2025-01-06", 1, 1, { grp: "pro", size: 3 }),
+      row("2025-01-06", 0, 1, { grp: "free", size: 1 }),
+    ]);
+
+    const result = await service.getRetention("t1", {
+      cohortEvent: "signup",
+      returnEvent: "login",
+      granularity: "week",
+      periods: 1,
+      groupBy: "plan",
+    });
+
+    expect(result.cohorts[0].size).toBe(4);
+    expect(result.cohorts[0].values[0]).toEqual({
+      period: 0,
+      users: 4,
+      percentage: 100,
+    });
+    expect(result.groups.map((group) => group.value)).toEqual(["pro", "free"]);
+    expect(result.groups[1].cohorts[0]).toMatchObject({
+      size: 1,
+      values: [{ period: 0, users: 1, percentage: 100 }, { users: null }],
+    });
+    // The second week starts on 2025-01-13, after "now"
+    expect(result.cohorts[0].values[1].users).toBeNull();
+  });
+
+  test("adds revenue per cell and per cohort user", async () => {
+    const { service, pool } = retention([
+      row("2025-01-08", 0, 2, { revenue: "30.5" }),
+    ]);
+
+    const result = await service.getRetention("t1", {
+      cohortEvent: "signup",
+      returnEvent: "purchase",
+      granularity: "day",
+      periods: 1,
+      revenue: true,
+    });
+
+    expect(result.cohorts[0].values[0]).toEqual({
+      period: 0,
+      users: 2,
+      percentage: 50,
+      revenue: 30.5,
+      revenue_per_user: 7.63,
+    });
+    expect(pool.find(/WITH cohort/).text).toContain("SUM(");
+  });
+});
+
+describe("RetentionService.periodStart", () => {
+  const service = new RetentionService(null);
+  const periodStart = (...args) =>
+    new Date(service.periodStart(...args)).toISOString();
+
+  test("starts periods at local midnight", () => {
+    expect(periodStart("2025-01-06", "week", 1, "Asia/Tokyo")).toBe(
+      "2025-01-12T15:00:00.000Z"
+    );
+    expect(periodStart("2025-01-01", "day", 2, "America/New_York")).toBe(
+      "2025-01-03T05:00:00.000Z"
+    );
+  });
+
+  test("moves by calendar months", () => {
+    expect(periodStart("2024-11-01", "month", 3, "UTC")).toBe(
+      "2025-02-01T00:00:00.000Z"
+    );
+    expect(periodStart("2025-01-01", "month", 2, "Europe/Berlin")).toBe(
+      "2025-02-28T23:00:00.000Z"
+    );
+  });
+});
+
+describe("RetentionService.getRetention with compare", () => {
+  test("compares cohort users and the retention of each period", async () => {
+    const start = "2025-01-06T00:00:00.000Z";
+    const end = "2025-01-08T23:59:59.999Z";
+    const previousStart = "2025-01-03T00:00:00.000Z";
+    const rows = {
+      [start]: [
+        row("2025-01-06", 0, 4),
+        row("2025-01-06", 1, 2),
+        row("2025-01-08", 0, 2, { size: 2 }),
+      ],
+      [previousStart]: [
+        row("2025-01-03", 0, 4, { size: 8 }),
+        row("2025-01-03", 1, 2, { size: 8 }),
+        row("2025-01-03", 3, 1, { size: 8 }),
+      ],
+    };
+    const pool = fakePool((text, params) => ({ rows: rows[params[3]] }));
+    const service = new RetentionService(pool);
+
+    const result = await service.getRetention("t1", {
+      cohortEvent: "signup",
+      returnEvent: "login",
+      granularity: "day",
+      periods: 5,
+      start,
+      end,
+      compare: true,
+    });
+
+    expect(result.previous_period).toMatchObject({
+      start_date: previousStart,
+      cohorts: [{ cohort: "2025-01-03", size: 8 }],
+    });
+    expect(result.comparison.cohort_users).toEqual({
+      current: 6,
+      previous: 8,
+      change: -2,
+      change_rate: -25,
+    });
+    expect(result.comparison.retention).toEqual([
+      // 6 of 6 users against 4 of 8
+      { period: 0, current: 100, previous: 50, change: 50, change_rate: 100 },
+      {
+        period: 1,
+        current: 33.33,
+        previous: 25,
+        change: 8.33,
+        change_rate: 33.32,
+      },
+      { period: 2, current: 0, previous: 0, change: 0, change_rate: null },
+      // The 2025-01-08 cohort has not reached its fourth day yet
+      {
+        period: 3,
+        current: 0,
+        previous: 12.5,
+        change: -12.5,
+        change_rate: -100,
+      },
+      { period: 4, current: 0, previous: 0, change: 0, change_rate: null },
+      // Starts on 2025-01-11 for the earliest cohort
+      {
+        period: 5,
+        current: null,
+        previous: 0,
+        change: null,
+        change_rate: null,
+      },
+    ]);
+  });
+
+  test("refuses anything but a boolean", () => {
+    expect(
+      RetentionService.validateQuery({
+        cohortEvent: "signup",
+        returnEvent: "login",
+        granularity: "day",
+        compare: "yes",
+      })
+    ).toBe("compare must be true or false");
+  });
+});
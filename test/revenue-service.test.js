@@ -0,0 +1,241 @@
+const RevenueService = require("../revenue-service");
+const { loadCurrency } = require("../currency");
+const fakePool = require("./fake-pool");
+
+const START = "2025-03-01T00:00:00.000Z";
+const END = "2025-03-02T23:59:59.999Z";
+
+// Per period start: the summary rows (overall last), the series and the
+// by-property rows
+const revenueOf = (periods) => {
+  const pool = fakePool((text, params) => {
+    const period = periods[params[1]];
+    if (text.includes("GROUPING SETS")) return { rows: period.summary };
+    if (text.includes("generate_series")) return { rows: period.series || [] };
+    return { rows: period.byProperty || [] };
+  });
+  return {
+    revenue: new RevenueService(pool, { currency: loadCurrency({}, "EUR") }),
+    pool,
+  };
+};
+
+const overall = (overrides) => ({
+  event_type: null,
+  overall: true,
+  revenue: "0",
+  transactions: 0,
+  paying_users: 0,
+  active_users: 0,
+  unconverted_events: 0,
+  ...overrides,
+});
+
+describe("RevenueService.validateQuery", () => {
+  test("takes day, week or month buckets", () => {
+    expect(RevenueService.validateQuery({ interval: "week" })).toBeNull();
+    expect(RevenueService.validateQuery({ interval: "hour" })).toBe(
+      "interval must be one of: day, week, month"
+    );
+  });
+
+  test("checks the breakdown options", () => {
+    expect(
+      RevenueService.validateQuery({ interval: "day", groupBy: "plan name" })
+    ).toBe("group_by must be a property name");
+    expect(RevenueService.validateQuery({ interval: "day", limit: 101 })).toBe(
+      "limit must be between 1 and 100"
+    );
+  });
+});
+
+describe("RevenueService.getRevenue", () => {
+  test("reports totals per user in the reporting currency", async () => {
+    const { revenue, pool } = revenueOf({
+      [START]: {
+        summary: [
+          {
+            event_type: "refund",
+            overall: false,
+            revenue: "-10",
+            transactions: 1,
+            paying_users: 0,
+          },
+          {
+            event_type: "page_view",
+            overall: false,
+            revenue: "0",
+            transactions: 0,
+            paying_users: 0,
+          },
+          {
+            event_type: "purchase",
+            overall: false,
+            revenue: "110.005",
+            transactions: 3,
+            paying_users: 2,
+          },
+          overall({
+            revenue: "100.005",
+            transactions: 4,
+            paying_users: 2,
+            active_users: 6,
+            unconverted_events: 1,
+          }),
+        ],
+        series: [
+          {
+            date: "2025-03-01T00:00:00.000Z",
+            revenue: "100.004",
+            transactions: 4,
+            paying_users: 2,
+          },
+          {
+            date: "2025-03-02T00:00:00.000Z",
+            revenue: "0",
+            transactions: 0,
+            paying_users: 0,
+          },
+        ],
+      },
+    });
+
+    const result = await revenue.getRevenue("t1", {
+      start: START,
+      end: END,
+      interval: "day",
+      timeZone: "Europe/Paris",
+    });
+
+    expect(result).toMatchObject({
+      currency: "EUR",
+      timezone: "Europe/Paris",
+      total_revenue: 100.01,
+      arpu: 16.67,
+      arppu: 50.01,
+      unconverted_events: 1,
+    });
+    expect(result.revenue_over_time.map((bucket) => bucket.revenue)).toEqual([
+      100, 0,
+    ]);
+    // Event types without revenue are left out, the rest ranked
+    expect(result.by_event_type.map((row) => row.event_type)).toEqual([
+      "purchase",
+      "refund",
+    ]);
+    expect(result.by_property).toBeUndefined();
+    expect(pool.find(/generate_series/).params.slice(3)).toEqual([
+      "day",
+      "Europe/Paris",
+    ]);
+    // Converted at the EUR rates
+    expect(pool.find(/GROUPING SETS/).text).toContain("WHEN 'EUR' THEN 1 ");
+  });
+
+  test("breaks revenue down by a property", async () => {
+    const { revenue, pool } = revenueOf({
+      [START]: {
+        summary: [overall()],
+        byProperty: [
+          { value: "pro", revenue: "90", transactions: 3, paying_users: 2 },
+          { value: null, revenue: "5", transactions: 1, paying_users: 0 },
+        ],
+      },
+    });
+
+    const result = await revenue.getRevenue("t1", {
+      start: START,
+      end: END,
+      interval: "month",
+      groupBy: "plan.tier",
+      limit: 2,
+    });
+
+    expect(result.by_property).toEqual({
+      property: "plan.tier",
+      values: [
+        {
+          value: "pro",
+          revenue: 90,
+          transactions: 3,
+          paying_users: 2,
+          arppu: 45,
+        },
+        { value: null, revenue: 5, transactions: 1, paying_users: 0, arppu: 0 },
+      ],
+    });
+    expect(pool.find(/#>> \$4::text\[\]/).params.slice(3)).toEqual([
+      ["plan", "tier"],
+      2,
+    ]);
+  });
+
+  test("compares with the period before, series bucket by bucket", async () => {
+    const previousStart = "2025-02-27T00:00:00.000Z";
+    const day = (date, value) => ({
+      date,
+      revenue: value,
+      transactions: 1,
+      paying_users: 1,
+    });
+    const { revenue } = revenueOf({
+      [START]: {
+        summary: [
+          {
+            event_type: "purchase",
+            overall: false,
+            revenue: "30",
+            transactions: 1,
+            paying_users: 1,
+          },
+          overall({ revenue: "30", transactions: 1, paying_users: 1 }),
+        ],
+        series: [day("2025-03-01T00:00:00.000Z", "30")],
+      },
+      [previousStart]: {
+        summary: [
+          {
+            event_type: "upgrade",
+            overall: false,
+            revenue: "20",
+            transactions: 1,
+            paying_users: 1,
+          },
+          overall({ revenue: "20", transactions: 1, paying_users: 1 }),
+        ],
+        series: [day(previousStart, "20")],
+      },
+    });
+
+    const result = await revenue.getRevenue("t1", {
+      start: START,
+      end: END,
+      interval: "day",
+      compare: true,
+    });
+
+    expect(result.revenue_over_time[0].previous_revenue).toBe(20);
+    expect(result.comparison.total_revenue).toEqual({
+      current: 30,
+      previous: 20,
+      change: 10,
+      change_rate: 50,
+    });
+    expect(result.comparison.by_event_type).toEqual([
+      {
+        event_type: "purchase",
+        current: 30,
+        previous: 0,
+        change: 30,
+        change_rate: null,
+      },
+      {
+        event_type: "upgrade",
+        current: 0,
+        previous: 20,
+        change: -20,
+        change_rate: -100,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+const RollupJob = require("../rollup-job");
+const { currencyHash } = require("../currency");
+const fakePool = require("./fake-pool");
+
+const currency = { base: "USD", rates: { USD: 1, EUR: 1.1 } };
+const NOW = new Date("2025-03-01T12:00:00Z");
+
+// Rollup job over a fake database with the given rollup_state, events
+// created since the watermark and days marked dirty
+const setup = ({ state, dirty = [], marked = [], locked = true } = {}) => {
+  const pool = fakePool((text) => {
+    if (text.includes("pg_try_advisory_lock")) return { rows: [{ locked }] };
+    if (text.includes("LEFT JOIN rollup_state s")) {
+      return {
+        rows: [
+          {
+            now: NOW,
+            watermark: null,
+            currency_hash: null,
+            ...state,
+          },
+        ],
+      };
+    }
+    if (text.includes("e.created_at > $1")) return { rows: dirty };
+    if (text.includes("marked_at::text")) return { rows: marked };
+    if (text.includes("INSERT INTO daily_stats")) {
+      return {
+        rows: [
+          {
+            tenant_id: "t1",
+            date: "2025-03-01",
+            event_type: "a",
+            count: "1",
+          },
+        ],
+      };
+    }
+  });
+  const opensearch = { bulkIndexStats: jest.fn() };
+  const job = new RollupJob(pool, { opensearch, currency });
+  return { job, pool, opensearch };
+};
+
+const rolledUp = (pool) =>
+  pool
+    .statements()
+    .filter((entry) => entry.text.includes("DELETE FROM daily_stats"))
+    .map((entry) =>
+      entry.params[0].map((tenantId, i) => `${tenantId}:${entry.params[1][i]}`)
+    )
+    .flat();
+
+describe("RollupJob.runOnce", () => {
+  test("skips the run while another instance holds the lock", async () => {
+    const { job, pool } = setup({ locked: false });
+
+    await expect(job.runOnce()).resolves.toEqual({ skipped: true });
+    expect(pool.find(/rollup_state/)).toBeUndefined();
+    expect(pool.log[pool.log.length - 1].on).toBe("release");
+  });
+
+  test("rolls up days with new events and marked days once each", async () => {
+    const watermark = new Date("2025-03-01T11:55:00Z");
+    const { job, pool } = setup({
+      state: { watermark, currency_hash: currencyHash(currency) },
+      dirty: [
+        { tenant_id: "t1", date: "2025-03-01" },
+        { tenant_id: "t2", date: "2025-02-28" },
+      ],
+      marked: [
+        {
+          tenant_id: "t1",
+          date: "2025-03-01",
+          marked_at: "2025-03-01 11:58:00+00",
+        },
+        {
+          tenant_id: "t1",
+          date: "2025-01-10",
+          marked_at: "2025-03-01 11:59:00+00",
+        },
+      ],
+    });
+
+    await expect(job.runOnce()).resolves.toEqual({ skipped: false, days: 3 });
+
+    // Events committed shortly before the watermark are read again
+    expect(pool.find(/e.created_at > \$1/).params).toEqual([
+      new Date("2025-03-01T11:50:00Z"),
+      NOW,
+    ]);
+    expect(rolledUp(pool)).toEqual([
+      "t1:2025-03-01",
+      "t2:2025-02-28",
+      "t1:2025-01-10",
+    ]);
+
+    // Only the marks that were read are cleared
+    expect(pool.find(/DELETE FROM rollup_dirty_days/).params).toEqual([
+      ["t1", "t1"],
+      ["2025-03-01", "2025-01-10"],
+      ["2025-03-01 11:58:00+00", "2025-03-01 11:59:00+00"],
+    ]);
+    expect(pool.find(/INSERT INTO rollup_state/).params).toEqual([
+      "daily_stats_rollup",
+      NOW,
+      currencyHash(currency),
+    ]);
+    expect(pool.find(/INSERT INTO rollup_dirty_days/)).toBeUndefined();
+  });
+
+  test("rebuilds every day when the currency rates changed", async () => {
+    const { job, pool } = setup({
+      state: {
+        watermark: new Date("2025-03-01T11:55:00Z"),
+        currency_hash: currencyHash({ base: "USD", rates: { USD: 1 } }),
+      },
+    });
+
+    await job.runOnce();
+
+    expect(pool.find(/INSERT INTO rollup_dirty_days/).text).toMatch(
+      /SELECT DISTINCT tenant_id, date FROM daily_stats/
+    );
+  });
+
+  test("starts from the first event on its first run", async () => {
+    const { job, pool } = setup();
+
+    await job.runOnce();
+
+    expect(pool.find(/e.created_at > \$1/).params[0]).toEqual(new Date(0));
+    expect(pool.find(/INSERT INTO rollup_dirty_days/)).toBeUndefined();
+  });
+
+  test("releases the lock when a day fails to roll up", async () => {
+    const { job, pool } = setup({
+      dirty: [{ tenant_id: "t1", date: "2025-03-01" }],
+    });
+    const query = pool.query;
+    pool.connect = async () => ({
+      query: async (text, params) => {
+        if (text.includes("INSERT INTO daily_stats")) {
+          throw new Error("deadlock detected");
+        }
+        return query(text, params);
+      },
+      release: () => {},
+    });
+
+    await expect(job.runOnce()).rejects.toThrow("deadlock detected");
+
+    const statements = pool.statements().map((entry) => entry.text);
+    expect(statements).toContain("ROLLBACK");
+    expect(statements[statements.length - 1]).toMatch(/pg_advisory_unlock/);
+    expect(pool.find(/INSERT INTO rollup_state/)).toBeUndefined();
+  });
+});
+
+describe("RollupJob.rollupDays", () => {
+  test("replaces stats and sketches in chunks and mirrors the stats", async () => {
+    const { job, pool, opensearch } = setup();
+    const pairs = Array.from({ length: 150 }, (_, i) => ({
+      tenant_id: "t1",
+      date: `day-${i}`,
+    }));
+
+    await expect(job.rollupDays(pairs)).resolves.toBe(150);
+
+    const chunks = pool
+      .statements()
+      .filter((entry) => entry.text.includes("DELETE FROM daily_stats"));
+    expect(chunks.map((entry) => entry.params[1].length)).toEqual([100, 50]);
+
+    // Stats and sketches of a chunk commit together
+    const statements = pool.statements().map((entry) => entry.text.trim());
+    const first = statements.slice(0, 6).map((text) => text.split("\n")[0]);
+    expect(first).toEqual([
+      "BEGIN",
+      "DELETE FROM daily_stats d",
+      "INSERT INTO daily_stats (tenant_id, date, event_type, count,",
+      "DELETE FROM daily_user_sketches d",
+      "INSERT INTO daily_user_sketches (tenant_id, date, registers)",
+      "COMMIT",
+    ]);
+    expect(opensearch.bulkIndexStats).toHaveBeenCalledTimes(2);
+  });
+
+  test("converts revenue to the base currency", async () => {
+    const { job, pool } = setup();
+
+    await job.rollupDays([{ tenant_id: "t1", date: "2025-03-01" }]);
+
+    expect(pool.find(/INSERT INTO daily_stats/).text).toContain("1.1");
+  });
+});
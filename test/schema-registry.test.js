@@ -0,0 +1,94 @@
+const SchemaRegistry = require("../schema-registry");
+
+describe("SchemaRegistry.validateDefinition", () => {
+  test("accepts typed properties", () => {
+    expect(
+      SchemaRegistry.validateDefinition({
+        properties: {
+          revenue: { type: "number", required: true },
+          items: { type: "array" },
+          address: { type: "object" },
+        },
+        additionalProperties: false,
+      })
+    ).toBeNull();
+    expect(SchemaRegistry.validateDefinition(undefined)).toBeNull();
+  });
+
+  test("names the broken part of a definition", () => {
+    expect(SchemaRegistry.validateDefinition({ properties: [] })).toBe(
+      "Properties must be an object of property schemas"
+    );
+    expect(
+      SchemaRegistry.validateDefinition({ additionalProperties: "no" })
+    ).toBe("additionalProperties must be a boolean");
+    expect(
+      SchemaRegistry.validateDefinition({ properties: { a: { type: "date" } } })
+    ).toMatch(/^Property 'a' needs a type: string, number/);
+    expect(
+      SchemaRegistry.validateDefinition({
+        properties: { a: { type: "string", required: "yes" } },
+      })
+    ).toBe("Property 'a' required flag must be a boolean");
+  });
+});
+
+describe("SchemaRegistry.validateEvent", () => {
+  const definitions = new Map([
+    [
+      "purchase",
+      {
+        properties: {
+          revenue: { type: "number", required: true },
+          quantity: { type: "integer" },
+          meta: { type: "object" },
+        },
+        additional_properties: false,
+      },
+    ],
+  ]);
+  const reasons = (properties, eventType = "purchase") =>
+    SchemaRegistry.validateEvent(definitions, eventType, properties).map(
+      (violation) => violation.reason
+    );
+
+  test("passes events matching their definition", () => {
+    expect(reasons({ revenue: 9.5, quantity: 2, meta: {} })).toEqual([]);
+  });
+
+  test("reports unknown events, missing and mistyped properties", () => {
+    expect(reasons({}, "refund")).toEqual(["unknown_event"]);
+    expect(reasons({ revenue: null })).toEqual(["missing_required:revenue"]);
+    expect(reasons({ revenue: Infinity, quantity: 1.5, meta: [] })).toEqual([
+      "type_mismatch:revenue",
+      "type_mismatch:quantity",
+      "type_mismatch:meta",
+    ]);
+  });
+
+  test("reports unexpected properties once, naming at most ten", () => {
+    const properties = { revenue: 1 };
+    for (let i = 0; i < 12; i++) properties[`extra${i}`] = i;
+
+    const violations = SchemaRegistry.validateEvent(
+      definitions,
+      "purchase",
+      properties
+    );
+
+    expect(violations).toHaveLength(1);
+    expect(violations[0].reason).toBe("unexpected_properties");
+    expect(violations[0].message).toBe(
+      "Properties not part of the definition: 'extra0', 'extra1', " +
+        "'extra2', 'extra3', 'extra4', 'extra5', 'extra6', 'extra7', " +
+        "'extra8', 'extra9' and 2 more"
+    );
+  });
+
+  test("allows extra properties unless the definition forbids them", () => {
+    const open = new Map([["signup", { properties: {} }]]);
+    expect(
+      SchemaRegistry.validateEvent(open, "signup", { plan: "pro" })
+    ).toEqual([]);
+  });
+});
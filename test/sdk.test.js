@@ -0,0 +1,141 @@
+const Analytics = require("../sdk");
+
+// Axios-style error for a response with `status`
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error: "nope" } },
+  });
+
+const createAnalytics = (options = {}) => {
+  const analytics = new Analytics({
+    apiKey: "mta_test",
+    enableBatching: false,
+    ...options,
+  });
+  analytics.client = { post: jest.fn() };
+  return analytics;
+};
+
+const queueEvents = (analytics, count) => {
+  for (let i = 0; i < count; i++) {
+    analytics.eventQueue.push({ event: `e${i}`, messageId: `m${i}` });
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("flush", () => {
+  test("sends the queue in batches the server accepts", async () => {
+    const analytics = createAnalytics({ maxBatchSize: 2 });
+    analytics.client.post.mockImplementation(async (path, { events }) => ({
+      data: { success: true, count: events.length, eventIds: ["x"] },
+    }));
+    queueEvents(analytics, 5);
+
+    const result = await analytics.flush();
+
+    expect(
+      analytics.client.post.mock.calls.map(([, body]) => body.events.length)
+    ).toEqual([2, 2, 1]);
+    expect(result).toMatchObject({ success: true, count: 5 });
+    expect(result.eventIds).toHaveLength(3);
+    expect(analytics.eventQueue).toEqual([]);
+  });
+
+  test("keeps a batch that failed on the network or the server", async () => {
+    const analytics = createAnalytics();
+    queueEvents(analytics, 3);
+
+    analytics.client.post.mockRejectedValueOnce(new Error("socket hang up"));
+    await expect(analytics.flush()).rejects.toThrow("socket hang up");
+    expect(analytics.eventQueue).toHaveLength(3);
+
+    analytics.client.post.mockRejectedValueOnce(httpError(503));
+    await expect(analytics.flush()).rejects.toThrow("503");
+    expect(analytics.eventQueue.map((event) => event.event)).toEqual([
+      "e0",
+      "e1",
+      "e2",
+    ]);
+  });
+
+  test("drops a batch the server rejects instead of retrying it", async () => {
+    const analytics = createAnalytics({ maxBatchSize: 2 });
+    queueEvents(analytics, 3);
+
+    analytics.client.post.mockRejectedValueOnce(httpError(400));
+    await expect(analytics.flush()).rejects.toThrow("400");
+    expect(analytics.eventQueue.map((event) => event.event)).toEqual(["e2"]);
+
+    analytics.client.post.mockResolvedValueOnce({
+      data: { success: true, count: 1 },
+    });
+    await expect(analytics.flush()).resolves.toMatchObject({ count: 1 });
+    expect(analytics.eventQueue).toEqual([]);
+  });
+
+  test("holds the queue until Retry-After", async () => {
+    const analytics = createAnalytics();
+    queueEvents(analytics, 2);
+    analytics.client.post.mockRejectedValueOnce(
+      httpError(429, { "retry-after": "60" })
+    );
+
+    await expect(analytics.flush()).resolves.toMatchObject({
+      rateLimited: true,
+      retryAfter: 60,
+      queueSize: 2,
+    });
+
+    await analytics.flush();
+    expect(analytics.client.post).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("queue size", () => {
+  test("drops the oldest events beyond maxQueueSize", async () => {
+    const analytics = createAnalytics({ maxQueueSize: 3 });
+    analytics.retryAfterUntil = Date.now() + 30 * 24 * 60 * 60 * 1000;
+
+    for (let i = 0; i < 5; i++) {
+      await analytics.sendEvent({ event: `e${i}` });
+    }
+
+    expect(analytics.eventQueue.map((event) => event.event)).toEqual([
+      "e2",
+      "e3",
+      "e4",
+    ]);
+    expect(analytics.rateLimitedResult()).toMatchObject({
+      queueSize: 3,
+      droppedEvents: 2,
+    });
+    expect(analytics.client.post).not.toHaveBeenCalled();
+  });
+
+  test("counts re-queued batches against the limit", async () => {
+    const analytics = createAnalytics({ maxQueueSize: 4, batchSize: 100 });
+    queueEvents(analytics, 3);
+    analytics.client.post.mockImplementationOnce(async () => {
+      // Tracked while the batch was in flight
+      analytics.enqueue([{ event: "late1" }, { event: "late2" }]);
+      throw new Error("ECONNRESET");
+    });
+
+    await expect(analytics.flush()).rejects.toThrow("ECONNRESET");
+
+    expect(analytics.eventQueue.map((event) => event.event)).toEqual([
+      "e1",
+      "e2",
+      "late1",
+      "late2",
+    ]);
+  });
+});
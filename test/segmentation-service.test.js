@@ -0,0 +1,262 @@
+const SegmentationService = require("../segmentation-service");
+const { DAY_MS } = require("../util");
+
+const END = new Date("2025-01-31T00:00:00.000Z");
+const START = new Date(END - 30 * DAY_MS);
+
+describe("SegmentationService.validateQuery", () => {
+  const countPerDay = {
+    metrics: [{ type: "count" }],
+    interval: "day",
+    start: START,
+    end: END,
+  };
+
+  test("accepts a grouped query with a filter tree", () => {
+    expect(
+      SegmentationService.validateQuery({
+        ...countPerDay,
+        event: ["purchase", "refund"],
+        groupBy: ["country"],
+        metrics: [
+          { type: "unique_users" },
+          { type: "percentiles", property: "amount", percents: [50, 95] },
+        ],
+        filter: {
+          and: [
+            { property: "country", op: "in", value: ["US", "CA"] },
+            { not: { property: "coupon", op: "exists" } },
+            { trait: "plan", op: "eq", value: "premium" },
+            { property: "amount", op: "range", value: { gte: 10, lt: 100 } },
+          ],
+        },
+      })
+    ).toBeNull();
+  });
+
+  test("needs a property for property metrics", () => {
+    expect(
+      SegmentationService.validateQuery({
+        ...countPerDay,
+        metrics: [{ type: "sum" }],
+      })
+    ).toBe("sum needs a numeric property");
+    expect(
+      SegmentationService.validateQuery({
+        ...countPerDay,
+        metrics: [{ type: "avg", property: "amount", percents: [50] }],
+      })
+    ).toBe("percents must list numbers between 0 and 100");
+  });
+
+  test("bounds the number of buckets a response can hold", () => {
+    // 30 days of minutes are 43201 buckets on their own
+    expect(
+      SegmentationService.validateQuery({ ...countPerDay, interval: "minute" })
+    ).toBeNull();
+    expect(
+      SegmentationService.validateQuery({
+        ...countPerDay,
+        interval: "minute",
+        groupBy: ["country"],
+        limit: 2,
+      })
+    ).toMatch(/too many buckets/);
+  });
+
+  test("walks the whole filter tree", () => {
+    const deep = { or: [{ property: "a", op: "exists" }] };
+    const filter = { and: [deep, { not: { property: "b", op: "like" } }] };
+
+    expect(SegmentationService.validateQuery({ ...countPerDay, filter })).toBe(
+      "op must be one of: eq, neq, in, range, exists, contains"
+    );
+  });
+
+  test("limits the depth and size of a filter", () => {
+    let nested = { property: "a", op: "exists" };
+    for (let i = 0; i < 5; i++) nested = { not: nested };
+    const wide = {
+      or: Array.from({ length: 51 }, () => ({ property: "a", op: "exists" })),
+    };
+
+    expect(
+      SegmentationService.validateQuery({ ...countPerDay, filter: nested })
+    ).toBe("filter is nested deeper than 5 levels");
+    expect(
+      SegmentationService.validateQuery({ ...countPerDay, filter: wide })
+    ).toBe("filter has more than 50 conditions");
+  });
+
+  test("wants exactly one of property and trait per condition", () => {
+    expect(
+      SegmentationService.validateCondition({
+        property: "a",
+        trait: "b",
+        op: "exists",
+      })
+    ).toBe("Each condition needs either a property or a trait");
+    expect(SegmentationService.validateCondition({ op: "exists" })).toBe(
+      "Each condition needs either a property or a trait"
+    );
+  });
+});
+
+describe("SegmentationService.compileFilter", () => {
+  const profiles = { findUserIdsMatching: jest.fn() };
+  const segmentation = new SegmentationService(null, { profiles });
+
+  test("translates conditions into OpenSearch queries", async () => {
+    const { filter } = await segmentation.compileFilter("t1", {
+      or: [
+        { property: "plan", op: "neq", value: "free" },
+        { property: "page", op: "contains", value: "50*off?" },
+      ],
+    });
+
+    expect(filter).toEqual({
+      bool: {
+        should: [
+          {
+            bool: {
+              must_not: [{ term: { "properties.plan": "free" } }],
+            },
+          },
+          {
+            wildcard: {
+              "properties.page": {
+                value: "*50\\*off\\?*",
+                case_insensitive: true,
+              },
+            },
+          },
+        ],
+        minimum_should_match: 1,
+      },
+    });
+  });
+
+  test("resolves traits to the users that have them", async () => {
+    profiles.findUserIdsMatching.mockResolvedValueOnce(["u1", "u2"]);
+
+    const { filter } = await segmentation.compileFilter("t1", {
+      trait: "plan",
+      op: "neq",
+      value: "pro",
+    });
+
+    // Users without the trait are "not equal" as well
+    expect(profiles.findUserIdsMatching).toHaveBeenCalledWith("t1", [
+      { trait: "plan", op: "eq", value: "pro" },
+    ]);
+    expect(filter).toEqual({
+      bool: { must_not: [{ terms: { canonical_user_id: ["u1", "u2"] } }] },
+    });
+  });
+
+  test("gives up on traits matching too many users", async () => {
+    profiles.findUserIdsMatching.mockResolvedValueOnce(null);
+
+    await expect(
+      segmentation.compileFilter("t1", {
+        not: { trait: "company", op: "exists" },
+      })
+    ).resolves.toEqual({
+      error: "Trait filter on company matches too many users",
+    });
+  });
+});
+
+describe("SegmentationService.segment", () => {
+  const bucket = (key, count, value) => ({
+    key,
+    doc_count: count,
+    m1: { value },
+  });
+
+  test("reads nested groups back into flat keys", async () => {
+    const day = Date.parse("2025-01-30T00:00:00Z");
+    const opensearch = {
+      aggregate: jest.fn(async () => ({
+        total: 5,
+        aggregations: {
+          m1: { value: 42.5 },
+          series: { buckets: [bucket(day, 5, 42.5)] },
+          groups: {
+            buckets: [
+              {
+                key: "US",
+                group_1: {
+                  buckets: [
+                    {
+                      ...bucket("ios", 3, 40),
+                      series: { buckets: [bucket(day, 3, 40)] },
+                    },
+                  ],
+                },
+              },
+            ],
+          },
+        },
+      })),
+    };
+    const segmentation = new SegmentationService(opensearch, {});
+
+    const result = await segmentation.segment("t1", {
+      event: "purchase",
+      metrics: [{ type: "count" }, { type: "avg", property: "amount" }],
+      groupBy: ["country", "os"],
+      interval: "day",
+      limit: 3,
+      start: "2025-01-30T00:00:00.000Z",
+      end: "2025-01-30T23:59:59.999Z",
+    });
+
+    expect(result.totals).toEqual({ count: 5, avg_amount: 42.5 });
+    expect(result.series).toEqual([
+      { date: "2025-01-30T00:00:00.000Z", count: 5, avg_amount: 42.5 },
+    ]);
+    expect(result.groups).toEqual([
+      {
+        key: { country: "US", os: "ios" },
+        count: 3,
+        avg_amount: 40,
+        series: [
+          { date: "2025-01-30T00:00:00.000Z", count: 3, avg_amount: 40 },
+        ],
+      },
+    ]);
+
+    const { aggs, filter } = opensearch.aggregate.mock.calls[0][1];
+    expect(filter).toEqual({
+      bool: { must: [{ terms: { event_type: ["purchase"] } }] },
+    });
+    expect(aggs.groups.terms).toEqual({ field: "properties.country", size: 3 });
+    expect(aggs.groups.aggs.group_1.terms.field).toBe("properties.os");
+    expect(aggs.series.date_histogram.time_zone).toBe("UTC");
+  });
+
+  test("compares totals with the period before", async () => {
+    const opensearch = {
+      aggregate: jest.fn(async (tenantId, { startDate }) => ({
+        total: startDate.startsWith("2025-01-30") ? 10 : 4,
+        aggregations: {},
+      })),
+    };
+    const segmentation = new SegmentationService(opensearch, {});
+
+    const result = await segmentation.segment("t1", {
+      metrics: [{ type: "count" }, { type: "max", property: "amount" }],
+      interval: "hour",
+      compare: true,
+      start: "2025-01-30T00:00:00.000Z",
+      end: "2025-01-30T23:59:59.999Z",
+    });
+
+    expect(result.previous_period.start_date).toBe("2025-01-29T00:00:00.000Z");
+    expect(result.comparison).toEqual({
+      count: { current: 10, previous: 4, change: 6, change_rate: 150 },
+      max_amount: { current: 0, previous: 0, change: 0, change_rate: null },
+    });
+  });
+});
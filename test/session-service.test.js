@@ -0,0 +1,164 @@
+const SessionService = require("../session-service");
+const fakePool = require("./fake-pool");
+
+const START = "2025-02-01T00:00:00.000Z";
+const END = "2025-02-28T23:59:59.999Z";
+
+// Answers the summary query with `summary` and the page query with `pages`,
+// per period start
+const sessionsOf = (periods) => {
+  const pool = fakePool((text, params) => {
+    const period = periods[params[1]];
+    return text.includes("AS bounces")
+      ? { rows: [period.summary] }
+      : { rows: period.pages || [] };
+  });
+  return { sessions: new SessionService(pool), pool };
+};
+
+const summary = (overrides = {}) => ({
+  sessions: 0,
+  bounces: 0,
+  inferred_sessions: 0,
+  avg_duration: null,
+  median_duration: null,
+  avg_events: null,
+  ...overrides,
+});
+
+describe("SessionService.validateQuery", () => {
+  test("takes durations like the other analytics", () => {
+    expect(SessionService.validateQuery({ inactivityTimeout: "45m" })).toBe(
+      null
+    );
+    expect(SessionService.validateQuery({ inactivityTimeout: "45" })).toBe(
+      "inactivity_timeout must look like 30m, 12h or 7d"
+    );
+  });
+
+  test("limits the page lists", () => {
+    expect(SessionService.validateQuery({ limit: 100 })).toBeNull();
+    expect(SessionService.validateQuery({ limit: 101 })).toBe(
+      "limit must be between 1 and 100"
+    );
+    expect(SessionService.validateQuery({ compare: "yes" })).toBe(
+      "compare must be true or false"
+    );
+  });
+});
+
+describe("SessionService.getSessions", () => {
+  test("summarises sessions with their entry and exit pages", async () => {
+    const { sessions, pool } = sessionsOf({
+      [START]: {
+        summary: summary({
+          sessions: 3,
+          bounces: 1,
+          inferred_sessions: 2,
+          avg_duration: "120.126",
+          median_duration: 90,
+          avg_events: "2.3333",
+        }),
+        pages: [
+          { kind: "entry", page: "/", sessions: 2 },
+          { kind: "entry", page: "/pricing", sessions: 1 },
+          { kind: "exit", page: "/signup", sessions: 1 },
+        ],
+      },
+    });
+
+    const result = await sessions.getSessions("t1", {
+      start: START,
+      end: END,
+      inactivityTimeout: "1h",
+      limit: 5,
+    });
+
+    expect(result).toEqual({
+      start_date: START,
+      end_date: END,
+      inactivity_timeout: "1h",
+      sessions: 3,
+      inferred_sessions: 2,
+      avg_duration_seconds: 120.13,
+      median_duration_seconds: 90,
+      avg_events_per_session: 2.33,
+      bounce_rate: 33.33,
+      entry_pages: [
+        { page: "/", sessions: 2, percentage: 66.67 },
+        { page: "/pricing", sessions: 1, percentage: 33.33 },
+      ],
+      exit_pages: [{ page: "/signup", sessions: 1, percentage: 33.33 }],
+    });
+    expect(pool.find(/AS bounces/).params).toEqual([
+      "t1",
+      START,
+      END,
+      3600,
+      "page_view",
+    ]);
+    expect(pool.find(/'entry' AS kind/).params[5]).toBe(5);
+  });
+
+  test("reports zeros for a period without sessions", async () => {
+    const { sessions } = sessionsOf({ [START]: { summary: summary() } });
+
+    const result = await sessions.getSessions("t1", { start: START, end: END });
+
+    expect(result).toMatchObject({
+      inactivity_timeout: "30m",
+      sessions: 0,
+      avg_duration_seconds: 0,
+      bounce_rate: 0,
+      entry_pages: [],
+    });
+  });
+
+  test("compares every metric with the period before", async () => {
+    const previousStart = "2025-01-04T00:00:00.000Z";
+    const { sessions } = sessionsOf({
+      [START]: { summary: summary({ sessions: 10, bounces: 5 }) },
+      [previousStart]: { summary: summary({ sessions: 8, bounces: 2 }) },
+    });
+
+    const result = await sessions.getSessions("t1", {
+      start: START,
+      end: END,
+      compare: true,
+    });
+
+    expect(result.previous_period).toMatchObject({
+      start_date: previousStart,
+      sessions: 8,
+    });
+    expect(Object.keys(result.comparison)).toEqual([
+      "sessions",
+      "avg_duration_seconds",
+      "median_duration_seconds",
+      "avg_events_per_session",
+      "bounce_rate",
+    ]);
+    expect(result.comparison.bounce_rate).toEqual({
+      current: 50,
+      previous: 25,
+      change: 25,
+      change_rate: 100,
+    });
+    expect(result.comparison.avg_duration_seconds.change_rate).toBeNull();
+  });
+});
+
+describe("SessionService.buildSessionsCte", () => {
+  const cte = new SessionService(null).buildSessionsCte();
+
+  test("keeps explicit and inferred sessions apart", () => {
+    expect(cte).toContain("'s:' || session_id AS session_key");
+    expect(cte).toContain("'u:' || canonical_user_id || ':'");
+  });
+
+  test("starts an inferred session after the inactivity timeout", () => {
+    expect(cte).toContain(
+      "CASE WHEN gap IS NULL OR gap > $4::int * INTERVAL '1 second'"
+    );
+  });
+});
@@ -0,0 +1,205 @@
+const StatsService = require("../stats-service");
+const OpenSearchService = require("../opensearch-service");
+const fakePool = require("./fake-pool");
+
+// Raw-event analytics of a [from, to] range as OpenSearch would return it
+const liveResult = (buckets, topEvents) => ({
+  total_events: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+  unique_users: 1,
+  events_over_time: buckets,
+  top_events: topEvents,
+});
+
+const setup = ({ watermark, rollups = [], sketches = {} } = {}) => {
+  const pool = fakePool((text) => {
+    if (text.includes("FROM rollup_state")) {
+      return { rows: watermark ? [{ watermark: new Date(watermark) }] : [] };
+    }
+    if (text.includes("FROM daily_stats")) return { rows: rollups };
+    if (text.includes("FROM daily_user_sketches")) {
+      return { rows: [{ registers: sketches.rollup || null }] };
+    }
+    if (text.includes("generate_series")) {
+      return { rows: [{ registers: sketches.edges || null }] };
+    }
+  });
+  const opensearch = new OpenSearchService();
+  const live = jest
+    .spyOn(opensearch, "getAnalytics")
+    .mockImplementation(async () => liveResult([], []));
+  const stats = new StatsService(pool, { opensearch, minRollupDays: 7 });
+  return { stats, pool, live };
+};
+
+const tenantQuery = (overrides = {}) => ({
+  startDate: "2025-01-01T10:00:00.000Z",
+  endDate: "2025-01-20T12:00:00.000Z",
+  interval: "day",
+  timeZone: "UTC",
+  tenantTimeZone: "UTC",
+  ...overrides,
+});
+
+describe("StatsService.getAnalytics from raw events", () => {
+  test.each([
+    ["a short range", { startDate: "2025-01-15T00:00:00.000Z" }],
+    ["an hourly interval", { interval: "hour" }],
+    ["a trait filter", { userIds: ["u1"] }],
+    ["another time zone", { timeZone: "Asia/Tokyo" }],
+  ])("answers %s from raw events", async (name, overrides) => {
+    const { stats, pool, live } = setup({ watermark: "2025-02-01T00:00:00Z" });
+
+    const result = await stats.getAnalytics("t1", tenantQuery(overrides));
+
+    expect(result.source).toBe("events");
+    expect(live).toHaveBeenCalledTimes(1);
+    expect(pool.find(/FROM daily_stats/)).toBeUndefined();
+  });
+
+  test("waits for the rollup job's first run", async () => {
+    const { stats, live } = setup();
+
+    const result = await stats.getAnalytics("t1", tenantQuery());
+
+    expect(result.source).toBe("events");
+    expect(live).toHaveBeenCalledWith("t1", tenantQuery());
+  });
+});
+
+describe("StatsService.getAnalytics from rollups", () => {
+  test("reads whole rolled-up days and counts the edges live", async () => {
+    const { stats, pool, live } = setup({
+      watermark: "2025-01-15T03:00:00Z",
+      rollups: [
+        { bucket: "2025-01-02", event_type: "page_view", count: "10" },
+        { bucket: "2025-01-14", event_type: "signup", count: "4" },
+      ],
+    });
+    live.mockImplementation(async (tenantId, { startDate }) =>
+      startDate.startsWith("2025-01-01")
+        ? liveResult(
+            [{ date: "2025-01-01T00:00:00.000Z", count: 2 }],
+            [{ event: "page_view", count: 2 }]
+          )
+        : liveResult(
+            [
+              { date: "2025-01-15T00:00:00.000Z", count: 5 },
+              { date: "2025-01-20T00:00:00.000Z", count: 1 },
+            ],
+            [{ event: "purchase", count: 6 }]
+          )
+    );
+
+    const result = await stats.getAnalytics("t1", tenantQuery());
+
+    // Days from the first whole one up to the watermark's day
+    expect(pool.find(/FROM daily_stats/).params).toEqual([
+      "t1",
+      "2025-01-02",
+      "2025-01-15",
+      "day",
+    ]);
+    expect(live.mock.calls.map(([, query]) => query)).toEqual([
+      {
+        startDate: "2025-01-01T10:00:00.000Z",
+        endDate: "2025-01-01T23:59:59.999Z",
+        interval: "day",
+        timeZone: "UTC",
+      },
+      {
+        startDate: "2025-01-15T00:00:00.000Z",
+        endDate: "2025-01-20T12:00:00.000Z",
+        interval: "day",
+        timeZone: "UTC",
+      },
+    ]);
+
+    expect(result.source).toBe("rollups");
+    expect(result.total_events).toBe(22);
+    expect(result.top_events).toEqual([
+      { event: "page_view", count: 12 },
+      { event: "purchase", count: 6 },
+      { event: "signup", count: 4 },
+    ]);
+    expect(result.events_over_time).toHaveLength(20);
+    expect(result.events_over_time[0]).toEqual({
+      date: "2025-01-01T00:00:00.000Z",
+      count: 2,
+    });
+    expect(result.events_over_time[1].count).toBe(10);
+    expect(result.events_over_time[5].count).toBe(0);
+    expect(result.events_over_time[14].count).toBe(5);
+  });
+
+  test("keys buckets by local midnight in the tenant's time zone", async () => {
+    const { stats, pool } = setup({
+      watermark: "2025-02-01T00:00:00Z",
+      rollups: [{ bucket: "2025-01-06", event_type: "a", count: "3" }],
+    });
+
+    const result = await stats.getAnalytics(
+      "t1",
+      tenantQuery({
+        // Local midnight of Jan 1 to the end of Jan 14 in Tokyo
+        startDate: "2024-12-31T15:00:00.000Z",
+        endDate: "2025-01-14T14:59:59.999Z",
+        interval: "week",
+        timeZone: "Asia/Tokyo",
+        tenantTimeZone: "Asia/Tokyo",
+      })
+    );
+
+    expect(pool.find(/FROM daily_stats/).params).toEqual([
+      "t1",
+      "2025-01-01",
+      "2025-01-15",
+      "week",
+    ]);
+    // No partial days, so nothing is read live
+    expect(pool.find(/generate_series/)).toBeUndefined();
+    expect(result.events_over_time).toEqual([
+      { date: "2024-12-29T15:00:00.000Z", count: 0 },
+      { date: "2025-01-05T15:00:00.000Z", count: 3 },
+      { date: "2025-01-12T15:00:00.000Z", count: 0 },
+    ]);
+  });
+
+  test("reads calendar dates as whole local days", async () => {
+    const { stats, pool, live } = setup({ watermark: "2025-02-01T00:00:00Z" });
+
+    await stats.getAnalytics(
+      "t1",
+      tenantQuery({
+        startDate: "2025-01-01",
+        endDate: "2025-01-14",
+        timeZone: "Asia/Tokyo",
+        tenantTimeZone: "Asia/Tokyo",
+      })
+    );
+
+    expect(pool.find(/FROM daily_stats/).params.slice(1, 3)).toEqual([
+      "2025-01-01",
+      "2025-01-15",
+    ]);
+    expect(live).not.toHaveBeenCalled();
+  });
+
+  test("estimates unique users from the rollup and edge sketches", async () => {
+    const rollup = new Array(4096).fill(0);
+    const edges = new Array(4096).fill(0);
+    for (let i = 0; i < 100; i++) rollup[i] = 1;
+    for (let i = 50; i < 150; i++) edges[i] = 2;
+
+    const { stats } = setup({
+      watermark: "2025-01-15T03:00:00Z",
+      sketches: { rollup, edges },
+    });
+
+    const result = await stats.getAnalytics("t1", tenantQuery());
+
+    // 150 of 4096 registers set: linear counting gives about 153 users
+    expect(result.unique_users).toBe(
+      Math.round(4096 * Math.log(4096 / (4096 - 150)))
+    );
+  });
+});
@@ -0,0 +1,112 @@
+const EventEmitter = require("events");
+const StreamHub = require("../stream-hub");
+
+// Hub over a Redis client whose subscriber connection can go down
+const setup = () => {
+  const subscriber = new EventEmitter();
+  subscriber.isReady = false;
+  subscriber.connect = async () => {
+    subscriber.isReady = true;
+  };
+  subscriber.subscribe = jest.fn(async () => {
+    if (!subscriber.isReady) throw new Error("The client is offline");
+  });
+  subscriber.unsubscribe = jest.fn(async () => {});
+  subscriber.close = async () => {};
+
+  const redis = { isReady: true, duplicate: () => subscriber };
+  return { hub: new StreamHub(redis), subscriber };
+};
+
+// Lets pending subscribes settle
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const channels = (subscriber) =>
+  subscriber.subscribe.mock.calls.map(([channel]) => channel);
+
+beforeEach(() => jest.spyOn(console, "error").mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+describe("StreamHub subscriptions", () => {
+  test("subscribes on start to tenants that are already watched", async () => {
+    const { hub, subscriber } = setup();
+    hub.listen("t1", () => {});
+    hub.listen("t2", () => {});
+
+    await hub.start();
+
+    expect(channels(subscriber)).toEqual([["sse:t1", "sse:t2"]]);
+    await hub.stop();
+  });
+
+  test("subscribes for the first watcher and unsubscribes after the last", async () => {
+    const { hub, subscriber } = setup();
+    await hub.start();
+
+    const stopFirst = hub.listen("t1", () => {});
+    const stopSecond = hub.listen("t1", () => {});
+    stopFirst();
+    expect(subscriber.unsubscribe).not.toHaveBeenCalled();
+    stopSecond();
+
+    expect(channels(subscriber)).toEqual([["sse:t1"]]);
+    expect(subscriber.unsubscribe).toHaveBeenCalledWith(
+      "sse:t1",
+      hub.onMessage
+    );
+    await hub.stop();
+  });
+
+  test("subscribes again once a lost connection is back", async () => {
+    const { hub, subscriber } = setup();
+    hub.listen("t1", () => {});
+    await hub.start();
+
+    subscriber.isReady = false;
+    hub.listen("t2", () => {});
+    await flush();
+    subscriber.isReady = true;
+    subscriber.emit("ready");
+
+    expect(channels(subscriber)).toEqual([
+      ["sse:t1"],
+      ["sse:t2"],
+      ["sse:t1", "sse:t2"],
+    ]);
+    await hub.stop();
+  });
+
+  test("retries a failed subscribe while connected", async () => {
+    jest.useFakeTimers();
+    const { hub, subscriber } = setup();
+    await hub.start();
+    subscriber.subscribe.mockRejectedValueOnce(new Error("timed out"));
+
+    hub.listen("t1", () => {});
+    await jest.advanceTimersByTimeAsync(0);
+    expect(channels(subscriber)).toEqual([["sse:t1"]]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(channels(subscriber)).toEqual([["sse:t1"], ["sse:t1"]]);
+    await hub.stop();
+    jest.useRealTimers();
+  });
+});
+
+describe("StreamHub.receive", () => {
+  test("passes a tenant's messages to its listeners with their ids", () => {
+    const { hub } = setup();
+    const listener = jest.fn();
+    hub.listen("t1", listener);
+
+    hub.onMessage('1700000000000-0 {"type":"alert","data":{}}', "sse:t1");
+    hub.onMessage('1700000000000-1 {"type":"alert","data":{}}', "sse:t2");
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(
+      { type: "alert", data: {} },
+      "1700000000000-0"
+    );
+  });
+});
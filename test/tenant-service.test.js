@@ -0,0 +1,84 @@
+const TenantService = require("../tenant-service");
+const fakePool = require("./fake-pool");
+
+// Tenant service over a tenant currently in `timezone`, or none
+const setup = (timezone) => {
+  const pool = fakePool((text, params) => {
+    if (text.includes("FOR UPDATE")) {
+      return { rows: timezone ? [{ timezone }] : [] };
+    }
+    if (text.includes("UPDATE tenants")) {
+      return { rows: [{ id: params[0], timezone: params[4] || timezone }] };
+    }
+  });
+  return { tenants: new TenantService(pool, {}), pool };
+};
+
+const statements = (pool) =>
+  pool.log.map((entry) =>
+    entry.text ? entry.text.trim().split(/\s+/).slice(0, 3).join(" ") : entry.on
+  );
+
+describe("TenantService.updateTenant", () => {
+  test("queues every day for a rollup in the same transaction", async () => {
+    const { tenants, pool } = setup("UTC");
+
+    const tenant = await tenants.updateTenant("t1", {
+      timezone: "Asia/Tokyo",
+    });
+
+    expect(tenant).toEqual({ id: "t1", timezone: "Asia/Tokyo" });
+    expect(statements(pool)).toEqual([
+      "connect",
+      "BEGIN",
+      "SELECT timezone FROM",
+      "UPDATE tenants SET",
+      "INSERT INTO rollup_dirty_days",
+      "COMMIT",
+      "release",
+    ]);
+    expect(pool.find(/rollup_dirty_days/).params).toEqual(["t1", "Asia/Tokyo"]);
+  });
+
+  test("leaves the rollups alone when the time zone stays", async () => {
+    const { tenants, pool } = setup("Asia/Tokyo");
+
+    await tenants.updateTenant("t1", {
+      name: "Acme",
+      timezone: "Asia/Tokyo",
+    });
+    await tenants.updateTenant("t1", { plan: "pro" });
+
+    expect(pool.find(/rollup_dirty_days/)).toBeUndefined();
+  });
+
+  test("changes nothing when queueing the days fails", async () => {
+    const { tenants, pool } = setup("UTC");
+    const query = pool.query;
+    pool.connect = async () => ({
+      query: async (text, params) => {
+        if (text.includes("rollup_dirty_days")) {
+          throw new Error("canceling statement due to statement timeout");
+        }
+        return query(text, params);
+      },
+      release: () => {},
+    });
+
+    await expect(
+      tenants.updateTenant("t1", { timezone: "Europe/Paris" })
+    ).rejects.toThrow("statement timeout");
+    expect(pool.statements().map((entry) => entry.text)).toContain("ROLLBACK");
+    expect(pool.find(/^COMMIT/)).toBeUndefined();
+  });
+
+  test("returns null for an unknown tenant", async () => {
+    const { tenants, pool } = setup(null);
+
+    await expect(
+      tenants.updateTenant("t1", { timezone: "UTC" })
+    ).resolves.toBeNull();
+    expect(pool.find(/UPDATE tenants/)).toBeUndefined();
+    expect(pool.log[pool.log.length - 1].on).toBe("release");
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  isTimeZone,
+  timeZoneOffset,
+  localDate,
+  addDays,
+  startOfLocalDay,
+  startOfDay,
+  startOfWeek,
+} = require("../timezone");
+
+const iso = (time) => new Date(time).toISOString();
+
+describe("isTimeZone", () => {
+  test("takes IANA names only", () => {
+    expect(isTimeZone("America/Argentina/Buenos_Aires")).toBe(true);
+    expect(isTimeZone("UTC")).toBe(true);
+    // Postgres would flip the sign of a bare offset
+    expect(isTimeZone("+05:30")).toBe(false);
+    expect(isTimeZone("Mars/Olympus_Mons")).toBe(false);
+    expect(isTimeZone(null)).toBe(false);
+  });
+});
+
+describe("local days", () => {
+  test("follow the offset in force at the instant", () => {
+    const summer = Date.parse("2025-07-01T12:00:00Z");
+    const winter = Date.parse("2025-01-01T12:00:00Z");
+
+    expect(timeZoneOffset(summer, "America/New_York")).toBe(-4 * 3600000);
+    expect(timeZoneOffset(winter, "America/New_York")).toBe(-5 * 3600000);
+    expect(timeZoneOffset(winter, "Asia/Kolkata")).toBe(5.5 * 3600000);
+  });
+
+  test("put an instant on its local calendar date", () => {
+    const time = Date.parse("2024-12-31T16:00:00Z");
+
+    expect(localDate(time, "UTC")).toBe("2024-12-31");
+    expect(localDate(time, "Asia/Tokyo")).toBe("2025-01-01");
+    expect(localDate(time, "Pacific/Honolulu")).toBe("2024-12-31");
+  });
+
+  test("start at local midnight", () => {
+    expect(iso(startOfLocalDay("2025-01-01", "Asia/Tokyo"))).toBe(
+      "2024-12-31T15:00:00.000Z"
+    );
+    expect(iso(startOfLocalDay("2025-01-01", "America/Los_Angeles"))).toBe(
+      "2025-01-01T08:00:00.000Z"
+    );
+  });
+
+  test("start at the first local instant where midnight is skipped", () => {
+    // Santiago springs forward from 00:00 to 01:00 on 2024-09-08
+    expect(iso(startOfLocalDay("2024-09-08", "America/Santiago"))).toBe(
+      "2024-09-08T04:00:00.000Z"
+    );
+  });
+
+  test("last 23 or 25 hours across DST changes", () => {
+    const hours = (date, timeZone) =>
+      (startOfLocalDay(addDays(date, 1), timeZone) -
+        startOfLocalDay(date, timeZone)) /
+      3600000;
+
+    expect(hours("2025-03-30", "Europe/Berlin")).toBe(23);
+    expect(hours("2025-10-26", "Europe/Berlin")).toBe(25);
+    expect(hours("2025-10-26", "UTC")).toBe(24);
+  });
+
+  test("contain any of their instants", () => {
+    const time = Date.parse("2025-03-30T21:30:00Z");
+
+    expect(iso(startOfDay(time, "Europe/Berlin"))).toBe(
+      "2025-03-29T23:00:00.000Z"
+    );
+    expect(iso(startOfDay(time, "Asia/Tokyo"))).toBe(
+      "2025-03-30T15:00:00.000Z"
+    );
+  });
+});
+
+describe("addDays", () => {
+  test("moves across month and year ends", () => {
+    expect(addDays("2024-02-28", 1)).toBe("2024-02-29");
+    expect(addDays("2025-01-01", -1)).toBe("2024-12-31");
+  });
+});
+
+describe("startOfWeek", () => {
+  test("starts on the local Monday", () => {
+    // Sunday evening in New York is Monday in Tokyo
+    const time = Date.parse("2025-01-05T23:00:00Z");
+
+    expect(iso(startOfWeek(time, "America/New_York"))).toBe(
+      "2024-12-30T05:00:00.000Z"
+    );
+    expect(iso(startOfWeek(time, "Asia/Tokyo"))).toBe(
+      "2025-01-05T15:00:00.000Z"
+    );
+  });
+});
@@ -0,0 +1,131 @@
+const TokenService = require("../token-service");
+const ApiKeyService = require("../api-key-service");
+
+const tokens = new TokenService({ secret: "test-secret" });
+
+// The token with its payload replaced, keeping the original signature
+const withPayload = (token, claims) => {
+  const [header, , signature] = token.split(".");
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+};
+
+describe("TokenService", () => {
+  afterEach(() => jest.useRealTimers());
+
+  test("returns the signed claims for the token's own scope", () => {
+    jest.useFakeTimers({ now: new Date("2025-01-01T00:00:00Z") });
+
+    const { token, expires_at } = tokens.sign(
+      { scope: "api", key_id: "k1", permissions: ["query"] },
+      900
+    );
+
+    expect(expires_at).toBe("2025-01-01T00:15:00.000Z");
+    expect(tokens.verify(token, "api")).toEqual({
+      scope: "api",
+      key_id: "k1",
+      permissions: ["query"],
+      iat: 1735689600,
+      exp: 1735690500,
+    });
+    expect(tokens.verify(token, "live")).toBeNull();
+  });
+
+  test("stops accepting a token the second it expires", () => {
+    jest.useFakeTimers({ now: new Date("2025-01-01T00:00:00Z") });
+    const { token } = tokens.sign({ scope: "api" }, 60);
+
+    jest.setSystemTime(new Date("2025-01-01T00:00:59Z"));
+    expect(tokens.verify(token, "api")).not.toBeNull();
+
+    jest.setSystemTime(new Date("2025-01-01T00:01:00Z"));
+    expect(tokens.verify(token, "api")).toBeNull();
+  });
+
+  test("refuses changed claims and other secrets", () => {
+    const { token } = tokens.sign(
+      { scope: "api", filter: { user_id: "u1" } },
+      60
+    );
+    const foreign = new TokenService({ secret: "other-secret" }).sign(
+      { scope: "api" },
+      60
+    ).token;
+
+    expect(
+      tokens.verify(
+        withPayload(token, {
+          scope: "api",
+          filter: { user_id: "u2" },
+          exp: 9999999999,
+        }),
+        "api"
+      )
+    ).toBeNull();
+    expect(tokens.verify(foreign, "api")).toBeNull();
+    expect(tokens.verify("a.b", "api")).toBeNull();
+    expect(tokens.verify(null, "api")).toBeNull();
+  });
+});
+
+describe("ApiKeyService.validateTokenGrant", () => {
+  test("grants only what the key has and tokens can carry", () => {
+    const keyPermissions = ["track", "query"];
+
+    expect(
+      ApiKeyService.validateTokenGrant(
+        { permissions: ["query"], filter: { user_id: "u1" }, ttlSeconds: 600 },
+        keyPermissions
+      )
+    ).toBeNull();
+    expect(
+      ApiKeyService.validateTokenGrant(
+        { permissions: ["query", "stream"] },
+        keyPermissions
+      )
+    ).toBe("API key lacks permissions: stream");
+    expect(
+      ApiKeyService.validateTokenGrant({ permissions: ["admin"] }, ["admin"])
+    ).toBe("Tokens can only carry: track, query, stream");
+  });
+
+  test("takes a filter on exactly one user", () => {
+    const grant = (filter) =>
+      ApiKeyService.validateTokenGrant({ filter }, ["query"]);
+
+    expect(grant({ user_id: "u1" })).toBeNull();
+    expect(grant({ user_id: "u1", event_type: "purchase" })).toBe(
+      "filter must be { user_id: <string> }"
+    );
+    expect(grant([{ user_id: "u1" }])).toBe(
+      "filter must be { user_id: <string> }"
+    );
+    expect(grant(null)).toBe("filter must be { user_id: <string> }");
+  });
+
+  test("keeps lifetimes between a minute and an hour", () => {
+    const grant = (ttlSeconds) =>
+      ApiKeyService.validateTokenGrant({ ttlSeconds }, ["query"]);
+
+    expect(grant(60)).toBeNull();
+    expect(grant(3600)).toBeNull();
+    expect(grant(3601)).toBe(
+      "ttlSeconds must be an integer between 60 and 3600"
+    );
+    expect(grant(90.5)).toMatch(/must be an integer/);
+  });
+});
+
+describe("ApiKeyService.tokenPermissions", () => {
+  test("defaults to every token permission the key grants", () => {
+    expect(ApiKeyService.tokenPermissions(["track", "identify"])).toEqual([
+      "track",
+    ]);
+    expect(ApiKeyService.tokenPermissions(["admin"])).toEqual([
+      "track",
+      "query",
+      "stream",
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const { sketchSql, mergeSketches, estimateUsers } = require("../user-sketch");
+
+// The sketch the SQL builds, computed here from a 64-bit hash of each id
+const sketchOf = (userIds) => {
+  const registers = new Array(4096).fill(0);
+  userIds.forEach((userId) => {
+    const hash = crypto.createHash("sha256").update(userId).digest();
+    const h = hash.readBigUInt64BE(0);
+    const register = Number(h & 4095n);
+    const rest = (h >> 12n).toString(2).padStart(52, "0");
+    const rank = rest.indexOf("1") === -1 ? 53 : rest.indexOf("1") + 1;
+    registers[register] = Math.max(registers[register], rank);
+  });
+  return registers;
+};
+
+const users = (from, to) =>
+  Array.from({ length: to - from }, (_, i) => `user-${from + i}`);
+
+describe("estimateUsers", () => {
+  test("counts an empty sketch as no users", () => {
+    expect(estimateUsers(new Array(4096).fill(0))).toBe(0);
+  });
+
+  test("is close to exact for small counts", () => {
+    expect(estimateUsers(sketchOf(users(0, 10)))).toBe(10);
+    expect(
+      Math.abs(estimateUsers(sketchOf(users(0, 500))) - 500)
+    ).toBeLessThanOrEqual(10);
+  });
+
+  test("stays within a few percent for large counts", () => {
+    const estimate = estimateUsers(sketchOf(users(0, 50000)));
+    expect(Math.abs(estimate - 50000) / 50000).toBeLessThan(0.05);
+  });
+});
+
+describe("mergeSketches", () => {
+  test("counts users seen on several days once", () => {
+    const monday = sketchOf(users(0, 3000));
+    const tuesday = sketchOf(users(2000, 5000));
+
+    const estimate = estimateUsers(mergeSketches([monday, tuesday]));
+
+    expect(mergeSketches([monday, tuesday])).toEqual(sketchOf(users(0, 5000)));
+    expect(Math.abs(estimate - 5000) / 5000).toBeLessThan(0.05);
+  });
+
+  test("skips missing sketches", () => {
+    const sketch = sketchOf(users(0, 20));
+    expect(mergeSketches([null, sketch, undefined])).toEqual(sketch);
+  });
+});
+
+describe("sketchSql", () => {
+  test("builds every register from the given user query", () => {
+    const sql = sketchSql("SELECT user_id FROM events");
+
+    expect(sql).toContain("generate_series(0, 4095)");
+    expect(sql).toContain("FROM (SELECT user_id FROM events) AS users");
+    expect(sql).toContain("hashtextextended(users.user_id, 0)");
+  });
+});
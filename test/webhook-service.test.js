@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const WebhookService = require("../webhook-service");
+const fakePool = require("./fake-pool");
+
+describe("WebhookService.validateDestination", () => {
+  test("accepts a destination filtered to some events", () => {
+    expect(
+      WebhookService.validateDestination({
+        name: "Warehouse",
+        url: "https://hooks.example.com/analytics",
+        events: ["purchase", "refund"],
+        batchSize: 100,
+      })
+    ).toBeNull();
+  });
+
+  test("requires a url unless updating", () => {
+    expect(WebhookService.validateDestination({})).toMatch(
+      /url must be an http\(s\) URL/
+    );
+    expect(
+      WebhookService.validateDestination({ enabled: false }, { partial: true })
+    ).toBeNull();
+  });
+
+  test("refuses local and private hosts", () => {
+    for (const url of [
+      "http://localhost:8080/",
+      "http://10.1.2.3/",
+      "http://169.254.169.254/latest",
+      "http://[::ffff:127.0.0.1]/",
+    ]) {
+      expect(WebhookService.validateDestination({ url })).toMatch(
+        /local or private address/
+      );
+    }
+  });
+
+  test("bounds the event filter and batch size", () => {
+    const url = "https://hooks.example.com/";
+
+    expect(WebhookService.validateDestination({ url, events: [] })).toBe(
+      "events must list 1-100 event names"
+    );
+    expect(WebhookService.validateDestination({ url, batchSize: 101 })).toBe(
+      "batchSize must be between 1 and 100"
+    );
+  });
+});
+
+describe("WebhookService.send", () => {
+  const destination = {
+    id: "d1",
+    tenant_id: "t1",
+    url: "https://93.184.216.34/hook",
+    secret: "whsec_test",
+  };
+  const events = [{ id: "e1", event_type: "purchase" }];
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("signs the timestamp and body with the destination's secret", async () => {
+    const fetch = jest
+      .spyOn(global, "fetch")
+      .mockResolvedValue({ ok: true, status: 204 });
+    const webhooks = new WebhookService(fakePool());
+
+    const delivery = await webhooks.send(destination, events, { attempt: 3 });
+
+    const [url, { body, headers }] = fetch.mock.calls[0];
+    const timestamp = headers["X-Webhook-Timestamp"];
+    const expected = crypto
+      .createHmac("sha256", "whsec_test")
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
+    expect(url).toBe(destination.url);
+    expect(JSON.parse(body)).toEqual({ destination_id: "d1", events });
+    expect(headers["X-Webhook-Signature"]).toBe(`sha256=${expected}`);
+    expect(headers["X-Webhook-Id"]).toBe(delivery.id);
+    expect(delivery).toMatchObject({
+      destination_id: "d1",
+      tenant_id: "t1",
+      event_ids: ["e1"],
+      attempt: 3,
+      test: false,
+      status: "delivered",
+      response_status: 204,
+      error: null,
+    });
+  });
+
+  test("reports redirects and network errors as failures", async () => {
+    const fetch = jest
+      .spyOn(global, "fetch")
+      .mockResolvedValueOnce({ ok: false, status: 302 })
+      .mockRejectedValueOnce(new Error("fetch failed"));
+    const webhooks = new WebhookService(fakePool());
+
+    const redirected = await webhooks.send(destination, events);
+    const unreachable = await webhooks.send(destination, events);
+
+    expect(fetch.mock.calls[0][1].redirect).toBe("manual");
+    expect(redirected).toMatchObject({
+      status: "failed",
+      response_status: 302,
+      error: "Destination responded with 302",
+    });
+    expect(unreachable).toMatchObject({
+      status: "failed",
+      response_status: null,
+      error: "fetch failed",
+    });
+  });
+
+  test("never requests a private address", async () => {
+    const fetch = jest.spyOn(global, "fetch");
+    const webhooks = new WebhookService(fakePool());
+
+    const delivery = await webhooks.send(
+      { ...destination, url: "http://10.0.0.5/hook" },
+      events
+    );
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(delivery.error).toMatch(/local or private address/);
+  });
+});
+
+describe("WebhookService.enqueue", () => {
+  test("queues nothing for an empty batch", async () => {
+    const pool = fakePool();
+
+    await WebhookService.enqueue(pool, "t1", []);
+    await WebhookService.enqueue(pool, "t1", ["e1", "e2"]);
+
+    expect(pool.statements()).toHaveLength(1);
+    expect(pool.log[0].params).toEqual(["t1", ["e1", "e2"]]);
+  });
+});
+
+describe("WebhookService delivery logs", () => {
+  test("return at most 500 entries", async () => {
+    const pool = fakePool();
+    const webhooks = new WebhookService(pool);
+
+    await webhooks.listDeliveries("t1", "d1", { limit: 1000 });
+    await webhooks.listDeadLetters("t1", "d1", { limit: 20 });
+
+    expect(pool.log[0].params).toEqual(["t1", "d1", null, 500]);
+    expect(pool.log[1].params).toEqual(["t1", "d1", 20]);
+  });
+});
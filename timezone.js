@@ -0,0 +1,124 @@
+// Tenant time zones. Events are stored and indexed by UTC instant; day
+// boundaries, histogram buckets and rounded relative dates ("now/d") follow
+// an IANA time zone such as "America/New_York" or "Asia/Tokyo".
+
+const { DAY_MS } = require("./util");
+
+const DEFAULT_TIME_ZONE = "UTC";
+
+// IANA names only: Postgres reads bare offsets like "+05:30" as POSIX
+// zones with the sign flipped
+const TIME_ZONE_PATTERN = /^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/;
+
+const formatters = new Map();
+
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether `value` is a time zone name both Node and Postgres understand
+ */
+const isTimeZone = (value) => {
+  if (typeof value !== "string" || !TIME_ZONE_PATTERN.test(value)) {
+    return false;
+  }
+  try {
+    partsFormatter(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of local time from UTC at an instant (ms), e.g. -4h for
+ * America/New_York in summer
+ */
+const timeZoneOffset = (time, timeZone) => {
+  const parts = {};
+  partsFormatter(timeZone)
+    .formatToParts(new Date(time))
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+  const local = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return local - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant
+ */
+const localDate = (time, timeZone) =>
+  new Date(time + timeZoneOffset(time, timeZone)).toISOString().split("T")[0];
+
+/**
+ * Calendar date `days` days after a YYYY-MM-DD date
+ */
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00.000Z`) + days * DAY_MS)
+    .toISOString()
+    .split("T")[0];
+
+/**
+ * Instant (ms) at which a local calendar date starts
+ */
+const startOfLocalDay = (date, timeZone) => {
+  const midnight = Date.parse(`${date}T00:00:00.000Z`);
+  // Try the offsets on either side of a DST change; where midnight is
+  // skipped the day starts at the first instant that falls on `date`
+  return Math.min(
+    ...[-DAY_MS, DAY_MS]
+      .map((shift) => midnight - timeZoneOffset(midnight + shift, timeZone))
+      .filter((time) => localDate(time, timeZone) === date)
+  );
+};
+
+/**
+ * Start (ms) of the local day containing an instant
+ */
+const startOfDay = (time, timeZone) =>
+  startOfLocalDay(localDate(time, timeZone), timeZone);
+
+/**
+ * Start (ms) of the local week (from Monday) containing an instant
+ */
+const startOfWeek = (time, timeZone) => {
+  const date = localDate(time, timeZone);
+  const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+  return startOfLocalDay(addDays(date, -((weekday + 6) % 7)), timeZone);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isTimeZone,
+  timeZoneOffset,
+  localDate,
+  addDays,
+  startOfLocalDay,
+  startOfDay,
+  startOfWeek,
+};
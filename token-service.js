@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+
+const HEADER = Buffer.from(
+  JSON.stringify({ alg: "HS256", typ: "JWT" })
+).toString("base64url");
+
+/**
+ * Short-lived signed tokens (HS256 JWTs). Tokens carry their own claims, so
+ * any instance sharing the secret can verify them without a lookup.
+ */
+class TokenService {
+  constructor({ secret } = {}) {
+    if (!secret) {
+      console.warn(
+        "TOKEN_SECRET is not set; tokens only work on this instance until it restarts"
+      );
+    }
+    this.secret = secret || crypto.randomBytes(32).toString("hex");
+  }
+
+  signature(data) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(data)
+      .digest("base64url");
+  }
+
+  /**
+   * Sign `claims` for `ttlSeconds`. Returns { token, expires_at }.
+   */
+  sign(claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = Buffer.from(
+      JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds })
+    ).toString("base64url");
+    const data = `${HEADER}.${payload}`;
+
+    return {
+      token: `${data}.${this.signature(data)}`,
+      expires_at: new Date((now + ttlSeconds) * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Claims of a valid, unexpired token with the given scope, or null
+   */
+  verify(token, scope) {
+    if (typeof token !== "string") return null;
+
+    const parts = token.split(".");
+    if (parts.length !== 3 || parts[0] !== HEADER) return null;
+
+    const expected = Buffer.from(this.signature(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    } catch (error) {
+      return null;
+    }
+
+    if (
+      !Number.isFinite(claims.exp) ||
+      claims.exp <= Math.floor(Date.now() / 1000) ||
+      claims.scope !== scope
+    ) {
+      return null;
+    }
+    return claims;
+  }
+}
+
+module.exports = TokenService;
@@ -0,0 +1,94 @@
+// Local token exchanger for running the dashboard without an API key in
+// the browser.
+//
+// Usage: API_KEY=mta_... node token-stub.js [--port 4001] [--api http://localhost:3000]
+//          [--permissions query,stream] [--user-id <id>] [--origin http://localhost:3001]
+//
+// GET /token exchanges API_KEY for a short-lived token with POST /auth/token
+// and returns it. In production this is an endpoint of your own backend that
+// first checks who is asking; this stub hands a token to anyone.
+
+const http = require("http");
+
+const parseArgs = (argv) => {
+  const args = {
+    port: parseInt(process.env.PORT) || 4001,
+    api: "http://localhost:3000",
+    origin: "http://localhost:3001",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--port":
+        args.port = parseInt(argv[++i]);
+        break;
+      case "--api":
+        args.api = argv[++i];
+        break;
+      case "--permissions":
+        args.permissions = argv[++i].split(",");
+        break;
+      case "--user-id":
+        args.userId = argv[++i];
+        break;
+      case "--origin":
+        args.origin = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+};
+
+const main = () => {
+  const { port, api, permissions, userId, origin } = parseArgs(
+    process.argv.slice(2)
+  );
+  const apiKey = process.env.API_KEY;
+
+  if (!apiKey) {
+    console.error("API_KEY must be set");
+    process.exit(1);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+
+    if (req.method !== "GET" || req.url !== "/token") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+      return;
+    }
+
+    try {
+      const response = await fetch(`${api}/auth/token`, {
+        method: "POST",
+        headers: { "x-api-key": apiKey, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          permissions,
+          filter: userId ? { user_id: userId } : undefined,
+        }),
+      });
+      const body = await response.text();
+
+      console.log(
+        `[${new Date().toISOString()}] token request: ${response.status}`
+      );
+      res.writeHead(response.status, { "Content-Type": "application/json" });
+      res.end(body);
+    } catch (error) {
+      console.error("Token exchange error:", error.message);
+      res.writeHead(502, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Token exchange failed" }));
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Token stub listening on http://localhost:${port}/token`);
+  });
+};
+
+main();
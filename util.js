@@ -0,0 +1,12 @@
+// Small helpers shared by the services
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round to 2 decimals, the precision of every reported rate and amount
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+// A JSON object, as opposed to null, an array or a primitive
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+module.exports = { DAY_MS, round, isPlainObject };
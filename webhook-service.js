@@ -0,0 +1,431 @@
+const crypto = require("crypto");
+const { validateOutgoingUrl, assertPublicUrl } = require("./outgoing-url");
+const { isPlainObject } = require("./util");
+
+const SECRET_PREFIX = "whsec_";
+const MAX_EVENT_TYPES = 100;
+const MAX_BATCH_SIZE = 100;
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_LOG_ENTRIES = 500;
+const TEST_EVENT = "webhook.test";
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+const DESTINATION_COLUMNS = `id, name, url, event_types, batch_size, enabled,
+  created_at, updated_at`;
+
+class WebhookService {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Generate a new signing secret
+   */
+  static generateSecret() {
+    return SECRET_PREFIX + crypto.randomBytes(24).toString("hex");
+  }
+
+  /**
+   * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>"
+   */
+  static sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Validate a destination payload. With `partial` (updates), only the
+   * fields present are checked. Returns an error message or null.
+   */
+  static validateDestination(destination, { partial = false } = {}) {
+    if (!isPlainObject(destination)) {
+      return "Destination must be an object";
+    }
+    const { name, url, events, batchSize, enabled } = destination;
+
+    if (
+      name !== undefined &&
+      name !== null &&
+      (typeof name !== "string" || name.length > 100)
+    ) {
+      return "name must be a string of at most 100 characters";
+    }
+    if (!partial || url !== undefined) {
+      const error = validateOutgoingUrl(url);
+      if (error) return error;
+    }
+    if (
+      events !== undefined &&
+      events !== null &&
+      (!Array.isArray(events) ||
+        events.length === 0 ||
+        events.length > MAX_EVENT_TYPES ||
+        events.some(
+          (event) => typeof event !== "string" || !event || event.length > 100
+        ))
+    ) {
+      return `events must list 1-${MAX_EVENT_TYPES} event names`;
+    }
+    if (
+      batchSize !== undefined &&
+      (!Number.isInteger(batchSize) ||
+        batchSize < 1 ||
+        batchSize > MAX_BATCH_SIZE)
+    ) {
+      return `batchSize must be between 1 and ${MAX_BATCH_SIZE}`;
+    }
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return "enabled must be true or false";
+    }
+    return null;
+  }
+
+  /**
+   * Queue stored events for every enabled destination whose filter they
+   * match. Use inside the transaction that inserted them.
+   */
+  static async enqueue(db, tenantId, eventIds) {
+    if (eventIds.length === 0) return;
+
+    await db.query(
+      `INSERT INTO webhook_queue (destination_id, event_id)
+       SELECT d.id, e.id
+       FROM events e
+       JOIN webhook_destinations d
+         ON d.tenant_id = e.tenant_id AND d.enabled
+        AND (d.event_types IS NULL OR e.event_type = ANY(d.event_types))
+       WHERE e.tenant_id = $1 AND e.id = ANY($2::uuid[])
+       ON CONFLICT (destination_id, event_id) DO NOTHING`,
+      [tenantId, eventIds]
+    );
+  }
+
+  /**
+   * Create a destination. The signing secret is only returned here and on
+   * rotation.
+   */
+  async createDestination(tenantId, destination) {
+    const secret = WebhookService.generateSecret();
+
+    const result = await this.pool.query(
+      `INSERT INTO webhook_destinations
+         (tenant_id, name, url, secret, event_types, batch_size, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${DESTINATION_COLUMNS}`,
+      [
+        tenantId,
+        destination.name ?? null,
+        destination.url,
+        secret,
+        destination.events ?? null,
+        destination.batchSize ?? DEFAULT_BATCH_SIZE,
+        destination.enabled ?? true,
+      ]
+    );
+
+    return { ...result.rows[0], secret };
+  }
+
+  /**
+   * List a tenant's destinations without secrets, with the number of
+   * events waiting in the queue and in dead letters
+   */
+  async listDestinations(tenantId) {
+    const result = await this.pool.query(
+      `SELECT ${DESTINATION_COLUMNS},
+              (SELECT COUNT(*) FROM webhook_queue q
+               WHERE q.destination_id = d.id)::int AS pending,
+              (SELECT COUNT(*) FROM webhook_dead_letters l
+               WHERE l.destination_id = d.id)::int AS dead_letters
+       FROM webhook_destinations d
+       WHERE tenant_id = $1
+       ORDER BY created_at`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  async getDestination(tenantId, destinationId) {
+    const result = await this.pool.query(
+      `SELECT ${DESTINATION_COLUMNS},
+              (SELECT COUNT(*) FROM webhook_queue q
+               WHERE q.destination_id = d.id)::int AS pending,
+              (SELECT COUNT(*) FROM webhook_dead_letters l
+               WHERE l.destination_id = d.id)::int AS dead_letters
+       FROM webhook_destinations d
+       WHERE tenant_id = $1 AND id = $2`,
+      [tenantId, destinationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Change the given fields of a destination. Returns null when not found.
+   */
+  async updateDestination(tenantId, destinationId, changes) {
+    const columns = {
+      name: changes.name,
+      url: changes.url,
+      event_types: changes.events,
+      batch_size: changes.batchSize,
+      enabled: changes.enabled,
+    };
+
+    const params = [tenantId, destinationId];
+    const assignments = Object.entries(columns)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => {
+        params.push(value);
+        return `${column} = $${params.length}`;
+      });
+
+    const result = await this.pool.query(
+      `UPDATE webhook_destinations SET
+         ${[...assignments, "updated_at = NOW()"].join(", ")}
+       WHERE tenant_id = $1 AND id = $2
+       RETURNING ${DESTINATION_COLUMNS}`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a destination's signing secret. The old one stops being used
+   * immediately. Returns null when not found.
+   */
+  async rotateSecret(tenantId, destinationId) {
+    const secret = WebhookService.generateSecret();
+
+    const result = await this.pool.query(
+      `UPDATE webhook_destinations SET secret = $3, updated_at = NOW()
+       WHERE tenant_id = $1 AND id = $2
+       RETURNING ${DESTINATION_COLUMNS}`,
+      [tenantId, destinationId, secret]
+    );
+    return result.rows[0] ? { ...result.rows[0], secret } : null;
+  }
+
+  /**
+   * Delete a destination with its queue, log and dead letters
+   */
+  async deleteDestination(tenantId, destinationId) {
+    const result = await this.pool.query(
+      `DELETE FROM webhook_destinations WHERE tenant_id = $1 AND id = $2
+       RETURNING id`,
+      [tenantId, destinationId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Destinations by id, with their secrets, for delivery
+   */
+  async loadDestinations(db, destinationIds) {
+    const result = await db.query(
+      `SELECT id, tenant_id, url, secret, batch_size
+       FROM webhook_destinations WHERE id = ANY($1::uuid[])`,
+      [destinationIds]
+    );
+    return new Map(result.rows.map((row) => [row.id, row]));
+  }
+
+  /**
+   * POST a batch of events to a destination. Non-2xx responses (redirects
+   * too), timeouts and hosts resolving to private addresses are failures.
+   * Returns the delivery for `logDeliveries`; no database work happens
+   * here, so no transaction waits on the request.
+   */
+  async send(destination, events, { attempt = 1, test = false } = {}) {
+    const id = crypto.randomUUID();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      destination_id: destination.id,
+      ...(test && { test: true }),
+      events,
+    });
+
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      await assertPublicUrl(destination.url);
+      const response = await fetch(destination.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${WebhookService.sign(
+            destination.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `Destination responded with ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = fetchError.message;
+    }
+
+    return {
+      id,
+      destination_id: destination.id,
+      tenant_id: destination.tenant_id,
+      event_ids: events.map((event) => event.id),
+      attempt,
+      test,
+      status: error ? "failed" : "delivered",
+      response_status: responseStatus,
+      error,
+      duration_ms: Date.now() - started,
+    };
+  }
+
+  /**
+   * Write deliveries to the log using the given pool or client. Deliveries
+   * to destinations deleted in the meantime are skipped. Returns the log
+   * entries.
+   */
+  async logDeliveries(db, deliveries) {
+    if (deliveries.length === 0) return [];
+
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries
+         (id, destination_id, tenant_id, event_ids, attempt, test, status,
+          response_status, error, duration_ms)
+       SELECT f.id, f.destination_id, f.tenant_id,
+              ARRAY(SELECT jsonb_array_elements_text(f.event_ids))::uuid[],
+              f.attempt, f.test, f.status, f.response_status, f.error,
+              f.duration_ms
+       FROM jsonb_to_recordset($1::jsonb) AS f(
+         id uuid, destination_id uuid, tenant_id uuid, event_ids jsonb,
+         attempt int, test boolean, status text, response_status int,
+         error text, duration_ms int
+       )
+       JOIN webhook_destinations d ON d.id = f.destination_id
+       RETURNING id, event_ids, attempt, test, status, response_status, error,
+                 duration_ms, created_at`,
+      [JSON.stringify(deliveries)]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Send a synthetic "webhook.test" event to a destination right away,
+   * without retries. Returns the log entry, or null when not found.
+   */
+  async sendTest(tenantId, destinationId) {
+    const result = await this.pool.query(
+      `SELECT id, tenant_id, url, secret FROM webhook_destinations
+       WHERE tenant_id = $1 AND id = $2`,
+      [tenantId, destinationId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const event = {
+      id: crypto.randomUUID(),
+      event_type: TEST_EVENT,
+      properties: {},
+      user_id: null,
+      canonical_user_id: null,
+      session_id: null,
+      message_id: null,
+      timestamp: new Date().toISOString(),
+    };
+    const delivery = await this.send(result.rows[0], [event], { test: true });
+    const [entry] = await this.logDeliveries(this.pool, [delivery]);
+    return entry || null;
+  }
+
+  /**
+   * Delivery log of a destination, newest first
+   */
+  async listDeliveries(tenantId, destinationId, { status, limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT id, event_ids, attempt, test, status, response_status, error,
+              duration_ms, created_at
+       FROM webhook_deliveries
+       WHERE tenant_id = $1 AND destination_id = $2
+         AND ($3::text IS NULL OR status = $3)
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [
+        tenantId,
+        destinationId,
+        status || null,
+        Math.min(limit, MAX_LOG_ENTRIES),
+      ]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Events whose delivery attempts all failed, newest first
+   */
+  async listDeadLetters(tenantId, destinationId, { limit = 50 } = {}) {
+    const result = await this.pool.query(
+      `SELECT l.id, l.attempts, l.last_error, l.failed_at,
+              json_build_object(
+                'id', e.id, 'event_type', e.event_type,
+                'properties', e.properties, 'user_id', e.user_id,
+                'session_id', e.session_id, 'timestamp', e.timestamp
+              ) AS event
+       FROM webhook_dead_letters l
+       JOIN webhook_destinations d ON d.id = l.destination_id
+       JOIN events e ON e.id = l.event_id
+       WHERE d.tenant_id = $1 AND l.destination_id = $2
+       ORDER BY l.failed_at DESC
+       LIMIT $3`,
+      [tenantId, destinationId, Math.min(limit, MAX_LOG_ENTRIES)]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Move a destination's dead letters back into the queue for a fresh set
+   * of attempts. Returns the number of events requeued.
+   */
+  async replayDeadLetters(tenantId, destinationId) {
+    const result = await this.pool.query(
+      `WITH replayed AS (
+         DELETE FROM webhook_dead_letters l
+         USING webhook_destinations d
+         WHERE d.id = l.destination_id AND d.tenant_id = $1
+           AND l.destination_id = $2
+         RETURNING l.destination_id, l.event_id
+       )
+       INSERT INTO webhook_queue (destination_id, event_id)
+       SELECT destination_id, event_id FROM replayed
+       ON CONFLICT (destination_id, event_id) DO NOTHING`,
+      [tenantId, destinationId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Forget delivery log entries older than `days` days
+   */
+  async pruneDeliveries(days) {
+    const result = await this.pool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE created_at < NOW() - $1::int * INTERVAL '1 day'`,
+      [days]
+    );
+    return result.rowCount;
+  }
+}
+
+WebhookService.TEST_EVENT = TEST_EVENT;
+WebhookService.MAX_LOG_ENTRIES = MAX_LOG_ENTRIES;
+
+module.exports = WebhookService;
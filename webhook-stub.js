@@ -0,0 +1,83 @@
+// Local webhook receiver for trying out alert notifications and event
+// forwarding.
+//
+// Usage: node webhook-stub.js [--port 4000] [--status 200] [--secret whsec_...]
+//
+// Prints every JSON payload POSTed to it and answers with the given status
+// (use e.g. --status 500 to see failed deliveries recorded). With --secret,
+// signatures are checked too. Point a rule's webhookUrl or a destination's
+// url at http://localhost:4000/, with the API started with
+// ALLOW_PRIVATE_URLS=true.
+
+const http = require("http");
+const crypto = require("crypto");
+const WebhookService = require("./webhook-service");
+
+const parseArgs = (argv) => {
+  const args = { port: parseInt(process.env.PORT) || 4000, status: 200 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--port":
+        args.port = parseInt(argv[++i]);
+        break;
+      case "--status":
+        args.status = parseInt(argv[++i]);
+        break;
+      case "--secret":
+        args.secret = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+};
+
+const main = () => {
+  const { port, status, secret } = parseArgs(process.argv.slice(2));
+
+  const checkSignature = (req, body) => {
+    const timestamp = req.headers["x-webhook-timestamp"];
+    const signature = req.headers["x-webhook-signature"] || "";
+    const expected = `sha256=${WebhookService.sign(secret, timestamp, body)}`;
+    return (
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      let payload = body;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        // Not JSON; print as received
+      }
+
+      const signed = req.headers["x-webhook-signature"] !== undefined;
+      console.log(
+        `[${new Date().toISOString()}] ${req.method} ${req.url}`,
+        signed && secret
+          ? `(signature ${checkSignature(req, body) ? "valid" : "INVALID"})`
+          : "",
+        JSON.stringify(payload, null, 2)
+      );
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ received: true }));
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`Webhook stub listening on http://localhost:${port}/`);
+  });
+};
+
+main();
@@ -0,0 +1,275 @@
+const BASE_BACKOFF_SECONDS = 10;
+const MAX_BACKOFF_SECONDS = 3600;
+
+// Attempts per event before it is moved to the dead letters
+const MAX_ATTEMPTS = 10;
+
+// Claimed rows are hidden from other workers this long. A run stops
+// starting deliveries once less than one delivery timeout of it is left and
+// hands the rest back.
+const LEASE_SECONDS = 5 * 60;
+const LEASE_MARGIN_MS = 15 * 1000;
+
+// Forwarded fields of a queued event
+const toPayload = (row) => ({
+  id: row.id,
+  event_type: row.event_type,
+  properties: row.properties,
+  user_id: row.user_id,
+  canonical_user_id: row.canonical_user_id,
+  session_id: row.session_id,
+  message_id: row.message_id,
+  timestamp: row.timestamp,
+});
+
+class WebhookWorker {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.webhooks = options.webhooks;
+    this.batchSize = options.batchSize || 200;
+    this.pollInterval = options.pollInterval || 1000;
+
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+    this.stopped = true;
+  }
+
+  /**
+   * Start polling the webhook queue
+   */
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling. In-flight deliveries still complete.
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliver queued events now instead of waiting for the next poll
+   */
+  wake() {
+    if (this.stopped) return;
+
+    if (this.running) {
+      this.rerun = true;
+    } else {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.running = true;
+
+    try {
+      let processed;
+      do {
+        this.rerun = false;
+        ({ processed } = await this.runOnce());
+      } while (!this.stopped && (processed === this.batchSize || this.rerun));
+    } catch (error) {
+      console.error("Webhook worker error:", error);
+    } finally {
+      this.running = false;
+      if (!this.stopped) this.schedule(this.pollInterval);
+    }
+  }
+
+  /**
+   * Deliver one batch of due queue entries, grouped per destination into
+   * POSTs of up to the destination's batch size. Failed events are retried
+   * with exponential backoff until they run out of attempts.
+   *
+   * Rows are claimed with SKIP LOCKED and leased by pushing their
+   * next_attempt_at out, so several workers can share the queue. No
+   * transaction or connection is held while requests are in flight; the
+   * outcomes and the delivery log are written together afterwards.
+   */
+  async runOnce() {
+    const deadline = Date.now() + LEASE_SECONDS * 1000 - LEASE_MARGIN_MS;
+    const rows = await this.claim();
+
+    if (rows.length === 0) {
+      return { processed: 0, delivered: 0, failed: 0, dead: 0 };
+    }
+
+    const byDestination = new Map();
+    rows.forEach((row) => {
+      if (!byDestination.has(row.destination_id)) {
+        byDestination.set(row.destination_id, []);
+      }
+      byDestination.get(row.destination_id).push(row);
+    });
+    const destinations = await this.webhooks.loadDestinations(this.pool, [
+      ...byDestination.keys(),
+    ]);
+
+    const deliveries = [];
+    const delivered = [];
+    const failures = [];
+    const released = [];
+
+    // Destinations are served side by side, each one batch at a time
+    await Promise.all(
+      [...byDestination].map(async ([destinationId, rows]) => {
+        const destination = destinations.get(destinationId);
+
+        // Deleted since the claim; its queue rows are gone too
+        if (!destination) return;
+
+        for (let i = 0; i < rows.length; i += destination.batch_size) {
+          const batch = rows.slice(i, i + destination.batch_size);
+
+          if (Date.now() > deadline) {
+            released.push(...batch);
+            continue;
+          }
+
+          const delivery = await this.webhooks.send(
+            destination,
+            batch.map(toPayload),
+            { attempt: Math.max(...batch.map((row) => row.attempts)) + 1 }
+          );
+          deliveries.push(delivery);
+
+          if (delivery.status === "delivered") {
+            delivered.push(...batch);
+          } else {
+            batch.forEach((row) =>
+              failures.push({ row, error: delivery.error })
+            );
+          }
+        }
+      })
+    );
+
+    const dead = failures.filter(({ row }) => row.attempts + 1 >= MAX_ATTEMPTS);
+    const retries = failures.filter(
+      ({ row }) => row.attempts + 1 < MAX_ATTEMPTS
+    );
+
+    await this.record({ deliveries, delivered, dead, retries, released });
+
+    return {
+      processed: rows.length - released.length,
+      delivered: delivered.length,
+      failed: retries.length,
+      dead: dead.length,
+    };
+  }
+
+  /**
+   * Claim up to a batch of due rows with their events in one statement,
+   * leasing them for LEASE_SECONDS
+   */
+  async claim() {
+    const result = await this.pool.query(
+      `UPDATE webhook_queue q SET
+         next_attempt_at = NOW() + make_interval(secs => $2)
+       FROM (
+         SELECT w.id AS queue_id, w.destination_id, w.attempts, e.id,
+                e.event_type, e.properties, e.user_id, e.canonical_user_id,
+                e.session_id, e.message_id, e.timestamp
+         FROM webhook_queue w
+         JOIN webhook_destinations d ON d.id = w.destination_id
+         JOIN events e ON e.id = w.event_id
+         WHERE w.next_attempt_at <= NOW() AND d.enabled
+         ORDER BY w.id
+         LIMIT $1
+         FOR UPDATE OF w SKIP LOCKED
+       ) due
+       WHERE q.id = due.queue_id
+       RETURNING due.*`,
+      [this.batchSize, LEASE_SECONDS]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Write the outcomes of a run and its delivery log in one transaction
+   */
+  async record({ deliveries, delivered, dead, retries, released }) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await this.webhooks.logDeliveries(client, deliveries);
+
+      if (delivered.length > 0) {
+        await client.query("DELETE FROM webhook_queue WHERE id = ANY($1)", [
+          delivered.map((row) => row.queue_id),
+        ]);
+      }
+
+      if (dead.length > 0) {
+        await client.query(
+          `WITH dead AS (
+             DELETE FROM webhook_queue q
+             USING unnest($1::bigint[], $2::text[]) AS f(id, error)
+             WHERE q.id = f.id
+             RETURNING q.destination_id, q.event_id, q.attempts + 1, f.error
+           )
+           INSERT INTO webhook_dead_letters
+             (destination_id, event_id, attempts, last_error)
+           SELECT * FROM dead
+           ON CONFLICT (destination_id, event_id) DO UPDATE SET
+             attempts = EXCLUDED.attempts,
+             last_error = EXCLUDED.last_error,
+             failed_at = NOW()`,
+          [dead.map((f) => f.row.queue_id), dead.map((f) => f.error)]
+        );
+      }
+
+      if (retries.length > 0) {
+        await client.query(
+          `UPDATE webhook_queue q SET
+             attempts = q.attempts + 1,
+             last_error = f.error,
+             next_attempt_at = NOW() + make_interval(
+               secs => LEAST($3, $4 * POWER(2, q.attempts))
+             )
+           FROM unnest($1::bigint[], $2::text[]) AS f(id, error)
+           WHERE q.id = f.id`,
+          [
+            retries.map((f) => f.row.queue_id),
+            retries.map((f) => f.error),
+            MAX_BACKOFF_SECONDS,
+            BASE_BACKOFF_SECONDS,
+          ]
+        );
+      }
+
+      // Rows the run had no time for are due again right away
+      if (released.length > 0) {
+        await client.query(
+          "UPDATE webhook_queue SET next_attempt_at = NOW() WHERE id = ANY($1)",
+          [released.map((row) => row.queue_id)]
+        );
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+WebhookWorker.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = WebhookWorker;